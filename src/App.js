@@ -13,6 +13,10 @@ const Privacy = lazy(() => import("./pages/Privacy"));
 const Scoring = lazy(() => import("./pages/Scoring"));
 const WinCelebrationTest = lazy(() => import("./pages/WinCelebrationTest"));
 const HomePage = lazy(() => import("./pages/HomePage"));
+const Replay = lazy(() => import("./pages/Replay"));
+const PuzzleCreator = lazy(() => import("./pages/PuzzleCreator"));
+const Campaign = lazy(() => import("./pages/Campaign"));
+const DailyArchive = lazy(() => import("./pages/DailyArchive"));
 
 // Simple loading component
 const Loading = () => (
@@ -44,6 +48,13 @@ function App() {
             <Route path="/scoring" element={<Scoring />} />
             <Route path="/wintest" element={<WinCelebrationTest />} />
             <Route path="/home" element={<HomePage />} />
+            <Route path="/replay/:gameId" element={<Replay />} />
+            <Route path="/create" element={<PuzzleCreator />} />
+            <Route path="/puzzle/:code" element={<Game />} />
+            <Route path="/campaign" element={<Campaign />} />
+            <Route path="/campaign/:packId/:puzzle" element={<Game />} />
+            <Route path="/daily/archive" element={<DailyArchive />} />
+            <Route path="/daily/archive/:date" element={<Game />} />
             <Route path="*" element={<NotFound />} />
           </Routes>
         </Suspense>
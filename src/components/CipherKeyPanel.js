@@ -0,0 +1,109 @@
+// src/components/CipherKeyPanel.js - Key guessing controls for cipher games
+import React, { useState } from "react";
+import "../Styles/CipherKeyPanel.css";
+
+const ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+/**
+ * CipherKeyPanel - lets the player guess the key of a cipher game:
+ * the shift of a Caesar cipher, or the keyword of a keyword cipher
+ *
+ * @param {Object} props
+ * @param {Object} props.cipherState - Cipher description from the offline engine
+ * @param {boolean} props.isGameActive - Whether guesses are allowed
+ * @param {Function} props.onKeyGuess - Called with the shift or keyword guessed
+ */
+const CipherKeyPanel = ({ cipherState, isGameActive, onKeyGuess }) => {
+  const [shift, setShift] = useState(1);
+  const [keyword, setKeyword] = useState("");
+
+  if (!cipherState) return null;
+
+  const wrongGuesses = cipherState.incorrectKeyGuesses || [];
+
+  // Caesar - step through shifts and preview what A becomes
+  if (cipherState.guessMode === "shift") {
+    const changeShift = (delta) =>
+      setShift((prev) => ((((prev - 1 + delta) % 25) + 25) % 25) + 1);
+    const alreadyTried = wrongGuesses.includes(String(shift));
+
+    return (
+      <div className="cipher-key-panel shift-panel">
+        <div className="cipher-key-label">{cipherState.name}</div>
+        <div className="shift-picker">
+          <button
+            onClick={() => changeShift(-1)}
+            disabled={!isGameActive}
+            aria-label="Decrease shift"
+          >
+            −
+          </button>
+          <div className="shift-value">
+            <span className="shift-number">{shift}</span>
+            <span className="shift-preview">A → {ALPHABET[shift]}</span>
+          </div>
+          <button
+            onClick={() => changeShift(1)}
+            disabled={!isGameActive}
+            aria-label="Increase shift"
+          >
+            +
+          </button>
+        </div>
+        <button
+          className="cipher-key-submit"
+          onClick={() => onKeyGuess(shift)}
+          disabled={!isGameActive || alreadyTried}
+        >
+          GUESS SHIFT
+        </button>
+        {wrongGuesses.length > 0 && (
+          <div className="cipher-key-wrong">
+            Wrong: {wrongGuesses.join(", ")}
+          </div>
+        )}
+      </div>
+    );
+  }
+
+  // Keyword substitution - guess the keyword outright
+  if (cipherState.acceptsKeyword) {
+    const handleSubmit = (e) => {
+      e.preventDefault();
+      const cleaned = keyword.toUpperCase().replace(/[^A-Z]/g, "");
+      if (!cleaned) return;
+      onKeyGuess(cleaned);
+      setKeyword("");
+    };
+
+    return (
+      <form className="cipher-key-panel keyword-panel" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={keyword}
+          onChange={(e) => setKeyword(e.target.value)}
+          placeholder="KEYWORD?"
+          maxLength={20}
+          disabled={!isGameActive}
+          aria-label="Guess the keyword"
+        />
+        <button
+          type="submit"
+          className="cipher-key-submit"
+          disabled={!isGameActive || !keyword.trim()}
+        >
+          GUESS
+        </button>
+        {wrongGuesses.length > 0 && (
+          <div className="cipher-key-wrong">
+            Wrong: {wrongGuesses.join(", ")}
+          </div>
+        )}
+      </form>
+    );
+  }
+
+  return null;
+};
+
+export default CipherKeyPanel;
@@ -1,6 +1,15 @@
 import React, { useState, useEffect } from "react";
 import "../Styles/CompactHeader.css";
 import useAuthStore from "../stores/authStore";
+import { formatCountdown } from "../utils/blitzUtils";
+import {
+  HARDCORE_LEVELS,
+  HARDCORE_LEVEL_LABELS,
+  getHardcoreLevel,
+} from "../utils/gameRules";
+
+// Seconds left at which the blitz countdown turns urgent
+const BLITZ_WARNING_SECONDS = 10;
 
 /**
  * CompactHeader - A streamlined header with hamburger menu and login status indicator
@@ -9,7 +18,10 @@ const CompactHeader = ({
   title, 
   toggleMenu, 
   isDailyChallenge = false,
-  hardcoreMode = false 
+  hardcoreMode = false,
+  hardcoreLevel = null,
+  isUnranked = false,
+  blitzRemaining = null
 }) => {
   // Get authentication state
   const isAuthenticated = useAuthStore((state) => state.isAuthenticated);
@@ -29,6 +41,8 @@ const CompactHeader = ({
     }
   }, [isAuthenticated]);
 
+  const level = getHardcoreLevel({ hardcoreMode, hardcoreLevel });
+
   return (
     <div className="compact-header">
       {/* Hamburger menu button with status indicator */}
@@ -60,7 +74,31 @@ const CompactHeader = ({
       )}
 
       {hardcoreMode && !isDailyChallenge && (
-        <div className="badge-indicator hardcore-badge">HARDCORE</div>
+        <div className="badge-indicator hardcore-badge">
+          {level === HARDCORE_LEVELS.FULL
+            ? "HARDCORE"
+            : HARDCORE_LEVEL_LABELS[level].toUpperCase()}
+        </div>
+      )}
+
+      {isUnranked && (
+        <div
+          className="badge-indicator unranked-badge"
+          title="Offline game - score will not be recorded"
+        >
+          UNRANKED
+        </div>
+      )}
+
+      {/* Blitz countdown */}
+      {blitzRemaining !== null && (
+        <div
+          className={`badge-indicator blitz-timer ${blitzRemaining <= BLITZ_WARNING_SECONDS * 1000 ? "urgent" : ""}`}
+          title="Blitz mode - the game is lost when time runs out"
+          aria-live="off"
+        >
+          {formatCountdown(blitzRemaining)}
+        </div>
       )}
     </div>
   );
@@ -0,0 +1,154 @@
+// src/components/CustomDifficultyBuilder.js - Custom difficulty options for Settings
+import React, { useState } from "react";
+import useSettingsStore, { MAX_CUSTOM_PRESETS } from "../stores/settingsStore";
+import {
+  CUSTOM_LIMITS,
+  getCustomMultiplier,
+  normalizeCustomDifficulty,
+} from "../utils/gameRules";
+
+/**
+ * CustomDifficultyBuilder - lets the player pick the mistake allowance,
+ * quote length range, frequency counts and punctuation for custom games,
+ * and keep named presets of them
+ *
+ * @param {Object} props
+ * @param {Object} props.config - Custom difficulty being edited
+ * @param {Function} props.onChange - Called with the updated custom difficulty
+ */
+const CustomDifficultyBuilder = ({ config, onChange }) => {
+  const presets = useSettingsStore((state) => state.customPresets);
+  const saveCustomPreset = useSettingsStore((state) => state.saveCustomPreset);
+  const deleteCustomPreset = useSettingsStore(
+    (state) => state.deleteCustomPreset,
+  );
+  const [presetName, setPresetName] = useState("");
+
+  const current = normalizeCustomDifficulty(config);
+
+  // Number inputs are only clamped when they lose focus, so typing isn't fought
+  const [draft, setDraft] = useState({});
+  const numberValue = (field) => draft[field] ?? current[field];
+  const handleNumberChange = (field, value) =>
+    setDraft((prev) => ({ ...prev, [field]: value }));
+  const handleNumberBlur = (field) => {
+    if (draft[field] === undefined) return;
+    onChange(normalizeCustomDifficulty({ ...current, [field]: draft[field] }));
+    setDraft((prev) => ({ ...prev, [field]: undefined }));
+  };
+
+  const handleSavePreset = () => {
+    saveCustomPreset(presetName, current);
+    setPresetName("");
+  };
+
+  return (
+    <div className="custom-difficulty">
+      <label className="custom-difficulty-field">
+        <span className="option-label">Mistakes allowed</span>
+        <input
+          type="number"
+          min={CUSTOM_LIMITS.minMistakes}
+          max={CUSTOM_LIMITS.maxMistakes}
+          value={numberValue("maxMistakes")}
+          onChange={(e) => handleNumberChange("maxMistakes", e.target.value)}
+          onBlur={() => handleNumberBlur("maxMistakes")}
+        />
+      </label>
+
+      <div className="custom-difficulty-field">
+        <span className="option-label">Quote length (characters)</span>
+        <span className="custom-difficulty-range">
+          <input
+            type="number"
+            min={CUSTOM_LIMITS.minLength}
+            max={CUSTOM_LIMITS.maxLength}
+            value={numberValue("minLength")}
+            onChange={(e) => handleNumberChange("minLength", e.target.value)}
+            onBlur={() => handleNumberBlur("minLength")}
+            aria-label="Shortest quote length"
+          />
+          to
+          <input
+            type="number"
+            min={CUSTOM_LIMITS.minLength}
+            max={CUSTOM_LIMITS.maxLength}
+            value={numberValue("maxLength")}
+            onChange={(e) => handleNumberChange("maxLength", e.target.value)}
+            onBlur={() => handleNumberBlur("maxLength")}
+            aria-label="Longest quote length"
+          />
+        </span>
+      </div>
+
+      <label className="settings-option">
+        <input
+          type="checkbox"
+          checked={current.showFrequency}
+          onChange={() =>
+            onChange({ ...current, showFrequency: !current.showFrequency })
+          }
+        />
+        <span className="option-label">Show letter frequency counts</span>
+      </label>
+
+      <label className="settings-option">
+        <input
+          type="checkbox"
+          checked={current.keepPunctuation}
+          onChange={() =>
+            onChange({ ...current, keepPunctuation: !current.keepPunctuation })
+          }
+        />
+        <span className="option-label">Keep spaces and punctuation</span>
+      </label>
+
+      <p className="settings-description">
+        Custom games are generated on your device and are unranked. Their score
+        uses a {getCustomMultiplier(current)}× difficulty multiplier
+        {!current.keepPunctuation && ", plus the hardcore multiplier"}.
+      </p>
+
+      {/* Saved presets */}
+      <div className="custom-difficulty-presets">
+        {presets.map((preset) => (
+          <span className="custom-difficulty-preset" key={preset.name}>
+            <button
+              className="custom-difficulty-preset-load"
+              onClick={() => onChange(normalizeCustomDifficulty(preset))}
+              title={`${preset.maxMistakes} mistakes, ${preset.minLength}-${preset.maxLength} characters`}
+            >
+              {preset.name}
+            </button>
+            <button
+              className="custom-difficulty-preset-delete"
+              onClick={() => deleteCustomPreset(preset.name)}
+              aria-label={`Delete preset ${preset.name}`}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+      </div>
+      <div className="custom-difficulty-save">
+        <input
+          type="text"
+          value={presetName}
+          maxLength={24}
+          placeholder="Preset name"
+          onChange={(e) => setPresetName(e.target.value)}
+        />
+        <button onClick={handleSavePreset} disabled={!presetName.trim()}>
+          Save Preset
+        </button>
+      </div>
+      {presets.length >= MAX_CUSTOM_PRESETS && (
+        <p className="settings-description">
+          Saving another preset replaces the oldest one.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CustomDifficultyBuilder;
@@ -0,0 +1,200 @@
+// src/components/DailyHeatmap.js - Year of daily challenge results for personal stats
+import React, { useEffect, useMemo, useState } from "react";
+import useDailyHistoryStore from "../stores/dailyHistoryStore";
+import { DAILY_OUTCOMES, getTodayString } from "../utils/dailyArchive";
+import {
+  HEATMAP_METRICS,
+  WEEKDAY_NAMES,
+  getBestScore,
+  getHeatmapLevel,
+  getHeatmapWeeks,
+  getMonthBreakdown,
+  getWeekdayBreakdown,
+} from "../utils/dailyHeatmap";
+import "../Styles/DailyHeatmap.css";
+
+// Format a YYYY-MM-DD date or YYYY-MM month for display
+const formatDate = (dateString, options) =>
+  new Date(
+    dateString.length === 7 ? `${dateString}-01` : dateString,
+  ).toLocaleDateString(undefined, { timeZone: "UTC", ...options });
+
+// Details for the hovered day
+const describeDay = (dateString, result) => {
+  const date = formatDate(dateString, {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+  if (!result) return `${date}: not played`;
+  if (result.outcome === DAILY_OUTCOMES.FAILED) return `${date}: failed`;
+
+  return `${date}: completed with ${result.mistakes || 0} mistakes, score ${result.score || 0}${result.archive ? " (archive)" : ""}`;
+};
+
+const DailyHeatmap = ({ isAuthenticated }) => {
+  const results = useDailyHistoryStore((state) => state.results);
+  const loadRange = useDailyHistoryStore((state) => state.loadRange);
+
+  const [metric, setMetric] = useState(HEATMAP_METRICS.MISTAKES);
+  const [hoveredDate, setHoveredDate] = useState(null);
+
+  const today = getTodayString();
+  const weeks = useMemo(() => getHeatmapWeeks(today), [today]);
+  const dates = useMemo(() => weeks.flat().filter(Boolean), [weeks]);
+
+  // Pick up the account's results for the whole year shown
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadRange(dates[0], today);
+    }
+  }, [isAuthenticated, loadRange, dates, today]);
+
+  const bestScore = getBestScore(results, dates);
+  const months = Object.entries(getMonthBreakdown(results, dates)).sort(
+    ([a], [b]) => b.localeCompare(a),
+  );
+  const weekdays = getWeekdayBreakdown(results, dates);
+
+  // Label a column with its month when the month starts in that week
+  const monthLabels = weeks.map((week, index) => {
+    const firstOfMonth = week.find((day) => day?.endsWith("-01"));
+    if (firstOfMonth) return formatDate(firstOfMonth, { month: "short" });
+    return index === 0 ? formatDate(week[0], { month: "short" }) : "";
+  });
+
+  return (
+    <div className="daily-heatmap">
+      <div className="daily-heatmap-header">
+        <h3>Daily Challenges</h3>
+        <div className="daily-heatmap-metric" role="group">
+          <button
+            className={metric === HEATMAP_METRICS.MISTAKES ? "active" : ""}
+            onClick={() => setMetric(HEATMAP_METRICS.MISTAKES)}
+          >
+            Mistakes
+          </button>
+          <button
+            className={metric === HEATMAP_METRICS.SCORE ? "active" : ""}
+            onClick={() => setMetric(HEATMAP_METRICS.SCORE)}
+          >
+            Score
+          </button>
+        </div>
+      </div>
+
+      <div className="daily-heatmap-scroll">
+        <div className="daily-heatmap-grid">
+          <div className="daily-heatmap-column daily-heatmap-weekdays">
+            <span className="daily-heatmap-month" />
+            {WEEKDAY_NAMES.map((weekday, index) => (
+              <span key={weekday} className="daily-heatmap-weekday">
+                {index % 2 ? weekday.slice(0, 3) : ""}
+              </span>
+            ))}
+          </div>
+
+          {weeks.map((week, index) => (
+            <div key={week[0]} className="daily-heatmap-column">
+              <span className="daily-heatmap-month">{monthLabels[index]}</span>
+              {week.map((dateString, day) => {
+                if (!dateString) {
+                  return <span key={day} className="daily-heatmap-day empty" />;
+                }
+
+                const result = results[dateString];
+                const level = getHeatmapLevel(result, metric, bestScore);
+
+                return (
+                  <span
+                    key={dateString}
+                    className={`daily-heatmap-day level-${level} ${result?.outcome === DAILY_OUTCOMES.FAILED ? "failed" : ""}`}
+                    title={describeDay(dateString, result)}
+                    onMouseEnter={() => setHoveredDate(dateString)}
+                    onMouseLeave={() => setHoveredDate(null)}
+                  />
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="daily-heatmap-details">
+        {hoveredDate
+          ? describeDay(hoveredDate, results[hoveredDate])
+          : "Hover over a day for details"}
+      </div>
+
+      <div className="daily-heatmap-legend">
+        <span>
+          {metric === HEATMAP_METRICS.MISTAKES
+            ? "More mistakes"
+            : "Lower score"}
+        </span>
+        {[1, 2, 3, 4].map((level) => (
+          <span key={level} className={`daily-heatmap-day level-${level}`} />
+        ))}
+        <span>
+          {metric === HEATMAP_METRICS.MISTAKES ? "No mistakes" : "Best score"}
+        </span>
+        <span className="daily-heatmap-day failed" />
+        <span>Failed</span>
+      </div>
+
+      <div className="daily-heatmap-breakdowns">
+        <div className="daily-heatmap-breakdown">
+          <h4>Win Rate by Weekday</h4>
+          {weekdays.map(({ weekday, played, winRate }) => (
+            <div key={weekday} className="daily-heatmap-bar-row">
+              <span className="daily-heatmap-bar-label">
+                {weekday.slice(0, 3)}
+              </span>
+              <span className="daily-heatmap-bar">
+                <span style={{ width: `${winRate}%` }} />
+              </span>
+              <span className="daily-heatmap-bar-value">
+                {played ? `${winRate}%` : "-"}
+              </span>
+            </div>
+          ))}
+        </div>
+
+        <div className="daily-heatmap-breakdown">
+          <h4>Win Rate by Month</h4>
+          {months.length ? (
+            <table className="daily-heatmap-months">
+              <thead>
+                <tr>
+                  <th>Month</th>
+                  <th>Played</th>
+                  <th>Won</th>
+                  <th>Win Rate</th>
+                </tr>
+              </thead>
+              <tbody>
+                {months.map(([month, { played, won, winRate }]) => (
+                  <tr key={month}>
+                    <td>
+                      {formatDate(month, { month: "short", year: "numeric" })}
+                    </td>
+                    <td>{played}</td>
+                    <td>{won}</td>
+                    <td>{winRate}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <p className="daily-heatmap-empty">
+              No daily challenges played in the last year yet.
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DailyHeatmap;
@@ -0,0 +1,172 @@
+// src/components/FrequencyAnalysisPanel.js - Cipher letter frequencies compared with the puzzle's language
+import React, { useMemo } from "react";
+import {
+  DEFAULT_LANGUAGE,
+  LETTER_CLASS,
+  getFrequencies,
+  getLanguage,
+  isLetter,
+} from "../utils/languages";
+import "../Styles/FrequencyAnalysisPanel.css";
+
+// Runs of letters, which bigrams are counted within
+const WORD_REGEX = new RegExp(`[${LETTER_CLASS}]+`, "g");
+
+// How many bigrams to list
+const MAX_BIGRAMS = 8;
+
+/**
+ * Count adjacent letter pairs in the encrypted text. Pairs don't span
+ * spaces or punctuation, except in hardcore mode where there are none.
+ * @param {string} encrypted - Encrypted text
+ * @returns {Array<[string, number]>} Bigrams and counts, most common first
+ */
+const countBigrams = (encrypted) => {
+  const counts = {};
+  (encrypted.match(WORD_REGEX) || []).forEach((word) => {
+    for (let i = 0; i < word.length - 1; i++) {
+      const bigram = word.slice(i, i + 2);
+      counts[bigram] = (counts[bigram] || 0) + 1;
+    }
+  });
+  return Object.entries(counts).sort((a, b) => b[1] - a[1]);
+};
+
+/**
+ * FrequencyAnalysisPanel - bar chart of cipher letter frequency next to
+ * the frequency of the puzzle's language by rank, plus bigram and
+ * double-letter counts
+ *
+ * @param {Object} props
+ * @param {string} props.encrypted - Encrypted text
+ * @param {Object} props.letterFrequency - Encrypted letter → count
+ * @param {string|null} props.selectedEncrypted - Selected encrypted letter
+ * @param {Array<string>} props.correctlyGuessed - Solved encrypted letters
+ * @param {Function} props.onLetterSelect - Called with an encrypted letter when its bar is clicked
+ * @param {boolean} props.isGameActive - Whether letters can be selected
+ * @param {string} props.language - Language of the puzzle, see LANGUAGES
+ * @param {boolean} props.keepAccents - Whether accented letters are kept apart
+ */
+const FrequencyAnalysisPanel = ({
+  encrypted,
+  letterFrequency = {},
+  selectedEncrypted,
+  correctlyGuessed = [],
+  onLetterSelect,
+  isGameActive,
+  language = DEFAULT_LANGUAGE,
+  keepAccents = false,
+}) => {
+  const {
+    label,
+    bigrams: languageBigrams,
+    doubles: languageDoubles,
+  } = getLanguage(language);
+
+  // Cipher letters ranked by count, as percentages of all letters -
+  // enciphered digits aren't letters, so they're left out
+  const cipherRanking = useMemo(() => {
+    const letterCounts = Object.entries(letterFrequency).filter(([letter]) =>
+      isLetter(letter),
+    );
+    const total = letterCounts.reduce((sum, [, count]) => sum + count, 0);
+    return letterCounts
+      .sort((a, b) => b[1] - a[1])
+      .map(([letter, count]) => ({
+        letter,
+        count,
+        percent: total > 0 ? (count / total) * 100 : 0,
+      }));
+  }, [letterFrequency]);
+
+  const englishRanking = useMemo(
+    () =>
+      Object.entries(getFrequencies(language, keepAccents)).sort(
+        (a, b) => b[1] - a[1],
+      ),
+    [language, keepAccents],
+  );
+
+  const bigrams = useMemo(() => countBigrams(encrypted || ""), [encrypted]);
+  const doubles = bigrams.filter(([bigram]) => bigram[0] === bigram[1]);
+
+  // Scale bars against the tallest bar of either series
+  const maxPercent = Math.max(
+    englishRanking[0][1],
+    ...cipherRanking.map((entry) => entry.percent),
+  );
+  const barHeight = (percent) => `${(percent / maxPercent) * 100}%`;
+
+  return (
+    <div className="frequency-panel" aria-label="Frequency analysis">
+      <div className="frequency-title">FREQUENCY ANALYSIS</div>
+
+      <div className="frequency-chart">
+        {cipherRanking.map((entry, rank) => {
+          const [englishLetter, englishPercent] = englishRanking[rank] || [];
+          return (
+            <div className="frequency-column" key={entry.letter}>
+              <div className="frequency-bars">
+                <button
+                  className={`frequency-bar cipher ${selectedEncrypted === entry.letter ? "selected" : ""} ${correctlyGuessed.includes(entry.letter) ? "solved" : ""}`}
+                  style={{ height: barHeight(entry.percent) }}
+                  onClick={() => onLetterSelect(entry.letter)}
+                  disabled={
+                    !isGameActive || correctlyGuessed.includes(entry.letter)
+                  }
+                  title={`${entry.letter}: ${entry.count} (${entry.percent.toFixed(1)}%)`}
+                  aria-label={`Select ${entry.letter}`}
+                />
+                {englishLetter && (
+                  <div
+                    className="frequency-bar english"
+                    style={{ height: barHeight(englishPercent) }}
+                    title={`${label} ${englishLetter}: ${englishPercent}%`}
+                  />
+                )}
+              </div>
+              <div className="frequency-label">{entry.letter}</div>
+              <div className="frequency-label english">{englishLetter}</div>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="frequency-legend">
+        <span className="legend-cipher">cipher</span>
+        <span className="legend-english">{label}</span>
+      </div>
+
+      <div className="frequency-pairs">
+        <div>
+          <span className="frequency-pairs-label">Bigrams</span>
+          {bigrams.slice(0, MAX_BIGRAMS).map(([bigram, count]) => (
+            <span className="frequency-pair" key={bigram}>
+              {bigram}×{count}
+            </span>
+          ))}
+          <span className="frequency-english-hint">
+            {label}: {languageBigrams.join(" ")}
+          </span>
+        </div>
+        <div>
+          <span className="frequency-pairs-label">Doubles</span>
+          {doubles.length === 0 ? (
+            <span className="frequency-pair">none</span>
+          ) : (
+            doubles.map(([bigram, count]) => (
+              <span className="frequency-pair" key={bigram}>
+                {bigram}×{count}
+              </span>
+            ))
+          )}
+          <span className="frequency-english-hint">
+            {label}: {languageDoubles.join(" ")}
+          </span>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FrequencyAnalysisPanel;
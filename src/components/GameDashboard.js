@@ -1,9 +1,37 @@
-import React from "react";
+import React, { useState } from "react";
+import {
+  FaUndo,
+  FaRedo,
+  FaPencilAlt,
+  FaCheck,
+  FaChalkboardTeacher,
+} from "react-icons/fa";
 import useUIStore from "../stores/uiStore";
 import useSettingsStore from "../stores/settingsStore";
 import CryptoSpinner from "./CryptoSpinner";
+import CipherKeyPanel from "./CipherKeyPanel";
 import "../Styles/GameDashboard.css";
 import useDeviceDetection from "../hooks/useDeviceDetection";
+import {
+  HINT_TYPES,
+  TARGETED_HINT_TYPES,
+  ELIMINATE_COUNT,
+  getHintCost,
+} from "../utils/gameRules";
+import { DIGITS, isDigitSymbol } from "../utils/digits";
+
+// Hint menu entries, in the order they're listed
+const HINT_OPTIONS = [
+  { type: HINT_TYPES.LETTER, label: "Reveal a letter" },
+  { type: HINT_TYPES.VOWEL, label: "Reveal a vowel" },
+  { type: HINT_TYPES.FREQUENT, label: "Reveal the most frequent letter" },
+  { type: HINT_TYPES.CHOSEN, label: "Reveal the selected letter" },
+  {
+    type: HINT_TYPES.ELIMINATE,
+    label: `Remove ${ELIMINATE_COUNT} wrong letters`,
+  },
+  { type: HINT_TYPES.INITIALS, label: "Show the author's initials" },
+];
 
 const LetterCell = React.memo(
   ({
@@ -12,6 +40,10 @@ const LetterCell = React.memo(
     isGuessed,
     isFlashing,
     isPreviouslyGuessed,
+    isPencilled,
+    isEliminated,
+    isPending,
+    isCoached,
     frequency,
     onClick,
     disabled,
@@ -20,7 +52,11 @@ const LetterCell = React.memo(
       className={`letter-cell ${isSelected ? "selected" : ""} 
                 ${isGuessed ? "guessed" : ""} 
                 ${isFlashing ? "flash" : ""}
-                ${isPreviouslyGuessed ? "previously-guessed" : ""}`}
+                ${isPreviouslyGuessed ? "previously-guessed" : ""}
+                ${isPencilled ? "pencilled" : ""}
+                ${isEliminated ? "eliminated" : ""}
+                ${isPending ? "pending" : ""}
+                ${isCoached ? "coached" : ""}`}
       onClick={!disabled ? onClick : undefined}
     >
       {letter}
@@ -39,9 +75,11 @@ const GameDashboard = ({
   disableHint,
   isHintInProgress,
   sortedEncryptedLetters,
+  encryptedDigits = [],
   selectedEncrypted,
   correctlyGuessed,
   incorrectGuesses = {},
+  pendingLetters = [],
   lastCorrectGuess,
   letterFrequency,
   onEncryptedClick,
@@ -51,12 +89,28 @@ const GameDashboard = ({
   onGuessClick,
   hasLost,
   onStartNewGame,
+  canUndo = false,
+  canRedo = false,
+  onUndo,
+  onRedo,
+  pencilMarks = {},
+  eliminatedLetters = {},
+  authorInitials = null,
+  isNotesMode = false,
+  onToggleNotes,
+  onPromoteMark,
+  coachLetter = null,
+  isCoachMode = false,
+  onToggleCoach,
+  cipherState = null,
+  onKeyGuess,
 }) => {
   const isMobile = useUIStore((state) => state.useMobileMode);
   const settings = useSettingsStore((state) => state.settings);
   const isDarkTheme = settings?.theme === "dark";
 
   const remainingMistakes = maxMistakes - mistakes - pendingHints;
+  const [isHintMenuOpen, setIsHintMenuOpen] = useState(false);
   const { isLandscape } = useDeviceDetection();
   // Hint text representations with crossword-style filled squares
   const hintTexts = {
@@ -82,6 +136,96 @@ const GameDashboard = ({
     }
     return incorrectGuesses[selectedEncrypted].includes(letter);
   };
+
+  // Pencil marks for the selected encrypted letter
+  const selectedMarks =
+    (selectedEncrypted && pencilMarks[selectedEncrypted]) || [];
+
+  // Wrong candidates a hint has crossed off for the selected encrypted letter
+  const selectedEliminated =
+    (selectedEncrypted && eliminatedLetters[selectedEncrypted]) || [];
+
+  // Cipher games may be solved through the key instead of letter by letter
+  const guessMode = cipherState?.guessMode || "letter";
+
+  // Digit symbols are guessed from the digit grid, letters from the letter grid
+  const isDigitSelected = isDigitSymbol(selectedEncrypted);
+
+  // Why a hint type can't be used right now, or null if it can
+  const getHintUnavailableReason = (type) => {
+    if (getHintCost(type) >= remainingMistakes) return "Not enough hint tokens";
+    if (guessMode === "key" && type !== HINT_TYPES.LETTER) {
+      return "Only letter hints work with this cipher";
+    }
+    if (type === HINT_TYPES.INITIALS && authorInitials) return "Already shown";
+    if (
+      TARGETED_HINT_TYPES.includes(type) &&
+      (!selectedEncrypted || correctlyGuessed.includes(selectedEncrypted))
+    ) {
+      return "Select an unsolved letter first";
+    }
+    return null;
+  };
+
+  const handleHintOptionClick = (type) => {
+    setIsHintMenuOpen(false);
+    onHintClick(type);
+  };
+
+  // Vigenère - the encrypted grid becomes one slot per key letter
+  const renderKeySlots = () =>
+    Array.from({ length: cipherState.keyLength }, (_, position) => {
+      const solvedLetter = cipherState.solvedKeyLetters?.[position];
+      return (
+        <LetterCell
+          key={position}
+          letter={solvedLetter || "?"}
+          isSelected={selectedEncrypted === String(position)}
+          isGuessed={!!solvedLetter}
+          frequency={position + 1}
+          onClick={() => onEncryptedClick(String(position))}
+          disabled={!isGameActive || !!solvedLetter}
+        />
+      );
+    });
+
+  // Encrypted letter cell, shared by the letter and digit grids
+  const renderEncryptedCell = (letter) => (
+    <LetterCell
+      key={letter}
+      letter={letter}
+      isSelected={selectedEncrypted === letter}
+      isGuessed={correctlyGuessed.includes(letter)}
+      isFlashing={lastCorrectGuess === letter}
+      isPending={pendingLetters.includes(letter)}
+      isCoached={coachLetter === letter}
+      frequency={letterFrequency ? letterFrequency[letter] || 0 : undefined}
+      onClick={() => onEncryptedClick(letter)}
+      disabled={!isGameActive}
+    />
+  );
+
+  // Guess cell, shared by the letter and digit grids - only the grid that
+  // matches the selected cipher letter can be guessed from
+  const renderGuessCell = (letter, isDigit) => (
+    <LetterCell
+      key={letter}
+      letter={letter}
+      isGuessed={Object.values(guessedMappings || {}).includes(letter)}
+      isPreviouslyGuessed={isPreviouslyGuessed(letter)}
+      isPencilled={selectedMarks.includes(letter)}
+      isEliminated={selectedEliminated.includes(letter)}
+      onClick={() => onGuessClick(letter)}
+      disabled={
+        !isGameActive ||
+        !selectedEncrypted ||
+        isDigitSelected !== isDigit ||
+        isPreviouslyGuessed(letter) ||
+        selectedEliminated.includes(letter)
+      }
+    />
+  );
+
   // Render the hint button or game over message
   const renderHintOrGameOver = () => {
     // if (hasLost) {
@@ -106,7 +250,11 @@ const GameDashboard = ({
       // <div className="controls-stack">
       <div
         className={`crossword-hint-button status-${getStatusColor()} ${isHintInProgress ? "processing" : ""}`}
-        onClick={!disableHint ? onHintClick : undefined}
+        onClick={
+          !disableHint ? () => setIsHintMenuOpen((open) => !open) : undefined
+        }
+        aria-haspopup="menu"
+        aria-expanded={isHintMenuOpen && !disableHint}
       >
         {/* eslint-disable-next-line react/no-children-prop */}
         <div className="hint-text-display">
@@ -119,6 +267,30 @@ const GameDashboard = ({
         {isHintInProgress && (
           <CryptoSpinner isActive={true} isDarkTheme={isDarkTheme} />
         )}
+        {isHintMenuOpen && !disableHint && (
+          <div
+            className="hint-menu"
+            role="menu"
+            onClick={(e) => e.stopPropagation()}
+          >
+            {HINT_OPTIONS.map(({ type, label }) => {
+              const reason = getHintUnavailableReason(type);
+              return (
+                <button
+                  key={type}
+                  className="hint-menu-item"
+                  role="menuitem"
+                  onClick={() => handleHintOptionClick(type)}
+                  disabled={!!reason}
+                  title={reason || undefined}
+                >
+                  <span>{label}</span>
+                  <span className="hint-menu-cost">-{getHintCost(type)}</span>
+                </button>
+              );
+            })}
+          </div>
+        )}
       </div>
       // </div>
     );
@@ -126,7 +298,7 @@ const GameDashboard = ({
 
   return (
     <div
-      className={`game-dashboard ${isLandscape ? "landscape" : "portrait"} ${isDarkTheme ? "dark-theme" : "light-theme"}`}
+      className={`game-dashboard ${isLandscape ? "landscape" : "portrait"} ${isDarkTheme ? "dark-theme" : "light-theme"} ${encryptedDigits.length > 0 ? "has-digits" : ""}`}
     >
       {/* <div
         className={`game-dashboard ${isDarkTheme ? "dark-theme" : "light-theme"}`} 
@@ -134,39 +306,106 @@ const GameDashboard = ({
       {/* Encrypted Grid */}
       {/* eslint-disable-next-line react/no-children-prop */}
       <div className="encrypted-grid">
-        {sortedEncryptedLetters.map((letter) => (
-          <LetterCell
-            key={letter}
-            letter={letter}
-            isSelected={selectedEncrypted === letter}
-            isGuessed={correctlyGuessed.includes(letter)}
-            isFlashing={lastCorrectGuess === letter}
-            frequency={letterFrequency?.[letter] || 0}
-            onClick={() => onEncryptedClick(letter)}
-            disabled={!isGameActive}
-          />
-        ))}
+        {guessMode === "key"
+          ? renderKeySlots()
+          : sortedEncryptedLetters.map(renderEncryptedCell)}
       </div>
 
-      {/* Middle Section: Hint Button or Game Over */}
-      <div className="controls-stack">{renderHintOrGameOver()}</div>
-
-      {/* Guess Grid */}
-      {/* eslint-disable-next-line react/no-children-prop */}
-      <div className="guess-grid">
-        {originalLetters.map((letter) => (
-          <LetterCell
-            key={letter}
-            letter={letter}
-            isGuessed={Object.values(guessedMappings || {}).includes(letter)}
-            isPreviouslyGuessed={isPreviouslyGuessed(letter)}
-            onClick={() => onGuessClick(letter)}
-            disabled={
-              !isGameActive || !selectedEncrypted || isPreviouslyGuessed(letter)
-            }
+      {/* Middle Section: Hint Button or Game Over, with undo/redo */}
+      <div className="controls-stack">
+        {renderHintOrGameOver()}
+        {onUndo && onRedo && (
+          <div className="history-controls">
+            <button
+              className="history-button"
+              onClick={onUndo}
+              disabled={!canUndo}
+              aria-label="Undo last move"
+              title="Undo (Ctrl+Z)"
+            >
+              <FaUndo />
+            </button>
+            <button
+              className="history-button"
+              onClick={onRedo}
+              disabled={!canRedo}
+              aria-label="Redo move"
+              title="Redo (Ctrl+Y)"
+            >
+              <FaRedo />
+            </button>
+          </div>
+        )}
+        {onToggleNotes && (
+          <div className="history-controls">
+            <button
+              className={`notes-button ${isNotesMode ? "active" : ""}`}
+              onClick={onToggleNotes}
+              disabled={!isGameActive}
+              aria-pressed={isNotesMode}
+              aria-label="Toggle notes mode"
+              title="Notes mode - mark candidate letters without guessing"
+            >
+              <FaPencilAlt />
+            </button>
+            <button
+              className="notes-button"
+              onClick={onPromoteMark}
+              disabled={!isGameActive || selectedMarks.length !== 1}
+              aria-label="Guess the pencilled letter"
+              title="Guess the pencilled letter (Enter)"
+            >
+              <FaCheck />
+            </button>
+          </div>
+        )}
+        {onToggleCoach && (
+          <div className="history-controls">
+            <button
+              className={`notes-button ${isCoachMode ? "active" : ""}`}
+              onClick={onToggleCoach}
+              disabled={!isGameActive}
+              aria-pressed={isCoachMode}
+              aria-label="Toggle coach"
+              title="Coach - highlights the letter that's easiest to crack next"
+            >
+              <FaChalkboardTeacher />
+            </button>
+          </div>
+        )}
+        {cipherState?.acceptsKeyword && (
+          <CipherKeyPanel
+            cipherState={cipherState}
+            isGameActive={isGameActive}
+            onKeyGuess={onKeyGuess}
           />
-        ))}
+        )}
       </div>
+
+      {/* Guess Grid - Caesar games guess the shift instead */}
+      {guessMode === "shift" ? (
+        <CipherKeyPanel
+          cipherState={cipherState}
+          isGameActive={isGameActive}
+          onKeyGuess={onKeyGuess}
+        />
+      ) : (
+        <div className="guess-grid">
+          {originalLetters.map((letter) => renderGuessCell(letter, false))}
+        </div>
+      )}
+
+      {/* Digit Grids - enciphered digit symbols above the digits they stand for */}
+      {encryptedDigits.length > 0 && (
+        <div className="digit-grids" aria-label="Enciphered digits">
+          <div className="digit-grid encrypted-digits">
+            {encryptedDigits.map(renderEncryptedCell)}
+          </div>
+          <div className="digit-grid guess-digits">
+            {Array.from(DIGITS).map((digit) => renderGuessCell(digit, true))}
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,62 @@
+// src/components/QuoteCategoryPicker.js - Pick the themes and decades new quotes come from
+import React from "react";
+import {
+  QUOTE_CATEGORIES,
+  QUOTE_DECADES,
+  normalizeQuoteCategories,
+} from "../utils/quoteCategories";
+import "../Styles/QuoteCategoryPicker.css";
+
+/**
+ * QuoteCategoryPicker - toggle chips for each quote category and decade.
+ * Nothing picked means quotes can come from anywhere.
+ *
+ * @param {Object} props
+ * @param {Array<string>} props.value - Picked category and decade ids
+ * @param {Function} props.onChange - Called with the new list of ids
+ */
+const QuoteCategoryPicker = ({ value, onChange }) => {
+  const picked = normalizeQuoteCategories(value);
+
+  const toggle = (id) =>
+    onChange(
+      picked.includes(id)
+        ? picked.filter((other) => other !== id)
+        : [...picked, id],
+    );
+
+  const renderChip = (id, label) => (
+    <button
+      key={id}
+      type="button"
+      className={`category-chip ${picked.includes(id) ? "picked" : ""}`}
+      aria-pressed={picked.includes(id)}
+      onClick={() => toggle(id)}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="quote-category-picker">
+      <div className="category-chips">
+        <button
+          type="button"
+          className={`category-chip ${picked.length === 0 ? "picked" : ""}`}
+          aria-pressed={picked.length === 0}
+          onClick={() => onChange([])}
+        >
+          Any
+        </button>
+        {Object.entries(QUOTE_CATEGORIES).map(([id, category]) =>
+          renderChip(id, category.label),
+        )}
+      </div>
+      <div className="category-chips decades">
+        {QUOTE_DECADES.map((decade) => renderChip(decade, decade))}
+      </div>
+    </div>
+  );
+};
+
+export default QuoteCategoryPicker;
@@ -11,6 +11,10 @@ import {
   FaCalendarAlt,
   FaHome,
   FaRandom,
+  FaPuzzlePiece,
+  FaSave,
+  FaLayerGroup,
+  FaHistory,
 } from "react-icons/fa";
 import "../Styles/SlideMenu.css";
 import useAuthStore from "../stores/authStore";
@@ -33,6 +37,7 @@ const SlideMenu = ({ isOpen, onClose }) => {
   const openSignup = useUIStore((state) => state.openSignup);
   const openSettings = useUIStore((state) => state.openSettings);
   const openAbout = useUIStore((state) => state.openAbout);
+  const openSaveSlots = useUIStore((state) => state.openSaveSlots);
 
   // Get game service functions
   const { continueGame, logout, startDailyChallenge, events, onEvent } =
@@ -159,6 +164,34 @@ const SlideMenu = ({ isOpen, onClose }) => {
             Custom Game
           </li>
 
+          {/* Local save slots - the server keeps games for logged in players */}
+          {!isAuthenticated && (
+            <li
+              onClick={() => {
+                openSaveSlots();
+                onClose();
+              }}
+            >
+              <FaSave className="menu-icon" />
+              Save Slots
+            </li>
+          )}
+
+          <li onClick={() => handleNavigation("/daily/archive")}>
+            <FaHistory className="menu-icon" />
+            Daily Archive
+          </li>
+
+          <li onClick={() => handleNavigation("/campaign")}>
+            <FaLayerGroup className="menu-icon" />
+            Campaign
+          </li>
+
+          <li onClick={() => handleNavigation("/create")}>
+            <FaPuzzlePiece className="menu-icon" />
+            Create Puzzle
+          </li>
+
           <li onClick={() => handleNavigation("/leaderboard")}>
             <FaTrophy className="menu-icon" />
             Leaderboard
@@ -0,0 +1,86 @@
+// src/components/SolvingWalkthrough.js - Post-game walkthrough of how the cipher could be cracked
+import React, { useEffect, useState } from "react";
+import { FaPlay, FaPause, FaStepBackward, FaStepForward } from "react-icons/fa";
+import "../Styles/SolvingWalkthrough.css";
+
+// Time each deduction stays on screen while playing
+const STEP_DELAY = 3500;
+
+/**
+ * SolvingWalkthrough - steps through the deductions from buildWalkthrough,
+ * while the game's text display shows the board after the current one
+ *
+ * @param {Object} props
+ * @param {Array<Object>} props.steps - Walkthrough steps, see utils/walkthrough
+ * @param {number} props.stepIndex - Step being shown
+ * @param {Function} props.onStepChange - Called with the step to show
+ * @param {Function} props.onClose - Return to the game over screen
+ */
+const SolvingWalkthrough = ({ steps, stepIndex, onStepChange, onClose }) => {
+  const [isPlaying, setIsPlaying] = useState(true);
+
+  const lastIndex = steps.length - 1;
+  const step = steps[stepIndex];
+
+  // Move on to the next deduction while playing, stopping at the last one
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    if (stepIndex >= lastIndex) {
+      setIsPlaying(false);
+      return;
+    }
+
+    const timer = setTimeout(() => onStepChange(stepIndex + 1), STEP_DELAY);
+    return () => clearTimeout(timer);
+  }, [isPlaying, stepIndex, lastIndex, onStepChange]);
+
+  const togglePlay = () => {
+    // Start over if the walkthrough already finished
+    if (!isPlaying && stepIndex >= lastIndex) {
+      onStepChange(0);
+    }
+    setIsPlaying((prev) => !prev);
+  };
+
+  const goTo = (delta) => {
+    setIsPlaying(false);
+    onStepChange(Math.min(Math.max(stepIndex + delta, 0), lastIndex));
+  };
+
+  if (!step) return null;
+
+  return (
+    <div className="solving-walkthrough" aria-live="polite">
+      <div className="walkthrough-header">
+        <span className="walkthrough-progress">
+          STEP {stepIndex + 1}/{steps.length}
+        </span>
+        <span className="walkthrough-title">{step.title}</span>
+      </div>
+
+      <p className="walkthrough-explanation">{step.explanation}</p>
+
+      <div className="walkthrough-controls">
+        <button onClick={() => goTo(-1)} aria-label="Previous step">
+          <FaStepBackward />
+        </button>
+        <button
+          className="walkthrough-play"
+          onClick={togglePlay}
+          aria-label={isPlaying ? "Pause" : "Play"}
+        >
+          {isPlaying ? <FaPause /> : <FaPlay />}
+        </button>
+        <button onClick={() => goTo(1)} aria-label="Next step">
+          <FaStepForward />
+        </button>
+        <button className="walkthrough-close" onClick={onClose}>
+          BACK TO RESULTS
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SolvingWalkthrough;
@@ -0,0 +1,83 @@
+// src/components/StreakFreezes.js - Streak freezes held, with a history of when they were earned and used
+import React, { useEffect } from "react";
+import { FaSnowflake } from "react-icons/fa";
+import useStreakFreezeStore from "../stores/streakFreezeStore";
+import useAuthStore from "../stores/authStore";
+import {
+  FREEZE_EVENTS,
+  MAX_STREAK_FREEZES,
+  STREAK_FREEZE_EARN_DAYS,
+  getAvailableFreezes,
+} from "../utils/streakFreezes";
+import "../Styles/StreakFreezes.css";
+
+// Format a YYYY-MM-DD date for display
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString(undefined, {
+    timeZone: "UTC",
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+  });
+
+const StreakFreezes = ({ showHistory = false }) => {
+  const isAuthenticated = useAuthStore((state) => state.isAuthenticated);
+  const history = useStreakFreezeStore((state) => state.history);
+  const reconcile = useStreakFreezeStore((state) => state.reconcile);
+  const available = getAvailableFreezes(history);
+
+  // Pick up freezes from the account and any days that need covering
+  useEffect(() => {
+    reconcile();
+  }, [reconcile]);
+
+  return (
+    <div className="streak-freezes">
+      <div className="streak-freezes-header">
+        <span className="streak-freezes-title">Streak Freezes</span>
+        <span
+          className="streak-freezes-count"
+          title={`${available} of ${MAX_STREAK_FREEZES} held`}
+        >
+          {Array.from({ length: MAX_STREAK_FREEZES }, (_, index) => (
+            <FaSnowflake
+              key={index}
+              className={index < available ? "held" : "empty"}
+            />
+          ))}
+        </span>
+      </div>
+
+      <p className="streak-freezes-info">
+        Earn a freeze for every {STREAK_FREEZE_EARN_DAYS} days of daily streak,
+        up to {MAX_STREAK_FREEZES} at a time. A freeze covers a missed day
+        automatically, so your streak and its score bonus carry on.
+      </p>
+
+      {!isAuthenticated && (
+        <p className="streak-freezes-info">
+          Log in to keep your ranked daily streak - until then freezes only
+          cover the streak on this device.
+        </p>
+      )}
+
+      {showHistory &&
+        (history.length ? (
+          <ul className="streak-freezes-history">
+            {[...history].reverse().map((event) => (
+              <li key={`${event.type}:${event.date}`} className={event.type}>
+                {event.type === FREEZE_EVENTS.USED
+                  ? `Used to cover ${formatDate(event.date)}`
+                  : `Earned on ${formatDate(event.date)}`}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="streak-freezes-empty">No freezes earned yet.</p>
+        ))}
+    </div>
+  );
+};
+
+export default StreakFreezes;
@@ -2,6 +2,12 @@
 import React, { useRef, useEffect, useState } from "react";
 import useUIStore from "../stores/uiStore";
 import useDeviceDetection from "../hooks/useDeviceDetection";
+import {
+  HARDCORE_LEVELS,
+  HINT_TYPES,
+  getHardcoreLevel,
+} from "../utils/gameRules";
+import { isDigitSymbol } from "../utils/digits";
 
 // Additional CSS for tiny screens
 const tinyScreenStyles = `
@@ -97,6 +103,11 @@ const TuneableTextDisplay = ({
   encrypted = "",
   display = "",
   hardcoreMode = false,
+  hardcoreLevel = null,
+  pencilMarks = {},
+  lastHint = null,
+  authorInitials = null,
+  walkthroughStep = null,
 }) => {
   const containerRef = useRef(null);
   const [containerWidth, setContainerWidth] = useState(0);
@@ -344,6 +355,44 @@ const TuneableTextDisplay = ({
   const isExtremelyTinyScreen =
     window.innerWidth <= 330 && window.innerHeight <= 600;
 
+  // Cells the latest hint affected animate with that hint's effect - eliminate
+  // hints mark the encrypted letter, the others the letters they revealed
+  const hintLetters = lastHint?.letters || [];
+  const isEliminateHint = lastHint?.type === HINT_TYPES.ELIMINATE;
+  let hintCellCount = 0;
+  const getHintCellProps = (encryptedChar, isEncryptedLine) => {
+    // A walkthrough step marks the letters it deduced on both lines instead
+    if (walkthroughStep) {
+      if (!walkthroughStep.letters.includes(encryptedChar)) return null;
+      return {
+        className: "walkthrough-deduced",
+        keySuffix: `-step-${walkthroughStep.id}`,
+        animationDelay: `${hintCellCount++ * 40}ms`,
+      };
+    }
+
+    const isHinted =
+      hintLetters.includes(encryptedChar) &&
+      isEliminateHint === isEncryptedLine;
+    if (!isHinted) return null;
+
+    // Frequent-letter reveals ripple through the text one cell after another
+    const delay =
+      lastHint.type === HINT_TYPES.FREQUENT ? hintCellCount++ * 60 : 0;
+    return {
+      className: `hint-${lastHint.type}`,
+      keySuffix: `-hint-${lastHint.id}`,
+      animationDelay: `${delay}ms`,
+    };
+  };
+
+  // Blocks are set apart by half-width gaps, like a newspaper cryptogram
+  const level = getHardcoreLevel({ hardcoreMode, hardcoreLevel });
+  const getCellWidth = (char) =>
+    level === HARDCORE_LEVELS.BLOCKS && char === " "
+      ? Math.round(cellWidth / 2)
+      : cellWidth;
+
   // Adjust font ratio for tiny screens to maintain readability
   let effectiveFontRatio;
 
@@ -364,7 +413,7 @@ const TuneableTextDisplay = ({
   return (
     <div
       ref={containerRef}
-      className={`text-container ${hardcoreMode ? "hardcore-mode" : ""} 
+      className={`text-container ${level !== HARDCORE_LEVELS.OFF ? `hardcore-mode hardcore-${level}` : ""} 
         ${isTinyScreen ? "tiny-screen" : ""} 
         ${isExtremelyTinyScreen ? "extremely-tiny-screen" : ""}`}
     >
@@ -396,34 +445,16 @@ const TuneableTextDisplay = ({
           <div key={`block-${lineIndex}`} className="text-line-block">
             {/* Encrypted line */}
             <div className="char-line encrypted-line">
-              {line.map((char, charIndex) => (
-                <div
-                  key={`enc-${lineIndex}-${charIndex}`}
-                  className="char-cell"
-                  style={{
-                    width: `${cellWidth}px`,
-                    height: `${cellHeight}px`,
-                    fontSize: `${Math.max(cellHeight * effectiveFontRatio, 9)}px`,
-                    padding: 0,
-                    margin: 0,
-                    display: "inline-block",
-                    lineHeight: isTinyScreen ? "1" : "inherit", // Tighter line height for tiny screens
-                  }}
-                >
-                  {char}
-                </div>
-              ))}
-            </div>
+              {line.map((char, charIndex) => {
+                const hint = getHintCellProps(char, true);
 
-            {/* Display line */}
-            {displayGrid[lineIndex] && (
-              <div className="char-line display-line">
-                {displayGrid[lineIndex].map((char, charIndex) => (
+                return (
                   <div
-                    key={`disp-${lineIndex}-${charIndex}`}
-                    className="char-cell"
+                    key={`enc-${lineIndex}-${charIndex}${hint?.keySuffix || ""}`}
+                    className={`char-cell ${isDigitSymbol(char) ? "digit-symbol" : ""} ${hint?.className || ""}`}
                     style={{
-                      width: `${cellWidth}px`,
+                      animationDelay: hint?.animationDelay,
+                      width: `${getCellWidth(char)}px`,
                       height: `${cellHeight}px`,
                       fontSize: `${Math.max(cellHeight * effectiveFontRatio, 9)}px`,
                       padding: 0,
@@ -434,12 +465,68 @@ const TuneableTextDisplay = ({
                   >
                     {char}
                   </div>
-                ))}
+                );
+              })}
+            </div>
+
+            {/* Display line */}
+            {displayGrid[lineIndex] && (
+              <div className="char-line display-line">
+                {displayGrid[lineIndex].map((char, charIndex) => {
+                  // Unsolved cells show any pencil marks for their encrypted letter
+                  const marks =
+                    char === "█" ? pencilMarks[line[charIndex]] : undefined;
+                  const hasMarks = Array.isArray(marks) && marks.length > 0;
+                  const hint = getHintCellProps(line[charIndex], false);
+
+                  return (
+                    <div
+                      key={`disp-${lineIndex}-${charIndex}${hint?.keySuffix || ""}`}
+                      className={`char-cell ${hasMarks ? "has-pencil-mark" : ""} ${isDigitSymbol(line[charIndex]) ? "digit-cell" : ""} ${hint?.className || ""}`}
+                      style={{
+                        animationDelay: hint?.animationDelay,
+                        width: `${getCellWidth(char)}px`,
+                        height: `${cellHeight}px`,
+                        fontSize: `${Math.max(cellHeight * effectiveFontRatio, 9)}px`,
+                        padding: 0,
+                        margin: 0,
+                        display: "inline-block",
+                        lineHeight: isTinyScreen ? "1" : "inherit", // Tighter line height for tiny screens
+                      }}
+                    >
+                      {hasMarks ? (
+                        <span
+                          className="pencil-mark"
+                          style={{
+                            // Shrink the text when several candidates share a cell
+                            fontSize: `${Math.max((cellHeight * 0.8) / Math.min(marks.length, 3), 6)}px`,
+                          }}
+                        >
+                          {marks.join("")}
+                        </span>
+                      ) : (
+                        char
+                      )}
+                    </div>
+                  );
+                })}
               </div>
             )}
           </div>
         ))}
       </div>
+
+      {/* Author initials bought with a hint */}
+      {authorInitials && (
+        <div
+          key={
+            lastHint?.type === HINT_TYPES.INITIALS ? lastHint.id : "initials"
+          }
+          className={`hint-initials ${lastHint?.type === HINT_TYPES.INITIALS ? "hint-initials-new" : ""}`}
+        >
+          — {authorInitials}
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,97 @@
+// src/components/WordFinderPanel.js - Suggests words matching the selected cipher word's pattern
+import React, { useState, useMemo } from "react";
+import wordPatternService from "../services/wordPatternService";
+import "../Styles/WordFinderPanel.css";
+
+// Most candidates shown at once
+const MAX_CANDIDATES = 24;
+
+/**
+ * WordFinderPanel - lists English words with the same letter pattern as the
+ * cipher words under the current selection, filtered by what's been solved
+ *
+ * @param {Object} props
+ * @param {string} props.encrypted - Encrypted text
+ * @param {string|null} props.selectedEncrypted - Selected encrypted letter
+ * @param {Object} props.guessedMappings - Solved encrypted → plain letters
+ * @param {Object} props.incorrectGuesses - Encrypted letter → wrong guesses
+ */
+const WordFinderPanel = ({
+  encrypted,
+  selectedEncrypted,
+  guessedMappings = {},
+  incorrectGuesses = {},
+}) => {
+  const [activeWord, setActiveWord] = useState(null);
+
+  // Unsolved cipher words containing the selected letter
+  const cipherWords = useMemo(() => {
+    if (!selectedEncrypted) return [];
+    return wordPatternService
+      .getCipherWords(encrypted)
+      .filter(
+        (word) =>
+          word.includes(selectedEncrypted) &&
+          Array.from(word).some((letter) => !guessedMappings[letter]),
+      );
+  }, [encrypted, selectedEncrypted, guessedMappings]);
+
+  const currentWord = cipherWords.includes(activeWord)
+    ? activeWord
+    : cipherWords[0];
+
+  const candidates = useMemo(
+    () =>
+      currentWord
+        ? wordPatternService.findCandidates(currentWord, {
+            guessedMappings,
+            incorrectGuesses,
+          })
+        : [],
+    [currentWord, guessedMappings, incorrectGuesses],
+  );
+
+  if (!currentWord) return null;
+
+  // Show solved letters of the word, blanks for the rest
+  const partial = Array.from(currentWord)
+    .map((letter) => guessedMappings[letter] || "_")
+    .join("");
+
+  return (
+    <div className="word-finder-panel" aria-label="Word finder">
+      <div className="word-finder-title">WORD FINDER</div>
+
+      <div className="word-finder-words">
+        {cipherWords.map((word) => (
+          <button
+            key={word}
+            className={`word-finder-word ${word === currentWord ? "active" : ""}`}
+            onClick={() => setActiveWord(word)}
+          >
+            {word}
+          </button>
+        ))}
+      </div>
+
+      <div className="word-finder-pattern">{partial}</div>
+
+      {candidates.length === 0 ? (
+        <div className="word-finder-empty">No matching words</div>
+      ) : (
+        <ul className="word-finder-candidates">
+          {candidates.slice(0, MAX_CANDIDATES).map((word) => (
+            <li key={word}>{word}</li>
+          ))}
+          {candidates.length > MAX_CANDIDATES && (
+            <li className="word-finder-more">
+              +{candidates.length - MAX_CANDIDATES} more
+            </li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default WordFinderPanel;
@@ -19,6 +19,9 @@ function ContinueGamePrompt({
   dailyCompleted = true, // Flag for already completed daily
   onDailyChallenge, // Handler for daily challenge button
   hasActiveDailyGame = false, // Active daily game flag from API
+  localSaves = [], // Games saved on this device by anonymous players
+  onResumeSave, // Handler for resuming a local save
+  onDeleteSave, // Handler for deleting a local save
 }) {
   // Debug logging
   console.log(
@@ -58,6 +61,10 @@ function ContinueGamePrompt({
     ? "Continue Daily Challenge"
     : "Daily Challenge";
 
+  // Whether there is more than one game to choose from
+  const hasMultipleGames =
+    (hasActiveDailyGame && dailyGameStats) || localSaves.length > 1;
+
   // Determine if we have a regular game (non-daily)
   const hasRegularGame =
     gameStats &&
@@ -73,13 +80,11 @@ function ContinueGamePrompt({
           &times;
         </button>
         <h2>
-          Active Game{hasActiveDailyGame && dailyGameStats ? "s" : ""} Found
+          Active Game{hasMultipleGames ? "s" : ""} Found
         </h2>
         <p>
           You have{" "}
-          {hasActiveDailyGame && dailyGameStats
-            ? "active games"
-            : "an active game"}{" "}
+          {hasMultipleGames ? "active games" : "an active game"}{" "}
           in progress. What would you like to do?
         </p>
 
@@ -134,6 +139,79 @@ function ContinueGamePrompt({
           </div>
         )}
 
+        {/* Local saves - anonymous players only */}
+        {localSaves.length > 0 && (
+          <div style={{ margin: "20px 0" }}>
+            <h3 style={{ margin: "0 0 10px 0" }}>Saved on This Device</h3>
+            {localSaves.map((save) => (
+              <div
+                key={save.slot}
+                className="game-stats-container"
+                style={{
+                  margin: "0 0 10px 0",
+                  padding: "12px 15px",
+                  backgroundColor:
+                    settings.theme === "dark" ? "#333" : "#f8f9fa",
+                  borderRadius: "8px",
+                  borderLeft: save.isDailyChallenge
+                    ? "4px solid #FF5722"
+                    : "4px solid transparent",
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "space-between",
+                  gap: "10px",
+                }}
+              >
+                <div>
+                  <strong>{save.name}</strong>
+                  <div style={{ fontSize: "0.85em", opacity: 0.8 }}>
+                    <span style={{ textTransform: "capitalize" }}>
+                      {save.isDailyChallenge ? "Daily" : save.difficulty}
+                    </span>
+                    {" · "}
+                    {formatPercentage(save.completion_percentage)}
+                    {" · "}
+                    {save.mistakes || 0}/{save.max_mistakes || 0} mistakes
+                    {" · "}
+                    {formatTime(save.time_spent)}
+                  </div>
+                </div>
+                <div style={{ display: "flex", gap: "6px" }}>
+                  <button
+                    onClick={() => onResumeSave(save.slot)}
+                    style={{
+                      backgroundColor:
+                        settings.theme === "dark" ? "#4cc9f0" : "#007bff",
+                      color: settings.theme === "dark" ? "black" : "white",
+                      padding: "6px 12px",
+                      borderRadius: "4px",
+                      border: "none",
+                      cursor: "pointer",
+                      fontWeight: "bold",
+                    }}
+                  >
+                    Resume
+                  </button>
+                  <button
+                    onClick={() => onDeleteSave(save.slot)}
+                    aria-label={`Delete ${save.name}`}
+                    style={{
+                      backgroundColor: "#6c757d",
+                      color: "white",
+                      padding: "6px 10px",
+                      borderRadius: "4px",
+                      border: "none",
+                      cursor: "pointer",
+                    }}
+                  >
+                    &times;
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
         {/* Daily game stats - only show if hasActiveDailyGame is true */}
         {hasActiveDailyGame && dailyGameStats && (
           <div
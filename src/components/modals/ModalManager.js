@@ -6,12 +6,14 @@ import Settings from "./Settings";
 import Login from "../../pages/Login";
 import Signup from "../../pages/Signup";
 import ContinueGamePrompt from "./ContinueGamePrompt";
+import SaveSlots from "./SaveSlots";
 import useGameService from "../../hooks/useGameService"; // Updated to use gameService hook
 import useUIStore from "../../stores/uiStore";
 import config from "../../config";
 import useGameStore from "../../stores/gameStore";
 import useSettingsStore from "../../stores/settingsStore";
 import useAuthStore from "../../stores/authStore";
+import saveSlotService from "../../services/saveSlotService";
 
 /**
  * ModalManager component - handles rendering of all application modals
@@ -31,9 +33,12 @@ const ModalManager = ({ children }) => {
   const isSignupOpen = useUIStore((state) => state.isSignupOpen);
   const isSettingsOpen = useUIStore((state) => state.isSettingsOpen);
   const isContinueGameOpen = useUIStore((state) => state.isContinueGameOpen);
+  const isSaveSlotsOpen = useUIStore((state) => state.isSaveSlotsOpen);
   const [activeGameStats, setActiveGameStats] = useState(null);
   const [activeDailyStats, setActiveDailyStats] = useState(null);
   const [hasActiveDailyGame, setHasActiveDailyGame] = useState(false);
+  // Games saved on this device by anonymous players
+  const [localSaves, setLocalSaves] = useState([]);
   const showDailyButton = !isDailyCompleted || hasActiveDailyGame;
 
   // Get UI actions
@@ -41,6 +46,7 @@ const ModalManager = ({ children }) => {
   const closeLogin = useUIStore((state) => state.closeLogin);
   const closeSignup = useUIStore((state) => state.closeSignup);
   const closeSettings = useUIStore((state) => state.closeSettings);
+  const closeSaveSlots = useUIStore((state) => state.closeSaveSlots);
 
   const closeContinueGamePrompt = useUIStore(
     (state) => state.closeContinueGamePrompt,
@@ -52,6 +58,7 @@ const ModalManager = ({ children }) => {
   // Get game service functions and events
   const {
     continueGame,
+    resumeLocalSave,
     startNewGame,
     isDailyCompleted: checkDailyCompletion,
     startDailyChallenge,
@@ -106,12 +113,38 @@ const ModalManager = ({ children }) => {
     }
   };
 
+  // Resume a game from a local save slot
+  const handleResumeSave = async (slot) => {
+    console.log(`Resuming local save from slot ${slot}`);
+    const result = await resumeLocalSave(slot);
+    closeContinueGamePrompt();
+    return result;
+  };
+
+  // Delete a local save and refresh the list in the prompt
+  const handleDeleteSave = async (slot) => {
+    await saveSlotService.deleteSave(slot);
+    setLocalSaves((saves) => saves.filter((save) => save.slot !== slot));
+  };
+
   // Listen for game state changes
   useEffect(() => {
     // Subscribe to the active game found event
     const unsubscribe = onEvent(events.ACTIVE_GAME_FOUND, (data) => {
       console.log("ACTIVE_GAME_FOUND event received with data:", data);
 
+      // Anonymous players with games saved on this device
+      if (data.localSaves?.length) {
+        setLocalSaves(data.localSaves);
+        setActiveGameStats(null);
+        setActiveDailyStats(null);
+        setHasActiveDailyGame(false);
+        // Anonymous players have no completion history, so always offer the daily
+        setIsDailyCompleted(false);
+        openContinueGamePrompt({ localSaves: data.localSaves });
+        return;
+      }
+
       // Only show continue game prompt for authenticated users
       const isAuthenticated = !!config.session.getAuthToken();
 
@@ -128,6 +161,7 @@ const ModalManager = ({ children }) => {
         });
 
         // Update state with complete data
+        setLocalSaves([]);
         setActiveGameStats(regularGameStats);
         setActiveDailyStats(dailyGameStats);
         setHasActiveDailyGame(hasActiveDailyGame);
@@ -287,6 +321,8 @@ const ModalManager = ({ children }) => {
 
       {isSettingsOpen && <Settings onCancel={closeSettings} />}
 
+      {isSaveSlotsOpen && <SaveSlots onClose={closeSaveSlots} />}
+
       {isContinueGameOpen && (
         <ContinueGamePrompt
           isOpen={true}
@@ -298,6 +334,9 @@ const ModalManager = ({ children }) => {
           dailyCompleted={isDailyCompleted}
           onDailyChallenge={handleDailyChallenge}
           hasActiveDailyGame={hasActiveDailyGame}
+          localSaves={localSaves}
+          onResumeSave={handleResumeSave}
+          onDeleteSave={handleDeleteSave}
         />
       )}
 
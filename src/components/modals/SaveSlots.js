@@ -0,0 +1,143 @@
+// src/components/modals/SaveSlots.js - Named save slots for anonymous players
+import React, { useState, useEffect, useCallback } from "react";
+import "../../Styles/About.css";
+import "../../Styles/SaveSlots.css";
+import useSettingsStore from "../../stores/settingsStore";
+import useGameStore from "../../stores/gameStore";
+import useGameService from "../../hooks/useGameService";
+import saveSlotService, {
+  AUTOSAVE_SLOT,
+  MAX_NAMED_SLOTS,
+} from "../../services/saveSlotService";
+
+// Messages for failed saves, keyed by the reason gameService returns
+const SAVE_ERRORS = {
+  "nothing-to-save": "There's no game in progress to save.",
+  "slots-full": `All ${MAX_NAMED_SLOTS} slots are in use - reuse a name or delete a save first.`,
+  "save-failed": "The game couldn't be saved on this device.",
+};
+
+/**
+ * Modal listing the games saved on this device, with a form to save the
+ * current game to a named slot
+ */
+function SaveSlots({ onClose }) {
+  const settings = useSettingsStore((state) => state.settings);
+  const currentSlot = useGameStore((state) => state.saveSlot);
+  const currentSlotName = useGameStore((state) => state.saveSlotName);
+  const { saveToSlot, resumeLocalSave } = useGameService();
+
+  const [saves, setSaves] = useState([]);
+  const [name, setName] = useState("");
+  const [message, setMessage] = useState(null);
+
+  const refreshSaves = useCallback(async () => {
+    setSaves(await saveSlotService.listSaves());
+  }, []);
+
+  useEffect(() => {
+    refreshSaves();
+  }, [refreshSaves]);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const result = await saveToSlot(name);
+    if (result.success) {
+      setMessage(`Saved as "${name.trim()}" - moves will keep saving there.`);
+      setName("");
+      refreshSaves();
+    } else {
+      setMessage(SAVE_ERRORS[result.reason] || SAVE_ERRORS["save-failed"]);
+    }
+  };
+
+  const handleLoad = async (slot) => {
+    const result = await resumeLocalSave(slot);
+    if (result.success) {
+      onClose();
+    } else {
+      setMessage("That save couldn't be loaded.");
+    }
+  };
+
+  const handleDelete = async (slot) => {
+    await saveSlotService.deleteSave(slot);
+    refreshSaves();
+  };
+
+  return (
+    <div className="about-overlay">
+      <div
+        className={`about-container save-slots ${settings.theme === "dark" ? "dark-theme" : ""} text-${settings.textColor}`}
+      >
+        <button className="about-close" onClick={onClose}>
+          &times;
+        </button>
+        <h2>Save Slots</h2>
+        <p>
+          Games are saved on this device after every move. Name a slot to keep
+          this game separate from the autosave - up to {MAX_NAMED_SLOTS} named
+          slots. Currently saving to <strong>{currentSlotName}</strong>.
+        </p>
+
+        <form className="save-slots-form" onSubmit={handleSave}>
+          <input
+            type="text"
+            value={name}
+            maxLength={30}
+            placeholder="Slot name"
+            onChange={(e) => setName(e.target.value)}
+            aria-label="Slot name"
+          />
+          <button type="submit" disabled={!name.trim()}>
+            Save Game
+          </button>
+        </form>
+
+        {message && <p className="save-slots-message">{message}</p>}
+
+        {saves.length === 0 ? (
+          <p className="save-slots-empty">No saved games yet.</p>
+        ) : (
+          <ul className="save-slots-list">
+            {saves.map((save) => (
+              <li
+                key={save.slot}
+                className={save.slot === currentSlot ? "current" : ""}
+              >
+                <div className="save-slots-info">
+                  <strong>
+                    {save.slot === AUTOSAVE_SLOT ? "Autosave" : save.name}
+                  </strong>
+                  <span>
+                    {save.isDailyChallenge ? "Daily" : save.difficulty} ·{" "}
+                    {Math.round(save.completion_percentage)}% ·{" "}
+                    {new Date(save.savedAt).toLocaleString()}
+                  </span>
+                </div>
+                <div className="save-slots-actions">
+                  <button
+                    onClick={() => handleLoad(save.slot)}
+                    disabled={save.slot === currentSlot}
+                  >
+                    Load
+                  </button>
+                  <button
+                    className="save-slots-delete"
+                    onClick={() => handleDelete(save.slot)}
+                    aria-label={`Delete ${save.name}`}
+                  >
+                    &times;
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SaveSlots;
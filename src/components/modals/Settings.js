@@ -5,6 +5,25 @@ import useSettingsStore from "../../stores/settingsStore";
 import useGameStore from "../../stores/gameStore";
 import useAuthStore from "../../stores/authStore";
 import apiService from "../../services/apiService";
+import cipherService from "../../services/cipherService";
+import { BLITZ_PRESETS, DEFAULT_BLITZ_PRESET } from "../../utils/blitzUtils";
+import {
+  MAX_MISTAKES_MAP,
+  CUSTOM_DIFFICULTY,
+  DEFAULT_CUSTOM_DIFFICULTY,
+  HARDCORE_LEVELS,
+  HARDCORE_LEVEL_LABELS,
+  HARDCORE_MULTIPLIERS,
+  getHardcoreLevel,
+  isPartialHardcore,
+} from "../../utils/gameRules";
+import CustomDifficultyBuilder from "../CustomDifficultyBuilder";
+import QuoteCategoryPicker from "../QuoteCategoryPicker";
+import {
+  ACCENT_MODES,
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+} from "../../utils/languages";
 import ReactDOM from "react-dom";
 
 function Settings({ onCancel }) {
@@ -54,7 +73,13 @@ function Settings({ onCancel }) {
   const handleChange = useCallback(
     (setting, value) => {
       // Always show warning for gameplay-affecting settings
-      const gamePlaySettings = ["difficulty", "hardcoreMode", "longText"];
+      const gamePlaySettings = [
+        "difficulty",
+        "hardcoreLevel",
+        "longText",
+        "cipherType",
+        "language",
+      ];
 
       if (gamePlaySettings.includes(setting)) {
         // Store pending setting change and show warning
@@ -71,13 +96,24 @@ function Settings({ onCancel }) {
 
   // Handle setting change confirmation
   const handleConfirmSettingChange = useCallback(() => {
-    if (pendingSettings.type) {
+    if (pendingSettings.type === "hardcoreLevel") {
+      // "Off" switches hardcore off but keeps the chosen level for next time
+      const level = pendingSettings.value;
+      setLocalSettings((prev) => ({
+        ...prev,
+        hardcoreMode: level !== HARDCORE_LEVELS.OFF,
+        hardcoreLevel:
+          level !== HARDCORE_LEVELS.OFF ? level : prev.hardcoreLevel,
+      }));
+    } else if (pendingSettings.type) {
       // Apply the pending setting change
       setLocalSettings((prev) => ({
         ...prev,
         [pendingSettings.type]: pendingSettings.value,
       }));
+    }
 
+    if (pendingSettings.type) {
       // Reset UI state
       setShowWarningModal(false);
       setPendingSettings({});
@@ -281,6 +317,30 @@ function Settings({ onCancel }) {
               )}
             </div>
           </div>
+          {/* Solving aids */}
+          <div className="settings-section">
+            <h2>Solving Aids</h2>
+            <div className="settings-options">
+              <label className="settings-option">
+                <input
+                  type="checkbox"
+                  checked={!!localSettings.showFrequencyAnalysis}
+                  onChange={() =>
+                    handleChange(
+                      "showFrequencyAnalysis",
+                      !localSettings.showFrequencyAnalysis,
+                    )
+                  }
+                />
+                <span className="option-label">Frequency analysis panel</span>
+              </label>
+              <p className="settings-description">
+                Compare how often each cipher letter appears with typical
+                English text, and see common letter pairs. Click a bar to
+                select that letter.
+              </p>
+            </div>
+          </div>
           {/* Difficulty Setting - Now second */}
           <div className="settings-section">
             <h2>Difficulty</h2>
@@ -292,7 +352,9 @@ function Settings({ onCancel }) {
                   checked={localSettings.difficulty === "easy"}
                   onChange={() => handleChange("difficulty", "easy")}
                 />
-                <span className="option-label">Easy (7 mistakes)</span>
+                <span className="option-label">
+                  Easy ({MAX_MISTAKES_MAP.easy} mistakes)
+                </span>
               </label>
               <label className="settings-option">
                 <input
@@ -301,7 +363,9 @@ function Settings({ onCancel }) {
                   checked={localSettings.difficulty === "medium"}
                   onChange={() => handleChange("difficulty", "medium")}
                 />
-                <span className="option-label">Medium (4 mistakes)</span>
+                <span className="option-label">
+                  Medium ({MAX_MISTAKES_MAP.medium} mistakes)
+                </span>
               </label>
               <label className="settings-option">
                 <input
@@ -310,9 +374,31 @@ function Settings({ onCancel }) {
                   checked={localSettings.difficulty === "hard"}
                   onChange={() => handleChange("difficulty", "hard")}
                 />
-                <span className="option-label">Hard (2 mistakes)</span>
+                <span className="option-label">
+                  Hard ({MAX_MISTAKES_MAP.hard} mistakes)
+                </span>
+              </label>
+              <label className="settings-option">
+                <input
+                  type="radio"
+                  name="difficulty"
+                  checked={localSettings.difficulty === CUSTOM_DIFFICULTY}
+                  onChange={() => handleChange("difficulty", CUSTOM_DIFFICULTY)}
+                />
+                <span className="option-label">Custom</span>
               </label>
 
+              {localSettings.difficulty === CUSTOM_DIFFICULTY && (
+                <CustomDifficultyBuilder
+                  config={
+                    localSettings.customDifficulty || DEFAULT_CUSTOM_DIFFICULTY
+                  }
+                  onChange={(customDifficulty) =>
+                    setLocalSettings((prev) => ({ ...prev, customDifficulty }))
+                  }
+                />
+              )}
+
               {hasStartedPlaying && (
                 <p className="settings-description warning-text"></p>
               )}
@@ -323,23 +409,147 @@ function Settings({ onCancel }) {
           <div className="settings-section">
             <h2>Gameplay Mode</h2>
             <div className="settings-options">
+              {Object.values(HARDCORE_LEVELS).map((level) => (
+                <label className="settings-option" key={level}>
+                  <input
+                    type="radio"
+                    name="hardcoreLevel"
+                    checked={getHardcoreLevel(localSettings) === level}
+                    onChange={() => handleChange("hardcoreLevel", level)}
+                  />
+                  <span className="option-label">
+                    {HARDCORE_LEVEL_LABELS[level]}
+                    {level !== HARDCORE_LEVELS.OFF &&
+                      ` (${HARDCORE_MULTIPLIERS[level]}× score)`}
+                  </span>
+                </label>
+              ))}
+              <p className="settings-description">
+                Hardcore mode strips punctuation, spaces or both from the
+                encrypted text, making it more challenging to decrypt. 5-letter
+                blocks regroup the letters like a newspaper cryptogram.
+              </p>
+              {isPartialHardcore(getHardcoreLevel(localSettings)) && (
+                <p className="settings-description">
+                  This level is generated on your device and is unranked.
+                </p>
+              )}
+
+              {hasStartedPlaying && (
+                <p className="settings-description warning-text"></p>
+              )}
+            </div>
+          </div>
+
+          {/* Cipher Type Setting */}
+          <div className="settings-section">
+            <h2>Cipher Type</h2>
+            <div className="settings-options">
+              {cipherService.listCiphers().map((cipher) => (
+                <label className="settings-option" key={cipher.id}>
+                  <input
+                    type="radio"
+                    name="cipherType"
+                    checked={
+                      (localSettings.cipherType || cipherService.DEFAULT_CIPHER) ===
+                      cipher.id
+                    }
+                    onChange={() => handleChange("cipherType", cipher.id)}
+                  />
+                  <span className="option-label">{cipher.name}</span>
+                </label>
+              ))}
+              <p className="settings-description">
+                {
+                  cipherService.getCipher(localSettings.cipherType)
+                    .description
+                }
+              </p>
+              {(localSettings.cipherType || cipherService.DEFAULT_CIPHER) !==
+                cipherService.DEFAULT_CIPHER && (
+                <p className="settings-description warning-text">
+                  Cipher games are generated on your device and are unranked.
+                  The daily challenge always uses substitution.
+                </p>
+              )}
               <label className="settings-option">
                 <input
                   type="checkbox"
-                  checked={localSettings.hardcoreMode}
+                  checked={!!localSettings.encipherDigits}
                   onChange={() =>
-                    handleChange("hardcoreMode", !localSettings.hardcoreMode)
+                    handleChange(
+                      "encipherDigits",
+                      !localSettings.encipherDigits,
+                    )
                   }
                 />
-                <span className="option-label">Hardcore Mode</span>
+                <span className="option-label">
+                  Encipher digits - years and numbers become symbols to solve
+                </span>
+              </label>
+              {localSettings.encipherDigits && (
+                <p className="settings-description">
+                  Advanced: digits get a symbol alphabet of their own and are
+                  guessed from 0-9. Works with letter-by-letter ciphers; these
+                  games are played on your device and are unranked.
+                </p>
+              )}
+            </div>
+          </div>
+
+          {/* Blitz Mode Setting */}
+          <div className="settings-section">
+            <h2>Blitz Mode</h2>
+            <div className="settings-options">
+              <label className="settings-option">
+                <input
+                  type="checkbox"
+                  checked={!!localSettings.blitzMode}
+                  onChange={() =>
+                    handleChange("blitzMode", !localSettings.blitzMode)
+                  }
+                />
+                <span className="option-label">Play against the clock</span>
               </label>
               <p className="settings-description">
-                When enabled, spaces and punctuation will be removed from the
-                encrypted text, making it more challenging to decrypt.
+                New games get a fixed time budget. Running out of time ends the
+                game as a loss. Daily challenges are never timed.
               </p>
 
-              {hasStartedPlaying && (
-                <p className="settings-description warning-text"></p>
+              {localSettings.blitzMode && (
+                <>
+                  {Object.entries(BLITZ_PRESETS).map(([id, preset]) => (
+                    <label className="settings-option" key={id}>
+                      <input
+                        type="radio"
+                        name="blitzPreset"
+                        checked={
+                          (localSettings.blitzPreset || DEFAULT_BLITZ_PRESET) ===
+                          id
+                        }
+                        onChange={() => handleChange("blitzPreset", id)}
+                      />
+                      <span className="option-label">
+                        {preset.label} ({preset.seconds} seconds)
+                      </span>
+                    </label>
+                  ))}
+                  <label className="settings-option">
+                    <input
+                      type="checkbox"
+                      checked={localSettings.blitzBonus !== false}
+                      onChange={() =>
+                        handleChange(
+                          "blitzBonus",
+                          localSettings.blitzBonus === false,
+                        )
+                      }
+                    />
+                    <span className="option-label">
+                      Bonus seconds for correct guesses
+                    </span>
+                  </label>
+                </>
               )}
             </div>
           </div>
@@ -438,6 +648,77 @@ function Settings({ onCancel }) {
               )}
             </div>
           </div>
+
+          {/* Quote Categories Setting */}
+          <div className="settings-section">
+            <h2>Quote Categories</h2>
+            <div className="settings-options">
+              <QuoteCategoryPicker
+                value={localSettings.quoteCategories}
+                onChange={(ids) => handleChange("quoteCategories", ids)}
+              />
+              <p className="settings-description">
+                New games pick their quote from these themes and decades.
+                Daily challenges and shared puzzles are the same for everyone,
+                so they ignore them.
+              </p>
+            </div>
+          </div>
+
+          {/* Puzzle Language Setting */}
+          <div className="settings-section">
+            <h2>Puzzle Language</h2>
+            <div className="settings-options">
+              {Object.entries(LANGUAGES).map(([id, language]) => (
+                <label className="settings-option" key={id}>
+                  <input
+                    type="radio"
+                    name="language"
+                    checked={(localSettings.language || DEFAULT_LANGUAGE) === id}
+                    onChange={() => handleChange("language", id)}
+                  />
+                  <span className="option-label">{language.label}</span>
+                </label>
+              ))}
+              {(localSettings.language || DEFAULT_LANGUAGE) !==
+                DEFAULT_LANGUAGE && (
+                <>
+                  <label className="settings-option">
+                    <input
+                      type="radio"
+                      name="accentMode"
+                      checked={localSettings.accentMode !== ACCENT_MODES.KEEP}
+                      onChange={() =>
+                        handleChange("accentMode", ACCENT_MODES.FOLD)
+                      }
+                    />
+                    <span className="option-label">
+                      Fold accents - É is played as E
+                    </span>
+                  </label>
+                  <label className="settings-option">
+                    <input
+                      type="radio"
+                      name="accentMode"
+                      checked={localSettings.accentMode === ACCENT_MODES.KEEP}
+                      onChange={() =>
+                        handleChange("accentMode", ACCENT_MODES.KEEP)
+                      }
+                    />
+                    <span className="option-label">
+                      Keep accents - É is a letter of its own
+                    </span>
+                  </label>
+                  <p className="settings-description warning-text">
+                    Puzzles in other languages are generated on your device
+                    and are unranked. Accents are only kept with the
+                    substitution cipher, and the daily challenge is always in
+                    English.
+                  </p>
+                </>
+              )}
+            </div>
+          </div>
          {/* backdoor for subadmin ONLY */}
           {isAuthenticated && isSubadmin && (
             <div className="settings-section">
@@ -670,18 +951,26 @@ function Settings({ onCancel }) {
               Change{" "}
               {pendingSettings.type === "difficulty"
                 ? "Difficulty"
-                : pendingSettings.type === "hardcoreMode"
+                : pendingSettings.type === "hardcoreLevel"
                   ? "Gameplay Mode"
-                  : "Quote Length"}
+                  : pendingSettings.type === "cipherType"
+                    ? "Cipher Type"
+                    : pendingSettings.type === "language"
+                      ? "Puzzle Language"
+                      : "Quote Length"}
               ?
             </h2>
             <p>This change will only affect your next game.</p>
             <p>
               {pendingSettings.type === "difficulty"
                 ? "Difficulty affects how many mistakes you can make before losing."
-                : pendingSettings.type === "hardcoreMode"
-                  ? "Hardcore mode removes spaces and punctuation for a greater challenge."
-                  : "Quote length determines whether you'll see shorter or longer quotes."}
+                : pendingSettings.type === "hardcoreLevel"
+                  ? "Hardcore mode removes spaces, punctuation or both for a greater challenge."
+                  : pendingSettings.type === "cipherType"
+                    ? "The cipher type changes how the quote is encrypted and what you guess to solve it."
+                    : pendingSettings.type === "language"
+                      ? "The language decides which quotes you get, and the letter frequencies and keyboard letters that go with them."
+                      : "Quote length determines whether you'll see shorter or longer quotes."}
             </p>
 
             <div
@@ -9,6 +9,10 @@ import useSettingsStore from "../../stores/settingsStore";
 import useGameService from "../../hooks/useGameService"; // Game service for events
 import apiService from "../../services/apiService"; // Import apiService for checking active games
 import { FaXTwitter } from "react-icons/fa6";
+import { formatQuoteCategories } from "../../utils/quoteCategories";
+import { getLetters } from "../../utils/languages";
+import { getDigitSymbols } from "../../utils/digits";
+import { MAX_STARS } from "../../utils/campaign";
 
 /**
  * Convert raw score to percentage rating (50-100%)
@@ -237,10 +241,17 @@ const WinCelebration = ({ playSound, winData }) => {
     gameTimeSeconds = 0,
     encrypted = "",
     display = "",
+    solution = null,
     correctlyGuessed = [],
     hasLost = false,
+    isUnranked = false,
+    timeExpired = false,
     attribution = {},
+    quoteCategories = [],
     isDailyChallenge = false,
+    isArchiveDaily = false,
+    dailyDate = null,
+    campaign = null,
     // Ensure all possible streak data locations are checked
     current_daily_streak = winData?.current_daily_streak ||
       winData?.winData?.current_daily_streak ||
@@ -248,11 +259,14 @@ const WinCelebration = ({ playSound, winData }) => {
     statsLoading = false,
   } = winData || {};
 
+  // Archive plays are scored separately and never earn the streak bonus
+  const dailyStreak = isArchiveDaily ? 0 : current_daily_streak;
+
+  // Offline wins say so in their score data, losses only have the game's flag
+  const unranked = !!winData?.unranked || isUnranked;
+
   // Calculate base score and bonus
-  const { baseScore, bonusAmount } = calculateBaseScore(
-    score,
-    current_daily_streak,
-  );
+  const { baseScore, bonusAmount } = calculateBaseScore(score, dailyStreak);
   const hasStreakBonus = bonusAmount > 0;
 
   // Format time display - show infinity symbol for losses
@@ -264,9 +278,14 @@ const WinCelebration = ({ playSound, winData }) => {
     return `${minutes}:${seconds < 10 ? "0" + seconds : seconds}`;
   };
 
-  // Get decrypted text for display
+  // The quote's own category if known, otherwise the ones the game was picked from
+  const quoteCategory =
+    formatQuoteCategories(attribution?.category ? [attribution.category] : []) ||
+    formatQuoteCategories(quoteCategories);
+
+  // Get decrypted text for display - lost games show the solution if it was returned
   const getDecryptedText = () => {
-    return display || "";
+    return (hasLost && solution) || display || "";
   };
 
   // Calculate percentage solved
@@ -275,7 +294,7 @@ const WinCelebration = ({ playSound, winData }) => {
 
     // Get unique letters in the encrypted text
     const uniqueEncryptedLetters = [
-      ...new Set(encrypted.match(/[A-Z]/g) || []),
+      ...new Set([...getLetters(encrypted), ...getDigitSymbols(encrypted)]),
     ];
     // Calculate percentage based on correctly guessed letters
     const percentage = Math.round(
@@ -339,7 +358,7 @@ const WinCelebration = ({ playSound, winData }) => {
         <div className="retro-header">
           <h2 className="status-text">
             {hasLost ? (
-              "GAME OVER"
+              timeExpired ? "TIME'S UP" : "GAME OVER"
             ) : (
               <span className="rating-tooltip">
                 DECODED! Rating:{" "}
@@ -365,17 +384,20 @@ const WinCelebration = ({ playSound, winData }) => {
                 — {attribution.major_attribution}
                 {", "}
                 {attribution.minor_attribution}
+                {quoteCategory && (
+                  <span className="quote-category">{quoteCategory}</span>
+                )}
               </div>
             )}
           </div>
         )}
 
         {/* Daily streak info if applicable */}
-        {isAuthenticated && current_daily_streak > 0 && !hasLost && (
+        {isAuthenticated && dailyStreak > 0 && !hasLost && (
           <div className="stat-row streak-bonus-row">
             <div className="stat-item streak-info">
               <span>
-                DAILY STREAK: {current_daily_streak} (+5% per day, max 100%)
+                DAILY STREAK: {dailyStreak} (+5% per day, max 100%)
               </span>
             </div>
             <div className="stat-item streak-bonus"></div>
@@ -434,8 +456,37 @@ const WinCelebration = ({ playSound, winData }) => {
           </div>
         </div>
 
+        {/* Stars earned on a campaign puzzle */}
+        {campaign?.stars && !hasLost && (
+          <div className="campaign-stars">
+            <span aria-label={`${campaign.stars} of ${MAX_STARS} stars`}>
+              {"★".repeat(campaign.stars || 0)}
+              {"☆".repeat(MAX_STARS - (campaign.stars || 0))}
+            </span>
+            {campaign.isNewBest && (
+              <span className="campaign-best">NEW BEST</span>
+            )}
+          </div>
+        )}
+
+        {/* Notice for unranked games played on the offline engine - won or lost */}
+        {unranked && !campaign && (
+          <div className="anon-message">
+            ⚠️ Played offline - this game is unranked and the result was not
+            recorded.
+          </div>
+        )}
+
+        {/* Notice for past dailies played from the archive */}
+        {isArchiveDaily && (
+          <div className="anon-message">
+            📅 Archive puzzle{dailyDate ? ` for ${dailyDate}` : ""} - scored
+            separately, so it doesn't count towards your daily streak.
+          </div>
+        )}
+
         {/* Login prompt for anonymous users */}
-        {wasAnonymous && (
+        {wasAnonymous && !unranked && (
           <div className="anon-message">
             ⚠️ Score not recorded. Login or create free account before your next
             game to save scores.
@@ -450,40 +501,75 @@ const WinCelebration = ({ playSound, winData }) => {
 
         {/* Action buttons using hint button styling */}
         <div className="retro-actions">
-          <button
-            className={`game-over-action-button play-again ${playAgainInactiveTimer || isPlayAgainLoading ? "loading" : ""}`}
-            onClick={handlePlayAgain}
-            disabled={playAgainInactiveTimer || isPlayAgainLoading}
-            style={{ position: "relative" }}
-          >
-            {/* NEW: Loading indicator */}
-            {(playAgainInactiveTimer || isPlayAgainLoading) && (
-              <div
-                style={{
-                  position: "absolute",
-                  top: 0,
-                  left: 0,
-                  width: "100%",
-                  height: "100%",
-                  display: "flex",
-                  alignItems: "center",
-                  justifyContent: "center",
-                  backgroundColor: "rgba(0, 0, 0, 0.5)",
-                  borderRadius: "inherit",
-                  zIndex: 1,
-                }}
+          {/* Campaign puzzles carry on through the pack instead */}
+          {campaign && (
+            <>
+              {hasLost ? (
+                <button
+                  className="game-over-action-button play-again"
+                  onClick={() =>
+                    (window.location.href = `/campaign/${campaign.packId}/${campaign.index}`)
+                  }
+                >
+                  <div className="game-over-text-display">TRY AGAIN</div>
+                </button>
+              ) : (
+                campaign.hasNext && (
+                  <button
+                    className="game-over-action-button play-again"
+                    onClick={() =>
+                      (window.location.href = `/campaign/${campaign.packId}/${campaign.index + 1}`)
+                    }
+                  >
+                    <div className="game-over-text-display">NEXT PUZZLE</div>
+                  </button>
+                )
+              )}
+              <button
+                className="game-over-action-button home"
+                onClick={() => (window.location.href = "/campaign")}
               >
-                <CryptoSpinner
-                  isActive={true}
-                  isDarkTheme={settings.theme === "dark"}
-                  inStatsContainer={false}
-                />
+                <div className="game-over-text-display">ALL PACKS</div>
+              </button>
+            </>
+          )}
+
+          {!campaign && (
+            <button
+              className={`game-over-action-button play-again ${playAgainInactiveTimer || isPlayAgainLoading ? "loading" : ""}`}
+              onClick={handlePlayAgain}
+              disabled={playAgainInactiveTimer || isPlayAgainLoading}
+              style={{ position: "relative" }}
+            >
+              {/* NEW: Loading indicator */}
+              {(playAgainInactiveTimer || isPlayAgainLoading) && (
+                <div
+                  style={{
+                    position: "absolute",
+                    top: 0,
+                    left: 0,
+                    width: "100%",
+                    height: "100%",
+                    display: "flex",
+                    alignItems: "center",
+                    justifyContent: "center",
+                    backgroundColor: "rgba(0, 0, 0, 0.5)",
+                    borderRadius: "inherit",
+                    zIndex: 1,
+                  }}
+                >
+                  <CryptoSpinner
+                    isActive={true}
+                    isDarkTheme={settings.theme === "dark"}
+                    inStatsContainer={false}
+                  />
+                </div>
+              )}
+              <div className="game-over-text-display">
+                {hasLost ? "TRY AGAIN" : "PLAY AGAIN"}
               </div>
-            )}
-            <div className="game-over-text-display">
-              {hasLost ? "TRY AGAIN" : "PLAY AGAIN"}
-            </div>
-          </button>
+            </button>
+          )}
 
           {/* New Home button to go to the home page */}
           <button
@@ -493,6 +579,28 @@ const WinCelebration = ({ playSound, winData }) => {
             <div className="game-over-text-display">HOME MENU</div>
           </button>
 
+          {/* Replay of this game, recorded on this device */}
+          {winData?.gameId && (
+            <button
+              className="game-over-action-button replay"
+              onClick={() =>
+                (window.location.href = `/replay/${encodeURIComponent(winData.gameId)}`)
+              }
+            >
+              <div className="game-over-text-display">REPLAY</div>
+            </button>
+          )}
+
+          {/* Step-by-step explanation of how the cipher could be cracked */}
+          {hasLost && winData?.onShowWalkthrough && (
+            <button
+              className="game-over-action-button walkthrough"
+              onClick={winData.onShowWalkthrough}
+            >
+              <div className="game-over-text-display">WALKTHROUGH</div>
+            </button>
+          )}
+
           {hasLost && !showQuote && (
             <button
               className="game-over-action-button reveal"
@@ -0,0 +1,494 @@
+// src/data/quotes.js - Bundled quote corpus used by the offline puzzle engine
+/**
+ * Quotes shipped with the client so puzzles can be generated without the API.
+ * Field names mirror the attribution data returned by the backend,
+ * category is one of QUOTE_CATEGORIES in utils/quoteCategories, and
+ * language is one of LANGUAGES in utils/languages (English if missing).
+ */
+const quotes = [
+  {
+    text: "The only thing we have to fear is fear itself.",
+    major_attribution: "Franklin D. Roosevelt",
+    minor_attribution: "First Inaugural Address, 1933",
+    category: "history",
+  },
+  {
+    text: "I think, therefore I am.",
+    major_attribution: "René Descartes",
+    minor_attribution: "Discourse on the Method, 1637",
+    category: "philosophy",
+  },
+  {
+    text: "Brevity is the soul of wit.",
+    major_attribution: "William Shakespeare",
+    minor_attribution: "Hamlet",
+    category: "literature",
+  },
+  {
+    text: "Knowledge is power.",
+    major_attribution: "Francis Bacon",
+    minor_attribution: "Meditationes Sacrae, 1597",
+    category: "philosophy",
+  },
+  {
+    text: "The unexamined life is not worth living.",
+    major_attribution: "Socrates",
+    minor_attribution: "Plato's Apology",
+    category: "philosophy",
+  },
+  {
+    text: "Whatever you are, be a good one.",
+    major_attribution: "Abraham Lincoln",
+    minor_attribution: "Attributed",
+    category: "history",
+  },
+  {
+    text: "To be, or not to be: that is the question.",
+    major_attribution: "William Shakespeare",
+    minor_attribution: "Hamlet",
+    category: "literature",
+  },
+  {
+    text: "All that glitters is not gold.",
+    major_attribution: "William Shakespeare",
+    minor_attribution: "The Merchant of Venice",
+    category: "literature",
+  },
+  {
+    text: "Hope is the thing with feathers that perches in the soul.",
+    major_attribution: "Emily Dickinson",
+    minor_attribution: "Poems, 1891",
+    category: "literature",
+  },
+  {
+    text: "Not all those who wander are lost.",
+    major_attribution: "J. R. R. Tolkien",
+    minor_attribution: "The Fellowship of the Ring",
+    category: "literature",
+  },
+  {
+    text: "Fortune favors the bold.",
+    major_attribution: "Virgil",
+    minor_attribution: "Aeneid",
+    category: "literature",
+  },
+  {
+    text: "A journey of a thousand miles begins with a single step.",
+    major_attribution: "Lao Tzu",
+    minor_attribution: "Tao Te Ching",
+    category: "philosophy",
+  },
+  {
+    text: "The secret of getting ahead is getting started.",
+    major_attribution: "Mark Twain",
+    minor_attribution: "Attributed",
+    category: "literature",
+  },
+  {
+    text: "Simplicity is the ultimate sophistication.",
+    major_attribution: "Leonardo da Vinci",
+    minor_attribution: "Attributed",
+    category: "science",
+  },
+  {
+    text: "Well done is better than well said.",
+    major_attribution: "Benjamin Franklin",
+    minor_attribution: "Poor Richard's Almanack, 1737",
+    category: "history",
+  },
+  {
+    text: "It is a truth universally acknowledged, that a single man in possession of a good fortune, must be in want of a wife.",
+    major_attribution: "Jane Austen",
+    minor_attribution: "Pride and Prejudice, 1813",
+    category: "literature",
+  },
+  {
+    text: "It was the best of times, it was the worst of times, it was the age of wisdom, it was the age of foolishness.",
+    major_attribution: "Charles Dickens",
+    minor_attribution: "A Tale of Two Cities, 1859",
+    category: "literature",
+  },
+  {
+    text: "Happy families are all alike; every unhappy family is unhappy in its own way.",
+    major_attribution: "Leo Tolstoy",
+    minor_attribution: "Anna Karenina, 1878",
+    category: "literature",
+  },
+  {
+    text: "Two roads diverged in a wood, and I took the one less traveled by, and that has made all the difference.",
+    major_attribution: "Robert Frost",
+    minor_attribution: "The Road Not Taken, 1916",
+    category: "literature",
+  },
+  {
+    text: "We are all in the gutter, but some of us are looking at the stars.",
+    major_attribution: "Oscar Wilde",
+    minor_attribution: "Lady Windermere's Fan, 1892",
+    category: "literature",
+  },
+  {
+    text: "In the middle of difficulty lies opportunity, and the quiet mind finds it first.",
+    major_attribution: "Albert Einstein",
+    minor_attribution: "Attributed",
+    category: "science",
+  },
+  {
+    text: "The woods are lovely, dark and deep, but I have promises to keep, and miles to go before I sleep.",
+    major_attribution: "Robert Frost",
+    minor_attribution: "Stopping by Woods on a Snowy Evening, 1923",
+    category: "literature",
+  },
+  {
+    text: "Do not go gentle into that good night; old age should burn and rave at close of day.",
+    major_attribution: "Dylan Thomas",
+    minor_attribution: "Do Not Go Gentle into That Good Night, 1951",
+    category: "literature",
+  },
+  {
+    text: "The only way to deal with an unfree world is to become so absolutely free that your very existence is an act of rebellion.",
+    major_attribution: "Albert Camus",
+    minor_attribution: "Attributed",
+    category: "philosophy",
+  },
+  {
+    text: "Nature does not hurry, yet everything is accomplished.",
+    major_attribution: "Lao Tzu",
+    minor_attribution: "Tao Te Ching",
+    category: "philosophy",
+  },
+  {
+    text: "I have not failed. I have just found ten thousand ways that won't work.",
+    major_attribution: "Thomas Edison",
+    minor_attribution: "Attributed",
+    category: "science",
+  },
+  {
+    text: "Man is born free, and everywhere he is in chains.",
+    major_attribution: "Jean-Jacques Rousseau",
+    minor_attribution: "The Social Contract, 1762",
+    category: "philosophy",
+  },
+  {
+    text: "Call me Ishmael. Some years ago, never mind how long precisely, having little or no money in my purse, I thought I would sail about a little.",
+    major_attribution: "Herman Melville",
+    minor_attribution: "Moby-Dick, 1851",
+    category: "literature",
+  },
+  {
+    text: "The sky above the port was the color of television, tuned to a dead channel.",
+    major_attribution: "William Gibson",
+    minor_attribution: "Neuromancer, 1984",
+    category: "literature",
+  },
+  {
+    text: "Any sufficiently advanced technology is indistinguishable from magic.",
+    major_attribution: "Arthur C. Clarke",
+    minor_attribution: "Profiles of the Future, 1962",
+    category: "science",
+  },
+  {
+    text: "Somewhere, something incredible is waiting to be known.",
+    major_attribution: "Carl Sagan",
+    minor_attribution: "Attributed",
+    category: "science",
+  },
+  {
+    text: "Nothing in life is to be feared, it is only to be understood.",
+    major_attribution: "Marie Curie",
+    minor_attribution: "Attributed",
+    category: "science",
+  },
+  {
+    text: "If I have seen further, it is by standing on the shoulders of giants.",
+    major_attribution: "Isaac Newton",
+    minor_attribution: "Letter to Robert Hooke, 1675",
+    category: "science",
+  },
+  {
+    text: "The good life is one inspired by love and guided by knowledge.",
+    major_attribution: "Bertrand Russell",
+    minor_attribution: "What I Believe, 1925",
+    category: "philosophy",
+  },
+  {
+    text: "He who has a why to live can bear almost any how.",
+    major_attribution: "Friedrich Nietzsche",
+    minor_attribution: "Twilight of the Idols, 1889",
+    category: "philosophy",
+  },
+  {
+    text: "Happiness depends upon ourselves.",
+    major_attribution: "Aristotle",
+    minor_attribution: "Nicomachean Ethics",
+    category: "philosophy",
+  },
+  {
+    text: "Frankly, my dear, I don't give a damn.",
+    major_attribution: "Rhett Butler",
+    minor_attribution: "Gone with the Wind, 1939",
+    category: "film",
+  },
+  {
+    text: "Here's looking at you, kid.",
+    major_attribution: "Rick Blaine",
+    minor_attribution: "Casablanca, 1942",
+    category: "film",
+  },
+  {
+    text: "Round up the usual suspects.",
+    major_attribution: "Captain Renault",
+    minor_attribution: "Casablanca, 1942",
+    category: "film",
+  },
+  {
+    text: "There is nothing either good or bad, but thinking makes it so.",
+    major_attribution: "William Shakespeare",
+    minor_attribution: "Hamlet",
+    category: "literature",
+  },
+  {
+    text: "That's some catch, that Catch-22.",
+    major_attribution: "Joseph Heller",
+    minor_attribution: "Catch-22, 1961",
+    category: "literature",
+  },
+  {
+    text: "Fahrenheit 451: the temperature at which book paper catches fire, and burns.",
+    major_attribution: "Ray Bradbury",
+    minor_attribution: "Fahrenheit 451, 1953",
+    category: "literature",
+  },
+  {
+    text: "Je pense, donc je suis.",
+    major_attribution: "René Descartes",
+    minor_attribution: "Discours de la méthode, 1637",
+    category: "philosophy",
+    language: "fr",
+  },
+  {
+    text: "On ne voit bien qu'avec le cœur. L'essentiel est invisible pour les yeux.",
+    major_attribution: "Antoine de Saint-Exupéry",
+    minor_attribution: "Le Petit Prince, 1943",
+    category: "literature",
+    language: "fr",
+  },
+  {
+    text: "Le cœur a ses raisons que la raison ne connaît point.",
+    major_attribution: "Blaise Pascal",
+    minor_attribution: "Pensées, 1670",
+    category: "philosophy",
+    language: "fr",
+  },
+  {
+    text: "L'enfer, c'est les autres.",
+    major_attribution: "Jean-Paul Sartre",
+    minor_attribution: "Huis clos, 1944",
+    category: "literature",
+    language: "fr",
+  },
+  {
+    text: "Il faut cultiver notre jardin.",
+    major_attribution: "Voltaire",
+    minor_attribution: "Candide, 1759",
+    category: "literature",
+    language: "fr",
+  },
+  {
+    text: "Rien ne se perd, rien ne se crée, tout se transforme.",
+    major_attribution: "Antoine Lavoisier",
+    minor_attribution: "Traité élémentaire de chimie, 1789",
+    category: "science",
+    language: "fr",
+  },
+  {
+    text: "Dans les champs de l'observation, le hasard ne favorise que les esprits préparés.",
+    major_attribution: "Louis Pasteur",
+    minor_attribution: "Discours à Lille, 1854",
+    category: "science",
+    language: "fr",
+  },
+  {
+    text: "On ne naît pas femme, on le devient.",
+    major_attribution: "Simone de Beauvoir",
+    minor_attribution: "Le Deuxième Sexe, 1949",
+    category: "philosophy",
+    language: "fr",
+  },
+  {
+    text: "Après nous, le déluge.",
+    major_attribution: "Madame de Pompadour",
+    minor_attribution: "Versailles, 1757",
+    category: "history",
+    language: "fr",
+  },
+  {
+    text: "En un lugar de la Mancha, de cuyo nombre no quiero acordarme.",
+    major_attribution: "Miguel de Cervantes",
+    minor_attribution: "Don Quijote de la Mancha, 1605",
+    category: "literature",
+    language: "es",
+  },
+  {
+    text: "¿Qué es la vida? Un frenesí. ¿Qué es la vida? Una ilusión.",
+    major_attribution: "Pedro Calderón de la Barca",
+    minor_attribution: "La vida es sueño, 1635",
+    category: "literature",
+    language: "es",
+  },
+  {
+    text: "Caminante, no hay camino, se hace camino al andar.",
+    major_attribution: "Antonio Machado",
+    minor_attribution: "Campos de Castilla, 1912",
+    category: "literature",
+    language: "es",
+  },
+  {
+    text: "Yo soy yo y mi circunstancia.",
+    major_attribution: "José Ortega y Gasset",
+    minor_attribution: "Meditaciones del Quijote, 1914",
+    category: "philosophy",
+    language: "es",
+  },
+  {
+    text: "Muchos años después, frente al pelotón de fusilamiento, el coronel Aureliano Buendía había de recordar aquella remota tarde en que su padre lo llevó a conocer el hielo.",
+    major_attribution: "Gabriel García Márquez",
+    minor_attribution: "Cien años de soledad, 1967",
+    category: "literature",
+    language: "es",
+  },
+  {
+    text: "Es tan corto el amor, y es tan largo el olvido.",
+    major_attribution: "Pablo Neruda",
+    minor_attribution: "Veinte poemas de amor, 1924",
+    category: "literature",
+    language: "es",
+  },
+  {
+    text: "Todo hombre puede ser, si se lo propone, escultor de su propio cerebro.",
+    major_attribution: "Santiago Ramón y Cajal",
+    minor_attribution: "Reglas y consejos sobre investigación científica, 1897",
+    category: "science",
+    language: "es",
+  },
+  {
+    text: "El sueño de la razón produce monstruos.",
+    major_attribution: "Francisco de Goya",
+    minor_attribution: "Los caprichos, 1799",
+    category: "history",
+    language: "es",
+  },
+  {
+    text: "¡No pasarán!",
+    major_attribution: "Dolores Ibárruri",
+    minor_attribution: "Madrid, 1936",
+    category: "history",
+    language: "es",
+  },
+  {
+    text: "Was mich nicht umbringt, macht mich stärker.",
+    major_attribution: "Friedrich Nietzsche",
+    minor_attribution: "Götzen-Dämmerung, 1888",
+    category: "philosophy",
+    language: "de",
+  },
+  {
+    text: "Die Philosophen haben die Welt nur verschieden interpretiert; es kommt aber darauf an, sie zu verändern.",
+    major_attribution: "Karl Marx",
+    minor_attribution: "Thesen über Feuerbach, 1845",
+    category: "philosophy",
+    language: "de",
+  },
+  {
+    text: "Wovon man nicht sprechen kann, darüber muss man schweigen.",
+    major_attribution: "Ludwig Wittgenstein",
+    minor_attribution: "Tractatus logico-philosophicus, 1921",
+    category: "philosophy",
+    language: "de",
+  },
+  {
+    text: "Phantasie ist wichtiger als Wissen.",
+    major_attribution: "Albert Einstein",
+    minor_attribution: "Interview, 1929",
+    category: "science",
+    language: "de",
+  },
+  {
+    text: "Ich bin ein Berliner.",
+    major_attribution: "John F. Kennedy",
+    minor_attribution: "Rede in Berlin, 1963",
+    category: "history",
+    language: "de",
+  },
+  {
+    text: "Als Gregor Samsa eines Morgens aus unruhigen Träumen erwachte, fand er sich in seinem Bett zu einem ungeheueren Ungeziefer verwandelt.",
+    major_attribution: "Franz Kafka",
+    minor_attribution: "Die Verwandlung, 1915",
+    category: "literature",
+    language: "de",
+  },
+  {
+    text: "Es irrt der Mensch, solang er strebt.",
+    major_attribution: "Johann Wolfgang von Goethe",
+    minor_attribution: "Faust, 1808",
+    category: "literature",
+    language: "de",
+  },
+  {
+    text: "Der Mensch ist nur da ganz Mensch, wo er spielt.",
+    major_attribution: "Friedrich Schiller",
+    minor_attribution: "Über die ästhetische Erziehung des Menschen, 1795",
+    category: "philosophy",
+    language: "de",
+  },
+  {
+    text: "Nel mezzo del cammin di nostra vita mi ritrovai per una selva oscura, ché la diritta via era smarrita.",
+    major_attribution: "Dante Alighieri",
+    minor_attribution: "Inferno, Canto I",
+    category: "literature",
+    language: "it",
+  },
+  {
+    text: "Lasciate ogne speranza, voi ch'intrate.",
+    major_attribution: "Dante Alighieri",
+    minor_attribution: "Inferno, Canto III",
+    category: "literature",
+    language: "it",
+  },
+  {
+    text: "Fatti non foste a viver come bruti, ma per seguir virtute e canoscenza.",
+    major_attribution: "Dante Alighieri",
+    minor_attribution: "Inferno, Canto XXVI",
+    category: "literature",
+    language: "it",
+  },
+  {
+    text: "Eppur si muove.",
+    major_attribution: "Galileo Galilei",
+    minor_attribution: "Attributed, 1633",
+    category: "science",
+    language: "it",
+  },
+  {
+    text: "Se vogliamo che tutto rimanga come è, bisogna che tutto cambi.",
+    major_attribution: "Giuseppe Tomasi di Lampedusa",
+    minor_attribution: "Il Gattopardo, 1958",
+    category: "literature",
+    language: "it",
+  },
+  {
+    text: "È molto più sicuro essere temuto che amato.",
+    major_attribution: "Niccolò Machiavelli",
+    minor_attribution: "Il Principe, 1532",
+    category: "philosophy",
+    language: "it",
+  },
+  {
+    text: "Qui si fa l'Italia o si muore.",
+    major_attribution: "Giuseppe Garibaldi",
+    minor_attribution: "Calatafimi, 1860",
+    category: "history",
+    language: "it",
+  },
+];
+
+export default quotes;
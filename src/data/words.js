@@ -0,0 +1,123 @@
+// src/data/words.js - Common English words for the pattern word finder
+// Roughly ordered from most to least common, so earlier words are listed first.
+// Words with apostrophes are stored without them (DONT, ITS), matching how
+// the word finder reads cipher words.
+const words = `
+  THE OF AND TO A IN IS IT YOU THAT HE WAS FOR ON ARE WITH AS I HIS THEY BE AT
+  ONE HAVE THIS FROM OR HAD BY NOT WORD BUT WHAT SOME WE CAN OUT OTHER WERE
+  ALL THERE WHEN UP USE YOUR HOW SAID AN EACH SHE WHICH DO THEIR TIME IF WILL
+  WAY ABOUT MANY THEN THEM WRITE WOULD LIKE SO THESE HER LONG MAKE THING SEE
+  HIM TWO HAS LOOK MORE DAY COULD GO COME DID NUMBER SOUND NO MOST PEOPLE MY
+  OVER KNOW WATER THAN CALL FIRST WHO MAY DOWN SIDE BEEN NOW FIND ANY NEW WORK
+  PART TAKE GET PLACE MADE LIVE WHERE AFTER BACK LITTLE ONLY ROUND MAN YEAR
+  CAME SHOW EVERY GOOD ME GIVE OUR UNDER NAME VERY THROUGH JUST FORM SENTENCE
+  GREAT THINK SAY HELP LOW LINE DIFFER TURN CAUSE MUCH MEAN BEFORE MOVE RIGHT
+  BOY OLD TOO SAME TELL DOES SET THREE WANT AIR WELL ALSO PLAY SMALL END PUT
+  HOME READ HAND PORT LARGE SPELL ADD EVEN LAND HERE MUST BIG HIGH SUCH FOLLOW
+  ACT WHY ASK MEN CHANGE WENT LIGHT KIND OFF NEED HOUSE PICTURE TRY US AGAIN
+  ANIMAL POINT MOTHER WORLD NEAR BUILD SELF EARTH FATHER HEAD STAND OWN PAGE
+  SHOULD COUNTRY FOUND ANSWER SCHOOL GROW STUDY STILL LEARN PLANT COVER FOOD
+  SUN FOUR BETWEEN STATE KEEP EYE NEVER LAST LET THOUGHT CITY TREE CROSS FARM
+  HARD START MIGHT STORY SAW FAR SEA DRAW LEFT LATE RUN DONT WHILE PRESS CLOSE
+  NIGHT REAL LIFE FEW NORTH OPEN SEEM TOGETHER NEXT WHITE CHILDREN BEGIN GOT
+  WALK EXAMPLE EASE PAPER GROUP ALWAYS MUSIC THOSE BOTH MARK OFTEN LETTER
+  UNTIL MILE RIVER CAR FEET CARE SECOND BOOK CARRY TOOK SCIENCE EAT ROOM
+  FRIEND BEGAN IDEA FISH MOUNTAIN STOP ONCE BASE HEAR HORSE CUT SURE WATCH
+  COLOR FACE WOOD MAIN ENOUGH PLAIN GIRL USUAL YOUNG READY ABOVE EVER RED LIST
+  THOUGH FEEL TALK BIRD SOON BODY DOG FAMILY DIRECT POSE LEAVE SONG MEASURE
+  DOOR PRODUCT BLACK SHORT NUMERAL CLASS WIND QUESTION HAPPEN COMPLETE SHIP
+  AREA HALF ROCK ORDER FIRE SOUTH PROBLEM PIECE TOLD KNEW PASS SINCE TOP WHOLE
+  KING SPACE HEARD BEST HOUR BETTER TRUE DURING HUNDRED FIVE REMEMBER STEP
+  EARLY HOLD WEST GROUND INTEREST REACH FAST VERB SING LISTEN SIX TABLE TRAVEL
+  LESS MORNING TEN SIMPLE SEVERAL VOWEL TOWARD WAR LAY AGAINST PATTERN SLOW
+  CENTER LOVE PERSON MONEY SERVE APPEAR ROAD MAP RAIN RULE GOVERN PULL COLD
+  NOTICE VOICE UNIT POWER TOWN FINE CERTAIN FLY FALL LEAD CRY DARK MACHINE
+  NOTE WAIT PLAN FIGURE STAR BOX NOUN FIELD REST CORRECT ABLE POUND DONE
+  BEAUTY DRIVE STOOD CONTAIN FRONT TEACH WEEK FINAL GAVE GREEN OH QUICK
+  DEVELOP OCEAN WARM FREE MINUTE STRONG SPECIAL MIND BEHIND CLEAR TAIL PRODUCE
+  FACT STREET INCH MULTIPLY NOTHING COURSE STAY WHEEL FULL FORCE BLUE OBJECT
+  DECIDE SURFACE DEEP MOON ISLAND FOOT SYSTEM BUSY TEST RECORD BOAT COMMON
+  GOLD POSSIBLE PLANE STEAD DRY WONDER LAUGH THOUSAND AGO RAN CHECK GAME SHAPE
+  EQUATE HOT MISS BROUGHT HEAT SNOW TIRE BRING YES DISTANT FILL EAST PAINT
+  LANGUAGE AMONG GRAND BALL YET WAVE DROP HEART AM PRESENT HEAVY DANCE ENGINE
+  POSITION ARM WIDE SAIL MATERIAL SIZE VARY SETTLE SPEAK WEIGHT GENERAL ICE
+  MATTER CIRCLE PAIR INCLUDE DIVIDE SYLLABLE FELT PERHAPS PICK SUDDEN COUNT
+  SQUARE REASON LENGTH REPRESENT ART SUBJECT REGION ENERGY HUNT PROBABLE BED
+  BROTHER EGG RIDE CELL BELIEVE FRACTION FOREST SIT RACE WINDOW STORE SUMMER
+  TRAIN SLEEP PROVE LONE LEG EXERCISE WALL CATCH MOUNT WISH SKY BOARD JOY
+  WINTER SAT WRITTEN WILD INSTRUMENT KEPT GLASS GRASS COW JOB EDGE SIGN VISIT
+  PAST SOFT FUN BRIGHT GAS WEATHER MONTH MILLION BEAR FINISH HAPPY HOPE FLOWER
+  CLOTHE STRANGE GONE JUMP BABY EIGHT VILLAGE MEET ROOT BUY RAISE SOLVE METAL
+  WHETHER PUSH SEVEN PARAGRAPH THIRD SHALL HELD HAIR DESCRIBE COOK FLOOR
+  EITHER RESULT BURN HILL SAFE CAT CENTURY CONSIDER TYPE LAW BIT COAST COPY
+  PHRASE SILENT TALL SAND SOIL ROLL TEMPERATURE FINGER INDUSTRY VALUE FIGHT
+  LIE BEAT EXCITE NATURAL VIEW SENSE EAR ELSE QUITE BROKE CASE MIDDLE KILL SON
+  LAKE MOMENT SCALE LOUD SPRING OBSERVE CHILD STRAIGHT CONSONANT NATION
+  DICTIONARY MILK SPEED METHOD ORGAN PAY AGE SECTION DRESS CLOUD SURPRISE
+  QUIET STONE TINY CLIMB COOL DESIGN POOR LOT EXPERIMENT BOTTOM KEY IRON
+  SINGLE STICK FLAT TWENTY SKIN SMILE CREASE HOLE TRADE MELODY TRIP OFFICE
+  RECEIVE ROW MOUTH EXACT SYMBOL DIE LEAST TROUBLE SHOUT EXCEPT WROTE SEED
+  TONE JOIN SUGGEST CLEAN BREAK LADY YARD RISE BAD BLOW OIL BLOOD TOUCH GREW
+  CENT MIX TEAM WIRE COST LOST BROWN WEAR GARDEN EQUAL SENT CHOOSE FELL FIT
+  FLOW FAIR BANK COLLECT SAVE CONTROL DECIMAL GENTLE WOMAN CAPTAIN PRACTICE
+  SEPARATE DIFFICULT DOCTOR PLEASE PROTECT NOON WHOSE LOCATE RING CHARACTER
+  INSECT CAUGHT PERIOD INDICATE RADIO SPOKE ATOM HUMAN HISTORY EFFECT ELECTRIC
+  EXPECT CROP MODERN ELEMENT HIT STUDENT CORNER PARTY SUPPLY BONE RAIL IMAGINE
+  PROVIDE AGREE THUS CAPITAL WONT CHAIR DANGER FRUIT RICH THICK SOLDIER
+  PROCESS OPERATE GUESS NECESSARY SHARP WING CREATE NEIGHBOR WASH BAT RATHER
+  CROWD CORN COMPARE POEM STRING BELL DEPEND MEAT RUB TUBE FAMOUS DOLLAR
+  STREAM FEAR SIGHT THIN TRIANGLE PLANET HURRY CHIEF COLONY CLOCK MINE TIE
+  ENTER MAJOR FRESH SEARCH SEND YELLOW GUN ALLOW PRINT DEAD SPOT DESERT SUIT
+  CURRENT LIFT ROSE ARRIVE MASTER TRACK PARENT SHORE DIVISION SHEET SUBSTANCE
+  FAVOR CONNECT POST SPEND CHORD FAT GLAD ORIGINAL SHARE STATION DAD BREAD
+  CHARGE PROPER BAR OFFER SEGMENT SLAVE DUCK INSTANT MARKET DEGREE POPULATE
+  CHICK DEAR ENEMY REPLY DRINK OCCUR SUPPORT SPEECH NATURE RANGE STEAM MOTION
+  PATH LIQUID LOG MEANT QUOTIENT TEETH SHELL NECK OXYGEN SUGAR DEATH PRETTY
+  SKILL WOMEN SEASON SOLUTION MAGNET SILVER THANK BRANCH MATCH SUFFIX
+  ESPECIALLY FIG AFRAID HUGE SISTER STEEL DISCUSS FORWARD SIMILAR GUIDE
+  EXPERIENCE SCORE APPLE BOUGHT LED PITCH COAT MASS CARD BAND ROPE SLIP WIN
+  DREAM EVENING CONDITION FEED TOOL TOTAL BASIC SMELL VALLEY NOR DOUBLE SEAT
+  CONTINUE BLOCK CHART HAT SELL SUCCESS COMPANY SUBTRACT EVENT PARTICULAR DEAL
+  SWIM TERM OPPOSITE WIFE SHOE SHOULDER SPREAD ARRANGE CAMP INVENT COTTON BORN
+  DETERMINE QUART NINE TRUCK NOISE LEVEL CHANCE GATHER SHOP STRETCH THROW
+  SHINE PROPERTY COLUMN MOLECULE SELECT WRONG GRAY REPEAT REQUIRE BROAD
+  PREPARE SALT NOSE PLURAL ANGER CLAIM CONTINENT IM ITS ISNT CANT WASNT DIDNT
+  DOESNT IVE YOURE THEYRE WHOM HERSELF HIMSELF MYSELF YOURSELF ITSELF
+  OURSELVES THEMSELVES NOBODY SOMEONE SOMETHING ANYTHING EVERYTHING EVERYONE
+  ANYONE NOWHERE SOMEWHERE EVERYWHERE INTO UPON ONTO WITHIN WITHOUT BEYOND
+  BENEATH ACROSS ALONG AROUND BESIDE DESPITE TOWARDS UNLESS ALTHOUGH BECAUSE
+  HOWEVER THEREFORE INDEED ALREADY ALMOST SOMETIMES SELDOM FOREVER TODAY
+  TOMORROW YESTERDAY TONIGHT TRUTH WISDOM KNOWLEDGE FREEDOM LIBERTY JUSTICE
+  COURAGE HONOR FAITH GLORY VIRTUE SPIRIT SOUL PEACE HATE PASSION DESIRE
+  BEAUTIFUL GENIUS TALENT FORTUNE LUCK FATE DESTINY ETERNAL MORTAL IMMORTAL
+  HEAVEN HELL GOD GODS DEVIL ANGEL FOOL FOOLS WISE SMART STUPID SILLY CLEVER
+  HONEST LIAR LIES LIED TRUST DOUBT FAIL FAILURE MISTAKE MISTAKES ERROR SECRET
+  SECRETS MYSTERY PUZZLE CODE CIPHER MESSAGE HIDDEN SILENCE SHADOW SHADOWS
+  DARKNESS LIGHTS DREAMS HOPES FEARS YOUTH PAIN SORROW GRIEF TEARS LAUGHTER
+  HUMOR JOKE WIT SMILES KISS HEARTS FRIENDS FRIENDSHIP ENEMIES BATTLE VICTORY
+  DEFEAT ARMY PEOPLES NATIONS WORLDS LIVES LIVING DYING BIRTH GROWING CHANGES
+  CHANGED THINGS THOUGHTS IDEAS WORDS BOOKS READING WRITING WRITER POET ARTIST
+  ARTISTS SCIENTIST PHILOSOPHY THEORY LOGIC REASONS MINDS BRAIN EDUCATION
+  LEARNING TEACHER TEACHERS STUDENTS LESSON LESSONS SUCCEED SUCCESSFUL MONEYS
+  RICHES WEALTH POVERTY WORKS WORKING WORKED JOBS BUSINESS CAREER GOAL GOALS
+  PLANS FUTURE PASTS MEMORY MEMORIES IMAGINATION CREATIVITY INVENTION
+  DISCOVERY ADVENTURE JOURNEY TRAVELS HOMES FAMILIES MOTHERS FATHERS SONS
+  DAUGHTER HUSBAND MARRIAGE WEDDING CHILDHOOD OLDER YOUNGER AGES NEEDS WANTS
+  WISHES GIVES TAKES MAKES MAKING KNOWS KNOWING KNOWN THINKS THINKING FEELS
+  FEELING FEELINGS SEES SEEING SEEN LOOKS LOOKING LOOKED SAYS SAYING SPOKEN
+  COMES COMING GOES GOING GETTING TAKEN GIVEN GIVING LIVED LOVED LOVES LOVING
+  LOVER HATED HATES KILLED DIES BREVITY UNEXAMINED WORTH WHATEVER GLITTERS
+  FEATHERS PERCHES WANDER FAVORS BOLD MILES BEGINS AHEAD STARTED SIMPLICITY
+  ULTIMATE SOPHISTICATION UNIVERSALLY ACKNOWLEDGED POSSESSION TIMES WORST
+  FOOLISHNESS ALIKE UNHAPPY ROADS DIVERGED TRAVELED DIFFERENCE GUTTER STARS
+  DIFFICULTY OPPORTUNITY FINDS WOODS LOVELY PROMISES RAVE UNFREE BECOME
+  ABSOLUTELY EXISTENCE REBELLION ACCOMPLISHED FAILED WAYS CHAINS ISHMAEL YEARS
+  PRECISELY HAVING PURSE TELEVISION TUNED CHANNEL SUFFICIENTLY ADVANCED
+  TECHNOLOGY INDISTINGUISHABLE MAGIC INCREDIBLE WAITING FEARED UNDERSTOOD
+  FURTHER STANDING SHOULDERS GIANTS INSPIRED GUIDED HAPPINESS DEPENDS FRANKLY
+  DAMN HERES KID SUSPECTS
+`
+  .trim()
+  .split(/\s+/);
+
+export default words;
@@ -1,4 +1,6 @@
 import { useEffect } from "react";
+import { isLetter, matchLetterKey } from "../utils/languages";
+import { isDigit, isDigitSymbol } from "../utils/digits";
 
 /**
  * Custom hook to handle keyboard inputs for the Decrypto game
@@ -12,6 +14,9 @@ import { useEffect } from "react";
  * @param {string|null} [props.selectedEncrypted=null] - Currently selected encrypted letter
  * @param {Function} [props.onEncryptedSelect=()=>{}] - Callback when an encrypted letter is selected
  * @param {Function} [props.onGuessSubmit=()=>{}] - Callback when a guess is submitted
+ * @param {Function} [props.onUndo] - Callback for Ctrl+Z
+ * @param {Function} [props.onRedo] - Callback for Ctrl+Y or Ctrl+Shift+Z
+ * @param {Function} [props.onPromoteMark] - Callback for Enter to guess the selected letter's pencil mark
  * @param {Function} [props.playSound] - Function to play sound effects
  * @returns {Object} - State of the keyboard input
  */
@@ -25,6 +30,9 @@ const useKeyboardInput = (props = {}) => {
     selectedEncrypted = null,
     onEncryptedSelect = () => {},
     onGuessSubmit = () => {},
+    onUndo,
+    onRedo,
+    onPromoteMark,
     playSound,
   } = props || {};
 
@@ -63,6 +71,21 @@ const useKeyboardInput = (props = {}) => {
       // Convert to uppercase safely
       const key = event.key.toUpperCase();
 
+      // Handle undo/redo shortcuts before letters so Ctrl+Z isn't taken as a guess
+      if (event.ctrlKey || event.metaKey) {
+        if (key === "Z" && !event.shiftKey && typeof onUndo === "function") {
+          onUndo();
+          event.preventDefault();
+        } else if (
+          (key === "Y" || (key === "Z" && event.shiftKey)) &&
+          typeof onRedo === "function"
+        ) {
+          onRedo();
+          event.preventDefault();
+        }
+        return;
+      }
+
       // Handle ESC key to deselect
       if (event.key === "Escape") {
         if (selectedEncrypted) {
@@ -73,16 +96,39 @@ const useKeyboardInput = (props = {}) => {
         return;
       }
 
-      // Check if key is a letter A-Z
-      if (/^[A-Z]$/.test(key)) {
+      // Handle Enter to promote a pencil mark to a real guess
+      if (event.key === "Enter") {
+        if (selectedEncrypted && typeof onPromoteMark === "function") {
+          onPromoteMark();
+          event.preventDefault();
+        }
+        return;
+      }
+
+      // Digits guess the selected digit symbol - symbols can't be typed, so
+      // they're always selected from the digit grid
+      if (isDigit(key)) {
+        if (isDigitSymbol(selectedEncrypted)) {
+          onGuessSubmit(key);
+          event.preventDefault();
+        }
+        return;
+      }
+
+      // Letters can't be guessed for a digit symbol
+      if (isDigitSymbol(selectedEncrypted)) return;
+
+      // Check if key is a letter - accented keys count too, and stand for
+      // their base letter in puzzles that fold accents
+      if (isLetter(key)) {
         // In speed mode, first press selects from encrypted grid, second submits guess
         if (speedMode) {
           // If no letter is selected, try to select from encrypted grid
           if (!selectedEncrypted) {
             // Check if this letter exists in the encrypted grid
-            const isInEncryptedGrid = encryptedLetters.includes(key);
-            if (isInEncryptedGrid) {
-              onEncryptedSelect(key);
+            const encryptedLetter = matchLetterKey(key, encryptedLetters);
+            if (encryptedLetter) {
+              onEncryptedSelect(encryptedLetter);
               playSound && playSound("keyclick");
               event.preventDefault();
             }
@@ -90,15 +136,16 @@ const useKeyboardInput = (props = {}) => {
           // If a letter is already selected, submit the guess
           else {
             // Check if key is in original letters
-            if (originalLetters.includes(key)) {
-              onGuessSubmit(key);
+            const guessLetter = matchLetterKey(key, originalLetters);
+            if (guessLetter) {
+              onGuessSubmit(guessLetter);
               event.preventDefault();
             }
           }
         }
         // In normal mode, just submit guess if a letter is selected
         else if (selectedEncrypted) {
-          onGuessSubmit(key);
+          onGuessSubmit(matchLetterKey(key, originalLetters) || key);
           event.preventDefault();
         }
       }
@@ -114,6 +161,9 @@ const useKeyboardInput = (props = {}) => {
     selectedEncrypted,
     onEncryptedSelect,
     onGuessSubmit,
+    onUndo,
+    onRedo,
+    onPromoteMark,
     playSound,
   ]);
 
@@ -0,0 +1,52 @@
+// src/hooks/useAutoSave.js
+import { useEffect } from "react";
+import useGameStore from "../stores/gameStore";
+import useAuthStore from "../stores/authStore";
+import saveSlotService from "../services/saveSlotService";
+
+// Store fields that change when a move is made
+const WATCHED_FIELDS = [
+  "gameId",
+  "display",
+  "mistakes",
+  "incorrectGuesses",
+  "pencilMarks",
+  "localGame",
+];
+
+/**
+ * Custom hook that autosaves anonymous games to their save slot after every move
+ * Authenticated players are saved by the server, so they are skipped.
+ * Finished games are removed from their slot - there is nothing left to resume.
+ */
+const useAutoSave = () => {
+  useEffect(() => {
+    const unsubscribe = useGameStore.subscribe((state, prevState) => {
+      if (useAuthStore.getState().isAuthenticated || state.isResetting) return;
+
+      // Clear the slot once the game is over
+      if (
+        (state.hasWon || state.hasLost) &&
+        !(prevState.hasWon || prevState.hasLost)
+      ) {
+        saveSlotService.deleteSave(state.saveSlot);
+        return;
+      }
+      if (state.hasWon || state.hasLost) return;
+
+      const changed = WATCHED_FIELDS.some(
+        (field) => state[field] !== prevState[field],
+      );
+      if (!changed) return;
+
+      const saveData = state.getSaveData();
+      if (saveData) {
+        saveSlotService.saveGame(state.saveSlot, saveData, state.saveSlotName);
+      }
+    });
+
+    return unsubscribe;
+  }, []);
+};
+
+export default useAutoSave;
@@ -0,0 +1,49 @@
+// src/hooks/useBlitzTimer.js
+import { useState, useEffect } from "react";
+
+// How often the countdown re-renders (ms)
+const TICK_INTERVAL = 250;
+
+/**
+ * Custom hook counting down to a blitz deadline
+ * Calls onExpire once when the deadline passes while the timer is active
+ *
+ * @param {number|null} deadline - Timestamp the game ends at, or null when not timed
+ * @param {boolean} active - Whether the clock is running (game in progress)
+ * @param {Function} onExpire - Called when time runs out
+ * @returns {number|null} Milliseconds remaining, or null when not timed
+ */
+const useBlitzTimer = (deadline, active, onExpire) => {
+  const [remaining, setRemaining] = useState(() =>
+    deadline ? Math.max(deadline - Date.now(), 0) : null,
+  );
+
+  useEffect(() => {
+    if (!deadline) {
+      setRemaining(null);
+      return;
+    }
+
+    let timer = null;
+    const tick = () => {
+      const left = Math.max(deadline - Date.now(), 0);
+      setRemaining(left);
+
+      if (left === 0 && active) {
+        clearInterval(timer);
+        onExpire && onExpire();
+        return false;
+      }
+      return true;
+    };
+
+    if (!tick() || !active) return;
+
+    timer = setInterval(tick, TICK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [deadline, active, onExpire]);
+
+  return remaining;
+};
+
+export default useBlitzTimer;
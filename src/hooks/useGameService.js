@@ -70,6 +70,88 @@ const useGameService = () => {
     }
   }, []);
 
+  /**
+   * Start a past day's daily challenge from the archive
+   * @param {string} dateString - Date of the challenge, YYYY-MM-DD
+   * @returns {Promise<Object>} Result
+   */
+  const startArchiveDaily = useCallback(async (dateString) => {
+    try {
+      setIsInitializing(true);
+      setError(null);
+
+      const result = await gameService.startArchiveDaily(dateString);
+
+      if (!result.success && !result.alreadyCompleted) {
+        setError(
+          result.error ||
+            new Error(result.reason || "Failed to start archived daily"),
+        );
+      }
+
+      return result;
+    } catch (err) {
+      console.error("Error starting archived daily:", err);
+      setError(err);
+      return { success: false, error: err };
+    } finally {
+      setIsInitializing(false);
+    }
+  }, []);
+
+  /**
+   * Start a puzzle from a shared link
+   * @param {string} code - Code from the /puzzle/:code route
+   * @returns {Promise<Object>} Result
+   */
+  const startSharedPuzzle = useCallback(async (code) => {
+    try {
+      setIsInitializing(true);
+      setError(null);
+
+      const result = gameService.startSharedPuzzle(code);
+
+      if (!result.success) {
+        setError(new Error(result.reason || "Invalid puzzle link"));
+      }
+
+      return result;
+    } catch (err) {
+      console.error("Error starting shared puzzle:", err);
+      setError(err);
+      return { success: false, error: err };
+    } finally {
+      setIsInitializing(false);
+    }
+  }, []);
+
+  /**
+   * Start a puzzle from a campaign pack
+   * @param {string} packId - Pack id
+   * @param {number} index - Position of the puzzle in the pack
+   * @returns {Promise<Object>} Result
+   */
+  const startCampaignPuzzle = useCallback(async (packId, index) => {
+    try {
+      setIsInitializing(true);
+      setError(null);
+
+      const result = gameService.startCampaignPuzzle(packId, index);
+
+      if (!result.success) {
+        setError(new Error(result.reason || "Campaign puzzle unavailable"));
+      }
+
+      return result;
+    } catch (err) {
+      console.error("Error starting campaign puzzle:", err);
+      setError(err);
+      return { success: false, error: err };
+    } finally {
+      setIsInitializing(false);
+    }
+  }, []);
+
   /**
    * Continue a saved game
    * @returns {Promise<Object>} Continue result
@@ -98,6 +180,46 @@ const useGameService = () => {
     }
   }, []);
 
+  /**
+   * Resume a game saved on this device
+   * @param {string} slot - Save slot key
+   * @returns {Promise<Object>} Resume result
+   */
+  const resumeLocalSave = useCallback(async (slot) => {
+    try {
+      setIsInitializing(true);
+      setError(null);
+
+      const result = await gameService.resumeLocalSave(slot);
+
+      if (!result.success) {
+        setError(new Error(result.reason || "Failed to resume saved game"));
+      }
+
+      return result;
+    } catch (err) {
+      console.error("Error resuming saved game:", err);
+      setError(err);
+      return { success: false, error: err };
+    } finally {
+      setIsInitializing(false);
+    }
+  }, []);
+
+  /**
+   * Save the current game to a named slot
+   * @param {string} name - Slot name
+   * @returns {Promise<Object>} Save result
+   */
+  const saveToSlot = useCallback(async (name) => {
+    try {
+      return await gameService.saveToSlot(name);
+    } catch (err) {
+      console.error("Error saving game to slot:", err);
+      return { success: false, error: err };
+    }
+  }, []);
+
   /**
    * Abandon current game and start a new one
    * @param {Object} options - Game options
@@ -186,7 +308,12 @@ const useGameService = () => {
     // Game functions
     initializeGame,
     startDailyChallenge,
+    startArchiveDaily,
+    startSharedPuzzle,
+    startCampaignPuzzle,
     continueGame,
+    resumeLocalSave,
+    saveToSlot,
     startNewGame,
     isDailyCompleted,
 
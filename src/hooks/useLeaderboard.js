@@ -13,7 +13,7 @@ const useLeaderboard = () => {
 
   // Leaderboard state
   const [leaderboardType, setLeaderboardType] = useState("scores"); // scores, streaks, personal
-  const [period, setPeriod] = useState("all-time"); // all-time, weekly
+  const [period, setPeriod] = useState("all-time"); // all-time, weekly, blitz
   const [streakType, setStreakType] = useState("win"); // win, noloss
   const [streakPeriod, setStreakPeriod] = useState("current"); // current, best
 
@@ -0,0 +1,154 @@
+// src/pages/Campaign.js - Pack browser for campaign mode
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { FaLock, FaPlay } from "react-icons/fa";
+import useSettingsStore from "../stores/settingsStore";
+import useAuthStore from "../stores/authStore";
+import useCampaignStore from "../stores/campaignStore";
+import {
+  MAX_STARS,
+  getPacks,
+  getPackSummary,
+  isPuzzleUnlocked,
+} from "../utils/campaign";
+import "../Styles/Campaign.css";
+
+// Filled and empty stars for a result
+const renderStars = (stars = 0) =>
+  "★".repeat(stars) + "☆".repeat(MAX_STARS - stars);
+
+const Campaign = () => {
+  const navigate = useNavigate();
+  const settings = useSettingsStore((state) => state.settings);
+  const isAuthenticated = useAuthStore((state) => state.isAuthenticated);
+  const progress = useCampaignStore((state) => state.progress);
+  const syncWithAccount = useCampaignStore((state) => state.syncWithAccount);
+
+  const packs = getPacks();
+  // Open the first pack that still has puzzles to play
+  const [openPackId, setOpenPackId] = useState(
+    () =>
+      (
+        packs.find(
+          (pack) => getPackSummary(pack, progress[pack.id]).nextIndex !== null,
+        ) || packs[0]
+      )?.id,
+  );
+
+  // Pick up progress made on other devices
+  useEffect(() => {
+    if (isAuthenticated) {
+      syncWithAccount();
+    }
+  }, [isAuthenticated, syncWithAccount]);
+
+  const playPuzzle = (packId, index) =>
+    navigate(`/campaign/${packId}/${index}`);
+
+  return (
+    <div
+      className={`App-container campaign ${settings?.theme === "dark" ? "dark-theme" : "light-theme"}`}
+    >
+      <div className="campaign-header">
+        <button
+          className="campaign-back"
+          onClick={() => navigate("/home")}
+          aria-label="Back to home"
+        >
+          &larr; Back
+        </button>
+        <h2>Campaign</h2>
+      </div>
+
+      <p className="campaign-intro">
+        Themed packs that get harder as you go. Solve a puzzle to unlock the
+        next, and earn up to {MAX_STARS} stars: one for solving it, one for no
+        mistakes and one for beating the par time. Progress is saved on this
+        device{isAuthenticated ? " and on your account" : ""}.
+      </p>
+
+      <div className="campaign-packs">
+        {packs.map((pack) => {
+          const packProgress = progress[pack.id] || {};
+          const summary = getPackSummary(pack, packProgress);
+          const isOpen = openPackId === pack.id;
+
+          return (
+            <div
+              key={pack.id}
+              className={`campaign-pack ${isOpen ? "open" : ""}`}
+            >
+              <button
+                className="campaign-pack-header"
+                onClick={() => setOpenPackId(isOpen ? null : pack.id)}
+                aria-expanded={isOpen}
+              >
+                <span className="campaign-pack-title">{pack.title}</span>
+                <span className="campaign-pack-stats">
+                  {summary.completed}/{summary.total} solved &middot; ★{" "}
+                  {summary.stars}/{summary.maxStars}
+                </span>
+                <span className="campaign-pack-description">
+                  {pack.description}
+                </span>
+                <span className="campaign-pack-bar">
+                  <span
+                    style={{
+                      width: `${(summary.completed / summary.total) * 100}%`,
+                    }}
+                  />
+                </span>
+              </button>
+
+              {isOpen && (
+                <>
+                  <div className="campaign-puzzles">
+                    {pack.puzzles.map((puzzle, index) => {
+                      const entry = packProgress[index];
+                      const unlocked = isPuzzleUnlocked(packProgress, index);
+
+                      return (
+                        <button
+                          key={index}
+                          className={`campaign-puzzle ${puzzle.difficulty} ${entry ? "solved" : ""}`}
+                          disabled={!unlocked}
+                          onClick={() => playPuzzle(pack.id, index)}
+                          title={
+                            unlocked
+                              ? `Puzzle ${index + 1} (${puzzle.difficulty})`
+                              : "Solve the previous puzzle to unlock"
+                          }
+                        >
+                          <span className="campaign-puzzle-number">
+                            {unlocked ? index + 1 : <FaLock />}
+                          </span>
+                          <span className="campaign-puzzle-stars">
+                            {entry
+                              ? renderStars(entry.stars)
+                              : puzzle.difficulty}
+                          </span>
+                        </button>
+                      );
+                    })}
+                  </div>
+
+                  {summary.nextIndex !== null && (
+                    <button
+                      className="campaign-continue"
+                      onClick={() => playPuzzle(pack.id, summary.nextIndex)}
+                    >
+                      <FaPlay /> {summary.completed ? "Continue" : "Start"}{" "}
+                      &ndash; Puzzle {summary.nextIndex + 1}
+                    </button>
+                  )}
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default Campaign;
@@ -0,0 +1,155 @@
+// src/pages/DailyArchive.js - Calendar of past daily challenges
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { FaChevronLeft, FaChevronRight } from "react-icons/fa";
+import useSettingsStore from "../stores/settingsStore";
+import useAuthStore from "../stores/authStore";
+import useDailyHistoryStore from "../stores/dailyHistoryStore";
+import {
+  ARCHIVE_DAYS,
+  DAILY_OUTCOMES,
+  addDays,
+  getDayOutcome,
+  getMonthWeeks,
+  getTodayString,
+  isArchiveDate,
+  shiftMonth,
+} from "../utils/dailyArchive";
+import "../Styles/DailyArchive.css";
+
+const WEEKDAYS = ["S", "M", "T", "W", "T", "F", "S"];
+
+// Hover text for a day on the calendar
+const describeDay = (dateString, result, outcome) => {
+  if (outcome === DAILY_OUTCOMES.COMPLETED) {
+    return `${dateString}: completed with ${result.mistakes || 0} mistakes${result.archive ? " (archive)" : ""}`;
+  }
+  if (outcome === DAILY_OUTCOMES.FAILED) {
+    return `${dateString}: failed`;
+  }
+  return `${dateString}: not played yet`;
+};
+
+const DailyArchive = () => {
+  const navigate = useNavigate();
+  const settings = useSettingsStore((state) => state.settings);
+  const isAuthenticated = useAuthStore((state) => state.isAuthenticated);
+  const results = useDailyHistoryStore((state) => state.results);
+  const loadMonth = useDailyHistoryStore((state) => state.loadMonth);
+
+  const today = getTodayString();
+  const currentMonth = today.slice(0, 7);
+  const firstMonth = addDays(today, -ARCHIVE_DAYS).slice(0, 7);
+  const [month, setMonth] = useState(currentMonth);
+
+  // Pick up results from the player's account for the month shown
+  useEffect(() => {
+    if (isAuthenticated) {
+      loadMonth(month);
+    }
+  }, [isAuthenticated, loadMonth, month]);
+
+  const weeks = getMonthWeeks(month);
+  const monthDays = weeks.flat().filter(Boolean);
+  const completedCount = monthDays.filter(
+    (day) => getDayOutcome(results, day) === DAILY_OUTCOMES.COMPLETED,
+  ).length;
+  const failedCount = monthDays.filter(
+    (day) => getDayOutcome(results, day) === DAILY_OUTCOMES.FAILED,
+  ).length;
+
+  const monthLabel = new Date(`${month}-01T00:00:00Z`).toLocaleDateString(
+    undefined,
+    { month: "long", year: "numeric", timeZone: "UTC" },
+  );
+
+  const handleDayClick = (dateString) => {
+    if (dateString === today) {
+      // Today's challenge is played as the real daily, streak and all
+      navigate("/", { state: { dailyChallenge: true } });
+    } else {
+      navigate(`/daily/archive/${dateString}`);
+    }
+  };
+
+  return (
+    <div
+      className={`App-container daily-archive ${settings?.theme === "dark" ? "dark-theme" : "light-theme"}`}
+    >
+      <div className="daily-archive-header">
+        <button
+          className="daily-archive-back"
+          onClick={() => navigate("/home")}
+          aria-label="Back to home"
+        >
+          &larr; Back
+        </button>
+        <h2>Daily Archive</h2>
+      </div>
+
+      <p className="daily-archive-intro">
+        Play any daily challenge from the past year. Archive plays are scored
+        separately, so they don't count towards your daily streak.
+      </p>
+
+      <div className="daily-archive-month">
+        <button
+          onClick={() => setMonth(shiftMonth(month, -1))}
+          disabled={month <= firstMonth}
+          aria-label="Previous month"
+        >
+          <FaChevronLeft />
+        </button>
+        <h3>{monthLabel}</h3>
+        <button
+          onClick={() => setMonth(shiftMonth(month, 1))}
+          disabled={month >= currentMonth}
+          aria-label="Next month"
+        >
+          <FaChevronRight />
+        </button>
+      </div>
+
+      <div className="daily-archive-calendar" role="grid">
+        {WEEKDAYS.map((weekday, index) => (
+          <span key={index} className="daily-archive-weekday">
+            {weekday}
+          </span>
+        ))}
+        {weeks.flat().map((dateString, index) => {
+          if (!dateString) {
+            return <span key={`empty-${index}`} />;
+          }
+
+          const outcome = getDayOutcome(results, dateString);
+          const playable =
+            dateString === today || isArchiveDate(dateString, today);
+
+          return (
+            <button
+              key={dateString}
+              className={`daily-archive-day ${outcome} ${dateString === today ? "today" : ""}`}
+              disabled={!playable}
+              onClick={() => handleDayClick(dateString)}
+              title={describeDay(dateString, results[dateString], outcome)}
+            >
+              {Number(dateString.slice(8))}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="daily-archive-summary">
+        {completedCount} completed &middot; {failedCount} failed this month
+      </div>
+
+      <div className="daily-archive-legend">
+        <span className="daily-archive-key completed">Completed</span>
+        <span className="daily-archive-key failed">Failed</span>
+        <span className="daily-archive-key unplayed">Unplayed</span>
+      </div>
+    </div>
+  );
+};
+
+export default DailyArchive;
@@ -6,6 +6,7 @@ import useSettingsStore from "../stores/settingsStore";
 import useAuthStore from "../stores/authStore";
 import HeaderControls from "../components/HeaderControls";
 import MatrixRainLoading from "../components/effects/MatrixRainLoading";
+import StreakFreezes from "../components/StreakFreezes";
 
 /**
  * Daily Challenge Page
@@ -114,6 +115,7 @@ const DailyChallenge = () => {
               density={50}
             />
           </div>
+          <StreakFreezes />
         </div>
       </div>
     );
@@ -147,6 +149,8 @@ const DailyChallenge = () => {
             </div>
           )}
 
+          <StreakFreezes showHistory />
+
           <div className="daily-actions">
             <button onClick={handleCustomGame}>Try a Custom Puzzle</button>
 
@@ -1,6 +1,12 @@
 // src/pages/Game.js - Improved with proper state management
-import React, { useState, useEffect, useCallback } from "react";
-import { useLocation } from "react-router-dom";
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from "react";
+import { useLocation, useParams } from "react-router-dom";
 
 // Import UI components
 import SlideMenu from "../components/SlideMenu";
@@ -10,20 +16,49 @@ import GameDashboard from "../components/GameDashboard";
 // Import stores and hooks
 import useGameStore from "../stores/gameStore";
 import useGameService from "../hooks/useGameService";
+import useAutoSave from "../hooks/useAutoSave";
 import useSettingsStore from "../stores/settingsStore";
+import useCampaignStore from "../stores/campaignStore";
+import useDailyHistoryStore from "../stores/dailyHistoryStore";
+import useStreakFreezeStore from "../stores/streakFreezeStore";
 import useUIStore from "../stores/uiStore";
 import useSound from "../services/WebAudioSoundManager";
+import offlineGameEngine from "../services/offlineGameEngine";
+import solverService from "../services/solverService";
 import useKeyboardInput from "../hooks/KeyboardController";
+import useBlitzTimer from "../hooks/useBlitzTimer";
 import MobileLayout from "../components/layout/MobileLayout";
 import WinCelebration from "../components/modals/WinCelebration";
 import MatrixRainLoading from "../components/effects/MatrixRainLoading";
 import TuneableTextDisplay from "../components/TuneableTextDisplay";
+import WordFinderPanel from "../components/WordFinderPanel";
+import FrequencyAnalysisPanel from "../components/FrequencyAnalysisPanel";
 import TutorialOverlay from "../components/TutorialOverlay";
+import SolvingWalkthrough from "../components/SolvingWalkthrough";
+import {
+  getHardcoreLevel,
+  getHintCost,
+  hasWordBreaks,
+} from "../utils/gameRules";
+import { buildWalkthrough } from "../utils/walkthrough";
+import { DEFAULT_LANGUAGE, getLetters } from "../utils/languages";
+import { getDigitSymbols } from "../utils/digits";
+import { getPuzzle } from "../utils/campaign";
+import { DAILY_OUTCOMES } from "../utils/dailyArchive";
 
 // Game component - the main gameplay screen
 const Game = () => {
   // React Router location for checking route params
   const location = useLocation();
+  const {
+    code: sharedPuzzleCode,
+    packId: campaignPackId,
+    puzzle: campaignPuzzle,
+    date: archiveDate,
+  } = useParams();
+
+  // Keep anonymous games in their local save slot after every move
+  useAutoSave();
 
   // Get game state from store - use specific selectors to avoid unnecessary rerenders
   // Get game state from store - use specific selectors to avoid unnecessary rerenders
@@ -46,8 +81,75 @@ const Game = () => {
   const hasLost = useGameStore((state) => state.hasLost);
   const winData = useGameStore((state) => state.winData);
   const hardcoreMode = useGameStore((state) => state.hardcoreMode);
+  const hardcoreLevel = useGameStore((state) => state.hardcoreLevel);
   const isResetting = useGameStore((state) => state.isResetting);
   const isDailyChallenge = useGameStore((state) => state.isDailyChallenge);
+  const isArchiveDaily = useGameStore((state) => state.isArchiveDaily);
+  const dailyDate = useGameStore((state) => state.dailyDate);
+  const isUnranked = useGameStore((state) => state.isUnranked);
+  const canUndo = useGameStore((state) => state.canUndo());
+  const canRedo = useGameStore((state) => state.canRedo());
+  const pencilMarks = useGameStore((state) => state.pencilMarks);
+  const isNotesMode = useGameStore((state) => state.isNotesMode);
+  const isCoachMode = useGameStore((state) => state.isCoachMode);
+  const localGame = useGameStore((state) => state.localGame);
+  const blitz = useGameStore((state) => state.blitz);
+  const pendingGuesses = useGameStore((state) => state.pendingGuesses);
+  const eliminatedLetters = useGameStore((state) => state.eliminatedLetters);
+  const authorInitials = useGameStore((state) => state.authorInitials);
+  const lastHint = useGameStore((state) => state.lastHint);
+  const solution = useGameStore((state) => state.solution);
+  const language = useGameStore((state) => state.language);
+  const campaign = useGameStore((state) => state.campaign);
+  const gameId = useGameStore((state) => state.gameId);
+
+  // Spaces only separate words at the lighter hardcore levels
+  const hasWords = hasWordBreaks(
+    getHardcoreLevel({ hardcoreMode, hardcoreLevel }),
+  );
+  // The walkthrough, word finder and coach all work from English words
+  const isEnglish = (language || DEFAULT_LANGUAGE) === DEFAULT_LANGUAGE;
+
+  // Walkthrough of how a lost game could have been solved - the step being
+  // shown, or null while the game over screen is up
+  const walkthroughSteps = useMemo(
+    () =>
+      hasLost && solution && isEnglish
+        ? buildWalkthrough(encrypted, solution, hasWords)
+        : [],
+    [hasLost, encrypted, solution, hasWords, isEnglish],
+  );
+  const isLocalGame = !!localGame;
+  useEffect(() => {
+    // Server games may not send the solution with the losing move
+    if (hasLost && !solution && !isLocalGame) {
+      useGameStore.getState().fetchSolution();
+    }
+  }, [hasLost, solution, isLocalGame]);
+  const [walkthroughIndex, setWalkthroughIndex] = useState(null);
+  useEffect(() => {
+    if (!hasLost) setWalkthroughIndex(null);
+  }, [hasLost]);
+  const walkthroughStep =
+    walkthroughIndex !== null ? walkthroughSteps[walkthroughIndex] : null;
+
+  // Custom difficulty games may hide letter frequency counts
+  const showFrequency = localGame?.custom?.showFrequency !== false;
+
+  // Cipher type and key progress of local games - null for server games
+  const cipherState = useMemo(
+    () => (localGame ? offlineGameEngine.getCipherState(localGame) : null),
+    [localGame],
+  );
+  const isKeyMode = cipherState?.guessMode === "key";
+  const isShiftMode = cipherState?.guessMode === "shift";
+
+  // Key letter selected in Vigenère games, which guess the key letter by letter
+  const [selectedKeyPosition, setSelectedKeyPosition] = useState(null);
+  const localGameId = localGame?.gameId;
+  useEffect(() => {
+    setSelectedKeyPosition(null);
+  }, [localGameId]);
   // Use our own loading state instead of relying on hasGameStarted
   const [gameDataLoaded, setGameDataLoaded] = useState(false);
 
@@ -56,8 +158,8 @@ const Game = () => {
     useGameStore.getState().handleEncryptedSelect(letter);
   }, []);
 
-  const getHint = useCallback(() => {
-    return useGameStore.getState().getHint();
+  const getHint = useCallback((type) => {
+    return useGameStore.getState().getHint(type);
   }, []);
 
   // Get settings from store
@@ -104,6 +206,9 @@ const Game = () => {
     isInitializing: isServiceInitializing,
     initializeGame,
     startDailyChallenge,
+    startArchiveDaily,
+    startSharedPuzzle,
+    startCampaignPuzzle,
     onEvent,
     events,
   } = useGameService();
@@ -117,16 +222,17 @@ const Game = () => {
   const [showDailyCompletionNotice, setShowDailyCompletionNotice] =
     useState(dailyCompleted);
 
+  // Missed days a streak freeze has just covered
+  const recentlyFrozen = useStreakFreezeStore((state) => state.recentlyCovered);
+  const dismissRecentlyFrozen = useStreakFreezeStore(
+    (state) => state.dismissRecentlyCovered,
+  );
+
   // Sound effects
   const { playSound } = useSound();
-  const handleSubmitGuess = useCallback(
-    async (encryptedLetter, guessedLetter) => {
-      // Submit the guess to the store
-      const result = await useGameStore
-        .getState()
-        .submitGuess(encryptedLetter, guessedLetter);
-
-      // Play appropriate sound based on result
+  // Play the sounds for the outcome of a guess
+  const playGuessSounds = useCallback(
+    (result) => {
       if (result && playSound) {
         if (result.isCorrect) {
           console.log("Playing 'correct' sound for correct guess");
@@ -147,9 +253,160 @@ const Game = () => {
     // Only playSound is used inside this function
     [playSound],
   );
+
+  const handleSubmitGuess = useCallback(
+    async (encryptedLetter, guessedLetter) => {
+      // Submit the guess to the store
+      const result = await useGameStore
+        .getState()
+        .submitGuess(encryptedLetter, guessedLetter);
+
+      // Play appropriate sound based on result
+      playGuessSounds(result);
+    },
+    [playGuessSounds],
+  );
+  // Guess a cipher key - a shift, a keyword, or one letter of a Vigenère key
+  const handleKeyGuess = useCallback(
+    (guess) => {
+      const result = useGameStore.getState().submitKeyGuess(guess);
+      playSound && playSound("keyclick");
+      playGuessSounds(result);
+      setSelectedKeyPosition(null);
+    },
+    [playGuessSounds, playSound],
+  );
+
   // Check if the game is active (not won or lost)
   const isGameActive = !hasWon && !hasLost && !isResetting;
 
+  // Blitz games are lost when the countdown reaches zero
+  const handleBlitzExpire = useCallback(() => {
+    if (useGameStore.getState().expireBlitz()) {
+      playSound && playSound("lose");
+    }
+  }, [playSound]);
+  const blitzRemaining = useBlitzTimer(
+    blitz?.deadline || null,
+    isGameActive,
+    handleBlitzExpire,
+  );
+
+  // Campaign wins earn stars and unlock the next puzzle in the pack
+  const [campaignResult, setCampaignResult] = useState(null);
+  useEffect(() => {
+    if (!campaign || !hasWon || campaignResult?.gameId === gameId) return;
+
+    const result = useCampaignStore
+      .getState()
+      .recordResult(campaign.packId, campaign.index, {
+        mistakes,
+        gameTimeSeconds:
+          winData?.gameTimeSeconds ||
+          Math.floor(
+            (Date.now() - (useGameStore.getState().startTime || Date.now())) /
+              1000,
+          ),
+      });
+    setCampaignResult(result && { ...result, gameId });
+  }, [campaign, hasWon, gameId, mistakes, winData, campaignResult]);
+
+  // Keep each daily's result for the archive calendar
+  const recordedDailyRef = useRef(null);
+  useEffect(() => {
+    if (
+      !isDailyChallenge ||
+      !dailyDate ||
+      recordedDailyRef.current === gameId
+    ) {
+      return;
+    }
+    // Wait for the score on wins
+    if (!hasLost && !(hasWon && winData)) return;
+
+    recordedDailyRef.current = gameId;
+    useDailyHistoryStore.getState().recordResult(dailyDate, {
+      outcome: hasWon ? DAILY_OUTCOMES.COMPLETED : DAILY_OUTCOMES.FAILED,
+      mistakes,
+      score: winData?.score || 0,
+      gameTimeSeconds: winData?.gameTimeSeconds || 0,
+      archive: isArchiveDaily,
+    });
+
+    // Today's win may take the streak to a freeze
+    if (hasWon && !isArchiveDaily) {
+      useStreakFreezeStore.getState().reconcile({ force: true });
+    }
+  }, [
+    isDailyChallenge,
+    isArchiveDaily,
+    dailyDate,
+    gameId,
+    hasWon,
+    hasLost,
+    winData,
+    mistakes,
+  ]);
+
+  // The word finder is off in ranked daily games, and needs English word
+  // breaks and a fixed letter mapping to work
+  const showWordFinder =
+    !(isDailyChallenge && !isUnranked) && hasWords && !isKeyMode && isEnglish;
+
+  // The coach is for English practice games, and needs a fixed letter mapping
+  const canCoach = isUnranked && !isKeyMode && !isShiftMode && isEnglish;
+  const coachLetter = useMemo(
+    () =>
+      canCoach && isCoachMode && isGameActive
+        ? solverService.suggestNextLetter(
+            hasWords ? encrypted : encrypted.replace(/\s/g, ""),
+            {
+              guessedMappings,
+              incorrectGuesses,
+              originalLetters,
+            },
+          )
+        : null,
+    [
+      canCoach,
+      isCoachMode,
+      isGameActive,
+      encrypted,
+      hasWords,
+      guessedMappings,
+      incorrectGuesses,
+      originalLetters,
+    ],
+  );
+
+  // Vigenère games select key positions rather than encrypted letters
+  const activeSelection = isKeyMode
+    ? selectedKeyPosition === null
+      ? null
+      : String(selectedKeyPosition)
+    : selectedEncrypted;
+
+  // Wrong key letters are recorded as "position:letter"
+  const activeIncorrectGuesses = useMemo(() => {
+    if (!isKeyMode) return incorrectGuesses;
+
+    const byPosition = {};
+    cipherState.incorrectKeyGuesses.forEach((label) => {
+      const [position, letter] = label.split(":");
+      byPosition[position] = [...(byPosition[position] || []), letter];
+    });
+    return byPosition;
+  }, [isKeyMode, cipherState, incorrectGuesses]);
+
+  // Letters whose guesses wait on the server without an optimistic result
+  const pendingLetters = useMemo(
+    () =>
+      pendingGuesses
+        .filter((pending) => !pending.optimistic)
+        .map((pending) => pending.encryptedLetter),
+    [pendingGuesses],
+  );
+
   // Toggle side menu - use useCallback to prevent unnecessary rerenders
   const toggleMenu = useCallback(() => {
     setMenuOpen((prev) => !prev);
@@ -158,17 +415,48 @@ const Game = () => {
   // Handle encrypted letter click - use useCallback for stability
   const handleEncryptedClick = useCallback(
     (letter) => {
+      if (isKeyMode) {
+        if (!isGameActive) return;
+        const position = letter === null ? null : Number(letter);
+        setSelectedKeyPosition((prev) => (prev === position ? null : position));
+        playSound && playSound("keyclick");
+        return;
+      }
+
       if (!isGameActive || correctlyGuessed.includes(letter)) return;
 
       handleEncryptedSelect(letter);
       playSound && playSound("keyclick");
     },
-    [isGameActive, correctlyGuessed, handleEncryptedSelect, playSound],
+    [
+      isKeyMode,
+      isGameActive,
+      correctlyGuessed,
+      handleEncryptedSelect,
+      playSound,
+    ],
   );
 
   // Handle guess click - use useCallback for stability
   const handleGuessClick = useCallback(
     (guessedLetter) => {
+      // Caesar games only take guesses at the shift
+      if (isShiftMode) return;
+
+      if (isKeyMode) {
+        if (!isGameActive || selectedKeyPosition === null) return;
+        const wrongLetters = activeIncorrectGuesses[selectedKeyPosition] || [];
+        if (wrongLetters.includes(guessedLetter)) {
+          playSound && playSound("keyclick");
+          return;
+        }
+        handleKeyGuess({
+          position: selectedKeyPosition,
+          letter: guessedLetter,
+        });
+        return;
+      }
+
       if (!isGameActive || !selectedEncrypted) return;
 
       // Check if this guess was already tried
@@ -177,6 +465,15 @@ const Game = () => {
         return;
       }
 
+      // In notes mode, pencil the letter in instead of guessing
+      if (isNotesMode) {
+        useGameStore
+          .getState()
+          .togglePencilMark(selectedEncrypted, guessedLetter);
+        playSound && playSound("keyclick");
+        return;
+      }
+
       // Play key click sound when submitting any guess
       playSound && playSound("keyclick");
 
@@ -187,40 +484,85 @@ const Game = () => {
       isGameActive,
       selectedEncrypted,
       incorrectGuesses,
+      isNotesMode,
+      isKeyMode,
+      isShiftMode,
+      selectedKeyPosition,
+      activeIncorrectGuesses,
+      handleKeyGuess,
       handleSubmitGuess,
       playSound,
     ],
   );
 
+  // Promote the selected letter's only pencil mark to a real guess
+  const handlePromoteMark = useCallback(async () => {
+    if (!isGameActive || !selectedEncrypted) return;
+
+    const result = await useGameStore
+      .getState()
+      .promotePencilMark(selectedEncrypted);
+
+    if (result.success) {
+      playGuessSounds(result);
+    }
+  }, [isGameActive, selectedEncrypted, playGuessSounds]);
+
+  const handleToggleNotes = useCallback(() => {
+    useGameStore.getState().toggleNotesMode();
+    playSound && playSound("keyclick");
+  }, [playSound]);
+
+  const handleToggleCoach = useCallback(() => {
+    useGameStore.getState().toggleCoachMode();
+    playSound && playSound("keyclick");
+  }, [playSound]);
+
   // Handle hint request - use useCallback for stability
-  const handleHintClick = useCallback(async () => {
-    if (!isGameActive || isHintInProgress) return;
+  const handleHintClick = useCallback(
+    async (type) => {
+      if (!isGameActive || isHintInProgress) return;
 
-    setIsHintInProgress(true);
-    setPendingHints((prev) => prev + 1);
+      setIsHintInProgress(true);
+      setPendingHints((prev) => prev + getHintCost(type));
 
-    try {
-      // Play click sound when button is pressed
-      playSound && playSound("keyclick");
+      try {
+        // Play click sound when button is pressed
+        playSound && playSound("keyclick");
 
-      // Get hint
-      const result = await getHint();
+        // Get hint of the chosen type
+        const result = await getHint(type);
 
-      // Add this line to play hint sound when successful
-      if (result && result.success) {
-        playSound && playSound("hint");
+        // Add this line to play hint sound when successful
+        if (result && result.success) {
+          playSound && playSound("hint");
+        }
+      } finally {
+        setIsHintInProgress(false);
+        setPendingHints(0);
       }
-    } finally {
-      setIsHintInProgress(false);
-      setPendingHints(0);
+    },
+    [isGameActive, isHintInProgress, getHint, playSound],
+  );
+
+  // Handle undo/redo of guesses and hints
+  const handleUndo = useCallback(() => {
+    if (useGameStore.getState().undo()) {
+      playSound && playSound("keyclick");
     }
-  }, [isGameActive, isHintInProgress, getHint, playSound]);
+  }, [playSound]);
+
+  const handleRedo = useCallback(() => {
+    if (useGameStore.getState().redo()) {
+      playSound && playSound("keyclick");
+    }
+  }, [playSound]);
 
   // Get all letters from encrypted text, sorted by setting preference
   const sortedEncryptedLetters = React.useMemo(() => {
     if (!encrypted) return [];
 
-    const uniqueLetters = [...new Set(encrypted.match(/[A-Z]/g) || [])];
+    const uniqueLetters = [...new Set(getLetters(encrypted))];
 
     // Default order - as they appear in the text
     if (!settings || settings.gridSorting === "default") {
@@ -231,6 +573,12 @@ const Game = () => {
     return [...uniqueLetters].sort();
   }, [encrypted, settings?.gridSorting]);
 
+  // Enciphered digits get a grid of their own, in the order they appear
+  const encryptedDigits = React.useMemo(
+    () => [...new Set(getDigitSymbols(encrypted))],
+    [encrypted],
+  );
+
   const [hasInitialized, setHasInitialized] = useState(false);
 
   //cleanup routine that runs when Game.js mounts
@@ -253,7 +601,35 @@ const Game = () => {
 
       try {
         // Check specific cases for initialization
-        if (dailyCompleted) {
+        if (sharedPuzzleCode) {
+          console.log("Opening shared puzzle link");
+          const result = await startSharedPuzzle(sharedPuzzleCode);
+          if (!result.success) {
+            console.warn("Invalid puzzle link - starting standard game");
+            await initializeGame();
+          }
+        } else if (campaignPackId) {
+          console.log(
+            `Opening campaign puzzle ${campaignPackId}/${campaignPuzzle}`,
+          );
+          const result = await startCampaignPuzzle(
+            campaignPackId,
+            Number(campaignPuzzle),
+          );
+          if (!result.success) {
+            console.warn(
+              "Campaign puzzle unavailable - starting standard game",
+            );
+            await initializeGame();
+          }
+        } else if (archiveDate) {
+          console.log(`Opening archived daily challenge for ${archiveDate}`);
+          const result = await startArchiveDaily(archiveDate);
+          if (!result.success) {
+            console.warn("Archived daily unavailable - starting standard game");
+            await initializeGame({ skipDailyCheck: true });
+          }
+        } else if (dailyCompleted) {
           console.log(
             "Daily challenge already completed - initializing standard game",
           );
@@ -272,7 +648,21 @@ const Game = () => {
     };
 
     performInitialization();
-  }, []);
+    // Later changes find hasInitialized set, so the game is only started once
+  }, [
+    hasInitialized,
+    sharedPuzzleCode,
+    campaignPackId,
+    campaignPuzzle,
+    archiveDate,
+    dailyCompleted,
+    isDailyFromRoute,
+    initializeGame,
+    startSharedPuzzle,
+    startCampaignPuzzle,
+    startArchiveDaily,
+    startDailyChallenge,
+  ]);
 
   // Listen for game initialized events from the service
   useEffect(() => {
@@ -340,21 +730,28 @@ const Game = () => {
     () => ({
       enabled: isGameActive,
       speedMode: settings?.speedMode !== undefined ? settings.speedMode : true,
-      encryptedLetters: sortedEncryptedLetters || [],
+      encryptedLetters: isKeyMode ? [] : sortedEncryptedLetters || [],
       originalLetters: originalLetters || [],
-      selectedEncrypted,
+      selectedEncrypted: activeSelection,
       onEncryptedSelect: handleEncryptedClick,
       onGuessSubmit: handleGuessClick,
+      onUndo: handleUndo,
+      onRedo: handleRedo,
+      onPromoteMark: handlePromoteMark,
       playSound,
     }),
     [
       isGameActive,
       settings?.speedMode,
+      isKeyMode,
       sortedEncryptedLetters,
       originalLetters,
-      selectedEncrypted,
+      activeSelection,
       handleEncryptedClick,
       handleGuessClick,
+      handleUndo,
+      handleRedo,
+      handlePromoteMark,
       playSound,
     ],
   );
@@ -386,16 +783,60 @@ const Game = () => {
         toggleMenu={toggleMenu}
         isDailyChallenge={isDailyChallenge}
         hardcoreMode={hardcoreMode}
+        hardcoreLevel={hardcoreLevel}
+        isUnranked={isUnranked}
+        blitzRemaining={blitzRemaining}
       />
 
       <SlideMenu isOpen={menuOpen} onClose={() => setMenuOpen(false)} />
 
       <TuneableTextDisplay
         encrypted={encrypted}
-        display={display}
+        display={walkthroughStep ? walkthroughStep.display : display}
         hardcoreMode={hardcoreMode}
+        hardcoreLevel={hardcoreLevel}
+        pencilMarks={walkthroughStep ? {} : pencilMarks}
+        lastHint={lastHint}
+        authorInitials={authorInitials}
+        walkthroughStep={
+          walkthroughStep && {
+            id: walkthroughIndex,
+            letters: walkthroughStep.letters,
+          }
+        }
       />
 
+      {walkthroughStep && (
+        <SolvingWalkthrough
+          steps={walkthroughSteps}
+          stepIndex={walkthroughIndex}
+          onStepChange={setWalkthroughIndex}
+          onClose={() => setWalkthroughIndex(null)}
+        />
+      )}
+
+      {showWordFinder && (
+        <WordFinderPanel
+          encrypted={encrypted}
+          selectedEncrypted={selectedEncrypted}
+          guessedMappings={guessedMappings}
+          incorrectGuesses={incorrectGuesses}
+        />
+      )}
+
+      {settings?.showFrequencyAnalysis && showFrequency && !isKeyMode && (
+        <FrequencyAnalysisPanel
+          encrypted={encrypted}
+          letterFrequency={letterFrequency}
+          selectedEncrypted={selectedEncrypted}
+          correctlyGuessed={correctlyGuessed}
+          onLetterSelect={handleEncryptedClick}
+          isGameActive={isGameActive}
+          language={language}
+          keepAccents={!!localGame?.keepAccents}
+        />
+      )}
+
       <GameDashboard
         mistakes={mistakes}
         maxMistakes={maxMistakes}
@@ -404,11 +845,13 @@ const Game = () => {
         disableHint={!isGameActive || isHintInProgress}
         isHintInProgress={isHintInProgress}
         sortedEncryptedLetters={sortedEncryptedLetters}
-        selectedEncrypted={selectedEncrypted}
+        encryptedDigits={encryptedDigits}
+        selectedEncrypted={activeSelection}
         correctlyGuessed={correctlyGuessed}
-        incorrectGuesses={incorrectGuesses}
+        incorrectGuesses={activeIncorrectGuesses}
+        pendingLetters={pendingLetters}
         lastCorrectGuess={lastCorrectGuess}
-        letterFrequency={letterFrequency}
+        letterFrequency={showFrequency ? letterFrequency : null}
         onEncryptedClick={handleEncryptedClick}
         isGameActive={isGameActive}
         originalLetters={originalLetters}
@@ -416,17 +859,34 @@ const Game = () => {
         onGuessClick={handleGuessClick}
         hasLost={hasLost}
         onStartNewGame={resetAndStartNewGame}
+        canUndo={canUndo}
+        canRedo={canRedo}
+        onUndo={handleUndo}
+        onRedo={handleRedo}
+        pencilMarks={pencilMarks}
+        eliminatedLetters={eliminatedLetters}
+        authorInitials={authorInitials}
+        isNotesMode={isNotesMode}
+        onToggleNotes={isKeyMode || isShiftMode ? undefined : handleToggleNotes}
+        coachLetter={coachLetter}
+        isCoachMode={isCoachMode}
+        onToggleCoach={canCoach ? handleToggleCoach : undefined}
+        onPromoteMark={handlePromoteMark}
+        cipherState={cipherState}
+        onKeyGuess={handleKeyGuess}
       />
 
-      {(hasWon || hasLost) && (
+      {(hasWon || hasLost) && !walkthroughStep && (
         <WinCelebration
           playSound={playSound}
           winData={{
             ...(winData || {}), // Use empty object as fallback if winData is null
             hasLost, // Explicitly pass hasLost flag
             hasWon, // Explicitly pass hasWon flag
+            isUnranked,
             encrypted,
             display,
+            solution,
             correctlyGuessed,
             mistakes,
             maxMistakes,
@@ -446,7 +906,20 @@ const Game = () => {
                     1000,
                 ),
             attribution: winData?.attribution || {},
+            gameId: useGameStore.getState().gameId,
+            timeExpired: !!blitz?.expired,
+            isArchiveDaily,
+            dailyDate,
+            campaign: campaign && {
+              ...campaign,
+              ...campaignResult,
+              hasNext: !!getPuzzle(campaign.packId, campaign.index + 1),
+            },
             onPlayAgain: resetAndStartNewGame, // Add the callback for the Play Again button
+            onShowWalkthrough:
+              walkthroughSteps.length > 0
+                ? () => setWalkthroughIndex(0)
+                : undefined,
           }}
         />
       )}
@@ -463,6 +936,21 @@ const Game = () => {
         </div>
       )}
 
+      {recentlyFrozen.length > 0 && (
+        <div className="daily-completion-notice">
+          <div className="notice-content">
+            <h3>Streak Frozen</h3>
+            <p>
+              {recentlyFrozen.length === 1
+                ? "A streak freeze covered the day you missed"
+                : `${recentlyFrozen.length} streak freezes covered the days you missed`}
+              , so your daily streak carries on.
+            </p>
+            <button onClick={dismissRecentlyFrozen}>Dismiss</button>
+          </div>
+        </div>
+      )}
+
       {showTutorial && <TutorialOverlay onComplete={handleTutorialComplete} />}
     </>
   );
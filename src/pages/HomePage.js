@@ -1,5 +1,5 @@
 // src/pages/HomePage.js - Updated daily challenge handling
-import React from "react";
+import React, { useState } from "react";
 import { useNavigate } from "react-router-dom";
 import {
   FaCalendarDay,
@@ -10,8 +10,11 @@ import {
   FaSignOutAlt,
   FaBookOpen,
   FaQuoteRight,
+  FaLayerGroup,
 } from "react-icons/fa";
 import useSettingsStore from "../stores/settingsStore";
+import QuoteCategoryPicker from "../components/QuoteCategoryPicker";
+import { formatQuoteCategories } from "../utils/quoteCategories";
 import useAuthStore from "../stores/authStore";
 import useUIStore from "../stores/uiStore";
 import useGameService from "../hooks/useGameService";
@@ -22,6 +25,8 @@ import useGameStore from "../stores/gameStore";
 const HomePage = () => {
   const navigate = useNavigate();
   const settings = useSettingsStore((state) => state.settings);
+  const updateSettings = useSettingsStore((state) => state.updateSettings);
+  const [showCategories, setShowCategories] = useState(false);
   const isAuthenticated = useAuthStore((state) => state.isAuthenticated);
   const { logout, startDailyChallenge, initializeGame, continueGame } =
     useGameService();
@@ -159,7 +164,7 @@ const HomePage = () => {
       <div className="home-content">
         <h1 className="retro-title">decodey</h1>
         <div
-          className={`home-menu ${isLandscape ? "landscape-grid" : ""} ${isAuthenticated ? "eight-items" : "seven-items"}`}
+          className={`home-menu ${isLandscape ? "landscape-grid" : ""} ${isAuthenticated ? "nine-items" : "eight-items"}`}
         >
           {/* Daily Challenge */}
           <button className="home-button daily" onClick={handleDailyChallenge}>
@@ -173,6 +178,15 @@ const HomePage = () => {
             <span>Custom Game</span>
           </button>
 
+          {/* Campaign packs */}
+          <button
+            className="home-button campaign"
+            onClick={() => navigate("/campaign")}
+          >
+            <FaLayerGroup className="button-icon" />
+            <span>Campaign</span>
+          </button>
+
           {/* Leaderboard */}
           <button
             className="home-button leaderboard"
@@ -220,6 +234,23 @@ const HomePage = () => {
           {/* No placeholder needed - grid will handle the layout */}
         </div>
 
+        {/* Quote categories for custom games */}
+        <div className="home-categories">
+          <button
+            className="home-categories-toggle"
+            onClick={() => setShowCategories((prev) => !prev)}
+            aria-expanded={showCategories}
+          >
+            Quotes: {formatQuoteCategories(settings?.quoteCategories) || "Any"}
+          </button>
+          {showCategories && (
+            <QuoteCategoryPicker
+              value={settings?.quoteCategories}
+              onChange={(ids) => updateSettings({ quoteCategories: ids })}
+            />
+          )}
+        </div>
+
         <div className="home-footer">
           <p>Break the code. Decrypt the quote.</p>
         </div>
@@ -8,6 +8,8 @@ import LeaderboardUI from "../components/LeaderboardUI";
 import "../Styles/Leaderboard.css";
 import SlideMenu from "../components/SlideMenu"; // Add SlideMenu import
 import CompactHeader from "../components/CompactHeader"; // Add CompactHeader import
+import DailyHeatmap from "../components/DailyHeatmap";
+import StreakFreezes from "../components/StreakFreezes";
 
 // Component for when data is loading
 // const LeaderboardLoading = ({ theme, type }) => {
@@ -131,6 +133,12 @@ function Leaderboard() {
               >
                 Weekly
               </button>
+              <button
+                className={`tab ${period === "blitz" ? "active" : ""}`}
+                onClick={() => handlePeriodChange("blitz")}
+              >
+                Blitz
+              </button>
             </div>
             <div style={{ width: "40px" }}></div> {/* Spacer for alignment */}
           </div>
@@ -705,8 +713,12 @@ function Leaderboard() {
               </span>
             </div>
           </div>
+          <StreakFreezes showHistory />
         </div>
 
+        {/* Daily challenge heatmap */}
+        <DailyHeatmap isAuthenticated={isAuthenticated} />
+
         {/* Top scores table */}
         {personalStats.top_scores && personalStats.top_scores.length > 0 && (
           <div className="top-performances">
@@ -0,0 +1,172 @@
+// src/pages/PuzzleCreator.js - Turn any text into a shareable puzzle link
+import React, { useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { FaCopy, FaPlay } from "react-icons/fa";
+import useSettingsStore from "../stores/settingsStore";
+import puzzleLinkService from "../services/puzzleLinkService";
+import solverService from "../services/solverService";
+import "../Styles/PuzzleCreator.css";
+
+const PuzzleCreator = () => {
+  const navigate = useNavigate();
+  const settings = useSettingsStore((state) => state.settings);
+
+  const [text, setText] = useState("");
+  const [attribution, setAttribution] = useState("");
+  // Shared links only carry the standard difficulties
+  const [difficulty, setDifficulty] = useState(
+    ["easy", "medium", "hard"].includes(settings?.difficulty)
+      ? settings.difficulty
+      : "medium",
+  );
+  const [code, setCode] = useState(null);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  // Any edit invalidates the link that was generated
+  const resetLink = () => {
+    setCode(null);
+    setCopied(false);
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+
+    const validationError = puzzleLinkService.validate(text, attribution);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setError(null);
+    setCopied(false);
+    setCode(puzzleLinkService.createCode({ text, attribution, difficulty }));
+  };
+
+  // The solver reads any substitution of the text the same way, so the
+  // plain text gives the same estimate as the puzzle itself
+  const estimate = useMemo(
+    () =>
+      puzzleLinkService.validate(text)
+        ? null
+        : solverService.estimateDifficulty(text.trim().toUpperCase()),
+    [text],
+  );
+
+  const shareUrl = code ? puzzleLinkService.getShareUrl(code) : "";
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      setCopied(true);
+    } catch (err) {
+      console.error("Could not copy puzzle link:", err);
+      setError("Couldn't copy automatically - select the link and copy it.");
+    }
+  };
+
+  return (
+    <div
+      className={`App-container puzzle-creator ${settings?.theme === "dark" ? "dark-theme" : "light-theme"}`}
+    >
+      <div className="puzzle-creator-header">
+        <button
+          className="puzzle-creator-back"
+          onClick={() => navigate("/")}
+          aria-label="Back to game"
+        >
+          &larr; Back
+        </button>
+        <h2>Create a Puzzle</h2>
+      </div>
+
+      <p className="puzzle-creator-intro">
+        Write a message, get a link, and send it to a friend. The puzzle is
+        enciphered in your browser and lives entirely in the link - nothing is
+        sent to our server, and games played from links are unranked.
+      </p>
+
+      <form className="puzzle-creator-form" onSubmit={handleCreate}>
+        <label htmlFor="puzzle-text">Text</label>
+        <textarea
+          id="puzzle-text"
+          value={text}
+          maxLength={puzzleLinkService.MAX_TEXT_LENGTH}
+          rows={4}
+          placeholder="Type or paste the text to encipher"
+          onChange={(e) => {
+            setText(e.target.value);
+            resetLink();
+          }}
+        />
+        <span className="puzzle-creator-count">
+          {text.length}/{puzzleLinkService.MAX_TEXT_LENGTH}
+        </span>
+        {estimate && (
+          <span
+            className={`puzzle-creator-estimate estimate-${estimate.level}`}
+            title="How hard the solver found it to crack on its own"
+          >
+            Estimated puzzle difficulty: {estimate.level.toUpperCase()} (
+            {estimate.score}/100)
+          </span>
+        )}
+
+        <label htmlFor="puzzle-attribution">Attribution (optional)</label>
+        <input
+          id="puzzle-attribution"
+          type="text"
+          value={attribution}
+          maxLength={puzzleLinkService.MAX_ATTRIBUTION_LENGTH}
+          placeholder="Who said it?"
+          onChange={(e) => {
+            setAttribution(e.target.value);
+            resetLink();
+          }}
+        />
+
+        <label htmlFor="puzzle-difficulty">Difficulty</label>
+        <select
+          id="puzzle-difficulty"
+          value={difficulty}
+          onChange={(e) => {
+            setDifficulty(e.target.value);
+            resetLink();
+          }}
+        >
+          <option value="easy">Easy (8 mistakes)</option>
+          <option value="medium">Medium (5 mistakes)</option>
+          <option value="hard">Hard (3 mistakes)</option>
+        </select>
+
+        {error && <p className="puzzle-creator-error">{error}</p>}
+
+        <button type="submit" className="puzzle-creator-submit">
+          Create Link
+        </button>
+      </form>
+
+      {code && (
+        <div className="puzzle-creator-result">
+          <input
+            type="text"
+            readOnly
+            value={shareUrl}
+            onFocus={(e) => e.target.select()}
+            aria-label="Puzzle link"
+          />
+          <div className="puzzle-creator-actions">
+            <button onClick={handleCopy}>
+              <FaCopy /> {copied ? "Copied!" : "Copy Link"}
+            </button>
+            <button onClick={() => navigate(`/puzzle/${code}`)}>
+              <FaPlay /> Play It
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PuzzleCreator;
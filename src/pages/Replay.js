@@ -0,0 +1,205 @@
+// src/pages/Replay.js - Step through a recorded game move by move
+import React, { useState, useEffect, useMemo } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import { FaPlay, FaPause, FaStepBackward, FaStepForward } from "react-icons/fa";
+import useSettingsStore from "../stores/settingsStore";
+import replayService from "../services/replayService";
+import TuneableTextDisplay from "../components/TuneableTextDisplay";
+import {
+  HARDCORE_LEVEL_LABELS,
+  HINT_TYPES,
+  getHardcoreLevel,
+} from "../utils/gameRules";
+import "../Styles/Replay.css";
+
+// Playback speeds offered in the controls
+const SPEEDS = [1, 2, 4, 8];
+
+// Longest real pause between moves before playback skips ahead (ms)
+const MAX_STEP_DELAY = 2000;
+
+// Format milliseconds as m:ss
+const formatTime = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+};
+
+// Describe a replay event for the status line
+const describeEvent = (event) => {
+  if (!event) return "Start";
+
+  const [, type, encryptedLetter, letter, correct] = event;
+  const { SELECT, GUESS, HINT, UNDO, REDO, KEY } = replayService.EVENT_TYPES;
+
+  switch (type) {
+    case SELECT:
+      return encryptedLetter ? `Selected ${encryptedLetter}` : "Deselected";
+    case GUESS:
+      return `Guessed ${encryptedLetter} → ${letter} (${correct ? "correct" : "wrong"})`;
+    case HINT: {
+      const { hintType, revealed } = replayService.parseHint(event);
+      const pairs = Object.entries(revealed).map(
+        ([cipherLetter, plainLetter]) => `${cipherLetter} → ${plainLetter}`,
+      );
+      if (pairs.length) return `Hint revealed ${pairs.join(", ")}`;
+      if (hintType === HINT_TYPES.ELIMINATE) return "Hint crossed off letters";
+      if (hintType === HINT_TYPES.INITIALS) return "Hint showed the initials";
+      return "Hint";
+    }
+    case KEY:
+      // Key events are [t, "k", guess, correct, display]
+      return encryptedLetter === "hint"
+        ? "Hint revealed a key letter"
+        : `Guessed key ${encryptedLetter} (${letter ? "correct" : "wrong"})`;
+    case UNDO:
+      return "Undo";
+    case REDO:
+      return "Redo";
+    default:
+      return "";
+  }
+};
+
+const Replay = () => {
+  const { gameId } = useParams();
+  const navigate = useNavigate();
+  const settings = useSettingsStore((state) => state.settings);
+
+  // Load the replay once for this game
+  const replay = useMemo(() => replayService.getReplay(gameId), [gameId]);
+  const frames = useMemo(() => replayService.buildFrames(replay), [replay]);
+
+  const [position, setPosition] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  const lastIndex = Math.max(frames.length - 1, 0);
+  const frame = frames[position];
+
+  // Advance playback using the real gaps between moves, scaled by speed
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    if (position >= lastIndex) {
+      setIsPlaying(false);
+      return;
+    }
+
+    const gap = frames[position + 1].t - frames[position].t;
+    const delay = Math.max(Math.min(gap, MAX_STEP_DELAY) / speed, 50);
+
+    const timer = setTimeout(() => {
+      setPosition((prev) => Math.min(prev + 1, lastIndex));
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [isPlaying, position, speed, frames, lastIndex]);
+
+  const togglePlay = () => {
+    // Restart from the beginning if playback already finished
+    if (!isPlaying && position >= lastIndex) {
+      setPosition(0);
+    }
+    setIsPlaying((prev) => !prev);
+  };
+
+  const step = (delta) => {
+    setIsPlaying(false);
+    setPosition((prev) => Math.min(Math.max(prev + delta, 0), lastIndex));
+  };
+
+  return (
+    <div
+      className={`App-container replay-page ${settings?.theme === "dark" ? "dark-theme" : "light-theme"}`}
+    >
+      <div className="replay-header">
+        <button
+          className="replay-back"
+          onClick={() => navigate("/")}
+          aria-label="Back to game"
+        >
+          &larr; Back
+        </button>
+        <h2>Replay</h2>
+      </div>
+
+      {!replay || !frame ? (
+        <p className="replay-empty">
+          No replay found for this game. Replays are kept on this device for
+          your most recent games.
+        </p>
+      ) : (
+        <>
+          <div className="replay-meta">
+            {replay.difficulty && <span>{replay.difficulty.toUpperCase()}</span>}
+            {replay.isDailyChallenge && <span>DAILY</span>}
+            {replay.hardcoreMode && (
+              <span>
+                {HARDCORE_LEVEL_LABELS[getHardcoreLevel(replay)].toUpperCase()}
+              </span>
+            )}
+            {replay.outcome && <span>{replay.outcome.toUpperCase()}</span>}
+          </div>
+
+          <TuneableTextDisplay
+            encrypted={replay.encrypted}
+            display={frame.display}
+            hardcoreMode={replay.hardcoreMode}
+            hardcoreLevel={replay.hardcoreLevel}
+          />
+
+          <div className="replay-status">
+            <span className="replay-event">{describeEvent(frame.event)}</span>
+            <span>
+              {formatTime(frame.t)} · Mistakes {frame.mistakes} · Move{" "}
+              {position}/{lastIndex}
+            </span>
+          </div>
+
+          <div className="replay-controls">
+            <button onClick={() => step(-1)} aria-label="Previous move">
+              <FaStepBackward />
+            </button>
+            <button
+              className="replay-play"
+              onClick={togglePlay}
+              aria-label={isPlaying ? "Pause" : "Play"}
+            >
+              {isPlaying ? <FaPause /> : <FaPlay />}
+            </button>
+            <button onClick={() => step(1)} aria-label="Next move">
+              <FaStepForward />
+            </button>
+
+            <div className="replay-speeds">
+              {SPEEDS.map((value) => (
+                <button
+                  key={value}
+                  className={speed === value ? "active" : ""}
+                  onClick={() => setSpeed(value)}
+                >
+                  {value}×
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <input
+            className="replay-scrubber"
+            type="range"
+            min={0}
+            max={lastIndex}
+            value={position}
+            onChange={(e) => {
+              setIsPlaying(false);
+              setPosition(Number(e.target.value));
+            }}
+            aria-label="Scrub through moves"
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Replay;
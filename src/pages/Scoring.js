@@ -1,6 +1,16 @@
 import React from "react";
 import { useNavigate } from "react-router-dom";
 import useSettingsStore from "../stores/settingsStore";
+import {
+  MAX_MISTAKES_MAP,
+  CUSTOM_LIMITS,
+  HIDDEN_FREQUENCY_MULTIPLIER,
+  HARDCORE_LEVELS,
+  HARDCORE_LEVEL_LABELS,
+  HARDCORE_MULTIPLIERS,
+  getCustomMultiplier,
+  isPartialHardcore,
+} from "../utils/gameRules";
 import "../Styles/About.css";
 import "../Styles/Privacy.css"; // Reusing Privacy.css styles
 import "../Styles/Scoring.css"; // Import specific styles for scoring page
@@ -34,9 +44,7 @@ const Scoring = () => {
           </p>
           <ul>
             <li>The difficulty level you've selected</li>
-            <li>
-              Whether you played in hardcore mode (no spaces or punctuation)
-            </li>
+            <li>The hardcore level you played at, if any</li>
             <li>The number of mistakes you made during the game</li>
             <li>The time you took to solve the puzzle</li>
           </ul>
@@ -55,14 +63,16 @@ const Scoring = () => {
           </p>
           <ul>
             <li>
-              <strong>Easy:</strong> 7 mistakes allowed, 1.0× multiplier
-              (baseline)
+              <strong>Easy:</strong> {MAX_MISTAKES_MAP.easy} mistakes allowed,
+              1.0× multiplier (baseline)
             </li>
             <li>
-              <strong>Medium:</strong> 4 mistakes allowed, 2.5× multiplier
+              <strong>Medium:</strong> {MAX_MISTAKES_MAP.medium} mistakes
+              allowed, 2.5× multiplier
             </li>
             <li>
-              <strong>Hard:</strong> 2 mistakes allowed, 6.25× multiplier
+              <strong>Hard:</strong> {MAX_MISTAKES_MAP.hard} mistakes allowed,
+              6.25× multiplier
             </li>
           </ul>
           <p>
@@ -80,23 +90,71 @@ const Scoring = () => {
           </p>
         </section>
 
+        <section className="privacy-section">
+          <h3>Custom Difficulty</h3>
+          <p>
+            The custom difficulty in Settings lets you choose your own mistake
+            allowance ({CUSTOM_LIMITS.minMistakes} to{" "}
+            {CUSTOM_LIMITS.maxMistakes}), quote length range, whether letter
+            frequency counts are shown, and whether spaces and punctuation are
+            kept. Presets can be saved and reloaded.
+          </p>
+          <p>
+            Custom games are generated on your device and are always unranked -
+            their score is shown but never submitted to the leaderboard. It uses
+            the same formula, with a difficulty multiplier that follows the
+            curve through the standard levels:
+          </p>
+          <ul>
+            {[
+              1,
+              MAX_MISTAKES_MAP.hard,
+              MAX_MISTAKES_MAP.medium,
+              MAX_MISTAKES_MAP.easy,
+              CUSTOM_LIMITS.maxMistakes,
+            ].map((maxMistakes) => (
+              <li key={maxMistakes}>
+                <strong>{maxMistakes} mistakes allowed:</strong>{" "}
+                {getCustomMultiplier({ maxMistakes })}× multiplier
+              </li>
+            ))}
+          </ul>
+          <p>
+            Hiding frequency counts multiplies this by{" "}
+            {HIDDEN_FREQUENCY_MULTIPLIER}×, and removing spaces and punctuation
+            earns the hardcore multiplier below. Quote length doesn't change the
+            score.
+          </p>
+        </section>
+
         <section className="privacy-section">
           <h3>Hardcore Mode</h3>
           <p>
-            Hardcore mode removes all spaces and punctuation from the encrypted
-            text, making pattern recognition significantly more challenging:
+            Hardcore mode strips the layout from the encrypted text, making
+            pattern recognition significantly more challenging. Each level has
+            its own multiplier:
           </p>
           <ul>
-            <li>
-              <strong>Regular Mode:</strong> 1.0× multiplier (baseline)
-            </li>
-            <li>
-              <strong>Hardcore Mode:</strong> 1.8× multiplier
-            </li>
+            {Object.values(HARDCORE_LEVELS).map((level) => (
+              <li key={level}>
+                <strong>
+                  {level === HARDCORE_LEVELS.OFF
+                    ? "Regular Mode"
+                    : HARDCORE_LEVEL_LABELS[level]}
+                  :
+                </strong>{" "}
+                {HARDCORE_MULTIPLIERS[level].toFixed(1)}× multiplier
+                {level === HARDCORE_LEVELS.OFF && " (baseline)"}
+                {isPartialHardcore(level) && " (unranked)"}
+              </li>
+            ))}
           </ul>
           <p>
-            The 1.8× multiplier represents the ~80% increase in difficulty when
-            spaces and punctuation are removed.
+            The full 1.8× multiplier represents the ~80% increase in difficulty
+            when spaces and punctuation are removed. 5-letter blocks strip as
+            much, but their regular gaps make the text easier to scan, so they
+            earn a little less. The in-between levels are generated on your
+            device and unranked, like custom games.
           </p>
         </section>
 
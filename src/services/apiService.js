@@ -7,6 +7,14 @@ import config from "../config";
 let isRefreshing = false;
 let refreshFailureTime = 0;
 
+// Game move retries - moves aren't idempotent, so only retry when the server
+// says it turned the request away without handling it. A missing response or
+// a gateway error may come after the move was applied, and sending it again
+// could count a second mistake.
+const MOVE_RETRIES = 2;
+const MOVE_RETRY_DELAY = 500; // ms, multiplied by the attempt number
+const RETRYABLE_STATUSES = [503];
+
 class ApiService {
   constructor() {
     // Create main API instance with default configuration
@@ -33,6 +41,9 @@ class ApiService {
     // Create event emitter for auth events
     this.events = new EventEmitter();
 
+    // Tail of the game move queue - guesses and hints run one at a time, in order
+    this.moveQueue = Promise.resolve();
+
     // Add response interceptor for token refresh
     this.api.interceptors.response.use(
       (response) => response,
@@ -114,6 +125,38 @@ class ApiService {
     return headers;
   }
 
+  /**
+   * Run a game move after every move queued before it has finished
+   * Keeps rapid guesses from reaching the server out of order, retrying
+   * moves the server turned away because it was briefly unavailable.
+   * @param {Function} request - Async function making the request
+   * @param {number} retries - How many times to retry a failed request
+   * @returns {Promise<*>} The request's result
+   */
+  enqueueMove(request, retries = MOVE_RETRIES) {
+    const run = async () => {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await request();
+        } catch (error) {
+          const status = error.response?.status;
+          const isRetryable = RETRYABLE_STATUSES.includes(status);
+          if (!isRetryable || attempt >= retries) throw error;
+
+          console.warn(`Move failed, retrying (attempt ${attempt + 1}/${retries})`);
+          await new Promise((resolve) =>
+            setTimeout(resolve, MOVE_RETRY_DELAY * (attempt + 1)),
+          );
+        }
+      }
+    };
+
+    const result = this.moveQueue.then(run, run);
+    // A failed move mustn't block the moves queued after it
+    this.moveQueue = result.catch(() => {});
+    return result;
+  }
+
   // ===== Auth Methods =====
 
   /**
@@ -454,6 +497,19 @@ class ApiService {
           queryParams.append("difficulty", difficulty);
           if (options.longText) queryParams.append("longText", "true");
           if (options.hardcoreMode) queryParams.append("hardcore", "true");
+          // Blitz games are timed, so the server ranks them separately - it
+          // also adds the bonus to its deadline for each correct guess
+          if (options.blitzSeconds) {
+            queryParams.append("blitz", String(options.blitzSeconds));
+            queryParams.append(
+              "blitz_bonus",
+              String(options.blitzBonusSeconds || 0),
+            );
+          }
+          // Quote categories and decades the player picked
+          if (options.categories?.length) {
+            queryParams.append("categories", options.categories.join(","));
+          }
           // Add backdoor flag if present in options
           if (options.backdoorMode) {
             queryParams.append("backdoor", "true");
@@ -517,7 +573,12 @@ class ApiService {
             console.log(`Game started with ID: ${response.data.game_id}`);
           }
 
-          return response.data;
+          // Remember the categories the game was started with if the server
+          // doesn't say which it used
+          return {
+            ...response.data,
+            categories: response.data.categories || options.categories || [],
+          };
         } catch (error) {
           // Simply rethrow the error - we'll handle it in the outer catch
           throw error;
@@ -545,9 +606,12 @@ class ApiService {
   /**
    * Start a daily challenge for the given date
    * @param {string} dateString Optional date string in YYYY-MM-DD format (defaults to today)
+   * @param {Object} options Optional settings
+   * @param {boolean} options.archive Whether this is a past day played from the
+   *   archive - scored separately so it doesn't count towards the daily streak
    * @returns {Promise<Object>} Game data
    */
-  async startDailyChallenge(dateString) {
+  async startDailyChallenge(dateString, options = {}) {
     try {
       // Explicitly clear any existing game ID from localStorage
       // This is crucial to prevent the continue game flow from triggering
@@ -570,7 +634,9 @@ class ApiService {
       );
 
       // Build the URL - must use /daily/YYYY-MM-DD format
-      const url = `/api/daily/${dateString}`;
+      const url = options.archive
+        ? `/api/daily/${dateString}?archive=true`
+        : `/api/daily/${dateString}`;
 
       // Check if we have a token (authenticated user)
       const token = this.getToken();
@@ -679,8 +745,10 @@ class ApiService {
         game_id: gameId,
       };
 
-      // Make the request
-      const response = await this.api.post("/api/guess", data);
+      // Queue the request so guesses reach the server in the order they were made
+      const response = await this.enqueueMove(() =>
+        this.api.post("/api/guess", data),
+      );
 
       // Log response if game is complete for debugging
       if (response.data.game_complete || response.data.hasWon) {
@@ -714,19 +782,30 @@ class ApiService {
   }
 
   /**
-   * Get a hint for the current game
-   * @returns {Promise<Object>} Hint data
+   * Get a hint for the current game. The server decides what the hint
+   * reveals and what it costs - the board and mistakes it sends back are used
+   * as they are.
+   * @param {string} hintType - Hint type, see HINT_TYPES in gameRules
+   * @param {string|null} encryptedLetter - Encrypted letter for targeted hints
+   * @returns {Promise<Object>} Hint data - eliminate hints add `eliminated`,
+   *   initials hints add `initials`
    */
-  async getHint() {
+  async getHint(hintType = "letter", encryptedLetter = null) {
     try {
       const gameId = this.getGameId();
-      console.log(`Requesting hint with game ID: ${gameId}`);
+      console.log(`Requesting ${hintType} hint with game ID: ${gameId}`);
 
       // Create request data
-      const data = { game_id: gameId };
+      const data = { game_id: gameId, hint_type: hintType };
+      if (encryptedLetter) {
+        data.encrypted_letter = encryptedLetter;
+      }
 
-      // Make the request
-      const response = await this.api.post("/api/hint", data);
+      // Queue behind pending guesses - hints cost a mistake, so never retry them
+      const response = await this.enqueueMove(
+        () => this.api.post("/api/hint", data),
+        0,
+      );
 
       // Log response if game is complete for debugging
       if (response.data.game_complete || response.data.hasWon) {
@@ -759,6 +838,53 @@ class ApiService {
     }
   }
 
+  /**
+   * Tell the server a blitz game's time has run out, so it ends the game as a
+   * loss and it can't be won by a later guess or after a reload. Queued behind
+   * the game's pending moves, which were made before time ran out.
+   * @returns {Promise<Object>} Result with success flag, and the solution if
+   *   the server sends it
+   */
+  async expireBlitz() {
+    try {
+      const gameId = this.getGameId();
+      console.log(`Reporting blitz expiry for game ID: ${gameId}`);
+
+      const response = await this.enqueueMove(() =>
+        this.api.post("/api/blitz-expired", { game_id: gameId }),
+      );
+
+      return { success: true, ...response.data };
+    } catch (error) {
+      console.error("Error reporting blitz expiry:", error);
+      return {
+        success: false,
+        error: error.message || "Error reporting blitz expiry",
+      };
+    }
+  }
+
+  /**
+   * Get the solution of the current game once it's been lost, for the
+   * post-game walkthrough - losing moves don't always send it. The server
+   * only gives it out for finished games.
+   * @returns {Promise<Object>} { solution }, or { error } if it isn't available
+   */
+  async getSolution() {
+    try {
+      const gameId = this.getGameId();
+      console.log(`Requesting solution for game ID: ${gameId}`);
+
+      const response = await this.api.get("/api/solution", {
+        params: { game_id: gameId },
+      });
+      return response.data || {};
+    } catch (error) {
+      console.error("Error getting solution:", error);
+      return { error: error.message || "Error getting solution" };
+    }
+  }
+
   /**
    * Abandon and reset the current game
    * @returns {Promise<boolean>} Success result
@@ -956,6 +1082,124 @@ class ApiService {
     }
   }
 
+  /**
+   * Get the player's daily challenge results
+   * @param {Object} range Either { month } in YYYY-MM format, or { from, to }
+   *   dates in YYYY-MM-DD format
+   * @returns {Promise<Object>} Result with success flag and days - results by
+   *   YYYY-MM-DD date, see utils/dailyArchive
+   */
+  async getDailyHistory(range) {
+    try {
+      // Anonymous players only have the results stored on this device
+      const token = this.getToken();
+      if (!token) {
+        return { success: false, anonymous: true, days: {} };
+      }
+
+      const response = await this.api.get("/api/daily-history", {
+        params: range,
+      });
+
+      return {
+        success: true,
+        days: response.data?.days || {},
+      };
+    } catch (error) {
+      console.error("Error getting daily history:", error);
+      return {
+        success: false,
+        auth_error: error.response?.status === 401,
+        days: {},
+      };
+    }
+  }
+
+  /**
+   * Get the campaign progress saved on the player's account
+   * @returns {Promise<Object>} Result with success flag and progress - see utils/campaign
+   */
+  async getCampaignProgress() {
+    try {
+      // Anonymous players only have the progress stored on this device
+      const token = this.getToken();
+      if (!token) {
+        return { success: false, anonymous: true, progress: {} };
+      }
+
+      const response = await this.api.get("/api/campaign-progress");
+
+      return {
+        success: true,
+        progress: response.data?.progress || {},
+      };
+    } catch (error) {
+      console.error("Error getting campaign progress:", error);
+      return {
+        success: false,
+        auth_error: error.response?.status === 401,
+        progress: {},
+      };
+    }
+  }
+
+  /**
+   * Save campaign progress to the player's account
+   * @param {Object} progress - Progress to save, see utils/campaign
+   * @returns {Promise<Object>} Result with success flag
+   */
+  async saveCampaignProgress(progress) {
+    try {
+      const token = this.getToken();
+      if (!token) {
+        return { success: false, anonymous: true };
+      }
+
+      await this.api.post("/api/campaign-progress", { progress });
+      return { success: true };
+    } catch (error) {
+      console.error("Error saving campaign progress:", error);
+      return {
+        success: false,
+        auth_error: error.response?.status === 401,
+      };
+    }
+  }
+
+  /**
+   * Bring the account's streak freezes up to date. The server decides which
+   * missed days to cover and whether a freeze has been earned, and counts
+   * frozen days as kept when working out current_daily_streak.
+   * @returns {Promise<Object>} Result with success flag, history, and the days
+   *   just covered (used) and day a freeze was earned on (earned) - see
+   *   utils/streakFreezes
+   */
+  async applyStreakFreezes() {
+    try {
+      // Anonymous players only have the freezes stored on this device
+      const token = this.getToken();
+      if (!token) {
+        return { success: false, anonymous: true, history: [] };
+      }
+
+      const response = await this.api.post("/api/streak-freezes/apply");
+
+      return {
+        success: true,
+        history: response.data?.history || [],
+        used: response.data?.used || [],
+        earned: response.data?.earned || null,
+      };
+    } catch (error) {
+      console.error("Error applying streak freezes:", error);
+      return {
+        success: false,
+        auth_error: error.response?.status === 401,
+        history: [],
+      };
+    }
+  }
+
   /**
    * Continue an existing saved game
    * @param {boolean} isDaily - Whether to continue daily challenge game
@@ -0,0 +1,222 @@
+// src/services/cipherService.js - Cipher definitions used by the offline puzzle engine
+import { DIGITS, DIGIT_SYMBOLS } from "../utils/digits";
+
+const ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+// Keywords used for keyword substitution and Vigenère keys
+const KEYWORDS = [
+  "CIPHER",
+  "ENIGMA",
+  "SECRET",
+  "PUZZLE",
+  "LEMON",
+  "QUILL",
+  "MORSE",
+  "RIDDLE",
+  "VAULT",
+  "CODEX",
+  "CASTLE",
+  "GARDEN",
+  "ORACLE",
+  "SPHINX",
+];
+
+/**
+ * Shift a letter along the alphabet, wrapping around
+ * @param {string} letter - Uppercase letter
+ * @param {number} shift - Positions to shift (may be negative)
+ * @returns {string} Shifted letter
+ */
+const shiftLetter = (letter, shift) =>
+  ALPHABET[(((ALPHABET.indexOf(letter) + shift) % 26) + 26) % 26];
+
+// Build a plaintext → cipher mapping from a cipher alphabet, 26 letters unless
+// the plain alphabet has accented letters of its own
+const mappingFromAlphabet = (cipherAlphabet, plainAlphabet = ALPHABET) => {
+  const cipherLetters = Array.from(cipherAlphabet);
+  const mapping = {};
+  Array.from(plainAlphabet).forEach((letter, index) => {
+    mapping[letter] = cipherLetters[index];
+  });
+  return mapping;
+};
+
+// Plain alphabet a shuffled key was made from - A-Z then any accented letters
+const plainAlphabetOf = (key) =>
+  ALPHABET +
+  Array.from(key)
+    .filter((letter) => !ALPHABET.includes(letter))
+    .sort()
+    .join("");
+
+// Encrypt text letter by letter with a monoalphabetic mapping
+const encryptWithMapping = (text, mapping) =>
+  Array.from(text)
+    .map((char) => mapping[char] || char)
+    .join("");
+
+// Pick a keyword from the list
+const pickKeyword = (random) => KEYWORDS[Math.floor(random() * KEYWORDS.length)];
+
+/**
+ * Cipher definitions.
+ * guessMode decides how the player attacks the puzzle:
+ *   "letter" - guess plaintext letters one encrypted letter at a time
+ *   "shift"  - guess the Caesar shift
+ *   "key"    - guess the key letter by letter (polyalphabetic)
+ * Monoalphabetic ciphers provide getMapping so letter guesses and hints work.
+ */
+const CIPHERS = {
+  substitution: {
+    id: "substitution",
+    name: "Substitution",
+    description: "Every letter is swapped for another at random.",
+    guessMode: "letter",
+    // Languages that keep accented letters pass a longer alphabet
+    createKey: (random, alphabet = ALPHABET) => {
+      const letters = Array.from(alphabet);
+      let shuffled;
+
+      // Re-shuffle until no letter maps to itself
+      do {
+        shuffled = [...letters];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+          const j = Math.floor(random() * (i + 1));
+          [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+      } while (shuffled.some((letter, index) => letter === letters[index]));
+
+      return shuffled.join("");
+    },
+    getMapping: (key) => mappingFromAlphabet(key, plainAlphabetOf(key)),
+  },
+
+  keyword: {
+    id: "keyword",
+    name: "Keyword",
+    description:
+      "The cipher alphabet starts with a secret keyword. Guess letters, or the keyword itself to solve it outright.",
+    guessMode: "letter",
+    acceptsKeyword: true,
+    createKey: pickKeyword,
+    getMapping: (keyword) => {
+      const start = [...new Set(keyword.split(""))];
+      const rest = ALPHABET.split("").filter((letter) => !start.includes(letter));
+      return mappingFromAlphabet([...start, ...rest].join(""));
+    },
+  },
+
+  caesar: {
+    id: "caesar",
+    name: "Caesar / ROT-N",
+    description: "Every letter is shifted the same distance along the alphabet. Guess the shift.",
+    guessMode: "shift",
+    createKey: (random) => 1 + Math.floor(random() * 25),
+    getMapping: (shift) =>
+      mappingFromAlphabet(
+        ALPHABET.split("")
+          .map((letter) => shiftLetter(letter, shift))
+          .join(""),
+      ),
+  },
+
+  atbash: {
+    id: "atbash",
+    name: "Atbash",
+    description:
+      "The alphabet is reversed (A↔Z, B↔Y...). Each correct guess also solves its mirror letter.",
+    guessMode: "letter",
+    // Atbash is its own inverse, so solving X→P also solves P→X
+    involution: true,
+    createKey: () => null,
+    getMapping: () => mappingFromAlphabet(ALPHABET.split("").reverse().join("")),
+  },
+
+  vigenere: {
+    id: "vigenere",
+    name: "Vigenère",
+    description:
+      "Each letter is shifted by the next letter of a repeating key. Guess the key one letter at a time.",
+    guessMode: "key",
+    createKey: pickKeyword,
+    encrypt: (text, key) => {
+      let letterIndex = 0;
+      return Array.from(text)
+        .map((char) => {
+          if (!/[A-Z]/.test(char)) return char;
+          const shift = ALPHABET.indexOf(key[letterIndex % key.length]);
+          letterIndex++;
+          return shiftLetter(char, shift);
+        })
+        .join("");
+    },
+  },
+};
+
+/**
+ * Cipher Service
+ * Registry of the cipher types the offline engine can generate
+ */
+const cipherService = {
+  ALPHABET,
+  DEFAULT_CIPHER: "substitution",
+
+  /**
+   * Get a cipher definition, falling back to simple substitution
+   * @param {string} id - Cipher ID
+   * @returns {Object} Cipher definition
+   */
+  getCipher(id) {
+    return CIPHERS[id] || CIPHERS.substitution;
+  },
+
+  /**
+   * List all available ciphers
+   * @returns {Array<Object>} Cipher definitions
+   */
+  listCiphers() {
+    return Object.values(CIPHERS);
+  },
+
+  /**
+   * Encrypt text with a cipher and key
+   * @param {string} id - Cipher ID
+   * @param {string} text - Uppercase plaintext
+   * @param {*} key - Key created by the cipher's createKey
+   * @returns {string} Encrypted text
+   */
+  encrypt(id, text, key) {
+    const cipher = this.getCipher(id);
+    if (cipher.encrypt) {
+      return cipher.encrypt(text, key);
+    }
+    return encryptWithMapping(text, cipher.getMapping(key));
+  },
+
+  /**
+   * Create a key for enciphering digits - a shuffle of the digit symbols,
+   * where the symbol at each index stands for that digit
+   * @param {Function} random - Random number generator
+   * @returns {string} Digit key
+   */
+  createDigitKey(random) {
+    const symbols = Array.from(DIGIT_SYMBOLS);
+    for (let i = symbols.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [symbols[i], symbols[j]] = [symbols[j], symbols[i]];
+    }
+    return symbols.join("");
+  },
+
+  /**
+   * Swap each digit in the text for its symbol
+   * @param {string} text - Text, usually already enciphered
+   * @param {string} digitKey - Key created by createDigitKey
+   * @returns {string} Text with enciphered digits
+   */
+  encryptDigits(text, digitKey) {
+    return encryptWithMapping(text, mappingFromAlphabet(digitKey, DIGITS));
+  },
+};
+
+export default cipherService;
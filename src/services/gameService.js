@@ -1,10 +1,21 @@
 // src/services/gameService.js - Improved with proper state management
 import apiService from "./apiService";
+import offlineGameEngine from "./offlineGameEngine";
+import puzzleLinkService from "./puzzleLinkService";
+import saveSlotService, { AUTOSAVE_SLOT } from "./saveSlotService";
+import tabSyncService from "./tabSyncService";
 import config from "../config";
 import EventEmitter from "events";
 import useGameStore from "../stores/gameStore";
 import useAuthStore from "../stores/authStore";
 import useSettingsStore from "../stores/settingsStore";
+import useCampaignStore from "../stores/campaignStore";
+import useStreakFreezeStore from "../stores/streakFreezeStore";
+import { getServerBlitzOptions } from "../utils/blitzUtils";
+import { requiresLocalGame } from "../utils/gameRules";
+import { normalizeQuoteCategories } from "../utils/quoteCategories";
+import { getPuzzle, getPuzzleSeed, isPuzzleUnlocked } from "../utils/campaign";
+import { isArchiveDate } from "../utils/dailyArchive";
 
 // Create a single event emitter for the entire service
 const events = new EventEmitter();
@@ -55,6 +66,7 @@ const gameService = {
     }
 
     isInitializing = true;
+    tabSyncService.setStarting(true);
     console.log("Initializing game with options:", options);
 
     try {
@@ -92,6 +104,13 @@ const gameService = {
 
       // Add backdoor flag to options
       options.backdoorMode = backdoorMode;
+      Object.assign(
+        options,
+        getServerBlitzOptions(useSettingsStore.getState().settings),
+      );
+      options.categories = normalizeQuoteCategories(
+        useSettingsStore.getState().settings?.quoteCategories,
+      );
       console.log(
         "Init status: authenticated:",
         isAuthenticated,
@@ -99,6 +118,16 @@ const gameService = {
         hasExistingGameId,
       );
 
+      // Join the game already open in another tab instead of starting a new one
+      if (!options.customGameRequested && !options.daily) {
+        const joinedOtherTab = await tabSyncService.requestState();
+        if (joinedOtherTab) {
+          console.log("Joined game open in another tab");
+          events.emit(this.events.GAME_INITIALIZED, { syncedFromTab: true });
+          return { success: true, syncedFromTab: true };
+        }
+      }
+
       // Handle explicit requests for daily challenge
       if (options.daily === true) {
         return await this.startDailyChallenge();
@@ -107,6 +136,19 @@ const gameService = {
       // IMPORTANT: For anonymous users, ALWAYS start with daily challenge
       // unless a custom game is explicitly requested
       if (!isAuthenticated && !options.customGameRequested) {
+        // Offer to resume games saved on this device first
+        const localSaves = await saveSlotService.listSaves();
+        if (localSaves.length > 0) {
+          console.log(`Found ${localSaves.length} local saves, emitting event`);
+          events.emit(this.events.ACTIVE_GAME_FOUND, {
+            hasActiveGame: true,
+            hasActiveDailyGame: false,
+            localSaves,
+          });
+
+          return { success: true, activeGameFound: true, localSaves };
+        }
+
         console.log(
           "Anonymous user - always starting with daily challenge regardless of existing ID",
         );
@@ -137,6 +179,20 @@ const gameService = {
         }
       }
 
+      // The server only generates English substitution ciphers at the standard
+      // difficulties - other ciphers, custom difficulties and other languages
+      // are played locally
+      const settings = useSettingsStore.getState().settings || {};
+      if (options.customGameRequested && requiresLocalGame(settings)) {
+        console.log(
+          `Starting local ${settings.cipherType} game (${settings.difficulty})`,
+        );
+        return this._startOfflineGame({
+          ...options,
+          cipherType: settings.cipherType,
+        });
+      }
+
       // Handle different initialization cases
       if (options.customGameRequested) {
         // For custom game requests (both anon and auth)
@@ -149,6 +205,7 @@ const gameService = {
 
         // FIXED: Update game store directly here instead of relying on component
         this._updateGameState(gameData, { isCustomGame: true });
+        useGameStore.getState().startBlitzClock();
 
         events.emit(this.events.GAME_INITIALIZED, {
           customGame: true,
@@ -213,6 +270,7 @@ const gameService = {
 
       // FIXED: Update game store directly
       this._updateGameState(gameData);
+      useGameStore.getState().startBlitzClock();
 
       events.emit(this.events.GAME_INITIALIZED, {
         newGame: true,
@@ -221,9 +279,17 @@ const gameService = {
 
       return { success: true, gameData };
     } catch (error) {
+      // If the API can't be reached, fall back to a local unranked game
+      if (offlineGameEngine.isNetworkError(error)) {
+        console.warn("API unreachable during initialization, playing offline");
+        return this._startOfflineGame(options);
+      }
+
       console.error("Error initializing game:", error);
       return { success: false, error };
     } finally {
+      tabSyncService.setStarting(false);
+
       // Add some delay before clearing the flag to avoid race conditions
       setTimeout(() => {
         isInitializing = false;
@@ -341,6 +407,10 @@ const gameService = {
         }
       }
 
+      // Cover any days missed since the last daily before the streak is
+      // worked out for this one
+      await useStreakFreezeStore.getState().reconcile();
+
       // Skip completion check if requested (speeds up loading and avoids CORS issues)
       const skipCompletionCheck = options.skipCompletionCheck === true;
 
@@ -415,11 +485,176 @@ const gameService = {
         throw new Error("Invalid response from daily challenge endpoint");
       }
     } catch (error) {
+      // Without the API the daily can't be ranked, so play a local puzzle
+      // seeded by today's date instead
+      if (offlineGameEngine.isNetworkError(error)) {
+        console.warn("API unreachable for daily challenge, playing offline");
+        const today = new Date().toISOString().split("T")[0];
+        return this._startOfflineGame({
+          seed: today,
+          difficulty: "easy",
+          cipherType: "substitution",
+          isDaily: true,
+          dailyDate: today,
+        });
+      }
+
       console.error("Error starting daily challenge:", error);
       return { success: false, error };
     }
   },
 
+  /**
+   * Start a past day's daily challenge from the archive
+   * Archive plays are scored separately, so they don't count towards the
+   * daily streak
+   * @param {string} dateString - Date of the challenge, YYYY-MM-DD
+   * @returns {Promise<Object>} Result with success flag
+   */
+  async startArchiveDaily(dateString) {
+    if (!isArchiveDate(dateString)) {
+      console.warn(`${dateString} isn't in the daily archive`);
+      return { success: false, reason: "not-in-archive" };
+    }
+
+    try {
+      console.log(`Starting archived daily challenge for ${dateString}`);
+      const gameData = await apiService.startDailyChallenge(dateString, {
+        archive: true,
+      });
+
+      if (gameData?.alreadyCompleted) {
+        return { ...gameData, success: false };
+      }
+      if (!gameData?.game_id) {
+        throw new Error("Invalid response from daily challenge endpoint");
+      }
+
+      useGameStore.getState().startDailyChallenge(gameData, {
+        archive: true,
+        date: dateString,
+      });
+
+      events.emit(this.events.GAME_INITIALIZED, {
+        daily: true,
+        archive: true,
+        gameData,
+      });
+
+      return { success: true, gameData, daily: true, archive: true };
+    } catch (error) {
+      // Offline, play the same local puzzle the day's offline daily used
+      if (offlineGameEngine.isNetworkError(error)) {
+        console.warn("API unreachable for archived daily, playing offline");
+        return this._startOfflineGame({
+          seed: dateString,
+          difficulty: "easy",
+          cipherType: "substitution",
+          isDaily: true,
+          dailyDate: dateString,
+          archive: true,
+        });
+      }
+
+      console.error("Error starting archived daily challenge:", error);
+      return { success: false, error };
+    }
+  },
+
+  /**
+   * Start a puzzle shared as a /puzzle/<code> link
+   * Shared puzzles are enciphered client-side and always unranked
+   * @param {string} code - Link code from puzzleLinkService
+   * @returns {Object} Result with success flag
+   */
+  startSharedPuzzle(code) {
+    const puzzle = puzzleLinkService.parseCode(code);
+    if (!puzzle) {
+      console.warn("Shared puzzle link could not be read");
+      return { success: false, reason: "invalid-link" };
+    }
+
+    console.log(`Starting shared puzzle (${puzzle.difficulty})`);
+    const settings = useSettingsStore.getState().settings || {};
+
+    return this._startOfflineGame({
+      quote: {
+        text: puzzle.text,
+        major_attribution: puzzle.attribution || "Anonymous",
+        minor_attribution: "",
+      },
+      seed: puzzle.seed,
+      difficulty: puzzle.difficulty,
+      hardcoreMode: settings.hardcoreMode,
+      cipherType: "substitution",
+    });
+  },
+
+  /**
+   * Start a puzzle from a campaign pack
+   * Campaign puzzles are bundled with the app, so they're played locally and
+   * seeded to give everyone the same cipher
+   * @param {string} packId - Pack id, see utils/campaign
+   * @param {number} index - Position of the puzzle in the pack
+   * @returns {Object} Result with success flag
+   */
+  startCampaignPuzzle(packId, index) {
+    const puzzle = getPuzzle(packId, index);
+    if (!puzzle) {
+      console.warn(`Campaign puzzle ${packId}/${index} not found`);
+      return { success: false, reason: "not-found" };
+    }
+
+    const packProgress = useCampaignStore.getState().progress[packId];
+    if (!isPuzzleUnlocked(packProgress, index)) {
+      console.warn(`Campaign puzzle ${packId}/${index} is still locked`);
+      return { success: false, reason: "locked" };
+    }
+
+    console.log(`Starting campaign puzzle ${packId}/${index}`);
+
+    return this._startOfflineGame({
+      quote: puzzle,
+      seed: getPuzzleSeed(packId, index),
+      difficulty: puzzle.difficulty,
+      hardcoreMode: false,
+      cipherType: "substitution",
+      campaign: { packId, index },
+    });
+  },
+
+  /**
+   * Start a locally generated game - PRIVATE METHOD used when the API is
+   * unreachable or a cipher type other than substitution is selected
+   * @private
+   * @param {Object} options - Game options passed on to the offline engine
+   * @returns {Object} Result with success and offline flags
+   */
+  _startOfflineGame(options = {}) {
+    const gameStore = useGameStore.getState();
+    const result = gameStore.startOfflineGame({
+      longText: options.longText,
+      difficulty: options.difficulty,
+      hardcoreMode: options.hardcoreMode,
+      seed: options.seed,
+      cipherType: options.cipherType,
+      categories: options.categories,
+      isDaily: options.isDaily,
+      dailyDate: options.dailyDate,
+      archive: options.archive,
+      quote: options.quote,
+      campaign: options.campaign,
+    });
+
+    events.emit(this.events.GAME_INITIALIZED, {
+      newGame: true,
+      offline: true,
+      gameId: result.gameId,
+    });
+
+    return { success: true, offline: true, gameId: result.gameId };
+  },
+
   /**
    * Check if today's daily challenge has been completed (auth users only)
    * @returns {Promise<Object>} Result with isCompleted flag
@@ -525,6 +760,65 @@ const gameService = {
     }
   },
 
+  /**
+   * Resume a game saved on this device (anonymous players)
+   * @param {string} slot - Save slot key
+   * @returns {Promise<Object>} Result with success flag
+   */
+  async resumeLocalSave(slot) {
+    const save = await saveSlotService.loadSave(slot);
+    if (!save) {
+      return { success: false, reason: "empty-slot" };
+    }
+
+    const restored = useGameStore.getState().restoreSave(save);
+    if (!restored) {
+      return { success: false, reason: "invalid-save" };
+    }
+
+    events.emit(this.events.GAME_INITIALIZED, {
+      resumed: true,
+      localSave: true,
+      gameId: save.game.gameId,
+    });
+
+    return { success: true, gameId: save.game.gameId };
+  },
+
+  /**
+   * Save the current game to a named slot - later moves autosave there too
+   * @param {string} name - Name for the slot
+   * @returns {Promise<Object>} Result with success flag
+   */
+  async saveToSlot(name) {
+    const trimmed = (name || "").trim();
+    const gameStore = useGameStore.getState();
+    const saveData = gameStore.getSaveData();
+
+    if (!trimmed || !saveData) {
+      return { success: false, reason: "nothing-to-save" };
+    }
+
+    const slot = await saveSlotService.getSlotForName(trimmed);
+    if (!slot) {
+      return { success: false, reason: "slots-full" };
+    }
+
+    const previousSlot = gameStore.saveSlot;
+    const saved = await saveSlotService.saveGame(slot, saveData, trimmed);
+    if (!saved) {
+      return { success: false, reason: "save-failed" };
+    }
+
+    // The game now lives in the named slot, so drop its autosave copy
+    if (previousSlot === AUTOSAVE_SLOT) {
+      await saveSlotService.deleteSave(AUTOSAVE_SLOT);
+    }
+    gameStore.setSaveSlot(slot, trimmed);
+
+    return { success: true, slot };
+  },
+
   /**
    * Abandon current game and start a new one
    * @param {Object} options - Game options
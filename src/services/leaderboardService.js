@@ -7,7 +7,7 @@ import apiService from "./apiService";
 class LeaderboardService {
   /**
    * Fetch main leaderboard data
-   * @param {string} period - Time period for leaderboard ('all-time' or 'weekly')
+   * @param {string} period - Leaderboard period ('all-time', 'weekly' or 'blitz' for timed games)
    * @param {number} page - Page number for pagination
    * @param {number} perPage - Number of entries per page
    * @returns {Promise<Object>} - Leaderboard data
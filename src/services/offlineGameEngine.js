@@ -0,0 +1,706 @@
+// src/services/offlineGameEngine.js - Client-side puzzle engine for offline play
+import quotes from "../data/quotes";
+import cipherService from "./cipherService";
+import {
+  BLOCK,
+  MAX_MISTAKES_MAP,
+  HINT_TYPES,
+  VOWELS,
+  ELIMINATE_COUNT,
+  getHintCost,
+  getInitials,
+  DIFFICULTY_MULTIPLIERS,
+  CUSTOM_DIFFICULTY,
+  normalizeCustomDifficulty,
+  getCustomMultiplier,
+  HARDCORE_LEVELS,
+  HARDCORE_MULTIPLIERS,
+  getHardcoreLevel,
+} from "../utils/gameRules";
+import {
+  matchesQuoteCategories,
+  normalizeQuoteCategories,
+} from "../utils/quoteCategories";
+import {
+  DEFAULT_LANGUAGE,
+  ACCENT_MODES,
+  LANGUAGES,
+  keepsAccents,
+  isLetter,
+  getLetters,
+  foldLetter,
+  normaliseText,
+  getAlphabet,
+} from "../utils/languages";
+import { DIGITS, isDigitSymbol, getDigitSymbols } from "../utils/digits";
+import { createRandom } from "../utils/random";
+
+/**
+ * Whether a quote counts as a "long" quote - matches the Settings description
+ * (over 65 characters and over 15 unique letters)
+ * @param {string} text Quote text
+ * @returns {boolean}
+ */
+const isLongQuote = (text) => {
+  const uniqueLetters = new Set(getLetters(normaliseText(text)));
+  return text.length > 65 && uniqueLetters.size > 15;
+};
+
+/**
+ * Quotes in a language and the picked categories. If no quote in the
+ * language fits the categories, any quote in the language is used.
+ * @param {string} language Language id, see LANGUAGES
+ * @param {Array<string>} categories Category and decade ids
+ * @returns {Array<Object>} Quote entries
+ */
+const getCorpus = (language, categories) => {
+  const inLanguage = quotes.filter(
+    (quote) => (quote.language || DEFAULT_LANGUAGE) === language,
+  );
+  const matching = inLanguage.filter((quote) =>
+    matchesQuoteCategories(quote, categories),
+  );
+  return matching.length > 0 ? matching : inLanguage;
+};
+
+/**
+ * Pick a quote from the bundled corpus
+ * @param {Array<Object>} corpus Quotes to pick from
+ * @param {boolean} longText Whether to prefer long quotes
+ * @param {Function} random Random number generator
+ * @returns {Object} Quote entry
+ */
+const pickQuote = (corpus, longText, random) => {
+  const candidates = corpus.filter((quote) => isLongQuote(quote.text) === longText);
+  const pool = candidates.length > 0 ? candidates : corpus;
+  return pool[Math.floor(random() * pool.length)];
+};
+
+/**
+ * Pick a quote whose length falls in a range, for custom difficulty games.
+ * If the corpus has nothing in range the closest quotes are used instead.
+ * @param {Array<Object>} corpus Quotes to pick from
+ * @param {number} minLength Shortest quote length in characters
+ * @param {number} maxLength Longest quote length in characters
+ * @param {Function} random Random number generator
+ * @returns {Object} Quote entry
+ */
+const pickQuoteInRange = (corpus, minLength, maxLength, random) => {
+  const distance = (quote) =>
+    Math.max(minLength - quote.text.length, quote.text.length - maxLength, 0);
+  const closest = Math.min(...corpus.map(distance));
+  const pool = corpus.filter((quote) => distance(quote) === closest);
+  return pool[Math.floor(random() * pool.length)];
+};
+
+/**
+ * Whether the game is solved key-position by key-position (polyalphabetic)
+ * rather than letter by letter
+ * @param {Object} game Offline game state
+ * @returns {boolean}
+ */
+const isKeyGame = (game) =>
+  cipherService.getCipher(game.cipherType).guessMode === "key";
+
+/**
+ * Build the display string for a game - solved letters are shown,
+ * unsolved letters are rendered as blocks
+ * @param {Object} game Offline game state
+ * @returns {string} Display text
+ */
+const buildDisplay = (game) => {
+  const keyGame = isKeyGame(game);
+  let letterIndex = 0;
+
+  return Array.from(game.encrypted)
+    .map((char, index) => {
+      if (!isLetter(char) && !isDigitSymbol(char)) return char;
+
+      // Polyalphabetic ciphers reveal every letter enciphered by a solved key letter
+      if (keyGame) {
+        const position = letterIndex++ % game.key.length;
+        return game.solvedKeyPositions.includes(position)
+          ? game.original[index]
+          : BLOCK;
+      }
+
+      return game.correctlyGuessed.includes(char)
+        ? game.reverseMapping[char]
+        : BLOCK;
+    })
+    .join("");
+};
+
+/**
+ * Whether every letter of the puzzle has been solved
+ * @param {Object} game Offline game state
+ * @returns {boolean}
+ */
+const isSolved = (game) => {
+  if (isKeyGame(game)) {
+    return game.solvedKeyPositions.length === game.key.length;
+  }
+  return getUniqueEncryptedLetters(game).every((letter) =>
+    game.correctlyGuessed.includes(letter),
+  );
+};
+
+/**
+ * Encrypted letters and digit symbols in a text - everything to be solved
+ * @param {string} encrypted Encrypted text
+ * @returns {Array<string>}
+ */
+const getCipherSymbols = (encrypted) => [
+  ...getLetters(encrypted),
+  ...getDigitSymbols(encrypted),
+];
+
+/**
+ * Unique encrypted letters in the puzzle, digit symbols included
+ * @param {Object} game Offline game state
+ * @returns {Array<string>}
+ */
+const getUniqueEncryptedLetters = (game) => [
+  ...new Set(getCipherSymbols(game.encrypted)),
+];
+
+/**
+ * Calculate a score using the published formula. Offline games are unranked,
+ * so this is informational only and never submitted.
+ * @param {Object} game Offline game state
+ * @param {number} gameTimeSeconds Time taken
+ * @returns {number}
+ */
+const calculateScore = (game, gameTimeSeconds) => {
+  const difficultyMultiplier =
+    game.difficulty === CUSTOM_DIFFICULTY
+      ? getCustomMultiplier(game.custom)
+      : DIFFICULTY_MULTIPLIERS[game.difficulty] || 1;
+  const hardcoreMultiplier = HARDCORE_MULTIPLIERS[getHardcoreLevel(game)];
+  const mistakeFactor = Math.exp(-0.15 * game.mistakes);
+  const timeFactor = Math.exp(-0.0008 * gameTimeSeconds);
+
+  return Math.round(
+    1000 * difficultyMultiplier * hardcoreMultiplier * mistakeFactor * timeFactor,
+  );
+};
+
+/**
+ * Shape the current game state like an API guess/hint response
+ * @param {Object} game Offline game state
+ * @param {Object} extra Extra response fields
+ * @returns {Object} API-compatible response data
+ */
+const buildResponse = (game, extra = {}) => {
+  const hasWon = game.mistakes < game.maxMistakes && isSolved(game);
+
+  const response = {
+    display: buildDisplay(game),
+    mistakes: game.mistakes,
+    correctly_guessed: [...game.correctlyGuessed],
+    incorrect_guesses: JSON.parse(JSON.stringify(game.incorrectGuesses)),
+    game_complete: hasWon,
+    hasWon,
+    offline: true,
+    ...extra,
+  };
+
+  // A lost game hands back the solution so it can be explained afterwards
+  if (game.mistakes >= game.maxMistakes) {
+    response.solution = game.original;
+  }
+
+  if (hasWon) {
+    const gameTimeSeconds = Math.floor((Date.now() - game.startTime) / 1000);
+    response.winData = {
+      score: calculateScore(game, gameTimeSeconds),
+      mistakes: game.mistakes,
+      maxMistakes: game.maxMistakes,
+      gameTimeSeconds,
+      rating: "Cryptanalyst",
+      hardcoreMode: game.hardcoreMode,
+      hardcoreLevel: getHardcoreLevel(game),
+      attribution: { ...game.attribution },
+      quoteCategories: game.categories || [],
+      unranked: true,
+      scoreStatus: {
+        recorded: false,
+        message: "Score not recorded - unranked game",
+      },
+    };
+  }
+
+  return response;
+};
+
+/**
+ * Check whether an error means the API could not be reached at all
+ * (network failure, timeout or server-side outage) rather than a normal
+ * error response
+ * @param {Error} error Error thrown by axios or fetch
+ * @returns {boolean}
+ */
+const isNetworkError = (error) => {
+  if (typeof navigator !== "undefined" && navigator.onLine === false) {
+    return true;
+  }
+  if (!error) return false;
+
+  // axios errors without a response never reached the server
+  if (error.isAxiosError && !error.response) return true;
+  if (["ERR_NETWORK", "ECONNABORTED", "ETIMEDOUT"].includes(error.code)) {
+    return true;
+  }
+
+  // Treat gateway/server outages the same way
+  if (error.response?.status >= 500) return true;
+
+  // fetch rejects with a TypeError on network failure; apiService rethrows
+  // non-OK fetch responses as "HTTP error <status>"
+  const message = error.message || "";
+  return (
+    /failed to fetch|network ?error|load failed/i.test(message) ||
+    /^HTTP error 5\d\d/.test(message)
+  );
+};
+
+/**
+ * Record a wrong guess - repeating a known wrong guess costs nothing
+ * @param {Object} game Offline game state
+ * @param {string} encryptedLetter Encrypted letter that was guessed
+ * @param {string} guess Guessed plaintext letter
+ * @returns {Object} Next game state
+ */
+const recordWrongGuess = (game, encryptedLetter, guess) => {
+  const previous = game.incorrectGuesses[encryptedLetter] || [];
+  if (previous.includes(guess)) return game;
+
+  return {
+    ...game,
+    incorrectGuesses: {
+      ...game.incorrectGuesses,
+      [encryptedLetter]: [...previous, guess],
+    },
+    mistakes: game.mistakes + 1,
+  };
+};
+
+/**
+ * Offline Game Engine
+ * Generates ciphers from the bundled corpus and validates guesses,
+ * hints, mistakes and wins locally. The engine keeps no state of its own: each
+ * call takes the current game state and returns the next state plus
+ * API-shaped response data, so the game store can hold the state alongside
+ * the rest of the game.
+ */
+const offlineGameEngine = {
+  isNetworkError,
+
+  /**
+   * Start a new offline game
+   * @param {Object} options Game options
+   * @param {boolean} options.longText Whether to use a long quote
+   * @param {string} options.difficulty Difficulty (easy/medium/hard)
+   * @param {boolean} options.hardcoreMode Whether hardcore mode is on
+   * @param {string} options.hardcoreLevel How much hardcore mode strips, see HARDCORE_LEVELS
+   * @param {string} options.seed Optional seed for a deterministic puzzle
+   * @param {Object} options.quote Optional quote to use instead of the corpus
+   * @param {string} options.cipherType Cipher to use, see cipherService
+   * @param {Object} options.custom Custom difficulty options, for the custom difficulty
+   * @param {Array<string>} options.categories Quote categories and decades to pick from
+   * @param {string} options.language Language of the quote, see LANGUAGES
+   * @param {string} options.accentMode Whether accented letters are folded or kept, see ACCENT_MODES
+   * @param {boolean} options.encipherDigits Whether digits are swapped for symbols too
+   * @returns {{game: Object, data: Object}} Game state and start response
+   */
+  startGame(options = {}) {
+    const custom =
+      options.difficulty === CUSTOM_DIFFICULTY
+        ? normalizeCustomDifficulty(options.custom)
+        : null;
+    const difficulty = custom
+      ? CUSTOM_DIFFICULTY
+      : ["easy", "medium", "hard"].includes(options.difficulty)
+        ? options.difficulty
+        : "medium";
+    // Custom games decide for themselves whether punctuation is kept
+    const hardcoreMode = custom
+      ? !custom.keepPunctuation
+      : !!options.hardcoreMode;
+    const hardcoreLevel = custom
+      ? hardcoreMode
+        ? HARDCORE_LEVELS.FULL
+        : HARDCORE_LEVELS.OFF
+      : getHardcoreLevel(options);
+    const random = createRandom(options.seed);
+    const categories = normalizeQuoteCategories(options.categories);
+    const language = LANGUAGES[options.language]
+      ? options.language
+      : DEFAULT_LANGUAGE;
+    const corpus = getCorpus(language, categories);
+    const quote =
+      options.quote ||
+      (custom
+        ? pickQuoteInRange(corpus, custom.minLength, custom.maxLength, random)
+        : pickQuote(corpus, !!options.longText, random));
+    const cipher = cipherService.getCipher(options.cipherType);
+    // Only the substitution cipher can shuffle accented letters of their own -
+    // the others work on the 26-letter alphabet, so accents are always folded
+    const keepAccents =
+      cipher.id === "substitution" &&
+      keepsAccents(language, options.accentMode || ACCENT_MODES.FOLD);
+    const original = normaliseText(quote.text, { language, keepAccents });
+    const key = keepAccents
+      ? cipher.createKey(random, getAlphabet(language, keepAccents))
+      : cipher.createKey(random);
+    // Digits can only be solved alongside letters, not through a key
+    const digitKey =
+      options.encipherDigits && cipher.guessMode === "letter"
+        ? cipherService.createDigitKey(random)
+        : null;
+    const lettersEncrypted = cipherService.encrypt(cipher.id, original, key);
+    const encrypted = digitKey
+      ? cipherService.encryptDigits(lettersEncrypted, digitKey)
+      : lettersEncrypted;
+
+    // Monoalphabetic ciphers can be solved letter by letter
+    const reverseMapping = {};
+    if (cipher.getMapping) {
+      Object.entries(cipher.getMapping(key)).forEach(([plain, cipherLetter]) => {
+        reverseMapping[cipherLetter] = plain;
+      });
+    }
+    // Digit symbols are solved the same way
+    if (digitKey) {
+      Array.from(digitKey).forEach((symbol, digit) => {
+        reverseMapping[symbol] = String(digit);
+      });
+    }
+
+    const idSuffix = Math.floor(random() * 0xffffffff)
+      .toString(16)
+      .padStart(8, "0");
+
+    const game = {
+      gameId: `${difficulty}${hardcoreMode ? "-hardcore" : ""}-offline-${idSuffix}`,
+      original,
+      encrypted,
+      cipherType: cipher.id,
+      key,
+      reverseMapping,
+      correctlyGuessed: [],
+      incorrectGuesses: {},
+      solvedKeyPositions: [],
+      incorrectKeyGuesses: [],
+      mistakes: 0,
+      maxMistakes: custom ? custom.maxMistakes : MAX_MISTAKES_MAP[difficulty],
+      difficulty,
+      custom,
+      hardcoreMode,
+      hardcoreLevel,
+      categories,
+      language,
+      keepAccents,
+      encipherDigits: !!digitKey,
+      startTime: Date.now(),
+      attribution: {
+        major_attribution: quote.major_attribution || "Unknown",
+        minor_attribution: quote.minor_attribution || "",
+        category: quote.category || null,
+      },
+    };
+
+    // Count letter frequency in the encrypted text, digit symbols included
+    const letterFrequency = {};
+    getCipherSymbols(encrypted).forEach((letter) => {
+      letterFrequency[letter] = (letterFrequency[letter] || 0) + 1;
+    });
+
+    const data = {
+      game_id: game.gameId,
+      encrypted_paragraph: encrypted,
+      display: buildDisplay(game),
+      letter_frequency: letterFrequency,
+      // Key letters can be anything, so key games guess from the full alphabet
+      original_letters:
+        cipher.guessMode === "key"
+          ? cipherService.ALPHABET.split("")
+          : [...new Set(getLetters(original))].sort(),
+      mistakes: 0,
+      max_mistakes: game.maxMistakes,
+      difficulty,
+      correctly_guessed: [],
+      categories,
+      language,
+      encipher_digits: !!digitKey,
+      is_anonymous: true,
+      offline: true,
+    };
+
+    return { game, data };
+  },
+
+  /**
+   * Describe the cipher of a game for the dashboard - never includes the key
+   * @param {Object} game Offline game state
+   * @returns {Object} Cipher type, guess mode and key-guess progress
+   */
+  getCipherState(game) {
+    const cipher = cipherService.getCipher(game.cipherType);
+    return {
+      type: cipher.id,
+      name: cipher.name,
+      description: cipher.description,
+      guessMode: cipher.guessMode,
+      acceptsKeyword: !!cipher.acceptsKeyword,
+      keyLength: cipher.guessMode === "key" ? game.key.length : null,
+      solvedKeyPositions: game.solvedKeyPositions || [],
+      // Only the solved letters of the key are exposed
+      solvedKeyLetters: (game.solvedKeyPositions || []).reduce(
+        (letters, position) => ({ ...letters, [position]: game.key[position] }),
+        {},
+      ),
+      incorrectKeyGuesses: game.incorrectKeyGuesses || [],
+    };
+  },
+
+  /**
+   * Validate a guess at the key itself: a Caesar shift, a keyword, or one
+   * letter of a Vigenère key
+   * @param {Object} game Current offline game state
+   * @param {number|string|Object} guess Shift, keyword, or {position, letter}
+   * @returns {{game: Object, data: Object}} Next state and guess response
+   */
+  submitKeyGuess(game, guess) {
+    const cipher = cipherService.getCipher(game.cipherType);
+    if (game.mistakes >= game.maxMistakes || isSolved(game)) {
+      return { game, data: buildResponse(game, { is_correct: false }) };
+    }
+
+    let isCorrect = false;
+    let guessLabel = "";
+    let solvedPosition = null;
+
+    if (cipher.guessMode === "shift") {
+      const shift = Number(guess);
+      isCorrect = shift === game.key;
+      guessLabel = String(shift);
+    } else if (cipher.guessMode === "key") {
+      const position = Number(guess?.position);
+      const letter = String(guess?.letter || "").toUpperCase();
+      const isValidPosition =
+        Number.isInteger(position) && position >= 0 && position < game.key.length;
+      if (!isValidPosition || game.solvedKeyPositions.includes(position)) {
+        return { game, data: buildResponse(game, { is_correct: false }) };
+      }
+      isCorrect = game.key[position] === letter;
+      guessLabel = `${position}:${letter}`;
+      solvedPosition = position;
+    } else if (cipher.acceptsKeyword) {
+      const keyword = normaliseText(String(guess || "")).replace(/[^A-Z]/g, "");
+      isCorrect = keyword === game.key;
+      guessLabel = keyword;
+    } else {
+      return { game, data: buildResponse(game, { is_correct: false }) };
+    }
+
+    let nextGame = { ...game };
+    if (isCorrect && cipher.guessMode === "key") {
+      nextGame.solvedKeyPositions = [...game.solvedKeyPositions, solvedPosition];
+    } else if (isCorrect) {
+      // The whole key is known, so every letter is solved
+      nextGame.correctlyGuessed = getUniqueEncryptedLetters(game);
+    } else if (!game.incorrectKeyGuesses.includes(guessLabel)) {
+      nextGame.incorrectKeyGuesses = [...game.incorrectKeyGuesses, guessLabel];
+      nextGame.mistakes = game.mistakes + 1;
+    }
+
+    return {
+      game: nextGame,
+      data: buildResponse(nextGame, { is_correct: isCorrect }),
+    };
+  },
+
+  /**
+   * Validate a guess against an offline game
+   * @param {Object} game Current offline game state
+   * @param {string} encryptedLetter Encrypted letter being guessed
+   * @param {string} guessedLetter Guessed plaintext letter
+   * @returns {{game: Object, data: Object}} Next state and guess response
+   */
+  submitGuess(game, encryptedLetter, guessedLetter) {
+    const encrypted = (encryptedLetter || "").toUpperCase();
+    const guess = (guessedLetter || "").toUpperCase();
+
+    // Ignore guesses once the game is over or for letters already solved
+    const isOver =
+      game.mistakes >= game.maxMistakes ||
+      buildResponse(game).hasWon ||
+      game.correctlyGuessed.includes(encrypted);
+    if (isOver || !(encrypted in game.reverseMapping)) {
+      return { game, data: buildResponse(game, { is_correct: false }) };
+    }
+
+    const isCorrect = game.reverseMapping[encrypted] === guess;
+    let nextGame = game;
+
+    if (isCorrect) {
+      const solved = [encrypted];
+
+      // For self-inverse ciphers the guessed letter's own cipher letter is solved too
+      const cipher = cipherService.getCipher(game.cipherType);
+      if (
+        cipher.involution &&
+        guess !== encrypted &&
+        game.encrypted.includes(guess) &&
+        !game.correctlyGuessed.includes(guess)
+      ) {
+        solved.push(guess);
+      }
+
+      nextGame = {
+        ...game,
+        correctlyGuessed: [...game.correctlyGuessed, ...solved],
+      };
+    } else {
+      nextGame = recordWrongGuess(game, encrypted, guess);
+    }
+
+    return {
+      game: nextGame,
+      data: buildResponse(nextGame, { is_correct: isCorrect }),
+    };
+  },
+
+  /**
+   * Give a hint at the cost of its type's mistake tokens
+   * Hints that can't be given (no vowels left, nothing selected...) cost
+   * nothing and come back as an error response.
+   * @param {Object} game Current offline game state
+   * @param {string} type Hint type, see HINT_TYPES in gameRules
+   * @param {string} letter Encrypted letter for targeted hints
+   * @returns {{game: Object, data: Object}} Next state and hint response
+   */
+  getHint(game, type = HINT_TYPES.LETTER, letter = null) {
+    if (game.mistakes >= game.maxMistakes || isSolved(game)) {
+      return { game, data: buildResponse(game) };
+    }
+
+    const cost = getHintCost(type);
+    const unavailable = (error) => ({ game, data: { error } });
+
+    // Key games reveal the first unsolved key letter
+    if (isKeyGame(game)) {
+      if (type !== HINT_TYPES.LETTER) {
+        return unavailable("Only letter hints work with this cipher");
+      }
+
+      const position = game.key
+        .split("")
+        .findIndex((_, index) => !game.solvedKeyPositions.includes(index));
+
+      const nextGame = {
+        ...game,
+        solvedKeyPositions: [...game.solvedKeyPositions, position],
+        mistakes: game.mistakes + cost,
+      };
+      return { game: nextGame, data: buildResponse(nextGame) };
+    }
+
+    if (type === HINT_TYPES.INITIALS) {
+      const nextGame = { ...game, mistakes: game.mistakes + cost };
+      return {
+        game: nextGame,
+        data: buildResponse(nextGame, {
+          initials: getInitials(game.attribution.major_attribution),
+        }),
+      };
+    }
+
+    const encrypted = (letter || "").toUpperCase();
+    const isUnsolved = (cipherLetter) =>
+      cipherLetter in game.reverseMapping &&
+      !game.correctlyGuessed.includes(cipherLetter);
+
+    if (type === HINT_TYPES.ELIMINATE) {
+      if (!isUnsolved(encrypted)) {
+        return unavailable("Select an unsolved letter first");
+      }
+
+      // Wrong letters from the puzzle that haven't been ruled out yet
+      const eliminated = game.eliminated || {};
+      const ruledOut = [
+        ...(game.incorrectGuesses[encrypted] || []),
+        ...(eliminated[encrypted] || []),
+      ];
+      // Enciphered digits are told apart from the other digits
+      const pool = isDigitSymbol(encrypted)
+        ? Array.from(DIGITS)
+        : [...new Set(getLetters(game.original))];
+      const candidates = pool.filter(
+        (plain) =>
+          plain !== game.reverseMapping[encrypted] && !ruledOut.includes(plain),
+      );
+      if (candidates.length === 0) {
+        return unavailable("No wrong letters left to remove");
+      }
+
+      const removed = candidates
+        .sort(() => Math.random() - 0.5)
+        .slice(0, ELIMINATE_COUNT);
+      const nextGame = {
+        ...game,
+        eliminated: {
+          ...eliminated,
+          [encrypted]: [...(eliminated[encrypted] || []), ...removed],
+        },
+        mistakes: game.mistakes + cost,
+      };
+      return {
+        game: nextGame,
+        data: buildResponse(nextGame, { eliminated: removed }),
+      };
+    }
+
+    // The remaining types reveal a letter - narrow down which ones qualify
+    let candidates = getUniqueEncryptedLetters(game).filter(isUnsolved);
+    if (type === HINT_TYPES.VOWEL) {
+      candidates = candidates.filter((cipherLetter) =>
+        // Accented vowels count as vowels too
+        VOWELS.includes(foldLetter(game.reverseMapping[cipherLetter])[0]),
+      );
+      if (candidates.length === 0) return unavailable("No vowels left to reveal");
+    } else if (type === HINT_TYPES.CHOSEN) {
+      candidates = candidates.filter((cipherLetter) => cipherLetter === encrypted);
+      if (candidates.length === 0) {
+        return unavailable("Select an unsolved letter first");
+      }
+    }
+
+    if (candidates.length === 0) {
+      return { game, data: buildResponse(game) };
+    }
+
+    let revealed;
+    if (type === HINT_TYPES.LETTER) {
+      revealed = candidates[Math.floor(Math.random() * candidates.length)];
+    } else {
+      // Reveal the most frequent qualifying letter
+      const counts = {};
+      getCipherSymbols(game.encrypted).forEach((cipherLetter) => {
+        counts[cipherLetter] = (counts[cipherLetter] || 0) + 1;
+      });
+      revealed = [...candidates].sort((a, b) => counts[b] - counts[a])[0];
+    }
+
+    const nextGame = {
+      ...game,
+      correctlyGuessed: [...game.correctlyGuessed, revealed],
+      mistakes: game.mistakes + cost,
+    };
+
+    return { game: nextGame, data: buildResponse(nextGame) };
+  },
+};
+
+export default offlineGameEngine;
@@ -0,0 +1,142 @@
+// src/services/puzzleLinkService.js - Packs custom puzzles into shareable links
+/**
+ * Puzzle Link Service
+ * A shared puzzle lives entirely in its URL: the text, attribution,
+ * difficulty and the seed used to encipher it are packed as base64url JSON,
+ * so friends opening the link get exactly the same cipher without any
+ * server involvement. The text and attribution are scrambled with the seed
+ * so the answer can't be read by decoding the link - anyone determined can
+ * still unscramble it, as the seed travels with it.
+ */
+import { createRandom } from "../utils/random";
+
+const LINK_VERSION = 2;
+// Links from before the text was scrambled - still opened, no longer made
+const PLAIN_LINK_VERSION = 1;
+const MAX_TEXT_LENGTH = 300;
+const MAX_ATTRIBUTION_LENGTH = 80;
+const MIN_UNIQUE_LETTERS = 3;
+const DIFFICULTIES = ["easy", "medium", "hard"];
+
+// Encode bytes as base64url
+const bytesToBase64Url = (bytes) => {
+  let binary = "";
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+
+// Decode a base64url string back to bytes
+const base64UrlToBytes = (code) => {
+  const base64 = code.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64);
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+// Encode a UTF-8 string as base64url
+const toBase64Url = (text) => bytesToBase64Url(new TextEncoder().encode(text));
+
+// Decode a base64url string back to UTF-8 text
+const fromBase64Url = (code) =>
+  new TextDecoder().decode(base64UrlToBytes(code));
+
+// XOR bytes with a keystream drawn from the seed - scrambling twice unscrambles
+const scramble = (bytes, seed) => {
+  const random = createRandom(`puzzle-link-${seed}`);
+  return bytes.map((byte) => byte ^ Math.floor(random() * 256));
+};
+
+const puzzleLinkService = {
+  MAX_TEXT_LENGTH,
+  MAX_ATTRIBUTION_LENGTH,
+
+  /**
+   * Check that puzzle text can be played
+   * @param {string} text - Puzzle text
+   * @param {string} attribution - Optional attribution
+   * @returns {string|null} Error message, or null if valid
+   */
+  validate(text, attribution = "") {
+    const trimmed = (text || "").trim();
+    if (!trimmed) return "Enter some text to encipher.";
+    if (trimmed.length > MAX_TEXT_LENGTH) {
+      return `Puzzles can be at most ${MAX_TEXT_LENGTH} characters.`;
+    }
+    if ((attribution || "").length > MAX_ATTRIBUTION_LENGTH) {
+      return `Attributions can be at most ${MAX_ATTRIBUTION_LENGTH} characters.`;
+    }
+
+    const letters = new Set(trimmed.toUpperCase().match(/[A-Z]/g) || []);
+    if (letters.size < MIN_UNIQUE_LETTERS) {
+      return `Use at least ${MIN_UNIQUE_LETTERS} different letters.`;
+    }
+    return null;
+  },
+
+  /**
+   * Pack a puzzle into a link code
+   * @param {Object} puzzle
+   * @param {string} puzzle.text - Puzzle text
+   * @param {string} puzzle.attribution - Optional attribution
+   * @param {string} puzzle.difficulty - easy, medium or hard
+   * @returns {string} Code for /puzzle/<code>
+   */
+  createCode({ text, attribution = "", difficulty = "medium" }) {
+    // The seed fixes the cipher so everyone with the link gets the same puzzle
+    const seed = Math.random().toString(36).slice(2, 10);
+    const content = JSON.stringify({ t: text.trim(), a: attribution.trim() });
+
+    const payload = {
+      v: LINK_VERSION,
+      d: DIFFICULTIES.includes(difficulty) ? difficulty : "medium",
+      s: seed,
+      x: bytesToBase64Url(scramble(new TextEncoder().encode(content), seed)),
+    };
+    return toBase64Url(JSON.stringify(payload));
+  },
+
+  /**
+   * Build the full shareable URL for a code
+   * @param {string} code - Link code
+   * @returns {string} URL
+   */
+  getShareUrl(code) {
+    return `${window.location.origin}/puzzle/${code}`;
+  },
+
+  /**
+   * Unpack a link code
+   * @param {string} code - Code from /puzzle/<code>
+   * @returns {Object|null} {text, attribution, difficulty, seed}, or null if the code is invalid
+   */
+  parseCode(code) {
+    try {
+      const payload = JSON.parse(fromBase64Url(code || ""));
+      const seed = String(payload.s || "");
+
+      let content;
+      if (payload.v === LINK_VERSION) {
+        const bytes = scramble(base64UrlToBytes(payload.x || ""), seed);
+        content = JSON.parse(new TextDecoder().decode(bytes));
+      } else if (payload.v === PLAIN_LINK_VERSION) {
+        content = payload;
+      } else {
+        return null;
+      }
+      if (this.validate(content.t, content.a)) return null;
+
+      return {
+        text: content.t,
+        attribution: content.a || "",
+        difficulty: DIFFICULTIES.includes(payload.d) ? payload.d : "medium",
+        seed,
+      };
+    } catch (error) {
+      console.warn("Invalid puzzle link:", error);
+      return null;
+    }
+  },
+};
+
+export default puzzleLinkService;
@@ -0,0 +1,209 @@
+// src/services/replayService.js - Stores compact move logs so games can be replayed
+import cipherService from "./cipherService";
+import { isLetter } from "../utils/languages";
+
+/**
+ * Replay Service
+ * Keeps a compact event log per game in localStorage and rebuilds the board
+ * at every step for the /replay/:gameId viewer.
+ *
+ * Events are stored as arrays to keep the log small:
+ *   [t, "s", encryptedLetter|null]             - selection change
+ *   [t, "g", encryptedLetter, guess, correct]  - guess (correct is 1 or 0)
+ *   [t, "h", hintType, revealed, cost]         - hint, where revealed maps
+ *                                                the encrypted letters it
+ *                                                solved to their letters
+ *   [t, "k", guess|"hint", correct, display]   - key guess or key hint in cipher games
+ *   [t, "u"] / [t, "r"]                         - undo / redo
+ * where t is milliseconds since the replay started.
+ */
+
+const STORAGE_KEY = "uncrypt-replays";
+const MAX_REPLAYS = 20;
+
+// Read all stored replays, keyed by game ID
+const readAll = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn("Could not read replays:", error);
+    return {};
+  }
+};
+
+// Replays saved before hints carried their type hold one event per letter
+// revealed - [t, "h", encryptedLetter, letter] - each costing one mistake
+const isLegacyHint = (event) => typeof event[3] === "string";
+
+// Build the display text for a set of solved mappings
+const buildDisplay = (encrypted, mapping) =>
+  Array.from(encrypted)
+    .map((char) => (isLetter(char) ? mapping[char] || "█" : char))
+    .join("");
+
+const replayService = {
+  EVENT_TYPES: {
+    SELECT: "s",
+    GUESS: "g",
+    HINT: "h",
+    UNDO: "u",
+    REDO: "r",
+    KEY: "k",
+  },
+
+  /**
+   * Read a hint event, including those from older replays
+   * @param {Array} event - Hint event
+   * @returns {Object} { hintType, revealed, cost } - hintType is null for
+   *   older replays, revealed maps encrypted letters to their letters
+   */
+  parseHint(event) {
+    if (isLegacyHint(event)) {
+      return { hintType: null, revealed: { [event[2]]: event[3] }, cost: 1 };
+    }
+
+    const [, , hintType, revealed, cost] = event;
+    return { hintType, revealed: revealed || {}, cost: cost || 0 };
+  },
+
+  /**
+   * Save or update the replay for a game
+   * @param {Object} replay - Replay data, must include gameId
+   */
+  saveReplay(replay) {
+    if (!replay || !replay.gameId) return;
+
+    try {
+      const replays = readAll();
+      replays[replay.gameId] = { ...replay, updatedAt: Date.now() };
+
+      // Keep only the most recent replays
+      const ids = Object.keys(replays).sort(
+        (a, b) => (replays[b].updatedAt || 0) - (replays[a].updatedAt || 0),
+      );
+      ids.slice(MAX_REPLAYS).forEach((id) => delete replays[id]);
+
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(replays));
+    } catch (error) {
+      console.warn("Could not save replay:", error);
+    }
+  },
+
+  /**
+   * Get the replay for a game
+   * @param {string} gameId - Game ID
+   * @returns {Object|null} Replay data or null if none is stored
+   */
+  getReplay(gameId) {
+    if (!gameId) return null;
+    return readAll()[gameId] || null;
+  },
+
+  /**
+   * Rebuild the board after every event of a replay
+   * @param {Object} replay - Replay data
+   * @returns {Array<Object>} Frames with display, selected, mistakes, t and event
+   */
+  buildFrames(replay) {
+    if (!replay || !replay.encrypted) return [];
+
+    const { SELECT, GUESS, HINT, UNDO, REDO, KEY } = this.EVENT_TYPES;
+    const { involution } = cipherService.getCipher(replay.cipherType);
+    let board = { mapping: {}, mistakes: 0, display: null };
+    const undone = [];
+    const history = [];
+    let selected = null;
+
+    const frames = [
+      {
+        t: 0,
+        event: null,
+        selected,
+        mistakes: 0,
+        display: buildDisplay(replay.encrypted, board.mapping),
+      },
+    ];
+
+    // Key events carry the whole board, letter events rebuild it from the mapping
+    const boardDisplay = () =>
+      board.display || buildDisplay(replay.encrypted, board.mapping);
+
+    (replay.events || []).forEach((event) => {
+      const [t, type, encryptedLetter, letter, correct] = event;
+
+      if (type === SELECT) {
+        selected = encryptedLetter || null;
+      } else if (type === GUESS || type === HINT) {
+        history.push(board);
+        undone.length = 0;
+
+        // Hints solve letters for a cost, guesses cost a mistake when wrong
+        const isCorrect = type === GUESS && correct === 1;
+        const { revealed, cost } =
+          type === HINT
+            ? this.parseHint(event)
+            : {
+                revealed: isCorrect ? { [encryptedLetter]: letter } : {},
+                cost: isCorrect ? 0 : 1,
+              };
+
+        const mapping = { ...board.mapping };
+        Object.entries(revealed).forEach(([cipherLetter, plainLetter]) => {
+          mapping[cipherLetter] = plainLetter;
+
+          // Self-inverse ciphers solve the mirror letter with the same guess
+          if (involution && replay.encrypted.includes(plainLetter)) {
+            mapping[plainLetter] = cipherLetter;
+          }
+        });
+
+        board = {
+          mapping,
+          mistakes: board.mistakes + cost,
+          display: null,
+        };
+        selected = null;
+      } else if (type === KEY) {
+        history.push(board);
+        undone.length = 0;
+
+        // Key hints and wrong key guesses cost a mistake
+        const [, , label, isCorrect, display] = event;
+        board = {
+          mapping: board.mapping,
+          mistakes:
+            label === "hint" || isCorrect !== 1
+              ? board.mistakes + 1
+              : board.mistakes,
+          display,
+        };
+        selected = null;
+      } else if (type === UNDO && history.length > 0) {
+        undone.push(board);
+        const previous = history.pop();
+
+        // Ranked games keep the mistake when a move is undone
+        board = {
+          mapping: previous.mapping,
+          mistakes: replay.isUnranked ? previous.mistakes : board.mistakes,
+          display: previous.display,
+        };
+      } else if (type === REDO && undone.length > 0) {
+        history.push(board);
+        board = undone.pop();
+      }
+
+      frames.push({
+        t,
+        event,
+        selected,
+        mistakes: board.mistakes,
+        display: boardDisplay(),
+      });
+    });
+
+    return frames;
+  },
+};
+
+export default replayService;
@@ -0,0 +1,48 @@
+// src/services/replayService.test.js
+import replayService from "./replayService";
+import { HINT_TYPES, getHintCost } from "../utils/gameRules";
+
+const { GUESS, HINT, UNDO } = replayService.EVENT_TYPES;
+
+// Mistakes shown after each event of a replay
+const mistakesAfter = (events, extra = {}) =>
+  replayService
+    .buildFrames({ encrypted: "XYZ", events, ...extra })
+    .map((frame) => frame.mistakes);
+
+describe("buildFrames", () => {
+  test("hints cost what the game charged for them", () => {
+    const eliminate = getHintCost(HINT_TYPES.ELIMINATE);
+    const chosen = getHintCost(HINT_TYPES.CHOSEN);
+
+    const frames = replayService.buildFrames({
+      encrypted: "XYZ",
+      events: [
+        [100, HINT, HINT_TYPES.ELIMINATE, {}, eliminate],
+        [200, HINT, HINT_TYPES.CHOSEN, { Y: "A" }, chosen],
+      ],
+    });
+
+    expect(frames.map((frame) => frame.mistakes)).toEqual([
+      0,
+      eliminate,
+      eliminate + chosen,
+    ]);
+    expect(frames[1].display).toBe("███");
+    expect(frames[2].display).toBe("█A█");
+  });
+
+  test("older replays count one mistake per revealed letter", () => {
+    expect(mistakesAfter([[100, HINT, "Y", "A"]])).toEqual([0, 1]);
+  });
+
+  test("ranked games keep the mistake when a move is undone", () => {
+    const events = [
+      [100, GUESS, "X", "Q", 0],
+      [200, UNDO],
+    ];
+
+    expect(mistakesAfter(events, { isUnranked: false })).toEqual([0, 1, 1]);
+    expect(mistakesAfter(events, { isUnranked: true })).toEqual([0, 1, 0]);
+  });
+});
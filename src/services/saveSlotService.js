@@ -0,0 +1,165 @@
+// src/services/saveSlotService.js - IndexedDB save slots for anonymous players
+/**
+ * Save Slot Service
+ * Anonymous games can't be continued through /api/continue, so their state
+ * is kept on this device instead. Every game autosaves to its slot after
+ * each move: the shared "autosave" slot by default, or a named slot once the
+ * player has saved the game there.
+ *
+ * Each record is { slot, name, savedAt, game } where game is the board
+ * state produced by the game store (see createSaveData in gameStore).
+ */
+import { getLetters } from "../utils/languages";
+
+const DB_NAME = "uncrypt-saves";
+const DB_VERSION = 1;
+const STORE_NAME = "slots";
+
+export const AUTOSAVE_SLOT = "autosave";
+export const MAX_NAMED_SLOTS = 3;
+
+// Reuse one connection for the lifetime of the page
+let dbPromise = null;
+
+// Open (and create if needed) the save database
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: "slot" });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a retry if opening failed
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+};
+
+// Run a single request against the slots store
+const runRequest = async (mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+};
+
+// Share of the puzzle's letters already revealed, as a percentage
+const getCompletion = (display = "") => {
+  const solved = getLetters(display).length;
+  const total = solved + (display.match(/█/g) || []).length;
+  return total ? (solved / total) * 100 : 0;
+};
+
+const saveSlotService = {
+  /**
+   * Save a game to a slot, replacing whatever was there
+   * @param {string} slot - Slot key
+   * @param {Object} game - Board state from the game store
+   * @param {string} name - Display name for the slot
+   * @returns {Promise<boolean>} Whether the save succeeded
+   */
+  async saveGame(slot, game, name = slot) {
+    if (!slot || !game?.gameId) return false;
+
+    try {
+      await runRequest("readwrite", (store) =>
+        store.put({ slot, name, savedAt: Date.now(), game }),
+      );
+      return true;
+    } catch (error) {
+      console.warn("Could not save game to slot:", error);
+      return false;
+    }
+  },
+
+  /**
+   * Load the save in a slot
+   * @param {string} slot - Slot key
+   * @returns {Promise<Object|null>} Save record or null if the slot is empty
+   */
+  async loadSave(slot) {
+    try {
+      return (await runRequest("readonly", (store) => store.get(slot))) || null;
+    } catch (error) {
+      console.warn("Could not load save slot:", error);
+      return null;
+    }
+  },
+
+  /**
+   * List all saves, most recent first, with a summary for the resume prompt
+   * @returns {Promise<Array>} Save records with summary fields added
+   */
+  async listSaves() {
+    try {
+      const saves = (await runRequest("readonly", (store) => store.getAll())) || [];
+      return saves
+        .map((save) => ({
+          ...save,
+          difficulty: save.game.difficulty,
+          isDailyChallenge: save.game.isDailyChallenge,
+          completion_percentage: getCompletion(save.game.display),
+          mistakes: save.game.mistakes,
+          max_mistakes: save.game.maxMistakes,
+          time_spent: Math.floor((save.game.elapsed || 0) / 1000),
+        }))
+        .sort((a, b) => b.savedAt - a.savedAt);
+    } catch (error) {
+      console.warn("Could not list save slots:", error);
+      return [];
+    }
+  },
+
+  /**
+   * Empty a slot
+   * @param {string} slot - Slot key
+   * @returns {Promise<boolean>} Whether the delete succeeded
+   */
+  async deleteSave(slot) {
+    try {
+      await runRequest("readwrite", (store) => store.delete(slot));
+      return true;
+    } catch (error) {
+      console.warn("Could not delete save slot:", error);
+      return false;
+    }
+  },
+
+  /**
+   * Find the slot key to use for a named save
+   * Reuses a slot with the same name, otherwise takes a new one if any are free
+   * @param {string} name - Name the player gave the slot
+   * @returns {Promise<string|null>} Slot key, or null when all named slots are taken
+   */
+  async getSlotForName(name) {
+    const trimmed = name.trim();
+    const named = (await this.listSaves()).filter(
+      (save) => save.slot !== AUTOSAVE_SLOT,
+    );
+
+    const existing = named.find(
+      (save) => save.name.toLowerCase() === trimmed.toLowerCase(),
+    );
+    if (existing) return existing.slot;
+    if (named.length >= MAX_NAMED_SLOTS) return null;
+
+    return `slot-${Date.now().toString(36)}`;
+  },
+};
+
+export default saveSlotService;
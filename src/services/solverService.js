@@ -0,0 +1,273 @@
+// src/services/solverService.js - Local cryptanalysis solver behind the coach
+import words from "../data/words";
+
+// Marks the edge of a word in n-grams
+const BOUNDARY = "_";
+
+const ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ".split("");
+
+// English letter frequencies, used as the prior for each cipher letter
+const LETTER_FREQUENCIES = {
+  E: 0.127,
+  T: 0.0906,
+  A: 0.0817,
+  O: 0.0751,
+  I: 0.0697,
+  N: 0.0675,
+  S: 0.0633,
+  H: 0.0609,
+  R: 0.0599,
+  D: 0.0425,
+  L: 0.0403,
+  C: 0.0278,
+  U: 0.0276,
+  M: 0.0241,
+  W: 0.0236,
+  F: 0.0223,
+  G: 0.0202,
+  Y: 0.0197,
+  P: 0.0193,
+  B: 0.0129,
+  V: 0.0098,
+  K: 0.0077,
+  J: 0.0015,
+  X: 0.0015,
+  Q: 0.001,
+  Z: 0.0007,
+};
+
+// Added to every n-gram count so unseen letter combinations stay possible
+const SMOOTHING = 0.002;
+
+// Puzzle difficulty bands for estimateDifficulty, by average solver doubt
+const DIFFICULTY_BANDS = [
+  { level: "easy", maxScore: 40 },
+  { level: "medium", maxScore: 60 },
+  { level: "hard", maxScore: 100 },
+];
+
+// N-gram counts, built from the word list on first use
+let ngrams = null;
+
+/**
+ * Count letter bigrams and trigrams in the bundled word list, including the
+ * word edges. The list runs from most to least common, so each word is
+ * weighted by its rank (Zipf's law) to approximate running text.
+ * @returns {Object} n-gram → weighted count
+ */
+const getNgrams = () => {
+  if (!ngrams) {
+    ngrams = {};
+    words.forEach((word, rank) => {
+      const weight = 1 / (rank + 1);
+      const padded = `${BOUNDARY}${word}${BOUNDARY}`;
+      for (let i = 1; i < padded.length; i++) {
+        const bigram = padded.slice(i - 1, i + 1);
+        ngrams[bigram] = (ngrams[bigram] || 0) + weight;
+        if (i >= 2) {
+          const trigram = padded.slice(i - 2, i + 1);
+          ngrams[trigram] = (ngrams[trigram] || 0) + weight;
+        }
+      }
+    });
+  }
+  return ngrams;
+};
+
+/**
+ * Split encrypted text into a list of cells - letters as they are, and a
+ * single boundary for each run of spaces and punctuation
+ * @param {string} encrypted - Encrypted text
+ * @returns {Array<string>}
+ */
+const tokenize = (encrypted = "") =>
+  `${BOUNDARY}${encrypted.replace(/[^A-Z]+/g, BOUNDARY)}${BOUNDARY}`
+    .replace(/_+/g, BOUNDARY)
+    .split("");
+
+/**
+ * Log-probability of each candidate filling the gap in an n-gram, given the
+ * letters around it
+ * @param {string} before - Known letters before the gap
+ * @param {string} after - Known letters after the gap
+ * @param {Array<string>} candidates - Letters that could fill it
+ * @returns {Object} candidate → log-probability
+ */
+const scoreGap = (before, after, candidates) => {
+  const counts = getNgrams();
+  const weights = ALPHABET.map(
+    (letter) => (counts[`${before}${letter}${after}`] || 0) + SMOOTHING,
+  );
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  return candidates.reduce((scores, letter) => {
+    scores[letter] = Math.log(weights[ALPHABET.indexOf(letter)] / total);
+    return scores;
+  }, {});
+};
+
+/**
+ * Plain letters an encrypted letter could still stand for
+ * @param {string} letter - Encrypted letter
+ * @param {Object} constraints - See rankLetters
+ * @returns {Array<string>}
+ */
+const getCandidates = (
+  letter,
+  { guessedMappings = {}, incorrectGuesses = {}, originalLetters = null },
+) => {
+  const used = new Set(Object.values(guessedMappings));
+  const wrong = incorrectGuesses[letter] || [];
+  return (originalLetters?.length ? originalLetters : ALPHABET).filter(
+    (candidate) => !used.has(candidate) && !wrong.includes(candidate),
+  );
+};
+
+/**
+ * Work out how likely each candidate is for one encrypted letter
+ * @param {Array<string>} cells - Tokenized text
+ * @param {string} letter - Encrypted letter
+ * @param {Array<string>} candidates - Plain letters it could stand for
+ * @param {Object} known - Solved encrypted → plain letters
+ * @returns {Array<Object>} { letter, probability }, most likely first
+ */
+const scoreLetter = (cells, letter, candidates, known) => {
+  const letterCount = cells.filter((cell) => cell !== BOUNDARY).length;
+  const count = cells.filter((cell) => cell === letter).length;
+
+  // How well the letter's frequency fits each candidate's usual frequency
+  const scores = {};
+  candidates.forEach((candidate) => {
+    const frequency = LETTER_FREQUENCIES[candidate];
+    scores[candidate] =
+      count * Math.log(frequency) +
+      (letterCount - count) * Math.log(1 - frequency);
+  });
+
+  // A neighbour can be read if it's solved or a word edge
+  const readNeighbour = (index) => {
+    const cell = cells[index];
+    if (cell === undefined || cell === BOUNDARY) return BOUNDARY;
+    if (cell === letter) return null;
+    return known[cell] || null;
+  };
+
+  cells.forEach((cell, index) => {
+    if (cell !== letter) return;
+
+    const left = readNeighbour(index - 1);
+    const right = readNeighbour(index + 1);
+    if (!left && !right) return;
+
+    // Use the widest known context around this occurrence
+    let context;
+    if (left && right) {
+      context = scoreGap(left, right, candidates);
+    } else if (left) {
+      const farLeft = left !== BOUNDARY ? readNeighbour(index - 2) : null;
+      context = scoreGap(`${farLeft || ""}${left}`, "", candidates);
+    } else {
+      const farRight = right !== BOUNDARY ? readNeighbour(index + 2) : null;
+      context = scoreGap("", `${right}${farRight || ""}`, candidates);
+    }
+    candidates.forEach((candidate) => {
+      scores[candidate] += context[candidate];
+    });
+  });
+
+  // Normalise into probabilities
+  const best = Math.max(...Object.values(scores));
+  const weights = candidates.map((candidate) =>
+    Math.exp(scores[candidate] - best),
+  );
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  return candidates
+    .map((candidate, i) => ({
+      letter: candidate,
+      probability: weights[i] / total,
+    }))
+    .sort((a, b) => b.probability - a.probability);
+};
+
+/**
+ * Solver Service
+ * Scores candidate letters with English letter n-grams, so the coach can
+ * point at the cipher letter that's easiest to crack next
+ */
+const solverService = {
+  /**
+   * Rank the unsolved encrypted letters by how sure the solver is of them
+   * @param {string} encrypted - Encrypted text
+   * @param {Object} constraints
+   * @param {Object} constraints.guessedMappings - Solved encrypted → plain letters
+   * @param {Object} constraints.incorrectGuesses - Encrypted letter → wrong guesses
+   * @param {Array<string>} constraints.originalLetters - Plain letters in the
+   *   puzzle, if known
+   * @returns {Array<Object>} { letter, confidence, candidates } for each
+   *   unsolved letter, easiest first - candidates are { letter, probability }
+   */
+  rankLetters(encrypted, constraints = {}) {
+    const cells = tokenize(encrypted);
+    const known = constraints.guessedMappings || {};
+    const unsolved = [
+      ...new Set(cells.filter((cell) => cell !== BOUNDARY && !known[cell])),
+    ];
+
+    return unsolved
+      .map((letter) => {
+        const candidates = getCandidates(letter, constraints);
+        if (candidates.length === 0) return null;
+
+        const scored = scoreLetter(cells, letter, candidates, known);
+        return {
+          letter,
+          confidence: scored[0].probability,
+          candidates: scored,
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.confidence - a.confidence);
+  },
+
+  /**
+   * Pick the encrypted letter that's easiest to crack next
+   * @param {string} encrypted - Encrypted text
+   * @param {Object} constraints - See rankLetters
+   * @returns {string|null} Encrypted letter, or null if nothing is left
+   */
+  suggestNextLetter(encrypted, constraints = {}) {
+    return this.rankLetters(encrypted, constraints)[0]?.letter || null;
+  },
+
+  /**
+   * Estimate how hard a puzzle is before play starts, by letting the solver
+   * crack it alone - always taking the letter it's surest of - and measuring
+   * how unsure it was along the way
+   * @param {string} encrypted - Encrypted text
+   * @returns {Object|null} { score, level } - score from 0 (trivial) to 100,
+   *   level is easy, medium or hard. Null for text without letters.
+   */
+  estimateDifficulty(encrypted) {
+    const guessedMappings = {};
+    const doubts = [];
+
+    for (;;) {
+      const [next] = this.rankLetters(encrypted, { guessedMappings });
+      if (!next) break;
+
+      doubts.push(1 - next.confidence);
+      guessedMappings[next.letter] = next.candidates[0].letter;
+    }
+
+    if (doubts.length === 0) return null;
+
+    const average =
+      doubts.reduce((sum, doubt) => sum + doubt, 0) / doubts.length;
+    const score = Math.round(average * 100);
+    const { level } = DIFFICULTY_BANDS.find((band) => score <= band.maxScore);
+    return { score, level };
+  },
+};
+
+export default solverService;
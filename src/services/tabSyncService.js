@@ -0,0 +1,324 @@
+// src/services/tabSyncService.js - Keeps the game identical across open tabs
+/**
+ * Tab Sync Service
+ * Broadcasts game store changes to other tabs over a BroadcastChannel so
+ * every open tab shows the same board, selection and win/loss state.
+ *
+ * To stop guesses racing each other against the API, one tab is elected
+ * leader with the Web Locks API. Other tabs forward guesses and hints to the
+ * leader, which runs them and broadcasts the resulting state. Browsers
+ * without Web Locks fall back to every tab running its own actions.
+ *
+ * Messages:
+ *   { type: "state", from, state }                 - synced store fields changed
+ *   { type: "request-state", from }                 - a new tab asks for the current game
+ *   { type: "no-state", from, starting }            - leader has no game yet, and whether it's starting one
+ *   { type: "action", from, id, action, args }      - follower forwards an action to the leader
+ *   { type: "result", from, to, id, result }        - leader replies with the action's result
+ */
+
+const CHANNEL_NAME = "uncrypt-game-sync";
+const LEADER_LOCK = "uncrypt-game-leader";
+
+// How long to wait for the leader to answer a forwarded action (ms)
+const FORWARD_TIMEOUT = 5000;
+// How long a new tab waits for the leader to answer a request for its game (ms)
+const STATE_REQUEST_TIMEOUT = 300;
+// How long a new tab waits for a game the leader is still starting (ms)
+const LEADER_START_TIMEOUT = 5000;
+
+// Store actions followers may ask the leader to run - anything else is ignored
+const FORWARDED_ACTIONS = ["submitGuess", "getHint", "undo", "redo"];
+
+// Store fields that describe the game and must match in every tab
+export const SYNCED_FIELDS = [
+  "encrypted",
+  "display",
+  "mistakes",
+  "correctlyGuessed",
+  "incorrectGuesses",
+  "guessedMappings",
+  "letterFrequency",
+  "originalLetters",
+  "selectedEncrypted",
+  "lastCorrectGuess",
+  "startTime",
+  "completionTime",
+  "gameId",
+  "hasGameStarted",
+  "hasWon",
+  "winData",
+  "hasLost",
+  "solution",
+  "hardcoreMode",
+  "hardcoreLevel",
+  "quoteCategories",
+  "language",
+  "campaign",
+  "difficulty",
+  "maxMistakes",
+  "isDailyChallenge",
+  "dailyDate",
+  "isArchiveDaily",
+  "localGame",
+  "isUnranked",
+  "pencilMarks",
+  "eliminatedLetters",
+  "authorInitials",
+  "lastHint",
+  "blitz",
+];
+
+// Undo history - only the tab running the actions keeps it in full. Other
+// tabs get the latest entry of each, enough to show whether undo and redo are
+// available, and forward undo and redo to the leader.
+const HISTORY_FIELDS = ["undoStack", "redoStack"];
+
+const tabId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+let channel = null;
+let store = null;
+let isLeader = false;
+let hasLeaderElection = false;
+let applyingRemoteState = false;
+let isStarting = false;
+let nextRequestId = 0;
+
+// Forwarded actions waiting for the leader's reply, keyed by request ID
+const pendingRequests = new Map();
+// Tabs waiting for another tab's game state - { done, wait }
+const stateWaiters = new Set();
+
+// Pick the synced fields out of a store state
+const pickSyncedState = (state) => {
+  const synced = SYNCED_FIELDS.reduce((picked, field) => {
+    picked[field] = state[field];
+    return picked;
+  }, {});
+
+  // Without a leader every tab undoes for itself, so needs the whole history
+  HISTORY_FIELDS.forEach((field) => {
+    synced[field] = hasLeaderElection
+      ? (state[field] || []).slice(-1)
+      : state[field];
+  });
+  return synced;
+};
+
+// Post a message, ignoring tabs that closed the channel
+const post = (message) => {
+  try {
+    channel.postMessage({ ...message, from: tabId });
+  } catch (error) {
+    console.warn("Could not broadcast to other tabs:", error);
+  }
+};
+
+// Apply state from another tab without echoing it back
+const applyRemoteState = (state) => {
+  // The leader's own undo history is the full one - keep it
+  const nextState = { ...state };
+  if (isLeader) {
+    HISTORY_FIELDS.forEach((field) => delete nextState[field]);
+  }
+
+  applyingRemoteState = true;
+  try {
+    store.setState(nextState);
+  } finally {
+    applyingRemoteState = false;
+  }
+};
+
+// Results must survive structured cloning - keep only plain data
+const toCloneable = (result) => {
+  try {
+    return JSON.parse(JSON.stringify(result ?? null));
+  } catch (error) {
+    return { success: !!result?.success };
+  }
+};
+
+// Whether another tab holds the leader lock - without one there's no game to join
+const isLeaderLockHeld = async () => {
+  try {
+    const { held = [] } = await navigator.locks.query();
+    return held.some((lock) => lock.name === LEADER_LOCK);
+  } catch (error) {
+    console.warn("Could not check for a leader tab:", error);
+    return false;
+  }
+};
+
+const handleMessage = async ({ data: message }) => {
+  if (!message || message.from === tabId) return;
+
+  switch (message.type) {
+    case "state":
+      applyRemoteState(message.state);
+      stateWaiters.forEach((waiter) => waiter.done(true));
+      break;
+
+    case "no-state":
+      // Keep waiting for a game the leader is starting, otherwise start our own
+      stateWaiters.forEach((waiter) =>
+        message.starting
+          ? waiter.wait(LEADER_START_TIMEOUT)
+          : waiter.done(false),
+      );
+      break;
+
+    case "request-state": {
+      // Only the leader answers
+      if (!isLeader) return;
+      const state = store.getState();
+      if (state.gameId && state.hasGameStarted) {
+        post({ type: "state", state: pickSyncedState(state) });
+      } else {
+        post({ type: "no-state", starting: isStarting });
+      }
+      break;
+    }
+
+    case "action": {
+      if (!isLeader) return;
+
+      const action = FORWARDED_ACTIONS.includes(message.action)
+        ? store.getState()[message.action]
+        : null;
+      let result;
+      try {
+        result =
+          typeof action === "function"
+            ? await action(...(message.args || []))
+            : { success: false, error: "Action can't be forwarded" };
+      } catch (error) {
+        result = { success: false, error: error.message };
+      }
+      post({
+        type: "result",
+        to: message.from,
+        id: message.id,
+        result: toCloneable(result),
+      });
+      break;
+    }
+
+    case "result": {
+      if (message.to !== tabId) return;
+      const pending = pendingRequests.get(message.id);
+      if (pending) {
+        pendingRequests.delete(message.id);
+        clearTimeout(pending.timer);
+        pending.resolve(message.result);
+      }
+      break;
+    }
+
+    default:
+      break;
+  }
+};
+
+const tabSyncService = {
+  /**
+   * Start syncing a store with other tabs. Safe to call more than once.
+   * @param {Object} gameStore - Zustand store to sync (useGameStore)
+   */
+  connect(gameStore) {
+    if (channel || typeof BroadcastChannel === "undefined") return;
+
+    store = gameStore;
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = handleMessage;
+
+    // Broadcast synced fields whenever this tab changes them
+    store.subscribe((state, prevState) => {
+      if (applyingRemoteState || state.isResetting) return;
+
+      const changed = [...SYNCED_FIELDS, ...HISTORY_FIELDS].some(
+        (field) => state[field] !== prevState[field],
+      );
+      if (changed) {
+        post({ type: "state", state: pickSyncedState(state) });
+      }
+    });
+
+    // The lock is held until the tab closes, then passes to another tab
+    if (typeof navigator !== "undefined" && navigator.locks) {
+      hasLeaderElection = true;
+      navigator.locks.request(LEADER_LOCK, () => {
+        console.log("This tab is now the game sync leader");
+        isLeader = true;
+        return new Promise(() => {});
+      });
+    }
+  },
+
+  /**
+   * Whether actions in this tab should be sent to the leader tab
+   * @returns {boolean}
+   */
+  shouldForward() {
+    return !!channel && hasLeaderElection && !isLeader;
+  },
+
+  /**
+   * Run a store action in the leader tab
+   * @param {string} action - Store action name, one of FORWARDED_ACTIONS
+   * @param {Array} args - Action arguments
+   * @returns {Promise<*>} The action's result, or a failure if the leader doesn't answer in time
+   */
+  forwardToLeader(action, args = []) {
+    const id = `${tabId}:${nextRequestId++}`;
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        pendingRequests.delete(id);
+        console.warn(`Leader tab didn't answer ${action}`);
+        resolve({ success: false, leaderUnavailable: true });
+      }, FORWARD_TIMEOUT);
+
+      pendingRequests.set(id, { resolve, timer });
+      post({ type: "action", id, action, args });
+    });
+  },
+
+  /**
+   * Adopt the game already open in another tab, if there is one
+   * @returns {Promise<boolean>} Whether another tab shared its game
+   */
+  async requestState() {
+    if (!this.shouldForward() || !(await isLeaderLockHeld())) return false;
+
+    return new Promise((resolve) => {
+      let timer = null;
+      const waiter = {
+        done: (received) => {
+          clearTimeout(timer);
+          stateWaiters.delete(waiter);
+          resolve(received);
+        },
+        wait: (ms) => {
+          clearTimeout(timer);
+          timer = setTimeout(() => waiter.done(false), ms);
+        },
+      };
+
+      stateWaiters.add(waiter);
+      waiter.wait(STATE_REQUEST_TIMEOUT);
+      post({ type: "request-state" });
+    });
+  },
+
+  /**
+   * Mark this tab as starting a game, so tabs asking for it wait for the
+   * game instead of starting their own
+   * @param {boolean} starting - Whether a game is being started
+   */
+  setStarting(starting) {
+    isStarting = starting;
+  },
+};
+
+export default tabSyncService;
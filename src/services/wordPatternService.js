@@ -0,0 +1,86 @@
+// src/services/wordPatternService.js - Finds English words matching a cipher word's letter pattern
+import words from "../data/words";
+
+// Index of the bundled word list by letter pattern, built on first use
+let patternIndex = null;
+
+/**
+ * Get the letter pattern of a word - each new letter gets the next
+ * pattern letter, so THAT and XYZX both become ABCA
+ * @param {string} word - Uppercase word
+ * @returns {string} Letter pattern
+ */
+const getPattern = (word) => {
+  const seen = {};
+  let next = 0;
+  return Array.from(word)
+    .map((letter) => {
+      if (!(letter in seen)) {
+        seen[letter] = String.fromCharCode(65 + next++);
+      }
+      return seen[letter];
+    })
+    .join("");
+};
+
+// Build the pattern → words index
+const getIndex = () => {
+  if (!patternIndex) {
+    patternIndex = {};
+    words.forEach((word) => {
+      const pattern = getPattern(word);
+      (patternIndex[pattern] = patternIndex[pattern] || []).push(word);
+    });
+  }
+  return patternIndex;
+};
+
+/**
+ * Word Pattern Service
+ * Suggests plaintext words for a cipher word from the bundled word list
+ */
+const wordPatternService = {
+  getPattern,
+
+  /**
+   * Split encrypted text into its cipher words.
+   * Apostrophes are dropped so DON'T is read as DONT.
+   * @param {string} encrypted - Encrypted text
+   * @returns {Array<string>} Unique cipher words in order of appearance
+   */
+  getCipherWords(encrypted) {
+    const matches = (encrypted || "").match(/[A-Z]+(?:'[A-Z]+)*/g) || [];
+    return [...new Set(matches.map((word) => word.replace(/'/g, "")))];
+  },
+
+  /**
+   * Find words with the same letter pattern as a cipher word that agree
+   * with what has been solved so far
+   * @param {string} cipherWord - Encrypted word
+   * @param {Object} options
+   * @param {Object} options.guessedMappings - Solved encrypted → plain letters
+   * @param {Object} options.incorrectGuesses - Encrypted letter → wrong guesses
+   * @returns {Array<string>} Candidate words, most common first
+   */
+  findCandidates(cipherWord, { guessedMappings = {}, incorrectGuesses = {} } = {}) {
+    const candidates = getIndex()[getPattern(cipherWord)] || [];
+
+    // A plain letter solved for one cipher letter can't belong to another
+    const usedLetters = new Set(Object.values(guessedMappings));
+
+    return candidates.filter((word) =>
+      Array.from(cipherWord).every((cipherLetter, index) => {
+        const letter = word[index];
+        const solved = guessedMappings[cipherLetter];
+        if (solved) return solved === letter;
+
+        return (
+          !usedLetters.has(letter) &&
+          !(incorrectGuesses[cipherLetter] || []).includes(letter)
+        );
+      }),
+    );
+  },
+};
+
+export default wordPatternService;
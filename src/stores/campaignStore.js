@@ -0,0 +1,97 @@
+// src/stores/campaignStore.js
+import { create } from "zustand";
+import { persist } from "zustand/middleware";
+import { immer } from "zustand/middleware/immer";
+import apiService from "../services/apiService";
+import {
+  calculateStars,
+  getPuzzle,
+  mergeCampaignProgress,
+} from "../utils/campaign";
+
+/**
+ * Campaign progress, kept on this device and synced with the player's
+ * account when they're logged in. See utils/campaign for the format.
+ */
+const useCampaignStore = create(
+  persist(
+    immer((set, get) => ({
+      progress: {},
+      lastSyncedAt: null,
+
+      /**
+       * Record a campaign win, keeping the player's best result for the puzzle
+       * @param {string} packId - Pack id
+       * @param {number} index - Position of the puzzle in the pack
+       * @param {Object} result - { mistakes, gameTimeSeconds }
+       * @returns {Object|null} { stars, isNewBest }, or null for an unknown puzzle
+       */
+      recordResult: (packId, index, result = {}) => {
+        const puzzle = getPuzzle(packId, index);
+        if (!puzzle) {
+          console.warn(`Unknown campaign puzzle ${packId}/${index}`);
+          return null;
+        }
+
+        const stars = calculateStars(result, puzzle);
+        const previous = get().progress[packId]?.[index];
+        const isNewBest = !previous || stars > (previous.stars || 0);
+
+        set((state) => {
+          state.progress = mergeCampaignProgress(state.progress, {
+            [packId]: {
+              [index]: {
+                stars,
+                bestTime: result.gameTimeSeconds,
+                completedAt: Date.now(),
+              },
+            },
+          });
+        });
+
+        console.log(
+          `Campaign puzzle ${packId}/${index} finished with ${stars} stars`,
+        );
+
+        // Keep the account up to date - the local copy is enough offline
+        get().syncWithAccount();
+
+        return { stars, isNewBest };
+      },
+
+      /**
+       * Merge this device's progress with the account's and save the result
+       * to both. Does nothing for anonymous players.
+       * @returns {Promise<boolean>} Whether the account was updated
+       */
+      syncWithAccount: async () => {
+        const remote = await apiService.getCampaignProgress();
+        if (!remote.success) return false;
+
+        set((state) => {
+          state.progress = mergeCampaignProgress(
+            state.progress,
+            remote.progress,
+          );
+        });
+
+        const saved = await apiService.saveCampaignProgress(get().progress);
+        if (saved.success) {
+          set((state) => {
+            state.lastSyncedAt = Date.now();
+          });
+        }
+        return saved.success;
+      },
+    })),
+    {
+      name: "uncrypt-campaign",
+      partialize: (state) => ({
+        progress: state.progress,
+        lastSyncedAt: state.lastSyncedAt,
+      }),
+    },
+  ),
+);
+
+export default useCampaignStore;
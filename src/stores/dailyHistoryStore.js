@@ -0,0 +1,68 @@
+// src/stores/dailyHistoryStore.js
+import { create } from "zustand";
+import { persist } from "zustand/middleware";
+import { immer } from "zustand/middleware/immer";
+import apiService from "../services/apiService";
+import { mergeDailyResults } from "../utils/dailyArchive";
+
+/**
+ * Daily challenge results by date, for the archive calendar and the stats
+ * heatmap. Results from this device are kept locally; logged in players also
+ * get their account's history, a month or a range at a time. See
+ * utils/dailyArchive for the format.
+ */
+const useDailyHistoryStore = create(
+  persist(
+    immer((set, get) => ({
+      results: {},
+
+      /**
+       * Record how a daily challenge went
+       * @param {string} dateString - Date of the challenge, YYYY-MM-DD
+       * @param {Object} result - { outcome, mistakes, score, gameTimeSeconds, archive }
+       */
+      recordResult: (dateString, result) => {
+        console.log(
+          `Recording daily result for ${dateString}: ${result.outcome}`,
+        );
+        set((state) => {
+          state.results = mergeDailyResults(state.results, {
+            [dateString]: { ...result, playedAt: Date.now() },
+          });
+        });
+      },
+
+      /**
+       * Merge the account's results for a month into the local ones
+       * @param {string} month - YYYY-MM
+       * @returns {Promise<boolean>} Whether the account's history was loaded
+       */
+      loadMonth: async (month) => get().loadHistory({ month }),
+
+      /**
+       * Merge the account's results between two dates into the local ones
+       * @param {string} from - First date, YYYY-MM-DD
+       * @param {string} to - Last date, YYYY-MM-DD
+       * @returns {Promise<boolean>} Whether the account's history was loaded
+       */
+      loadRange: async (from, to) => get().loadHistory({ from, to }),
+
+      // Fetch and merge the account's results for a range, see apiService.getDailyHistory
+      loadHistory: async (range) => {
+        const history = await apiService.getDailyHistory(range);
+        if (!history.success) return false;
+
+        set((state) => {
+          state.results = mergeDailyResults(state.results, history.days);
+        });
+        return true;
+      },
+    })),
+    {
+      name: "uncrypt-daily-history",
+      partialize: (state) => ({ results: state.results }),
+    },
+  ),
+);
+
+export default useDailyHistoryStore;
@@ -1,16 +1,156 @@
 import { create } from "zustand";
 import { immer } from "zustand/middleware/immer"; // Import immer middleware
 import apiService from "../services/apiService";
+import offlineGameEngine from "../services/offlineGameEngine";
+import replayService from "../services/replayService";
+import tabSyncService from "../services/tabSyncService";
 import config from "../config";
 import useSettingsStore from "./settingsStore";
+import { createBlitzState, getServerBlitzOptions } from "../utils/blitzUtils";
+import { AUTOSAVE_SLOT } from "../services/saveSlotService";
+import {
+  MAX_MISTAKES_MAP,
+  GAME_STATUS,
+  getMaxMistakes,
+  requiresLocalGame,
+  CUSTOM_DIFFICULTY,
+  HARDCORE_LEVELS,
+  getHardcoreLevel,
+  getServerHardcoreLevel,
+  applyHardcoreLevel,
+  deriveStatus,
+  applyGuessResult,
+  applyHint,
+  getHintCost,
+  HINT_TYPES,
+  TARGETED_HINT_TYPES,
+  inferGuessOutcome,
+  rebaseResponse,
+  GUESS_OUTCOME,
+  createWinData,
+} from "../utils/gameRules";
+import { normalizeQuoteCategories } from "../utils/quoteCategories";
+import { DEFAULT_LANGUAGE, LANGUAGES, getLetters } from "../utils/languages";
+
+// Maximum number of moves kept for undo
+const HISTORY_LIMIT = 50;
+
+// Last ID handed to a guess waiting on the server
+let lastPendingGuessId = 0;
+
+// Game whose solution has been asked for, so it's only fetched once
+let solutionRequestedFor = null;
+
+/**
+ * Capture the board state needed to undo or redo a move
+ * @param {Object} state - Current store state
+ * @param {string|null} selectedEncrypted - Letter to reselect when the snapshot is restored
+ * @returns {Object} Board snapshot
+ */
+const createSnapshot = (state, selectedEncrypted = state.selectedEncrypted) => ({
+  display: state.display,
+  mistakes: state.mistakes,
+  correctlyGuessed: state.correctlyGuessed,
+  incorrectGuesses: state.incorrectGuesses,
+  guessedMappings: state.guessedMappings,
+  selectedEncrypted,
+  localGame: state.localGame,
+  eliminatedLetters: state.eliminatedLetters,
+  authorInitials: state.authorInitials,
+});
+
+/**
+ * Check whether a snapshot can be restored.
+ * Ranked games are tracked by the server, so letters it has already
+ * revealed can't be taken back - only practice games can undo those.
+ * @param {Object} state - Current store state
+ * @param {Object} snapshot - Snapshot to restore
+ * @returns {boolean} Whether the snapshot can be restored
+ */
+const canRestoreSnapshot = (state, snapshot) => {
+  if (!snapshot || state.hasWon || state.hasLost || state.isHintInProgress) {
+    return false;
+  }
+  return (
+    state.isUnranked ||
+    snapshot.correctlyGuessed.length === state.correctlyGuessed.length
+  );
+};
 
-// Define max mistakes map using same terminology as backend
-const MAX_MISTAKES_MAP = {
-  easy: 8,
-  medium: 5, // Using 'medium' instead of 'normal' to match backend
-  hard: 3,
+// localStorage key for pencil marks - kept client-side, the server doesn't store them
+const PENCIL_MARKS_KEY = "uncrypt-pencil-marks";
+
+/**
+ * Save pencil marks for a game
+ * @param {string} gameId - Game the marks belong to
+ * @param {Object} marks - Map of encrypted letter to candidate letters
+ */
+const savePencilMarks = (gameId, marks) => {
+  if (!gameId) return;
+  try {
+    localStorage.setItem(PENCIL_MARKS_KEY, JSON.stringify({ gameId, marks }));
+  } catch (error) {
+    console.warn("Could not save pencil marks:", error);
+  }
 };
 
+/**
+ * Load pencil marks saved for a game
+ * @param {string} gameId - Game to load marks for
+ * @returns {Object} Map of encrypted letter to candidate letters
+ */
+const loadPencilMarks = (gameId) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PENCIL_MARKS_KEY));
+    if (saved && saved.gameId === gameId && saved.marks) {
+      return saved.marks;
+    }
+  } catch (error) {
+    console.warn("Could not load pencil marks:", error);
+  }
+  return {};
+};
+
+/**
+ * Capture everything needed to resume a game later from a save slot
+ * @param {Object} state - Current store state
+ * @returns {Object} Save data for saveSlotService
+ */
+const createSaveData = (state) => ({
+  gameId: state.gameId,
+  encrypted: state.encrypted,
+  display: state.display,
+  mistakes: state.mistakes,
+  correctlyGuessed: state.correctlyGuessed,
+  incorrectGuesses: state.incorrectGuesses,
+  guessedMappings: state.guessedMappings,
+  letterFrequency: state.letterFrequency,
+  originalLetters: state.originalLetters,
+  difficulty: state.difficulty,
+  maxMistakes: state.maxMistakes,
+  hardcoreMode: state.hardcoreMode,
+  hardcoreLevel: state.hardcoreLevel,
+  quoteCategories: state.quoteCategories,
+  language: state.language,
+  campaign: state.campaign,
+  isDailyChallenge: state.isDailyChallenge,
+  dailyDate: state.dailyDate,
+  isArchiveDaily: state.isArchiveDaily,
+  localGame: state.localGame,
+  isUnranked: state.isUnranked,
+  pencilMarks: state.pencilMarks,
+  eliminatedLetters: state.eliminatedLetters,
+  authorInitials: state.authorInitials,
+  // Store elapsed and remaining time so the clocks resume where they stopped
+  elapsed: state.startTime ? Date.now() - state.startTime : 0,
+  blitz: state.blitz && {
+    ...state.blitz,
+    remaining: state.blitz.deadline
+      ? Math.max(state.blitz.deadline - Date.now(), 0)
+      : null,
+  },
+});
+
 const initialState = {
   encrypted: "",
   display: "",
@@ -30,6 +170,10 @@ const initialState = {
   winData: null,
   hasLost: false,
   hardcoreMode: false,
+  hardcoreLevel: HARDCORE_LEVELS.OFF, // See HARDCORE_LEVELS in utils/gameRules
+  quoteCategories: [], // Categories and decades the quote was picked from
+  language: DEFAULT_LANGUAGE, // Language of the quote, see LANGUAGES in utils/languages
+  campaign: null, // { packId, index } when playing a campaign puzzle, see utils/campaign
   isLocalWinDetected: false,
   isWinVerificationInProgress: false,
   difficulty: "easy", // Default, will be updated from settings
@@ -42,6 +186,47 @@ const initialState = {
   // Add daily challenge flags
   isDailyChallenge: false,
   dailyDate: null, // Will store YYYY-MM-DD string for daily challenge
+  isArchiveDaily: false, // Past daily played from the archive - doesn't count towards streaks
+
+  // Offline engine state - set when the game is played locally without the API
+  localGame: null,
+  isUnranked: false, // Local games never submit scores
+
+  // Undo/redo history of board snapshots
+  undoStack: [],
+  redoStack: [],
+
+  // Pencil marks - tentative candidates per encrypted letter, never sent to the server
+  pencilMarks: {},
+  isNotesMode: false,
+
+  // Coach - highlights the letter the solver thinks is easiest next, practice games only
+  isCoachMode: false,
+
+  // Replay recording - compact event log, see replayService for the format
+  replayEvents: [],
+  replayStartedAt: null,
+
+  // Blitz mode clock - null when the game isn't timed, see blitzUtils
+  blitz: null,
+
+  // What hints have given away besides solved letters - wrong candidates
+  // crossed off per encrypted letter, and the author's initials
+  eliminatedLetters: {},
+  authorInitials: null,
+  // Most recent hint, so the text display can animate it - { id, type, letters }
+  lastHint: null,
+
+  // Solution handed back when a game is lost, for the post-game walkthrough
+  solution: null,
+
+  // Guesses sent to the server but not yet answered, in the order they were made.
+  // Optimistic ones are already shown on the board as incorrect.
+  pendingGuesses: [],
+
+  // Save slot the game autosaves to for anonymous players, see saveSlotService
+  saveSlot: AUTOSAVE_SLOT,
+  saveSlotName: "Autosave",
 };
 
 // Create the store with immer middleware
@@ -55,15 +240,18 @@ const useGameStore = create(
       const settings = useSettingsStore.getState().settings || {};
 
       // Ensure difficulty is a valid value
-      const difficulty = ["easy", "medium", "hard"].includes(settings.difficulty)
+      const difficulty = ["easy", "medium", "hard", CUSTOM_DIFFICULTY].includes(
+        settings.difficulty,
+      )
         ? settings.difficulty
         : "medium";
 
       // Update game state with settings
       set(state => {
         state.difficulty = difficulty;
-        state.maxMistakes = MAX_MISTAKES_MAP[difficulty] || 5;
+        state.maxMistakes = getMaxMistakes(difficulty, settings.customDifficulty);
         state.hardcoreMode = settings.hardcoreMode || false;
+        state.hardcoreLevel = getHardcoreLevel(settings);
         state.settingsInitialized = true;
       });
 
@@ -74,7 +262,7 @@ const useGameStore = create(
           // Safety check for valid difficulty
           if (
             !newDifficulty ||
-            !["easy", "medium", "hard"].includes(newDifficulty)
+            !["easy", "medium", "hard", CUSTOM_DIFFICULTY].includes(newDifficulty)
           ) {
             console.warn(
               `Invalid difficulty in settings: ${newDifficulty}, ignoring`,
@@ -89,13 +277,17 @@ const useGameStore = create(
             );
 
             // Update game state with new difficulty and corresponding maxMistakes
+            const maxMistakes = getMaxMistakes(
+              newDifficulty,
+              useSettingsStore.getState().settings?.customDifficulty,
+            );
             set(state => {
               state.difficulty = newDifficulty;
-              state.maxMistakes = MAX_MISTAKES_MAP[newDifficulty] || 5;
+              state.maxMistakes = maxMistakes;
             });
 
             console.log(
-              `Updated game store: difficulty=${newDifficulty}, maxMistakes=${MAX_MISTAKES_MAP[newDifficulty] || 5}`,
+              `Updated game store: difficulty=${newDifficulty}, maxMistakes=${maxMistakes}`,
             );
           }
         },
@@ -114,6 +306,27 @@ const useGameStore = create(
             // Update game state with new hardcore mode setting
             set(state => {
               state.hardcoreMode = newHardcoreMode;
+              state.hardcoreLevel = getHardcoreLevel(
+                useSettingsStore.getState().settings,
+              );
+            });
+          }
+        },
+      );
+
+      // Set up subscription to hardcore level changes
+      const unsubscribeHardcoreLevel = useSettingsStore.subscribe(
+        (state) => state.settings?.hardcoreLevel,
+        (newHardcoreLevel, previousHardcoreLevel) => {
+          if (newHardcoreLevel !== previousHardcoreLevel) {
+            console.log(
+              `Settings hardcoreLevel changed from ${previousHardcoreLevel} to ${newHardcoreLevel}`,
+            );
+
+            set(state => {
+              state.hardcoreLevel = getHardcoreLevel(
+                useSettingsStore.getState().settings,
+              );
             });
           }
         },
@@ -124,6 +337,7 @@ const useGameStore = create(
       return () => {
         unsubscribe();
         unsubscribeHardcore();
+        unsubscribeHardcoreLevel();
       };
     },
 
@@ -159,6 +373,12 @@ const useGameStore = create(
           }
         }
 
+        // The hardcore level only refines hardcoreMode, so it comes from settings
+        const hardcoreLevel = getHardcoreLevel({
+          hardcoreMode,
+          hardcoreLevel: useSettingsStore.getState().settings?.hardcoreLevel,
+        });
+
         // Reset local game state
         set(state => {
           // Instead of spreading initialState, set each property individually
@@ -170,6 +390,7 @@ const useGameStore = create(
           // Set specific values that should differ from initialState
           state.isInitializing = true;
           state.hardcoreMode = hardcoreMode;
+          state.hardcoreLevel = hardcoreLevel;
           state.isDailyChallenge = isDaily;
         });
 
@@ -184,19 +405,45 @@ const useGameStore = create(
 
         console.log("Starting new game with settings:", settingsToUse);
 
-        // Hard-coded max mistakes based on difficulty
-        // (These are also set server-side but we set here for UI consistency)
-        const maxMistakesByDifficulty = {
-          easy: 8,
-          medium: 5,
-          hard: 3,
-        };
+        // The server only generates substitution ciphers at the standard
+        // difficulties and hardcore levels in English - other ciphers, custom
+        // difficulties, partial hardcore and other languages are played locally
+        const latestSettings = useSettingsStore.getState().settings;
+        if (!isDaily && requiresLocalGame({ ...latestSettings, hardcoreMode })) {
+          return get().startOfflineGame({
+            longText: settingsToUse.longText,
+            hardcoreMode: settingsToUse.hardcoreMode,
+            hardcoreLevel,
+            difficulty: settingsToUse.difficulty,
+            cipherType: latestSettings.cipherType,
+          });
+        }
 
-        const result = await apiService.startGame(
-          settingsToUse.longText,
-          settingsToUse.difficulty,
-          settingsToUse.hardcoreMode
-        );
+        let result;
+        try {
+          result = await apiService.startGame({
+            longText: settingsToUse.longText,
+            difficulty: settingsToUse.difficulty,
+            hardcoreMode: settingsToUse.hardcoreMode,
+            categories: isDaily
+              ? []
+              : normalizeQuoteCategories(latestSettings.quoteCategories),
+            // Mark the server game as blitz so it matches the clock started below
+            ...getServerBlitzOptions(latestSettings, isDaily),
+          });
+        } catch (startError) {
+          // Fall back to a local puzzle if the API can't be reached
+          if (!offlineGameEngine.isNetworkError(startError)) throw startError;
+
+          console.warn("API unreachable, starting offline game instead");
+          return get().startOfflineGame({
+            longText: settingsToUse.longText,
+            hardcoreMode: settingsToUse.hardcoreMode,
+            hardcoreLevel,
+            difficulty: settingsToUse.difficulty,
+            cipherType: isDaily ? "substitution" : undefined,
+          });
+        }
 
         // Handle error response
         if (result.error) {
@@ -222,12 +469,24 @@ const useGameStore = create(
           }`
         );
 
+        // The server strips hardcore text itself
+        const serverHardcoreLevel = getServerHardcoreLevel(
+          hardcoreMode && !isDaily,
+        );
+
         // Set state with game data
         set(state => {
           state.gameInProgress = true;
           state.isAnonymous = result.is_anonymous;
-          state.display = result.display;
-          state.encrypted = result.encrypted_paragraph;
+          state.hardcoreLevel = serverHardcoreLevel;
+          state.quoteCategories = normalizeQuoteCategories(result.categories);
+          state.language = DEFAULT_LANGUAGE;
+          state.campaign = null;
+          state.display = applyHardcoreLevel(result.display, serverHardcoreLevel);
+          state.encrypted = applyHardcoreLevel(
+            result.encrypted_paragraph,
+            serverHardcoreLevel,
+          );
           state.letterFrequency = result.letter_frequency;
           state.errors = 0;
           state.hasLost = false;
@@ -239,10 +498,10 @@ const useGameStore = create(
 
           // Override with server values when available
           state.difficulty = result.difficulty || difficulty;
-          state.maxMistakes = result.max_mistakes || 
-                           maxMistakesByDifficulty[state.difficulty] || 
-                           maxMistakesByDifficulty.medium;
+          // Max mistakes are also set server-side, but set here for UI consistency
+          state.maxMistakes = result.max_mistakes || getMaxMistakes(state.difficulty);
           state.mistakes = result.mistakes || 0;
+          state.blitz = createBlitzState(useSettingsStore.getState().settings, isDaily);
         });
 
         return {
@@ -262,7 +521,8 @@ const useGameStore = create(
     },
 
     // Start daily challenge with clean state
-    startDailyChallenge: async (gameData) => {
+    // options.archive marks a past day played from the archive, options.date its date
+    startDailyChallenge: async (gameData, options = {}) => {
       if (!gameData) return false;
 
       console.log("Starting daily challenge with clean state");
@@ -302,13 +562,100 @@ const useGameStore = create(
         state.startTime = Date.now();
         state.hasGameStarted = true;
         state.isDailyChallenge = true;
-        state.dailyDate = gameData.daily_date || new Date().toISOString().split('T')[0];
+        state.isArchiveDaily = !!options.archive;
+        state.dailyDate = gameData.daily_date || options.date || new Date().toISOString().split('T')[0];
       });
 
       console.log("Daily challenge state initialized");
       return true;
     },
 
+    /**
+     * Start a game generated by the client-side engine.
+     * Used as a fallback when the API is unreachable, and for cipher types the
+     * server doesn't generate - these games are unranked.
+     * @param {Object} options - longText, difficulty, hardcoreMode, hardcoreLevel,
+     *   cipherType, categories, language, accentMode, encipherDigits, optional seed
+     *   and campaign ({ packId, index } for campaign puzzles). Offline dailies
+     *   also pass isDaily, dailyDate and archive, like server dailies.
+     */
+    startOfflineGame: (options = {}) => {
+      const settings = useSettingsStore.getState().settings || {};
+      const hardcoreMode = options.hardcoreMode ?? settings.hardcoreMode ?? false;
+      const hardcoreLevel = options.hardcoreLevel ?? settings.hardcoreLevel;
+      // Seeded puzzles must come out the same for everyone, so they ignore categories
+      const categories = options.seed
+        ? []
+        : options.categories ?? settings.quoteCategories;
+      // ...and are always in English, with plain digits
+      const language = options.seed
+        ? DEFAULT_LANGUAGE
+        : options.language ?? settings.language;
+      const encipherDigits = options.seed
+        ? false
+        : options.encipherDigits ?? settings.encipherDigits;
+
+      const { game, data } = offlineGameEngine.startGame({
+        longText: options.longText ?? settings.longText ?? false,
+        difficulty: options.difficulty || settings.difficulty || "medium",
+        hardcoreMode,
+        hardcoreLevel,
+        seed: options.seed,
+        cipherType: options.cipherType || settings.cipherType,
+        quote: options.quote,
+        custom: settings.customDifficulty,
+        categories,
+        language,
+        accentMode: options.accentMode ?? settings.accentMode,
+        encipherDigits,
+      });
+
+      console.log(`Starting offline game ${game.gameId} (${game.cipherType})`);
+
+      set(state => {
+        // Reset all properties to initial values
+        Object.keys(initialState).forEach(key => {
+          state[key] = initialState[key];
+        });
+
+        // Apply the locally generated puzzle, processing for hardcore mode if needed
+        state.encrypted = applyHardcoreLevel(
+          data.encrypted_paragraph,
+          game.hardcoreLevel,
+        );
+        state.display = applyHardcoreLevel(data.display, game.hardcoreLevel);
+        state.letterFrequency = data.letter_frequency;
+        state.originalLetters = data.original_letters;
+        state.gameId = game.gameId;
+        state.difficulty = game.difficulty;
+        state.maxMistakes = game.maxMistakes;
+        state.hardcoreMode = game.hardcoreMode;
+        state.hardcoreLevel = game.hardcoreLevel;
+        state.quoteCategories = data.categories;
+        state.language = data.language;
+        state.campaign = options.campaign || null;
+        // Offline dailies still count for the day's history and streak
+        state.isDailyChallenge = !!options.isDaily;
+        state.dailyDate = options.isDaily ? options.dailyDate || null : null;
+        state.isArchiveDaily = !!options.isDaily && !!options.archive;
+        state.startTime = Date.now();
+        state.hasGameStarted = true;
+        state.gameInProgress = true;
+        state.settingsInitialized = get().settingsInitialized;
+
+        // Mark as a local, unranked game
+        state.localGame = game;
+        state.isUnranked = true;
+        // Daily and campaign puzzles are never played against the clock
+        state.blitz = createBlitzState(
+          settings,
+          !!options.isDaily || !!options.campaign,
+        );
+      });
+
+      return { success: true, gameId: game.gameId, offline: true };
+    },
+
     // Continue a saved game
     continueSavedGame: async (gameData) => {
       try {
@@ -379,13 +726,15 @@ const useGameStore = create(
         const gameHardcoreMode = gameData.game_id
           ? gameData.game_id.includes("-hardcore-")
           : false;
-        let processedEncrypted = gameData.encrypted_paragraph || "";
-        let processedDisplay = gameData.display || "";
-
-        if (gameHardcoreMode) {
-          processedEncrypted = processedEncrypted.replace(/[^A-Z]/g, "");
-          processedDisplay = processedDisplay.replace(/[^A-Z█]/g, "");
-        }
+        const gameHardcoreLevel = getServerHardcoreLevel(gameHardcoreMode);
+        let processedEncrypted = applyHardcoreLevel(
+          gameData.encrypted_paragraph || "",
+          gameHardcoreLevel,
+        );
+        let processedDisplay = applyHardcoreLevel(
+          gameData.display || "",
+          gameHardcoreLevel,
+        );
 
         // Validate encrypted/display data
         if (!processedEncrypted || !processedDisplay) {
@@ -407,13 +756,15 @@ const useGameStore = create(
           if (gameData.encrypted_paragraph && gameData.display) {
             console.log("Attempting to fix length mismatch");
             // Re-process from original data
-            processedEncrypted = gameHardcoreMode
-              ? gameData.encrypted_paragraph.replace(/[^A-Z]/g, "")
-              : gameData.encrypted_paragraph;
+            processedEncrypted = applyHardcoreLevel(
+              gameData.encrypted_paragraph,
+              gameHardcoreLevel,
+            );
 
-            processedDisplay = gameHardcoreMode
-              ? gameData.display.replace(/[^A-Z█]/g, "")
-              : gameData.display;
+            processedDisplay = applyHardcoreLevel(
+              gameData.display,
+              gameHardcoreLevel,
+            );
           }
 
           // Verify fix worked
@@ -460,7 +811,7 @@ const useGameStore = create(
           });
         } else {
           // Calculate frequency if not provided
-          const matches = processedEncrypted.match(/[A-Z]/g) || [];
+          const matches = getLetters(processedEncrypted);
           matches.forEach((letter) => {
             letterFrequency[letter] = (letterFrequency[letter] || 0) + 1;
           });
@@ -514,6 +865,10 @@ const useGameStore = create(
 
           // Game configuration
           state.hardcoreMode = gameHardcoreMode;
+          state.hardcoreLevel = gameHardcoreLevel;
+          state.quoteCategories = normalizeQuoteCategories(gameData.categories);
+          state.language = DEFAULT_LANGUAGE;
+          state.campaign = null;
           state.difficulty = difficulty;
           state.maxMistakes = maxMistakesValue;
 
@@ -532,6 +887,29 @@ const useGameStore = create(
           // Daily challenge flags
           state.isDailyChallenge = isDailyChallenge;
           state.dailyDate = dailyDate;
+          // A daily from before today must have been started from the archive
+          state.isArchiveDaily =
+            isDailyChallenge &&
+            !!dailyDate &&
+            dailyDate < new Date().toISOString().split("T")[0];
+
+          // Saved games come from the server, so they are never local
+          state.localGame = null;
+          state.isUnranked = false;
+          state.saveSlot = initialState.saveSlot;
+          state.saveSlotName = initialState.saveSlotName;
+
+          // History doesn't survive a reload
+          state.undoStack = [];
+          state.redoStack = [];
+
+          // Restore any pencil marks saved for this game
+          state.pencilMarks = loadPencilMarks(gameData.game_id);
+
+          // Keep recording onto the replay saved for this game
+          const savedReplay = replayService.getReplay(gameData.game_id);
+          state.replayEvents = savedReplay?.events || [];
+          state.replayStartedAt = savedReplay?.startedAt || null;
         });
 
         // Log success and return
@@ -549,126 +927,401 @@ const useGameStore = create(
         return { success: false, error: "Invalid input" };
       }
 
+      // Guesses from other tabs run in the leader tab so they can't race
+      if (tabSyncService.shouldForward()) {
+        return tabSyncService.forwardToLeader("submitGuess", [
+          encryptedLetter,
+          guessedLetter,
+        ]);
+      }
+
       try {
-        const data = await apiService.submitGuess(encryptedLetter, guessedLetter);
+        const state = get();
 
-        // Handle session expiration
-        if (data.error && data.error.includes("Session expired")) {
-          return { success: false, sessionExpired: true };
+        // Local games are validated by the offline engine straight away
+        if (state.localGame) {
+          const result = offlineGameEngine.submitGuess(
+            state.localGame,
+            encryptedLetter,
+            guessedLetter,
+          );
+          return get().applyGuessResponse(
+            encryptedLetter,
+            guessedLetter,
+            result.data,
+            result.game,
+          );
         }
 
-        const state = get();
-        const isDailyChallenge = state.isDailyChallenge;
+        // A letter already waiting on the server can't be guessed again
+        if (state.pendingGuesses.some(p => p.encryptedLetter === encryptedLetter)) {
+          return { success: false, reason: "guess-pending" };
+        }
 
-        // Process display text for hardcore mode
-        let displayText = data.display;
-        if (displayText && state.hardcoreMode && !isDailyChallenge) {
-          displayText = displayText.replace(/[^A-Z█]/g, "");
+        // Show guesses we know are wrong straight away - unless the mistake
+        // would end the game, which only the server can decide
+        const pending = {
+          id: ++lastPendingGuessId,
+          encryptedLetter,
+          guessedLetter,
+          optimistic:
+            inferGuessOutcome(state, encryptedLetter, guessedLetter) ===
+              GUESS_OUTCOME.INCORRECT &&
+            state.mistakes + 1 < state.maxMistakes,
+        };
+
+        set(state => {
+          state.pendingGuesses.push(pending);
+        });
+
+        const confirmation = get().confirmGuess(pending);
+        if (!pending.optimistic) {
+          return await confirmation;
         }
 
-        // Check if the number of mistakes increased - this means the guess was incorrect
-        const isIncorrectGuess =
-          typeof data.mistakes === "number" && data.mistakes > state.mistakes;
+        console.log(`Optimistically marking ${encryptedLetter}→${guessedLetter} incorrect`);
+        return get().applyGuessResponse(
+          encryptedLetter,
+          guessedLetter,
+          {
+            display: state.display,
+            mistakes: state.mistakes + 1,
+            correctly_guessed: state.correctlyGuessed,
+            is_correct: false,
+          },
+          null,
+          { recordReplay: false, pendingGuessId: pending.id },
+        );
+      } catch (error) {
+        console.error("Error submitting guess:", error);
+        return { success: false, error: error.message };
+      }
+    },
 
-        // Check if this guess was correct
-        let isCorrectGuess = false;
-        if (
-          Array.isArray(data.correctly_guessed) &&
-          data.correctly_guessed.includes(encryptedLetter) &&
-          !state.correctlyGuessed.includes(encryptedLetter)
-        ) {
-          isCorrectGuess = true;
+    /**
+     * Send a pending guess to the server and apply its answer
+     * Optimistic guesses are rolled back if the request fails, and corrected
+     * if the server disagrees with what was shown.
+     * @param {Object} pending - Entry from pendingGuesses
+     * @returns {Promise<Object>} Result with isCorrect, isIncorrect, hasWon and hasLost
+     */
+    confirmGuess: async (pending) => {
+      const { encryptedLetter, guessedLetter } = pending;
+      const gameId = get().gameId;
+      const data = await apiService.submitGuess(encryptedLetter, guessedLetter);
+
+      // Ignore answers for a game that has since been replaced
+      if (get().gameId !== gameId) {
+        return { success: false, reason: "game-changed" };
+      }
+
+      // Optimistic guesses still waiting on their answers stay on the board
+      const stillPending = get().pendingGuesses.filter(
+        p => p.optimistic && p.id !== pending.id,
+      );
+      set(state => {
+        state.pendingGuesses = state.pendingGuesses.filter(p => p.id !== pending.id);
+      });
+
+      if (data.error) {
+        if (pending.optimistic) {
+          get().rollbackGuess(pending);
+        }
+        if (data.error.includes("Session expired")) {
+          return { success: false, sessionExpired: true };
         }
+        return { success: false, error: data.error };
+      }
 
-        // Update state with Immer
-        set(state => {
-          // Update basic properties
-          state.display = displayText || state.display;
-          state.mistakes = typeof data.mistakes === "number" ? data.mistakes : state.mistakes;
-          state.selectedEncrypted = null;
+      // The server disagreed with an optimistic guess - take it back first
+      const wasCorrect =
+        Array.isArray(data.correctly_guessed) &&
+        data.correctly_guessed.includes(encryptedLetter);
+      const keepOptimistic = pending.optimistic && !wasCorrect;
+      if (pending.optimistic && wasCorrect) {
+        get().rollbackGuess(pending);
+      }
 
-          // Handle incorrect_guesses data
-          if (data.incorrect_guesses && typeof data.incorrect_guesses === "object") {
-            state.incorrectGuesses = data.incorrect_guesses;
-          } else if (!data.is_correct && encryptedLetter && guessedLetter) {
-            // Create the array if it doesn't exist
-            if (!state.incorrectGuesses[encryptedLetter]) {
-              state.incorrectGuesses[encryptedLetter] = [];
-            }
+      const result = get().applyGuessResponse(
+        encryptedLetter,
+        guessedLetter,
+        rebaseResponse(data, stillPending),
+        null,
+        { recordHistory: !keepOptimistic, recordReplay: !keepOptimistic },
+      );
 
-            // Add the guess if it's not already included
-            if (!state.incorrectGuesses[encryptedLetter].includes(guessedLetter)) {
-              state.incorrectGuesses[encryptedLetter].push(guessedLetter);
-            }
-          }
+      // The optimistic mistake was already shown, so record it once it's confirmed
+      if (keepOptimistic) {
+        get().recordReplayEvent(
+          replayService.EVENT_TYPES.GUESS,
+          encryptedLetter,
+          guessedLetter,
+          0,
+        );
+      }
 
-          // Check for game lost - this must be checked FIRST
-          if (state.mistakes >= state.maxMistakes) {
-            state.hasLost = true;
-            state.hasWon = false; // Explicitly set hasWon to false to avoid conflicts
-            state.completionTime = Date.now();
+      return result;
+    },
+
+    /**
+     * Take back an optimistic guess whose request failed
+     * @param {Object} pending - Entry from pendingGuesses
+     */
+    rollbackGuess: (pending) => {
+      const { encryptedLetter, guessedLetter } = pending;
+      console.warn(`Rolling back guess ${encryptedLetter}→${guessedLetter}`);
+
+      set(state => {
+        state.mistakes = Math.max(state.mistakes - 1, 0);
+
+        const wrongLetters = state.incorrectGuesses[encryptedLetter];
+        if (wrongLetters) {
+          state.incorrectGuesses[encryptedLetter] = wrongLetters.filter(
+            letter => letter !== guessedLetter,
+          );
+        }
+
+        // Drop the history entry the optimistic guess added, wherever it is now
+        const snapshotIndex = state.undoStack.findIndex(
+          snapshot => snapshot.pendingGuessId === pending.id,
+        );
+        if (snapshotIndex !== -1) {
+          state.undoStack.splice(snapshotIndex, 1);
+        }
+      });
+    },
+
+    /**
+     * Apply a guess response from the server or offline engine to the board
+     * @param {string} encryptedLetter - Letter that was guessed for
+     * @param {string} guessedLetter - Letter that was guessed
+     * @param {Object} data - Guess response
+     * @param {Object|null} nextLocalGame - Updated offline game, for local games
+     * @param {Object} options - { recordHistory, recordReplay } both default
+     *   true, and pendingGuessId to tag the undo snapshot of an optimistic guess
+     * @returns {Object} Result with isCorrect, isIncorrect, hasWon and hasLost
+     */
+    applyGuessResponse: (
+      encryptedLetter,
+      guessedLetter,
+      data,
+      nextLocalGame = null,
+      { recordHistory = true, recordReplay = true, pendingGuessId = null } = {},
+    ) => {
+      // Handle session expiration
+      if (data.error && data.error.includes("Session expired")) {
+        return { success: false, sessionExpired: true };
+      }
+
+      const state = get();
+      const {
+        isCorrect: isCorrectGuess,
+        isIncorrect: isIncorrectGuess,
+        status,
+        next,
+      } = applyGuessResult(
+        state,
+        data,
+        encryptedLetter,
+        guessedLetter,
+        nextLocalGame?.reverseMapping,
+      );
+
+      // Snapshot the board before this guess so it can be undone - tagged with
+      // an optimistic guess's id so a rollback removes exactly this entry
+      const snapshot = createSnapshot(state, encryptedLetter);
+      if (pendingGuessId) {
+        snapshot.pendingGuessId = pendingGuessId;
+      }
+
+      // Update state with Immer
+      set(state => {
+        if (nextLocalGame) {
+          state.localGame = nextLocalGame;
+        }
+
+        // Record the move in the undo history if it changed the board
+        if (recordHistory && (isCorrectGuess || isIncorrectGuess)) {
+          state.undoStack.push(snapshot);
+          if (state.undoStack.length > HISTORY_LIMIT) {
+            state.undoStack.shift();
           }
-          // Only check for win if the game hasn't been lost
-          else if (data.game_complete || data.hasWon) {
-            state.hasWon = true;
-            state.hasLost = false; // Explicitly set hasLost to false to avoid conflicts
-            state.completionTime = Date.now();
+          state.redoStack = [];
+        }
 
-            // NEW: If winData is directly included in the response, use it
-            if (data.winData) {
-              state.winData = {
-                ...data.winData,
-                encrypted: state.encrypted,
-                display: state.display,
-                attributionComplete: true, // Flag indicating complete data
-                isDailyChallenge: state.isDailyChallenge,
-                // Handle streak data with proper fallbacks
-                current_daily_streak: data.winData.current_daily_streak || 
-                                      data.current_daily_streak || 0
-              };
-
-              // No need for verification in progress
-              state.isWinVerificationInProgress = false;
-            } else {
-              // Fallback if winData not included - legacy support
-              // Set verification in progress flag to show loading spinner
-              state.isWinVerificationInProgress = true;
-            }
+        Object.assign(state, next);
+        if (state.selectedEncrypted === encryptedLetter) {
+          state.selectedEncrypted = null;
+        }
+
+        if (status === GAME_STATUS.LOST) {
+          state.hasLost = true;
+          state.hasWon = false; // Explicitly set hasWon to false to avoid conflicts
+          state.completionTime = Date.now();
+        } else if (status === GAME_STATUS.WON) {
+          state.hasWon = true;
+          state.hasLost = false; // Explicitly set hasLost to false to avoid conflicts
+          state.completionTime = Date.now();
+
+          // If winData is directly included in the response, use it
+          if (data.winData) {
+            state.winData = createWinData(
+              data.winData,
+              state,
+              data.current_daily_streak,
+            );
+
+            // No need for verification in progress
+            state.isWinVerificationInProgress = false;
+          } else {
+            // Fallback if winData not included - legacy support
+            // Set verification in progress flag to show loading spinner
+            state.isWinVerificationInProgress = true;
           }
+        }
 
-          // Handle correctly guessed letters
-          if (Array.isArray(data.correctly_guessed)) {
-            state.correctlyGuessed = data.correctly_guessed;
+        if (isCorrectGuess) {
+          state.lastCorrectGuess = encryptedLetter;
 
-            // Check if this guess was correct
-            if (isCorrectGuess) {
-              state.lastCorrectGuess = encryptedLetter;
-              state.guessedMappings[encryptedLetter] = guessedLetter.toUpperCase();
-            }
+          // Correct guesses buy back time in blitz games
+          if (state.blitz && !state.blitz.expired) {
+            state.blitz.deadline += state.blitz.bonusSeconds * 1000;
           }
-        });
+        }
+      });
 
-        // Only verify with backend if we've won but don't have direct winData
-        if (get().hasWon && !data.winData) {
-          get().verifyWinAndGetData();
+      if (isCorrectGuess || isIncorrectGuess) {
+        savePencilMarks(get().gameId, get().pencilMarks);
+        if (recordReplay) {
+          get().recordReplayEvent(
+            replayService.EVENT_TYPES.GUESS,
+            encryptedLetter,
+            guessedLetter,
+            isCorrectGuess ? 1 : 0,
+          );
         }
+      }
 
-        return {
-          success: true,
-          isCorrect: isCorrectGuess,
-          isIncorrect: isIncorrectGuess,
-          hasWon: get().hasWon || false,
-          hasLost: get().hasLost || false,
-        };
-      } catch (error) {
-        console.error("Error submitting guess:", error);
-        return { success: false, error: error.message };
+      // Only verify with backend if we've won but don't have direct winData
+      if (get().hasWon && !data.winData) {
+        get().verifyWinAndGetData();
       }
+
+      return {
+        success: true,
+        isCorrect: isCorrectGuess,
+        isIncorrect: isIncorrectGuess,
+        hasWon: get().hasWon || false,
+        hasLost: get().hasLost || false,
+      };
     },
 
-    // Get a hint with safety mechanisms against rapid clicks
-    getHint: async () => {
+    /**
+     * Guess the key of a local cipher game - a Caesar shift, a keyword, or one
+     * letter of a Vigenère key
+     * @param {number|string|Object} guess - Shift, keyword, or {position, letter}
+     * @returns {Object} Result with isCorrect, isIncorrect, hasWon and hasLost
+     */
+    submitKeyGuess: (guess) => {
+      const state = get();
+      if (!state.localGame || state.hasWon || state.hasLost) {
+        return { success: false, error: "No cipher game in progress" };
+      }
+
+      const { game: nextLocalGame, data } = offlineGameEngine.submitKeyGuess(
+        state.localGame,
+        guess,
+      );
+
+      // Nothing changed - a repeated wrong guess or an already solved key letter
+      if (nextLocalGame === state.localGame) {
+        return { success: true, isCorrect: false, isIncorrect: false };
+      }
+
+      const isCorrectGuess = data.is_correct;
+      const isIncorrectGuess = data.mistakes > state.mistakes;
+      const snapshot = createSnapshot(state);
+
+      set(state => {
+        state.localGame = nextLocalGame;
+
+        state.undoStack.push(snapshot);
+        if (state.undoStack.length > HISTORY_LIMIT) {
+          state.undoStack.shift();
+        }
+        state.redoStack = [];
+
+        state.display = applyHardcoreLevel(
+          data.display,
+          getHardcoreLevel(state),
+        );
+        state.mistakes = data.mistakes;
+        state.selectedEncrypted = null;
+
+        if (isCorrectGuess && state.blitz && !state.blitz.expired) {
+          state.blitz.deadline += state.blitz.bonusSeconds * 1000;
+        }
+
+        // A solved keyword or shift solves every letter at once
+        data.correctly_guessed
+          .filter(letter => !state.guessedMappings[letter])
+          .forEach(letter => {
+            state.guessedMappings[letter] = nextLocalGame.reverseMapping[letter];
+          });
+        state.correctlyGuessed = data.correctly_guessed;
+
+        const status = deriveStatus({
+          mistakes: state.mistakes,
+          maxMistakes: state.maxMistakes,
+          isComplete: data.hasWon,
+        });
+        if (status === GAME_STATUS.LOST) {
+          state.hasLost = true;
+          state.hasWon = false;
+          state.completionTime = Date.now();
+          state.solution = applyHardcoreLevel(
+            data.solution,
+            getHardcoreLevel(state),
+          );
+        } else if (status === GAME_STATUS.WON) {
+          state.hasWon = true;
+          state.hasLost = false;
+          state.completionTime = Date.now();
+          state.winData = createWinData(data.winData, state);
+        }
+      });
+
+      get().recordReplayEvent(
+        replayService.EVENT_TYPES.KEY,
+        typeof guess === "object"
+          ? `${Number(guess.position) + 1}:${String(guess.letter).toUpperCase()}`
+          : String(guess).toUpperCase(),
+        isCorrectGuess ? 1 : 0,
+        get().display,
+      );
+
+      return {
+        success: true,
+        isCorrect: isCorrectGuess,
+        isIncorrect: isIncorrectGuess,
+        hasWon: get().hasWon,
+        hasLost: get().hasLost,
+      };
+    },
+
+    /**
+     * Get a hint with safety mechanisms against rapid clicks
+     * @param {string} type - Hint type, see HINT_TYPES - defaults to revealing a letter
+     * @returns {Promise<Object>} Result with success, or the reason the hint wasn't given
+     */
+    getHint: async (type = HINT_TYPES.LETTER) => {
+      // Hints from other tabs run in the leader tab so they can't race
+      if (tabSyncService.shouldForward()) {
+        return tabSyncService.forwardToLeader("getHint", [type]);
+      }
+
       const state = get();
+      const cost = getHintCost(type);
 
       // Safety check: Don't allow hints if a hint is already in progress
       if (state.isHintInProgress) {
@@ -676,33 +1329,59 @@ const useGameStore = create(
         return { success: false, reason: "hint-in-progress" };
       }
 
+      // Targeted hints work on the selected letter
+      const targetLetter = TARGETED_HINT_TYPES.includes(type)
+        ? state.selectedEncrypted
+        : null;
+      if (TARGETED_HINT_TYPES.includes(type) && !targetLetter) {
+        return { success: false, reason: "no-letter-selected" };
+      }
+
       // Safety check: Calculate if this hint would exceed max mistakes
       const currentMistakes = state.mistakes;
-      const pendingMistakes = currentMistakes + state.pendingHints + 1; // +1 for this hint
+      const pendingMistakes = currentMistakes + state.pendingHints + cost;
       const maxMistakesAllowed = state.maxMistakes;
 
       // Don't allow hints that would cause a loss
       if (pendingMistakes >= maxMistakesAllowed) {
         console.log(
-          `Hint would exceed max mistakes (${currentMistakes}+${state.pendingHints}+1 vs ${maxMistakesAllowed})`,
+          `Hint would exceed max mistakes (${currentMistakes}+${state.pendingHints}+${cost} vs ${maxMistakesAllowed})`,
         );
         return { success: false, reason: "would-exceed-max-mistakes" };
       }
 
-      // Mark hint as in progress and increment pendingHints
+      // Mark hint as in progress and add its cost to pendingHints
       set(state => {
         state.isHintInProgress = true;
-        state.pendingHints = state.pendingHints + 1;
+        state.pendingHints = state.pendingHints + cost;
       });
 
       try {
-        const data = await apiService.getHint();
+        let data;
+        let nextLocalGame = null;
+        if (get().localGame) {
+          // Local games reveal hints through the offline engine
+          const result = offlineGameEngine.getHint(
+            get().localGame,
+            type,
+            targetLetter,
+          );
+          nextLocalGame = result.game;
+          data = result.data;
+        } else {
+          // Guesses made while the hint was in flight are still shown on the
+          // board. What the hint revealed and cost comes from the server
+          data = rebaseResponse(
+            await apiService.getHint(type, targetLetter),
+            get().pendingGuesses.filter(p => p.optimistic),
+          );
+        }
 
         // Handle errors
         if (data.authRequired) {
           set(state => {
             state.isHintInProgress = false;
-            state.pendingHints = state.pendingHints - 1; // Subtract the pending hint
+            state.pendingHints = state.pendingHints - cost; // Subtract the pending hint
           });
           return { success: false, authRequired: true };
         }
@@ -710,40 +1389,42 @@ const useGameStore = create(
         if (data.error) {
           set(state => {
             state.isHintInProgress = false;
-            state.pendingHints = state.pendingHints - 1; // Subtract the pending hint
+            state.pendingHints = state.pendingHints - cost; // Subtract the pending hint
           });
           return { success: false, error: data.error };
         }
 
-        const isDailyChallenge = get().isDailyChallenge;
-
-        // Process display text for hardcore mode
-        let displayText = data.display;
-        if (state.hardcoreMode && displayText && !isDailyChallenge) {
-          displayText = displayText.replace(/[^A-Z█]/g, "");
-        }
-
-        // Update mappings
-        const newCorrectlyGuessed = data.correctly_guessed || [];
-        const newMistakes = data.mistakes;
-
-        // Check for game state changes
-        let hasLost = false;
-        let hasWon = false;
+        const { status, revealed, next } = applyHint(get(), data, {
+          type,
+          letter: targetLetter,
+        });
+        const hasLost = status === GAME_STATUS.LOST;
+        const hasWon = status === GAME_STATUS.WON;
 
-        if (newMistakes >= state.maxMistakes) {
-          hasLost = true;
-        } else if (data.game_complete || data.hasWon) {
-          hasWon = true;
-        }
+        // Snapshot the board before the hint so it can be undone
+        const snapshot = createSnapshot(get());
 
         // Update state with all changes - including resetting hint flags
         set(state => {
-          state.display = displayText;
-          state.mistakes = newMistakes;
-          state.correctlyGuessed = newCorrectlyGuessed;
+          if (nextLocalGame) {
+            state.localGame = nextLocalGame;
+          }
+
+          // Record the hint in the undo history
+          state.undoStack.push(snapshot);
+          if (state.undoStack.length > HISTORY_LIMIT) {
+            state.undoStack.shift();
+          }
+          state.redoStack = [];
+
+          Object.assign(state, next);
           state.hasLost = hasLost;
           state.hasWon = hasWon;
+          state.lastHint = {
+            id: (state.lastHint?.id || 0) + 1,
+            type,
+            letters: targetLetter ? [targetLetter, ...revealed] : revealed,
+          };
 
           // Reset hint tracking
           state.isHintInProgress = false;
@@ -754,18 +1435,13 @@ const useGameStore = create(
             state.completionTime = Date.now();
           }
 
-          // NEW: If winData is directly included in the response, use it
+          // If winData is directly included in the response, use it
           if (hasWon && data.winData) {
-            state.winData = {
-              ...data.winData,
-              encrypted: state.encrypted,
-              display: state.display,
-              attributionComplete: true, // Flag indicating complete data
-              isDailyChallenge: state.isDailyChallenge,
-              // Handle streak data with proper fallbacks
-              current_daily_streak: data.winData.current_daily_streak || 
-                                    data.current_daily_streak || 0
-            };
+            state.winData = createWinData(
+              data.winData,
+              state,
+              data.current_daily_streak,
+            );
 
             // No need for verification in progress
             state.isWinVerificationInProgress = false;
@@ -773,27 +1449,34 @@ const useGameStore = create(
             // Set verification in progress flag if we need to fetch win data
             state.isWinVerificationInProgress = true;
           }
-
-          // Update guessedMappings based on newly revealed letters
-          newCorrectlyGuessed.forEach(encryptedLetter => {
-            // Skip if we already have this mapping
-            if (state.guessedMappings[encryptedLetter]) return;
-
-            // Find the first occurrence of this letter in the encrypted text
-            // where the corresponding display text shows the revealed letter
-            for (let i = 0; i < state.encrypted.length; i++) {
-              if (state.encrypted[i] === encryptedLetter && displayText[i] !== '█') {
-                // Store the mapping from encrypted letter to original letter
-                state.guessedMappings[encryptedLetter] = displayText[i];
-
-                // Log for debugging
-                console.log(`Hint revealed mapping: ${encryptedLetter} → ${displayText[i]}`);
-                break;
-              }
-            }
-          });
         });
 
+        // Key games reveal a key letter rather than a cipher letter
+        if (
+          nextLocalGame &&
+          nextLocalGame.solvedKeyPositions.length >
+            state.localGame.solvedKeyPositions.length
+        ) {
+          get().recordReplayEvent(
+            replayService.EVENT_TYPES.KEY,
+            "hint",
+            1,
+            get().display,
+          );
+        } else {
+          // Record the hint once, with the letters it solved and what it cost
+          const mappings = Object.fromEntries(
+            revealed.map(letter => [letter, get().guessedMappings[letter]]),
+          );
+          console.log(`Hint (${type}) revealed:`, mappings);
+          get().recordReplayEvent(
+            replayService.EVENT_TYPES.HINT,
+            type,
+            mappings,
+            get().mistakes - snapshot.mistakes,
+          );
+        }
+
         // Only verify with backend if we've won but don't have direct winData
         if (get().hasWon && !data.winData) {
           get().verifyWinAndGetData();
@@ -806,7 +1489,7 @@ const useGameStore = create(
         // Reset hint tracking even on error
         set(state => {
           state.isHintInProgress = false;
-          state.pendingHints = Math.max(0, state.pendingHints - 1); // Decrement but don't go negative
+          state.pendingHints = Math.max(0, state.pendingHints - cost); // Decrement but don't go negative
         });
 
         return { success: false, error: error.message };
@@ -877,6 +1560,8 @@ const useGameStore = create(
             encrypted: get().encrypted || "",
             display: get().display || "",
             hardcoreMode: get().hardcoreMode,
+            hardcoreLevel: get().hardcoreLevel,
+            quoteCategories: get().quoteCategories,
             lettersSolved: uniqueLettersSolved,
             attribution: winData.attribution || {
               major_attribution:
@@ -939,11 +1624,404 @@ const useGameStore = create(
         set(state => {
           state.selectedEncrypted = letter;
         });
+        if (letter !== state.selectedEncrypted) {
+          get().recordReplayEvent(replayService.EVENT_TYPES.SELECT, letter);
+        }
         return true;
       }
       return false;
     },
 
+    // Toggle notes mode - guesses become pencil marks instead of real guesses
+    toggleNotesMode: () => {
+      set(state => {
+        state.isNotesMode = !state.isNotesMode;
+      });
+    },
+
+    // Toggle the coach - ranked games are played without it
+    toggleCoachMode: () => {
+      set(state => {
+        state.isCoachMode = state.isUnranked && !state.isCoachMode;
+      });
+    },
+
+    /**
+     * Add or remove a tentative candidate for an encrypted letter
+     * @param {string} encryptedLetter - Encrypted letter being annotated
+     * @param {string} letter - Candidate plaintext letter
+     * @returns {boolean} Whether the marks changed
+     */
+    togglePencilMark: (encryptedLetter, letter) => {
+      const state = get();
+      if (
+        !encryptedLetter ||
+        !letter ||
+        state.correctlyGuessed.includes(encryptedLetter)
+      ) {
+        return false;
+      }
+
+      set(state => {
+        const marks = state.pencilMarks[encryptedLetter] || [];
+        if (marks.includes(letter)) {
+          state.pencilMarks[encryptedLetter] = marks.filter(m => m !== letter);
+          if (state.pencilMarks[encryptedLetter].length === 0) {
+            delete state.pencilMarks[encryptedLetter];
+          }
+        } else {
+          state.pencilMarks[encryptedLetter] = [...marks, letter].sort();
+        }
+      });
+
+      savePencilMarks(get().gameId, get().pencilMarks);
+      return true;
+    },
+
+    /**
+     * Promote a pencil mark to a real guess
+     * @param {string} encryptedLetter - Encrypted letter with marks
+     * @param {string} [letter] - Mark to promote, defaults to the only mark if there's one
+     * @returns {Promise<Object>} Result of submitGuess
+     */
+    promotePencilMark: async (encryptedLetter, letter) => {
+      const marks = get().pencilMarks[encryptedLetter] || [];
+      const candidate = letter || (marks.length === 1 ? marks[0] : null);
+
+      if (!candidate || !marks.includes(candidate)) {
+        return { success: false, reason: "no-single-mark" };
+      }
+
+      console.log(`Promoting pencil mark ${encryptedLetter} → ${candidate}`);
+      return get().submitGuess(encryptedLetter, candidate);
+    },
+
+    // Check whether the last move can be undone
+    canUndo: () => {
+      const state = get();
+      return canRestoreSnapshot(
+        state,
+        state.undoStack[state.undoStack.length - 1],
+      );
+    },
+
+    // Check whether the last undone move can be redone
+    canRedo: () => {
+      const state = get();
+      return canRestoreSnapshot(
+        state,
+        state.redoStack[state.redoStack.length - 1],
+      );
+    },
+
+    /**
+     * Undo the last guess or hint.
+     * In ranked games the mistake count is kept - only practice games refund it.
+     * @returns {boolean} Whether a move was undone
+     */
+    undo: () => {
+      const state = get();
+      const snapshot = state.undoStack[state.undoStack.length - 1];
+      if (!canRestoreSnapshot(state, snapshot)) return false;
+
+      // The leader tab holds the full history, so it does the undo
+      if (tabSyncService.shouldForward()) {
+        tabSyncService.forwardToLeader("undo");
+        return true;
+      }
+
+      const current = createSnapshot(state);
+      console.log(`Undoing move (${state.undoStack.length} in history)`);
+
+      set(state => {
+        state.undoStack.pop();
+        state.redoStack.push(current);
+
+        state.display = snapshot.display;
+        state.correctlyGuessed = snapshot.correctlyGuessed;
+        state.guessedMappings = snapshot.guessedMappings;
+        state.selectedEncrypted = snapshot.selectedEncrypted;
+        state.lastCorrectGuess = null;
+
+        // Only practice games get their mistakes refunded - ranked games keep
+        // the mistake and its crossed-out letter, as the server has recorded both
+        if (state.isUnranked) {
+          state.mistakes = snapshot.mistakes;
+          state.incorrectGuesses = snapshot.incorrectGuesses;
+          state.localGame = snapshot.localGame;
+          state.eliminatedLetters = snapshot.eliminatedLetters;
+          state.authorInitials = snapshot.authorInitials;
+        }
+      });
+
+      get().recordReplayEvent(replayService.EVENT_TYPES.UNDO);
+      return true;
+    },
+
+    /**
+     * Redo the last undone guess or hint
+     * @returns {boolean} Whether a move was redone
+     */
+    redo: () => {
+      const state = get();
+      const snapshot = state.redoStack[state.redoStack.length - 1];
+      if (!canRestoreSnapshot(state, snapshot)) return false;
+
+      // The leader tab holds the full history, so it does the redo
+      if (tabSyncService.shouldForward()) {
+        tabSyncService.forwardToLeader("redo");
+        return true;
+      }
+
+      const current = createSnapshot(state);
+      console.log(`Redoing move (${state.redoStack.length} undone)`);
+
+      set(state => {
+        state.redoStack.pop();
+        state.undoStack.push(current);
+
+        state.display = snapshot.display;
+        state.correctlyGuessed = snapshot.correctlyGuessed;
+        state.guessedMappings = snapshot.guessedMappings;
+        state.selectedEncrypted = null;
+        state.lastCorrectGuess = null;
+
+        if (state.isUnranked) {
+          state.mistakes = snapshot.mistakes;
+          state.incorrectGuesses = snapshot.incorrectGuesses;
+          state.localGame = snapshot.localGame;
+          state.eliminatedLetters = snapshot.eliminatedLetters;
+          state.authorInitials = snapshot.authorInitials;
+        }
+      });
+
+      get().recordReplayEvent(replayService.EVENT_TYPES.REDO);
+      return true;
+    },
+
+    /**
+     * Start the blitz clock for the current game if blitz mode is on.
+     * Used by gameService for new games it loads itself.
+     */
+    startBlitzClock: () => {
+      const state = get();
+      if (state.hasWon || state.hasLost) return;
+
+      set(state => {
+        state.blitz = createBlitzState(
+          useSettingsStore.getState().settings,
+          state.isDailyChallenge,
+        );
+      });
+    },
+
+    /**
+     * End a blitz game as a loss when its time runs out
+     * @returns {boolean} Whether the game was ended
+     */
+    expireBlitz: () => {
+      const state = get();
+      if (!state.blitz || state.blitz.expired || state.hasWon || state.hasLost) {
+        return false;
+      }
+      if (Date.now() < state.blitz.deadline) return false;
+
+      console.log("Blitz time expired - game lost");
+      set(state => {
+        state.blitz.expired = true;
+        state.hasLost = true;
+        state.hasWon = false;
+        state.completionTime = Date.now();
+
+        if (state.localGame) {
+          state.solution = applyHardcoreLevel(
+            state.localGame.original,
+            getHardcoreLevel(state),
+          );
+        }
+      });
+
+      // Server games have to be ended on the server too, or they could still
+      // be won. If the report doesn't get through, the server still ends the
+      // game at the blitz deadline it was given when the game started.
+      if (!state.localGame) {
+        const gameId = state.gameId;
+        apiService.expireBlitz().then(data => {
+          if (!data.success) {
+            console.warn("Blitz expiry not confirmed by the server:", data.error);
+            return;
+          }
+          if (data.solution && get().gameId === gameId) {
+            set(state => {
+              state.solution = applyHardcoreLevel(
+                data.solution,
+                getHardcoreLevel(state),
+              );
+            });
+          }
+        });
+      }
+      return true;
+    },
+
+    /**
+     * Fetch the solution of a lost server game for the walkthrough, if the
+     * losing move didn't send it. Asks at most once per game.
+     * @returns {Promise<boolean>} Whether the solution was fetched
+     */
+    fetchSolution: async () => {
+      const state = get();
+      if (!state.hasLost || state.solution || state.localGame) return false;
+      if (!state.gameId || solutionRequestedFor === state.gameId) return false;
+
+      const gameId = state.gameId;
+      solutionRequestedFor = gameId;
+      const data = await apiService.getSolution();
+
+      // The player may have moved on to another game in the meantime
+      if (!data.solution || get().gameId !== gameId) return false;
+      set(state => {
+        state.solution = applyHardcoreLevel(
+          data.solution,
+          getHardcoreLevel(state),
+        );
+      });
+      return true;
+    },
+
+    /**
+     * Record a move in the replay log and save it with the game
+     * @param {string} type - Event type from replayService.EVENT_TYPES
+     * @param {...*} args - Event details, see replayService for the format
+     */
+    recordReplayEvent: (type, ...args) => {
+      const state = get();
+      if (!state.gameId || !state.encrypted) return;
+
+      const now = Date.now();
+      const startedAt = state.replayStartedAt || state.startTime || now;
+
+      set(state => {
+        state.replayStartedAt = startedAt;
+        state.replayEvents.push([now - startedAt, type, ...args]);
+      });
+
+      const updated = get();
+      replayService.saveReplay({
+        gameId: updated.gameId,
+        encrypted: updated.encrypted,
+        hardcoreMode: updated.hardcoreMode,
+        hardcoreLevel: updated.hardcoreLevel,
+        difficulty: updated.difficulty,
+        isDailyChallenge: updated.isDailyChallenge,
+        isUnranked: updated.isUnranked,
+        cipherType: updated.localGame?.cipherType || "substitution",
+        startedAt,
+        events: updated.replayEvents,
+        outcome: updated.hasWon ? "won" : updated.hasLost ? "lost" : null,
+      });
+    },
+
+    /**
+     * Get the current game as save data for a save slot
+     * @returns {Object|null} Save data, or null when there's no game to save
+     */
+    getSaveData: () => {
+      const state = get();
+      if (!state.gameId || !state.encrypted || !state.hasGameStarted) {
+        return null;
+      }
+      return createSaveData(state);
+    },
+
+    /**
+     * Set the slot the current game autosaves to
+     * @param {string} slot - Slot key
+     * @param {string} name - Display name for the slot
+     */
+    setSaveSlot: (slot, name) => {
+      set(state => {
+        state.saveSlot = slot;
+        state.saveSlotName = name;
+      });
+    },
+
+    /**
+     * Resume a game from a save slot
+     * @param {Object} save - Save record from saveSlotService
+     * @returns {boolean} Whether the save could be restored
+     */
+    restoreSave: (save) => {
+      const game = save?.game;
+      if (!game?.gameId || !game.encrypted || !game.display) {
+        console.warn("Cannot restore save - missing game data");
+        return false;
+      }
+
+      console.log(`Restoring game ${game.gameId} from save slot ${save.slot}`);
+
+      // Local games never talk to the server, others keep using their game ID
+      if (!game.localGame) {
+        localStorage.setItem("uncrypt-game-id", game.gameId);
+      }
+
+      const now = Date.now();
+      set(state => {
+        // Reset all properties to initial values
+        Object.keys(initialState).forEach(key => {
+          state[key] = initialState[key];
+        });
+
+        state.gameId = game.gameId;
+        state.encrypted = game.encrypted;
+        state.display = game.display;
+        state.mistakes = game.mistakes || 0;
+        state.correctlyGuessed = game.correctlyGuessed || [];
+        state.incorrectGuesses = game.incorrectGuesses || {};
+        state.guessedMappings = game.guessedMappings || {};
+        state.letterFrequency = game.letterFrequency || {};
+        state.originalLetters = game.originalLetters || [];
+        state.difficulty = game.difficulty || "easy";
+        state.maxMistakes = game.maxMistakes || MAX_MISTAKES_MAP[state.difficulty];
+        state.hardcoreMode = !!game.hardcoreMode;
+        state.hardcoreLevel = getHardcoreLevel(game);
+        state.quoteCategories = normalizeQuoteCategories(game.quoteCategories);
+        state.language = LANGUAGES[game.language] ? game.language : DEFAULT_LANGUAGE;
+        state.campaign = game.campaign || null;
+        state.isDailyChallenge = !!game.isDailyChallenge;
+        state.dailyDate = game.dailyDate || null;
+        state.isArchiveDaily = !!game.isArchiveDaily;
+        state.localGame = game.localGame || null;
+        state.isUnranked = !!game.isUnranked;
+        state.pencilMarks = game.pencilMarks || {};
+        state.eliminatedLetters = game.eliminatedLetters || {};
+        state.authorInitials = game.authorInitials || null;
+        state.startTime = now - (game.elapsed || 0);
+        state.hasGameStarted = true;
+        state.gameInProgress = true;
+        state.settingsInitialized = get().settingsInitialized;
+
+        // Give back the blitz time that was left when the game was saved
+        if (game.blitz) {
+          const { remaining, ...blitz } = game.blitz;
+          state.blitz = {
+            ...blitz,
+            deadline: remaining === null ? null : now + remaining,
+          };
+        }
+
+        state.saveSlot = save.slot;
+        state.saveSlotName = save.name;
+
+        // Keep recording onto the replay saved for this game
+        const savedReplay = replayService.getReplay(game.gameId);
+        state.replayEvents = savedReplay?.events || [];
+        state.replayStartedAt = savedReplay?.startedAt || null;
+      });
+
+      return true;
+    },
+
     // Reset game
     resetGame: () => {
       set(state => {
@@ -959,6 +2037,7 @@ const useGameStore = create(
         state.difficulty = get().difficulty;
         state.maxMistakes = get().maxMistakes;
         state.hardcoreMode = get().hardcoreMode;
+        state.hardcoreLevel = get().hardcoreLevel;
         state.settingsInitialized = get().settingsInitialized;
       });
     },
@@ -1058,6 +2137,7 @@ const useGameStore = create(
           state.difficulty = get().difficulty;
           state.maxMistakes = get().maxMistakes;
           state.hardcoreMode = get().hardcoreMode;
+          state.hardcoreLevel = get().hardcoreLevel;
           state.settingsInitialized = true;
         });
 
@@ -1067,6 +2147,25 @@ const useGameStore = create(
         // Make direct API call to start game rather than using startGame method
         try {
           const latestSettings = useSettingsStore.getState().settings;
+          const effectiveHardcoreMode =
+            latestSettings?.hardcoreMode || hardcoreMode;
+
+          // Other ciphers, custom difficulties, partial hardcore and other
+          // languages are played locally
+          if (
+            !options.isDaily &&
+            requiresLocalGame({
+              ...latestSettings,
+              hardcoreMode: effectiveHardcoreMode,
+            })
+          ) {
+            get().startOfflineGame({
+              longText: useLongText,
+              hardcoreMode: latestSettings.hardcoreMode || hardcoreMode,
+              cipherType: latestSettings.cipherType,
+            });
+            return true;
+          }
 
           // Directly call API service
           const gameData = await apiService.startGame({
@@ -1074,19 +2173,24 @@ const useGameStore = create(
             difficulty: latestSettings?.difficulty || "medium",
             hardcoreMode: latestSettings?.hardcoreMode || hardcoreMode,
             backdoorMode: options.backdoorMode || false,
+            categories: options.isDaily
+              ? []
+              : normalizeQuoteCategories(latestSettings?.quoteCategories),
+            ...getServerBlitzOptions(latestSettings, !!options.isDaily),
           });
 
           if (gameData && gameData.encrypted_paragraph && gameData.display) {
             // Process data for hardcore mode if needed
-            const effectiveHardcoreMode =
-              latestSettings?.hardcoreMode || hardcoreMode;
-            let processedEncrypted = effectiveHardcoreMode
-              ? gameData.encrypted_paragraph.replace(/[^A-Z]/g, "")
-              : gameData.encrypted_paragraph;
+            const hardcoreLevel = getServerHardcoreLevel(effectiveHardcoreMode);
+            let processedEncrypted = applyHardcoreLevel(
+              gameData.encrypted_paragraph,
+              hardcoreLevel,
+            );
 
-            let processedDisplay = effectiveHardcoreMode
-              ? gameData.display.replace(/[^A-Z█]/g, "")
-              : gameData.display;
+            let processedDisplay = applyHardcoreLevel(
+              gameData.display,
+              hardcoreLevel,
+            );
 
             // Store game ID if present
             if (gameData.game_id) {
@@ -1109,6 +2213,12 @@ const useGameStore = create(
               state.gameId = gameData.game_id;
               state.hasGameStarted = true;
               state.hardcoreMode = effectiveHardcoreMode;
+              state.hardcoreLevel = hardcoreLevel;
+              state.quoteCategories = normalizeQuoteCategories(
+                gameData.categories,
+              );
+              state.language = DEFAULT_LANGUAGE;
+              state.campaign = null;
               state.difficulty = latestSettings?.difficulty || "medium";
               state.maxMistakes =
                 MAX_MISTAKES_MAP[latestSettings?.difficulty || "medium"] || 5;
@@ -1117,6 +2227,8 @@ const useGameStore = create(
               state.winData = null;
               state.isResetting = false;
               state.isDailyChallenge = options.isDaily || false;
+              state.isArchiveDaily = false;
+              state.blitz = createBlitzState(latestSettings, !!options.isDaily);
             });
 
             console.log("Game state successfully updated with new game data");
@@ -1125,6 +2237,17 @@ const useGameStore = create(
             throw new Error("Invalid game data received");
           }
         } catch (error) {
+          // If the API can't be reached, play a local puzzle instead
+          if (offlineGameEngine.isNetworkError(error)) {
+            console.warn("API unreachable, starting offline game instead");
+            get().startOfflineGame({
+              longText: useLongText,
+              hardcoreMode:
+                useSettingsStore.getState().settings?.hardcoreMode || hardcoreMode,
+            });
+            return true;
+          }
+
           console.error("Error starting new game directly:", error);
           // Clear resetting flag on error
           set(state => {
@@ -1152,4 +2275,7 @@ setTimeout(() => {
   }
 }, 0);
 
+// Keep the game identical in every open tab
+tabSyncService.connect(useGameStore);
+
 export default useGameStore;
\ No newline at end of file
@@ -0,0 +1,130 @@
+// src/stores/gameStore.test.js
+import useGameStore from "./gameStore";
+import apiService from "../services/apiService";
+import replayService from "../services/replayService";
+import { HINT_TYPES } from "../utils/gameRules";
+
+jest.mock("../services/apiService", () => ({
+  __esModule: true,
+  default: { submitGuess: jest.fn(), getHint: jest.fn() },
+}));
+
+// A server game with nothing solved yet
+const startBoard = (isUnranked) => {
+  useGameStore.setState({
+    gameId: "game-1",
+    encrypted: "XYZ",
+    display: "███",
+    mistakes: 0,
+    maxMistakes: 5,
+    correctlyGuessed: [],
+    incorrectGuesses: {},
+    guessedMappings: {},
+    pendingGuesses: [],
+    pendingHints: 0,
+    selectedEncrypted: null,
+    replayEvents: [],
+    undoStack: [],
+    redoStack: [],
+    localGame: null,
+    hasWon: false,
+    hasLost: false,
+    isHintInProgress: false,
+    isUnranked,
+  });
+};
+
+// Make a guess the server marks wrong
+const guessWrong = () => {
+  apiService.submitGuess.mockResolvedValueOnce({
+    display: "███",
+    mistakes: 1,
+    correctly_guessed: [],
+    is_correct: false,
+  });
+  return useGameStore.getState().submitGuess("X", "Q");
+};
+
+describe("undo", () => {
+  test("ranked games keep the mistake of an undone wrong guess", async () => {
+    startBoard(false);
+    await guessWrong();
+
+    expect(useGameStore.getState().undo()).toBe(true);
+    expect(useGameStore.getState().mistakes).toBe(1);
+    expect(useGameStore.getState().incorrectGuesses.X).toContain("Q");
+  });
+
+  test("practice games refund the mistake", async () => {
+    startBoard(true);
+    await guessWrong();
+
+    expect(useGameStore.getState().undo()).toBe(true);
+    expect(useGameStore.getState().mistakes).toBe(0);
+    expect(useGameStore.getState().incorrectGuesses.X).toBeUndefined();
+
+    expect(useGameStore.getState().redo()).toBe(true);
+    expect(useGameStore.getState().mistakes).toBe(1);
+  });
+
+  test("ranked games can't take back a letter the server revealed", async () => {
+    startBoard(false);
+    apiService.submitGuess.mockResolvedValueOnce({
+      display: "A██",
+      mistakes: 0,
+      correctly_guessed: ["X"],
+      is_correct: true,
+    });
+    await useGameStore.getState().submitGuess("X", "A");
+
+    expect(useGameStore.getState().canUndo()).toBe(false);
+    expect(useGameStore.getState().undo()).toBe(false);
+  });
+});
+
+describe("getHint", () => {
+  test("records the hint once with the mistakes the server charged", async () => {
+    startBoard(false);
+    useGameStore.setState({ selectedEncrypted: "Y" });
+    apiService.getHint.mockResolvedValueOnce({
+      display: "█A█",
+      mistakes: 2,
+      correctly_guessed: ["Y"],
+    });
+
+    await useGameStore.getState().getHint(HINT_TYPES.CHOSEN);
+
+    expect(apiService.getHint).toHaveBeenCalledWith(HINT_TYPES.CHOSEN, "Y");
+    const events = useGameStore.getState().replayEvents;
+    expect(events).toHaveLength(1);
+    expect(events[0].slice(1)).toEqual([
+      replayService.EVENT_TYPES.HINT,
+      HINT_TYPES.CHOSEN,
+      { Y: "A" },
+      2,
+    ]);
+  });
+});
+
+describe("startOfflineGame", () => {
+  test("offline dailies are flagged as the day's daily", () => {
+    useGameStore.getState().startOfflineGame({
+      seed: "2025-03-12",
+      isDaily: true,
+      dailyDate: "2025-03-12",
+    });
+
+    const state = useGameStore.getState();
+    expect(state.isDailyChallenge).toBe(true);
+    expect(state.dailyDate).toBe("2025-03-12");
+    expect(state.isArchiveDaily).toBe(false);
+    expect(state.isUnranked).toBe(true);
+  });
+
+  test("other offline games aren't dailies", () => {
+    useGameStore.getState().startOfflineGame({ seed: "2025-03-12" });
+
+    expect(useGameStore.getState().isDailyChallenge).toBe(false);
+    expect(useGameStore.getState().dailyDate).toBeNull();
+  });
+});
@@ -2,6 +2,19 @@
 import { create } from "zustand";
 import { persist } from "zustand/middleware";
 import { immer } from "zustand/middleware/immer"; // Import immer middleware
+import {
+  CUSTOM_DIFFICULTY,
+  DEFAULT_CUSTOM_DIFFICULTY,
+  HARDCORE_LEVELS,
+  MAX_MISTAKES_MAP,
+  getMaxMistakes as getDifficultyMaxMistakes,
+  normalizeCustomDifficulty,
+} from "../utils/gameRules";
+import { normalizeQuoteCategories } from "../utils/quoteCategories";
+import { ACCENT_MODES, DEFAULT_LANGUAGE, LANGUAGES } from "../utils/languages";
+
+// Most custom difficulty presets a player can keep
+export const MAX_CUSTOM_PRESETS = 5;
 
 const defaultSettings = {
   theme: "light",
@@ -10,18 +23,22 @@ const defaultSettings = {
   speedMode: true, // Always on - cannot be changed
   gridSorting: "default",
   hardcoreMode: false,
+  hardcoreLevel: HARDCORE_LEVELS.FULL, // How much hardcore mode strips when on
   mobileMode: "auto",
   textColor: "default",
   soundEnabled: true,
   vibrationEnabled: true,
   backdoorMode: false,
-};
-
-// Map for max mistakes based on difficulty
-const MAX_MISTAKES_MAP = {
-  easy: 8,
-  medium: 5, // Changed from normal to medium
-  hard: 3,
+  cipherType: "substitution", // Other ciphers are played on the offline engine
+  showFrequencyAnalysis: false,
+  blitzMode: false,
+  blitzPreset: "standard", // See BLITZ_PRESETS in utils/blitzUtils
+  blitzBonus: true, // Correct guesses add bonus seconds
+  customDifficulty: { ...DEFAULT_CUSTOM_DIFFICULTY }, // Used when difficulty is "custom"
+  quoteCategories: [], // Categories and decades new quotes are picked from - empty for any
+  language: DEFAULT_LANGUAGE, // Other languages are played on the offline engine
+  accentMode: ACCENT_MODES.FOLD, // Whether accented letters are folded or kept
+  encipherDigits: false, // Swap digits for symbols too - played on the offline engine
 };
 
 // Combine persist and immer middleware
@@ -31,10 +48,14 @@ const useSettingsStore = create(
       // State
       settings: { ...defaultSettings },
 
+      // Saved custom difficulties - { name, ...customDifficulty }. Kept apart
+      // from settings so saving one doesn't touch settings being edited.
+      customPresets: [],
+
       // Computed value function
       getMaxMistakes: () => {
-        const { difficulty } = get().settings;
-        return MAX_MISTAKES_MAP[difficulty] || 5;
+        const { difficulty, customDifficulty } = get().settings;
+        return getDifficultyMaxMistakes(difficulty, customDifficulty);
       },
 
       // Actions
@@ -60,12 +81,46 @@ const useSettingsStore = create(
             if (key === "difficulty") {
               if (
                 newSettings.difficulty &&
-                ["easy", "medium", "hard"].includes(newSettings.difficulty)
+                ["easy", "medium", "hard", CUSTOM_DIFFICULTY].includes(
+                  newSettings.difficulty,
+                )
               ) {
                 state.settings.difficulty = newSettings.difficulty;
               }
               // If invalid, keep existing value
             }
+            // Keep custom difficulties within the allowed ranges
+            else if (key === "customDifficulty") {
+              state.settings.customDifficulty = normalizeCustomDifficulty(
+                newSettings.customDifficulty,
+              );
+            }
+            // Drop categories and decades that aren't offered any more
+            else if (key === "quoteCategories") {
+              state.settings.quoteCategories = normalizeQuoteCategories(
+                newSettings.quoteCategories,
+              );
+            }
+            // Unknown hardcore levels fall back to full hardcore
+            else if (key === "hardcoreLevel") {
+              state.settings.hardcoreLevel = Object.values(
+                HARDCORE_LEVELS,
+              ).includes(newSettings.hardcoreLevel)
+                ? newSettings.hardcoreLevel
+                : HARDCORE_LEVELS.FULL;
+            }
+            // Unknown languages and accent modes fall back to the defaults
+            else if (key === "language") {
+              state.settings.language = LANGUAGES[newSettings.language]
+                ? newSettings.language
+                : DEFAULT_LANGUAGE;
+            } else if (key === "accentMode") {
+              state.settings.accentMode = Object.values(ACCENT_MODES).includes(
+                newSettings.accentMode,
+              )
+                ? newSettings.accentMode
+                : ACCENT_MODES.FOLD;
+            }
             // Handle all other settings
             else {
               state.settings[key] = newSettings[key];
@@ -95,6 +150,40 @@ const useSettingsStore = create(
         get().applyTheme();
       },
 
+      /**
+       * Save a custom difficulty as a named preset, replacing any preset with
+       * the same name. The oldest preset is dropped once there are too many.
+       * @param {string} name - Preset name
+       * @param {Object} config - Custom difficulty options
+       */
+      saveCustomPreset: (name, config) => {
+        const presetName = (name || "").trim();
+        if (!presetName) return;
+
+        set((state) => {
+          const presets = state.customPresets.filter(
+            (preset) => preset.name !== presetName,
+          );
+          presets.push({
+            name: presetName,
+            ...normalizeCustomDifficulty(config),
+          });
+          state.customPresets = presets.slice(-MAX_CUSTOM_PRESETS);
+        });
+      },
+
+      /**
+       * Delete a saved custom difficulty preset
+       * @param {string} name - Preset name
+       */
+      deleteCustomPreset: (name) => {
+        set((state) => {
+          state.customPresets = state.customPresets.filter(
+            (preset) => preset.name !== name,
+          );
+        });
+      },
+
       // Apply theme to DOM
       applyTheme: () => {
         try {
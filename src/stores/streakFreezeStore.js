@@ -0,0 +1,145 @@
+// src/stores/streakFreezeStore.js
+import { create } from "zustand";
+import { persist } from "zustand/middleware";
+import { immer } from "zustand/middleware/immer";
+import apiService from "../services/apiService";
+import useDailyHistoryStore from "./dailyHistoryStore";
+import { getTodayString } from "../utils/dailyArchive";
+import {
+  FREEZE_EVENTS,
+  mergeFreezeHistory,
+  planStreakFreezes,
+} from "../utils/streakFreezes";
+
+const NOTHING_CHANGED = { used: [], earned: null };
+
+// The check that's running, and the day and kind of player last checked for
+let inFlight = null;
+let reconciledFor = null;
+
+/**
+ * Streak freezes earned and used. For logged in players the server owns them
+ * and this is just its latest history; anonymous players' streaks only exist
+ * on this device, so their freezes are worked out and kept here. See
+ * utils/streakFreezes for how they're earned and the history format.
+ */
+const useStreakFreezeStore = create(
+  persist(
+    immer((set, get) => ({
+      history: [],
+      lastSyncedAt: null,
+      // Days the server just covered, until the player has seen the notice
+      recentlyCovered: [],
+
+      /**
+       * Bring freezes up to date with the daily results - cover any missed
+       * days and award a freeze for a streak milestone. Runs once a day unless
+       * forced, and callers share a check that's already running.
+       * @param {Object} options - { force } to check again after a daily win
+       * @returns {Promise<Object>} { used, earned } - days covered and the day
+       *   a freeze was earned on, or null. Never rejects.
+       */
+      reconcile: ({ force = false } = {}) => {
+        if (inFlight) {
+          return force
+            ? inFlight.then(() => get().reconcile({ force }))
+            : inFlight;
+        }
+
+        const key = `${getTodayString()}:${apiService.getToken() ? "account" : "device"}`;
+        if (!force && reconciledFor === key) {
+          return Promise.resolve(NOTHING_CHANGED);
+        }
+
+        inFlight = get()
+          .applyFreezes()
+          .then((result) => {
+            reconciledFor = key;
+            return result;
+          })
+          .catch((error) => {
+            console.error("Error reconciling streak freezes:", error);
+            return NOTHING_CHANGED;
+          })
+          .finally(() => {
+            inFlight = null;
+          });
+        return inFlight;
+      },
+
+      // Ask the server to apply freezes, or work them out locally for
+      // anonymous players - see reconcile
+      applyFreezes: async () => {
+        const response = await apiService.applyStreakFreezes();
+
+        if (response.success) {
+          set((state) => {
+            state.history = response.history;
+            state.lastSyncedAt = Date.now();
+            response.used.forEach((date) => {
+              if (!state.recentlyCovered.includes(date)) {
+                state.recentlyCovered.push(date);
+              }
+            });
+          });
+
+          if (response.used.length) {
+            console.log(`Streak freezes covered ${response.used.join(", ")}`);
+          }
+          return { used: response.used, earned: response.earned };
+        }
+
+        if (!response.anonymous) {
+          return NOTHING_CHANGED;
+        }
+
+        // Anonymous players' streaks are only on this device, and an account's
+        // freezes left over from before logging out aren't theirs to spend
+        if (get().lastSyncedAt) {
+          set((state) => {
+            state.history = [];
+            state.lastSyncedAt = null;
+          });
+        }
+
+        const { results } = useDailyHistoryStore.getState();
+        const { use, earn } = planStreakFreezes(
+          results,
+          get().history,
+          getTodayString(),
+        );
+
+        if (use.length || earn) {
+          const at = Date.now();
+          set((state) => {
+            state.history = mergeFreezeHistory(state.history, [
+              ...use.map((date) => ({ type: FREEZE_EVENTS.USED, date, at })),
+              ...(earn ? [{ type: FREEZE_EVENTS.EARNED, date: earn, at }] : []),
+            ]);
+          });
+          console.log(
+            `Local streak freezes - covered: ${use.join(", ") || "none"}, earned: ${earn || "none"}`,
+          );
+        }
+
+        return { used: use, earned: earn };
+      },
+
+      // Clear the days just covered once the notice has been seen
+      dismissRecentlyCovered: () => {
+        set((state) => {
+          state.recentlyCovered = [];
+        });
+      },
+    })),
+    {
+      name: "uncrypt-streak-freezes",
+      partialize: (state) => ({
+        history: state.history,
+        lastSyncedAt: state.lastSyncedAt,
+      }),
+    },
+  ),
+);
+
+export default useStreakFreezeStore;
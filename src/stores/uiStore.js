@@ -69,6 +69,7 @@ const useUIStore = create(
       isSettingsOpen: false,
       isContinueGameOpen: false,
       activeGameStats: null,
+      isSaveSlotsOpen: false,
 
       // Device state - initialize with actual detection at creation time
       isMobile: typeof window !== "undefined" ? detectMobileDevice() : false,
@@ -152,6 +153,15 @@ const useUIStore = create(
           state.isSettingsOpen = false;
         }),
 
+      openSaveSlots: () =>
+        set((state) => {
+          state.isSaveSlotsOpen = true;
+        }),
+      closeSaveSlots: () =>
+        set((state) => {
+          state.isSaveSlotsOpen = false;
+        }),
+
       openContinueGamePrompt: (gameStats) =>
         set((state) => {
           state.isContinueGameOpen = true;
@@ -0,0 +1,66 @@
+// src/utils/blitzUtils.js
+/**
+ * Presets and helpers for blitz (timed) games
+ */
+
+// Time budgets offered in Settings, with the seconds a correct guess adds back
+export const BLITZ_PRESETS = {
+  sprint: { label: "Sprint", seconds: 60, bonusSeconds: 3 },
+  standard: { label: "Standard", seconds: 90, bonusSeconds: 5 },
+  marathon: { label: "Marathon", seconds: 180, bonusSeconds: 5 },
+};
+
+export const DEFAULT_BLITZ_PRESET = "standard";
+
+/**
+ * Get the blitz preset selected in settings
+ * @param {Object} settings - Settings from the settings store
+ * @returns {Object|null} Preset, or null when blitz mode is off
+ */
+export const getBlitzPreset = (settings = {}) => {
+  if (!settings?.blitzMode) return null;
+  return (
+    BLITZ_PRESETS[settings.blitzPreset] || BLITZ_PRESETS[DEFAULT_BLITZ_PRESET]
+  );
+};
+
+/**
+ * Build the blitz clock for a new game from the current settings
+ * @param {Object} settings - Settings from the settings store
+ * @param {boolean} isDaily - Whether the game is a daily challenge (never timed)
+ * @returns {Object|null} Blitz state, or null when blitz mode is off
+ */
+export const createBlitzState = (settings = {}, isDaily = false) => {
+  const preset = getBlitzPreset(settings);
+  if (!preset || isDaily) return null;
+
+  return {
+    preset: settings.blitzPreset || DEFAULT_BLITZ_PRESET,
+    seconds: preset.seconds,
+    bonusSeconds: settings.blitzBonus === false ? 0 : preset.bonusSeconds,
+    deadline: Date.now() + preset.seconds * 1000,
+    expired: false,
+  };
+};
+
+/**
+ * Blitz options to start a server game with, so the server's deadline moves
+ * with the clock from createBlitzState - the time budget and the seconds each
+ * correct guess it scores adds back
+ * @param {Object} settings - Settings from the settings store
+ * @param {boolean} isDaily - Whether the game is a daily challenge
+ * @returns {Object} { blitzSeconds, blitzBonusSeconds }, null when not timed
+ */
+export const getServerBlitzOptions = (settings = {}, isDaily = false) => {
+  const blitz = createBlitzState(settings, isDaily);
+  return {
+    blitzSeconds: blitz ? blitz.seconds : null,
+    blitzBonusSeconds: blitz ? blitz.bonusSeconds : null,
+  };
+};
+
+// Format milliseconds left as m:ss
+export const formatCountdown = (ms) => {
+  const seconds = Math.max(Math.ceil(ms / 1000), 0);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+};
@@ -0,0 +1,34 @@
+// src/utils/blitzUtils.test.js
+import {
+  BLITZ_PRESETS,
+  createBlitzState,
+  getServerBlitzOptions,
+} from "./blitzUtils";
+
+const sprint = { blitzMode: true, blitzPreset: "sprint" };
+
+describe("getServerBlitzOptions", () => {
+  test("sends the time budget and bonus the clock uses", () => {
+    const clock = createBlitzState(sprint);
+
+    expect(getServerBlitzOptions(sprint)).toEqual({
+      blitzSeconds: clock.seconds,
+      blitzBonusSeconds: clock.bonusSeconds,
+    });
+    expect(clock.bonusSeconds).toBe(BLITZ_PRESETS.sprint.bonusSeconds);
+  });
+
+  test("sends no bonus when bonus seconds are off", () => {
+    expect(getServerBlitzOptions({ ...sprint, blitzBonus: false })).toEqual({
+      blitzSeconds: BLITZ_PRESETS.sprint.seconds,
+      blitzBonusSeconds: 0,
+    });
+  });
+
+  test("dailies and untimed games aren't blitz", () => {
+    const untimed = { blitzSeconds: null, blitzBonusSeconds: null };
+
+    expect(getServerBlitzOptions(sprint, true)).toEqual(untimed);
+    expect(getServerBlitzOptions({ blitzMode: false })).toEqual(untimed);
+  });
+});
@@ -0,0 +1,151 @@
+// src/utils/campaign.js
+/**
+ * Campaign mode
+ * Themed packs of puzzles bundled with the app, played in order from easiest
+ * to hardest. Each win unlocks the next puzzle in the pack and earns up to
+ * three stars.
+ *
+ * Progress is kept as { [packId]: { [index]: { stars, bestTime, completedAt } } }
+ * with one entry for every puzzle the player has finished.
+ */
+import campaignPacks from "../data/campaignPacks.json";
+
+export const MAX_STARS = 3;
+
+// Seconds to beat for the time star when a puzzle doesn't set its own par
+export const PAR_SECONDS = {
+  easy: 120,
+  medium: 240,
+  hard: 360,
+};
+
+/**
+ * All the bundled packs, in the order they're shown
+ * @returns {Array<Object>} Packs - { id, title, description, puzzles }
+ */
+export const getPacks = () => campaignPacks;
+
+/**
+ * Look up a pack
+ * @param {string} packId - Pack id
+ * @returns {Object|null}
+ */
+export const getPack = (packId) =>
+  campaignPacks.find((pack) => pack.id === packId) || null;
+
+/**
+ * Look up a puzzle in a pack
+ * @param {string} packId - Pack id
+ * @param {number} index - Position of the puzzle in the pack, from 0
+ * @returns {Object|null} Puzzle - { text, major_attribution, minor_attribution, difficulty }
+ */
+export const getPuzzle = (packId, index) =>
+  getPack(packId)?.puzzles[index] || null;
+
+/**
+ * Seed for a puzzle, so everyone gets the same cipher for it
+ * @param {string} packId - Pack id
+ * @param {number} index - Position of the puzzle in the pack
+ * @returns {string}
+ */
+export const getPuzzleSeed = (packId, index) => `campaign-${packId}-${index}`;
+
+/**
+ * Time to beat for a puzzle's time star
+ * @param {Object} puzzle - Puzzle from a pack
+ * @returns {number} Seconds
+ */
+export const getParSeconds = (puzzle) =>
+  puzzle?.parSeconds || PAR_SECONDS[puzzle?.difficulty] || PAR_SECONDS.medium;
+
+/**
+ * Stars for a win: one for finishing, one for no mistakes and one for
+ * beating the puzzle's par time
+ * @param {Object} result - { mistakes, gameTimeSeconds }
+ * @param {Object} puzzle - Puzzle from a pack
+ * @returns {number} 1 to MAX_STARS
+ */
+export const calculateStars = ({ mistakes = 0, gameTimeSeconds = 0 }, puzzle) =>
+  1 +
+  (mistakes === 0 ? 1 : 0) +
+  (gameTimeSeconds <= getParSeconds(puzzle) ? 1 : 0);
+
+/**
+ * Whether a puzzle can be played yet - the first always can, the rest once
+ * the one before has been finished
+ * @param {Object} packProgress - Progress for the pack
+ * @param {number} index - Position of the puzzle in the pack
+ * @returns {boolean}
+ */
+export const isPuzzleUnlocked = (packProgress, index) =>
+  index === 0 || !!packProgress?.[index - 1];
+
+/**
+ * Totals for a pack browser card
+ * @param {Object} pack - Pack
+ * @param {Object} packProgress - Progress for the pack
+ * @returns {Object} { completed, total, stars, maxStars, nextIndex } - nextIndex
+ *   is the first unfinished puzzle, or null once the pack is done
+ */
+export const getPackSummary = (pack, packProgress = {}) => {
+  const total = pack.puzzles.length;
+  let completed = 0;
+  let stars = 0;
+  let nextIndex = null;
+
+  pack.puzzles.forEach((_, index) => {
+    const entry = packProgress?.[index];
+    if (entry) {
+      completed += 1;
+      stars += entry.stars || 0;
+    } else if (nextIndex === null) {
+      nextIndex = index;
+    }
+  });
+
+  return { completed, total, stars, maxStars: total * MAX_STARS, nextIndex };
+};
+
+// Smaller of two optional numbers
+const minOf = (a, b) => (a == null ? b : b == null ? a : Math.min(a, b));
+
+// Keep the better of two results for the same puzzle
+const mergeEntry = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  return {
+    stars: Math.max(a.stars || 0, b.stars || 0),
+    bestTime: minOf(a.bestTime, b.bestTime),
+    completedAt: minOf(a.completedAt, b.completedAt),
+  };
+};
+
+/**
+ * Combine two sets of progress, keeping the best result for every puzzle.
+ * Used to add a win, and to merge this device's progress with the account's.
+ * @param {Object} local - Progress
+ * @param {Object} remote - Progress
+ * @returns {Object} Merged progress
+ */
+export const mergeCampaignProgress = (local = {}, remote = {}) => {
+  const merged = {};
+
+  new Set([...Object.keys(local || {}), ...Object.keys(remote || {})]).forEach(
+    (packId) => {
+      const localPack = local?.[packId] || {};
+      const remotePack = remote?.[packId] || {};
+      merged[packId] = {};
+
+      new Set([...Object.keys(localPack), ...Object.keys(remotePack)]).forEach(
+        (index) => {
+          merged[packId][index] = mergeEntry(
+            localPack[index],
+            remotePack[index],
+          );
+        },
+      );
+    },
+  );
+
+  return merged;
+};
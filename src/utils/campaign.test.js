@@ -0,0 +1,157 @@
+// src/utils/campaign.test.js
+import { LETTER_CLASS } from "./languages";
+import {
+  MAX_STARS,
+  getPacks,
+  getPack,
+  getPuzzle,
+  getPuzzleSeed,
+  getParSeconds,
+  calculateStars,
+  isPuzzleUnlocked,
+  getPackSummary,
+  mergeCampaignProgress,
+} from "./campaign";
+
+const DIFFICULTY_ORDER = ["easy", "medium", "hard"];
+
+describe("bundled packs", () => {
+  test("every pack has 10-20 puzzles in order of difficulty", () => {
+    getPacks().forEach((pack) => {
+      expect(pack.puzzles.length).toBeGreaterThanOrEqual(10);
+      expect(pack.puzzles.length).toBeLessThanOrEqual(20);
+
+      const levels = pack.puzzles.map((puzzle) =>
+        DIFFICULTY_ORDER.indexOf(puzzle.difficulty),
+      );
+      expect(levels.every((level) => level >= 0)).toBe(true);
+      expect([...levels].sort((a, b) => a - b)).toEqual(levels);
+    });
+  });
+
+  test("pack ids are unique and every puzzle has letters to solve", () => {
+    const ids = getPacks().map((pack) => pack.id);
+    expect(new Set(ids).size).toBe(ids.length);
+
+    getPacks().forEach((pack) =>
+      pack.puzzles.forEach((puzzle) => {
+        expect(puzzle.text.toUpperCase()).toMatch(
+          new RegExp(`[${LETTER_CLASS}]`),
+        );
+        expect(puzzle.major_attribution).toBeTruthy();
+      }),
+    );
+  });
+
+  test("looks up packs and puzzles", () => {
+    const [pack] = getPacks();
+    expect(getPack(pack.id)).toBe(pack);
+    expect(getPuzzle(pack.id, 0)).toBe(pack.puzzles[0]);
+    expect(getPuzzle(pack.id, pack.puzzles.length)).toBeNull();
+    expect(getPack("no-such-pack")).toBeNull();
+    expect(getPuzzle("no-such-pack", 0)).toBeNull();
+  });
+
+  test("every puzzle gets its own seed", () => {
+    expect(getPuzzleSeed("the-bard", 3)).toBe("campaign-the-bard-3");
+    expect(getPuzzleSeed("the-bard", 3)).not.toBe(getPuzzleSeed("the-bard", 4));
+  });
+});
+
+describe("calculateStars", () => {
+  const puzzle = { difficulty: "easy" };
+
+  test("awards a star each for finishing, no mistakes and par time", () => {
+    expect(calculateStars({ mistakes: 0, gameTimeSeconds: 60 }, puzzle)).toBe(
+      MAX_STARS,
+    );
+    expect(calculateStars({ mistakes: 2, gameTimeSeconds: 60 }, puzzle)).toBe(
+      2,
+    );
+    expect(calculateStars({ mistakes: 0, gameTimeSeconds: 600 }, puzzle)).toBe(
+      2,
+    );
+    expect(calculateStars({ mistakes: 1, gameTimeSeconds: 600 }, puzzle)).toBe(
+      1,
+    );
+  });
+
+  test("uses the puzzle's own par time when it has one", () => {
+    expect(getParSeconds(puzzle)).toBe(120);
+    expect(getParSeconds({ difficulty: "easy", parSeconds: 30 })).toBe(30);
+    expect(
+      calculateStars(
+        { mistakes: 0, gameTimeSeconds: 60 },
+        { difficulty: "easy", parSeconds: 30 },
+      ),
+    ).toBe(2);
+  });
+});
+
+describe("isPuzzleUnlocked", () => {
+  test("the first puzzle is always open, the rest after the one before", () => {
+    expect(isPuzzleUnlocked(undefined, 0)).toBe(true);
+    expect(isPuzzleUnlocked({}, 1)).toBe(false);
+    expect(isPuzzleUnlocked({ 0: { stars: 1 } }, 1)).toBe(true);
+    expect(isPuzzleUnlocked({ 0: { stars: 1 } }, 2)).toBe(false);
+  });
+});
+
+describe("getPackSummary", () => {
+  test("totals stars and finds the next puzzle to play", () => {
+    const pack = getPacks()[0];
+    const summary = getPackSummary(pack, {
+      0: { stars: 3 },
+      1: { stars: 2 },
+    });
+
+    expect(summary).toEqual({
+      completed: 2,
+      total: pack.puzzles.length,
+      stars: 5,
+      maxStars: pack.puzzles.length * MAX_STARS,
+      nextIndex: 2,
+    });
+    expect(getPackSummary(pack).nextIndex).toBe(0);
+  });
+
+  test("has no next puzzle once the pack is done", () => {
+    const pack = { puzzles: [{}, {}] };
+    expect(
+      getPackSummary(pack, { 0: { stars: 1 }, 1: { stars: 1 } }).nextIndex,
+    ).toBeNull();
+  });
+});
+
+describe("mergeCampaignProgress", () => {
+  test("keeps the best stars and time for each puzzle", () => {
+    const local = {
+      "first-steps": {
+        0: { stars: 3, bestTime: 90, completedAt: 200 },
+        1: { stars: 1, bestTime: 300, completedAt: 300 },
+      },
+    };
+    const remote = {
+      "first-steps": { 1: { stars: 2, bestTime: 400, completedAt: 250 } },
+      "the-bard": { 0: { stars: 1, bestTime: 100, completedAt: 100 } },
+    };
+
+    expect(mergeCampaignProgress(local, remote)).toEqual({
+      "first-steps": {
+        0: { stars: 3, bestTime: 90, completedAt: 200 },
+        1: { stars: 2, bestTime: 300, completedAt: 250 },
+      },
+      "the-bard": { 0: { stars: 1, bestTime: 100, completedAt: 100 } },
+    });
+  });
+
+  test("copes with missing progress", () => {
+    expect(mergeCampaignProgress(undefined, null)).toEqual({});
+    expect(
+      mergeCampaignProgress(
+        { a: { 0: { stars: 1 } } },
+        { a: { 0: { stars: 2 } } },
+      ).a[0],
+    ).toEqual({ stars: 2, bestTime: undefined, completedAt: undefined });
+  });
+});
@@ -0,0 +1,144 @@
+// src/utils/dailyArchive.js
+/**
+ * Daily challenge archive
+ * Past daily challenges can be played from a calendar. Archive plays are
+ * scored separately from the day's own challenge, so they never count
+ * towards the daily streak.
+ *
+ * Results are kept as { [YYYY-MM-DD]: { outcome, mistakes, score,
+ * gameTimeSeconds, archive } } with one entry per day played.
+ */
+
+export const DAILY_OUTCOMES = {
+  COMPLETED: "completed",
+  FAILED: "failed",
+  UNPLAYED: "unplayed",
+};
+
+// How far back the archive goes
+export const ARCHIVE_DAYS = 365;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a date the way the daily challenge API expects
+ * Daily challenges change over at midnight UTC, like the server's dates
+ * @param {Date} date - Date to format
+ * @returns {string} YYYY-MM-DD
+ */
+export const toDateString = (date) => date.toISOString().split("T")[0];
+
+/**
+ * Today's daily challenge date
+ * @returns {string} YYYY-MM-DD
+ */
+export const getTodayString = () => toDateString(new Date());
+
+/**
+ * Move a date string by a number of days
+ * @param {string} dateString - YYYY-MM-DD
+ * @param {number} days - Days to add, negative to go back
+ * @returns {string} YYYY-MM-DD
+ */
+export const addDays = (dateString, days) =>
+  toDateString(new Date(Date.parse(dateString) + days * DAY_MS));
+
+/**
+ * Whether a string is a real YYYY-MM-DD date
+ * @param {string} dateString - Date to check
+ * @returns {boolean}
+ */
+export const isValidDateString = (dateString) =>
+  typeof dateString === "string" &&
+  DATE_REGEX.test(dateString) &&
+  !Number.isNaN(Date.parse(dateString)) &&
+  toDateString(new Date(Date.parse(dateString))) === dateString;
+
+/**
+ * Whether a date can be played from the archive - any day before today,
+ * going back ARCHIVE_DAYS
+ * @param {string} dateString - YYYY-MM-DD
+ * @param {string} today - Today's date, YYYY-MM-DD
+ * @returns {boolean}
+ */
+export const isArchiveDate = (dateString, today = getTodayString()) =>
+  isValidDateString(dateString) &&
+  dateString < today &&
+  dateString >= addDays(today, -ARCHIVE_DAYS);
+
+/**
+ * How a day went, from the saved results
+ * @param {Object} results - Daily results by date
+ * @param {string} dateString - YYYY-MM-DD
+ * @returns {string} One of DAILY_OUTCOMES
+ */
+export const getDayOutcome = (results, dateString) =>
+  results?.[dateString]?.outcome || DAILY_OUTCOMES.UNPLAYED;
+
+/**
+ * Combine a new result for a day with the one already saved. A completed
+ * day stays completed, and a day's own result wins over an archive play.
+ * @param {Object} existing - Saved result, if any
+ * @param {Object} result - New result
+ * @returns {Object} Result to keep
+ */
+export const mergeDayResult = (existing, result) => {
+  if (!existing) return result;
+  if (!result) return existing;
+
+  const rank = (entry) =>
+    (entry.outcome === DAILY_OUTCOMES.COMPLETED ? 2 : 0) +
+    (entry.archive ? 0 : 1);
+  return rank(result) > rank(existing) ? result : existing;
+};
+
+/**
+ * Combine two sets of daily results, keeping the better result for each day
+ * @param {Object} local - Results by date
+ * @param {Object} remote - Results by date
+ * @returns {Object} Merged results
+ */
+export const mergeDailyResults = (local = {}, remote = {}) => {
+  const merged = { ...(local || {}) };
+  Object.entries(remote || {}).forEach(([dateString, result]) => {
+    merged[dateString] = mergeDayResult(merged[dateString], result);
+  });
+  return merged;
+};
+
+/**
+ * Weeks of a calendar month, Sunday first, padded with nulls
+ * @param {string} month - YYYY-MM
+ * @returns {Array<Array<string|null>>} Weeks of YYYY-MM-DD dates
+ */
+export const getMonthWeeks = (month) => {
+  const [year, monthIndex] = month.split("-").map(Number);
+  const first = new Date(Date.UTC(year, monthIndex - 1, 1));
+  const daysInMonth = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+
+  const cells = Array(first.getUTCDay()).fill(null);
+  for (let day = 1; day <= daysInMonth; day++) {
+    cells.push(`${month}-${String(day).padStart(2, "0")}`);
+  }
+  while (cells.length % 7) cells.push(null);
+
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) {
+    weeks.push(cells.slice(i, i + 7));
+  }
+  return weeks;
+};
+
+/**
+ * Move a month by a number of months
+ * @param {string} month - YYYY-MM
+ * @param {number} delta - Months to add, negative to go back
+ * @returns {string} YYYY-MM
+ */
+export const shiftMonth = (month, delta) => {
+  const [year, monthIndex] = month.split("-").map(Number);
+  return toDateString(
+    new Date(Date.UTC(year, monthIndex - 1 + delta, 1)),
+  ).slice(0, 7);
+};
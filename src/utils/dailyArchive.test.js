@@ -0,0 +1,99 @@
+// src/utils/dailyArchive.test.js
+import {
+  DAILY_OUTCOMES,
+  ARCHIVE_DAYS,
+  addDays,
+  isValidDateString,
+  isArchiveDate,
+  getDayOutcome,
+  mergeDayResult,
+  mergeDailyResults,
+  getMonthWeeks,
+  shiftMonth,
+} from "./dailyArchive";
+
+const TODAY = "2025-03-10";
+
+describe("dates", () => {
+  test("addDays crosses month and year ends", () => {
+    expect(addDays("2025-03-01", -1)).toBe("2025-02-28");
+    expect(addDays("2024-12-31", 1)).toBe("2025-01-01");
+  });
+
+  test("isValidDateString only accepts real dates", () => {
+    expect(isValidDateString("2024-02-29")).toBe(true);
+    expect(isValidDateString("2025-02-29")).toBe(false);
+    expect(isValidDateString("2025-3-1")).toBe(false);
+    expect(isValidDateString(undefined)).toBe(false);
+  });
+
+  test("shiftMonth wraps the year", () => {
+    expect(shiftMonth("2025-01", -1)).toBe("2024-12");
+    expect(shiftMonth("2024-12", 1)).toBe("2025-01");
+  });
+});
+
+describe("isArchiveDate", () => {
+  test("past days within the archive can be played", () => {
+    expect(isArchiveDate("2025-03-09", TODAY)).toBe(true);
+    expect(isArchiveDate(addDays(TODAY, -ARCHIVE_DAYS), TODAY)).toBe(true);
+  });
+
+  test("today, the future and days too far back can't", () => {
+    expect(isArchiveDate(TODAY, TODAY)).toBe(false);
+    expect(isArchiveDate("2025-03-11", TODAY)).toBe(false);
+    expect(isArchiveDate(addDays(TODAY, -ARCHIVE_DAYS - 1), TODAY)).toBe(false);
+    expect(isArchiveDate("not-a-date", TODAY)).toBe(false);
+  });
+});
+
+describe("results", () => {
+  const completed = { outcome: DAILY_OUTCOMES.COMPLETED, mistakes: 1 };
+  const failed = { outcome: DAILY_OUTCOMES.FAILED, mistakes: 8 };
+
+  test("days without a result are unplayed", () => {
+    expect(getDayOutcome({}, TODAY)).toBe(DAILY_OUTCOMES.UNPLAYED);
+    expect(getDayOutcome({ [TODAY]: failed }, TODAY)).toBe(
+      DAILY_OUTCOMES.FAILED,
+    );
+  });
+
+  test("a completed day stays completed", () => {
+    expect(mergeDayResult(completed, failed)).toBe(completed);
+    expect(mergeDayResult(failed, completed)).toBe(completed);
+  });
+
+  test("the day's own result wins over an archive play", () => {
+    const archived = { ...completed, mistakes: 0, archive: true };
+    expect(mergeDayResult(completed, archived)).toBe(completed);
+    expect(mergeDayResult(failed, archived)).toBe(archived);
+  });
+
+  test("mergeDailyResults keeps every day", () => {
+    expect(
+      mergeDailyResults({ "2025-03-01": failed }, { "2025-03-02": completed }),
+    ).toEqual({ "2025-03-01": failed, "2025-03-02": completed });
+    expect(mergeDailyResults(null, undefined)).toEqual({});
+  });
+});
+
+describe("getMonthWeeks", () => {
+  test("pads the month into Sunday-first weeks", () => {
+    // March 2025 starts on a Saturday
+    const weeks = getMonthWeeks("2025-03");
+
+    expect(weeks).toHaveLength(6);
+    expect(weeks[0]).toEqual([
+      null,
+      null,
+      null,
+      null,
+      null,
+      null,
+      "2025-03-01",
+    ]);
+    expect(weeks[5][1]).toBe("2025-03-31");
+    expect(weeks.every((week) => week.length === 7)).toBe(true);
+    expect(weeks.flat().filter(Boolean)).toHaveLength(31);
+  });
+});
@@ -0,0 +1,138 @@
+// src/utils/dailyHeatmap.js
+/**
+ * Daily challenge heatmap
+ * A year of daily results laid out GitHub-style - one column per week, one
+ * row per weekday - with each completed day shaded by how well it went.
+ * Results are the daily results kept by dailyHistoryStore, see
+ * utils/dailyArchive for the format.
+ */
+import { DAILY_OUTCOMES, addDays } from "./dailyArchive";
+
+export const HEATMAP_METRICS = {
+  MISTAKES: "mistakes",
+  SCORE: "score",
+};
+
+// Shades for completed days, from worst to best
+export const HEATMAP_LEVELS = 4;
+
+export const HEATMAP_WEEKS = 53;
+
+export const WEEKDAY_NAMES = [
+  "Sunday",
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+];
+
+const getWeekday = (dateString) => new Date(Date.parse(dateString)).getUTCDay();
+
+/**
+ * Weeks of dates ending with the week containing the last date. Days after
+ * the last date are null, so the final column is only filled up to it.
+ * @param {string} lastDate - YYYY-MM-DD, usually today
+ * @param {number} weeks - Number of weeks to show
+ * @returns {Array<Array<string|null>>} Columns of seven dates, Sunday first
+ */
+export const getHeatmapWeeks = (lastDate, weeks = HEATMAP_WEEKS) => {
+  const firstDate = addDays(lastDate, -getWeekday(lastDate) - (weeks - 1) * 7);
+
+  return Array.from({ length: weeks }, (_, week) =>
+    Array.from({ length: 7 }, (_, day) => {
+      const dateString = addDays(firstDate, week * 7 + day);
+      return dateString <= lastDate ? dateString : null;
+    }),
+  );
+};
+
+/**
+ * Shade for a completed day - 1 for the worst to HEATMAP_LEVELS for the best
+ * @param {Object} result - Daily result
+ * @param {string} metric - One of HEATMAP_METRICS
+ * @param {number} bestScore - Highest score in the heatmap, for the score metric
+ * @returns {number} Level, or 0 for days that weren't completed
+ */
+export const getHeatmapLevel = (result, metric, bestScore = 0) => {
+  if (result?.outcome !== DAILY_OUTCOMES.COMPLETED) return 0;
+
+  if (metric === HEATMAP_METRICS.SCORE) {
+    if (!bestScore) return 1;
+    const share = (result.score || 0) / bestScore;
+    return Math.min(
+      HEATMAP_LEVELS,
+      Math.max(1, Math.ceil(share * HEATMAP_LEVELS)),
+    );
+  }
+
+  // Fewer mistakes, darker shade
+  const mistakes = result.mistakes || 0;
+  if (mistakes === 0) return 4;
+  if (mistakes === 1) return 3;
+  if (mistakes <= 3) return 2;
+  return 1;
+};
+
+/**
+ * Highest score among a set of dates
+ * @param {Object} results - Daily results by date
+ * @param {Array<string>} dates - Dates to look at
+ * @returns {number}
+ */
+export const getBestScore = (results, dates) =>
+  dates.reduce(
+    (best, dateString) => Math.max(best, results?.[dateString]?.score || 0),
+    0,
+  );
+
+// Played and won counts for each group, with the win rate as a percentage
+const groupWinRates = (results, dates, getGroup) => {
+  const groups = {};
+
+  dates.forEach((dateString) => {
+    const result = results?.[dateString];
+    if (!result) return;
+
+    const key = getGroup(dateString);
+    groups[key] = groups[key] || { played: 0, won: 0 };
+    groups[key].played += 1;
+    if (result.outcome === DAILY_OUTCOMES.COMPLETED) {
+      groups[key].won += 1;
+    }
+  });
+
+  Object.values(groups).forEach((group) => {
+    group.winRate = Math.round((group.won / group.played) * 100);
+  });
+
+  return groups;
+};
+
+/**
+ * Win rate for each month with daily results
+ * @param {Object} results - Daily results by date
+ * @param {Array<string>} dates - Dates to include
+ * @returns {Object} { [YYYY-MM]: { played, won, winRate } }
+ */
+export const getMonthBreakdown = (results, dates) =>
+  groupWinRates(results, dates, (dateString) => dateString.slice(0, 7));
+
+/**
+ * Win rate for each day of the week
+ * @param {Object} results - Daily results by date
+ * @param {Array<string>} dates - Dates to include
+ * @returns {Array<Object>} Seven entries, Sunday first - { weekday, played, won, winRate }
+ */
+export const getWeekdayBreakdown = (results, dates) => {
+  const groups = groupWinRates(results, dates, getWeekday);
+
+  return WEEKDAY_NAMES.map((weekday, index) => ({
+    weekday,
+    played: 0,
+    won: 0,
+    winRate: 0,
+    ...groups[index],
+  }));
+};
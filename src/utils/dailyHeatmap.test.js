@@ -0,0 +1,109 @@
+// src/utils/dailyHeatmap.test.js
+import { DAILY_OUTCOMES } from "./dailyArchive";
+import {
+  HEATMAP_METRICS,
+  HEATMAP_LEVELS,
+  getHeatmapWeeks,
+  getHeatmapLevel,
+  getBestScore,
+  getMonthBreakdown,
+  getWeekdayBreakdown,
+} from "./dailyHeatmap";
+
+const completed = (mistakes, score = 0) => ({
+  outcome: DAILY_OUTCOMES.COMPLETED,
+  mistakes,
+  score,
+});
+const failed = { outcome: DAILY_OUTCOMES.FAILED, mistakes: 8, score: 0 };
+
+describe("getHeatmapWeeks", () => {
+  test("ends with the week of the last date, Sunday first", () => {
+    // 2025-03-12 is a Wednesday
+    const weeks = getHeatmapWeeks("2025-03-12", 3);
+
+    expect(weeks).toHaveLength(3);
+    expect(weeks[0][0]).toBe("2025-02-23");
+    expect(weeks[2]).toEqual([
+      "2025-03-09",
+      "2025-03-10",
+      "2025-03-11",
+      "2025-03-12",
+      null,
+      null,
+      null,
+    ]);
+  });
+
+  test("covers a full year by default", () => {
+    const days = getHeatmapWeeks("2025-03-12").flat().filter(Boolean);
+    expect(days.length).toBeGreaterThanOrEqual(365);
+  });
+});
+
+describe("getHeatmapLevel", () => {
+  test("only completed days are shaded", () => {
+    expect(getHeatmapLevel(undefined, HEATMAP_METRICS.MISTAKES)).toBe(0);
+    expect(getHeatmapLevel(failed, HEATMAP_METRICS.MISTAKES)).toBe(0);
+  });
+
+  test("fewer mistakes give a darker shade", () => {
+    const levels = [0, 1, 2, 5].map((mistakes) =>
+      getHeatmapLevel(completed(mistakes), HEATMAP_METRICS.MISTAKES),
+    );
+    expect(levels).toEqual([HEATMAP_LEVELS, 3, 2, 1]);
+  });
+
+  test("scores are shaded against the best score", () => {
+    expect(
+      getHeatmapLevel(completed(0, 1000), HEATMAP_METRICS.SCORE, 1000),
+    ).toBe(HEATMAP_LEVELS);
+    expect(
+      getHeatmapLevel(completed(0, 100), HEATMAP_METRICS.SCORE, 1000),
+    ).toBe(1);
+    expect(
+      getHeatmapLevel(completed(0, 600), HEATMAP_METRICS.SCORE, 1000),
+    ).toBe(3);
+  });
+});
+
+describe("breakdowns", () => {
+  const results = {
+    "2025-03-02": completed(0, 500), // Sunday
+    "2025-03-09": failed, // Sunday
+    "2025-03-10": completed(2, 300), // Monday
+    "2025-04-01": completed(1, 400), // Tuesday
+  };
+  const dates = Object.keys(results).concat("2025-04-02");
+
+  test("finds the best score", () => {
+    expect(getBestScore(results, dates)).toBe(500);
+    expect(getBestScore({}, dates)).toBe(0);
+  });
+
+  test("win rate by month", () => {
+    expect(getMonthBreakdown(results, dates)).toEqual({
+      "2025-03": { played: 3, won: 2, winRate: 67 },
+      "2025-04": { played: 1, won: 1, winRate: 100 },
+    });
+  });
+
+  test("win rate by weekday, with unplayed weekdays at zero", () => {
+    const weekdays = getWeekdayBreakdown(results, dates);
+
+    expect(weekdays).toHaveLength(7);
+    expect(weekdays[0]).toEqual({
+      weekday: "Sunday",
+      played: 2,
+      won: 1,
+      winRate: 50,
+    });
+    expect(weekdays[1].winRate).toBe(100);
+    expect(weekdays[3]).toEqual({
+      weekday: "Wednesday",
+      played: 0,
+      won: 0,
+      winRate: 0,
+    });
+  });
+});
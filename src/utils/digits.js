@@ -0,0 +1,38 @@
+// src/utils/digits.js
+/**
+ * Enciphered digits
+ * With the option on, each digit in a quote is swapped for a symbol of its
+ * own, so years and counts don't give the quote away. Symbols are solved like
+ * letters, with the digits 0-9 as the guesses.
+ */
+
+export const DIGITS = "0123456789";
+
+// Cipher alphabet for digits - none of these appear in quotes
+export const DIGIT_SYMBOLS = "♠♣♥♦★●▲◆♪☀";
+
+const SYMBOLS_REGEX = new RegExp(`[${DIGIT_SYMBOLS}]`, "g");
+
+/**
+ * Whether a character is a plain digit
+ * @param {string} char - Single character
+ * @returns {boolean}
+ */
+export const isDigit = (char) =>
+  !!char && char.length === 1 && DIGITS.includes(char);
+
+/**
+ * Whether a character is an enciphered digit
+ * @param {string} char - Single character
+ * @returns {boolean}
+ */
+export const isDigitSymbol = (char) =>
+  !!char && char.length === 1 && DIGIT_SYMBOLS.includes(char);
+
+/**
+ * All the digit symbols in a text, in order
+ * @param {string} text - Encrypted text
+ * @returns {Array<string>}
+ */
+export const getDigitSymbols = (text) =>
+  (text || "").match(SYMBOLS_REGEX) || [];
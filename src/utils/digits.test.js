@@ -0,0 +1,42 @@
+// src/utils/digits.test.js
+import {
+  DIGITS,
+  DIGIT_SYMBOLS,
+  isDigit,
+  isDigitSymbol,
+  getDigitSymbols,
+} from "./digits";
+import { BLOCK } from "./gameRules";
+import { isLetter } from "./languages";
+
+describe("digit symbols", () => {
+  test("there is one distinct symbol per digit", () => {
+    expect(new Set(Array.from(DIGIT_SYMBOLS)).size).toBe(DIGITS.length);
+  });
+
+  test("symbols can't be mistaken for letters or blocks", () => {
+    Array.from(DIGIT_SYMBOLS).forEach((symbol) => {
+      expect(isLetter(symbol)).toBe(false);
+      expect(symbol).not.toBe(BLOCK);
+    });
+  });
+});
+
+describe("isDigit and isDigitSymbol", () => {
+  test("tell digits and symbols apart", () => {
+    expect(isDigit("4")).toBe(true);
+    expect(isDigit("A")).toBe(false);
+    expect(isDigit("45")).toBe(false);
+    expect(isDigitSymbol(DIGIT_SYMBOLS[0])).toBe(true);
+    expect(isDigitSymbol("4")).toBe(false);
+    expect(isDigitSymbol(null)).toBe(false);
+  });
+});
+
+describe("getDigitSymbols", () => {
+  test("finds symbols in order, ignoring everything else", () => {
+    const [a, b] = DIGIT_SYMBOLS;
+    expect(getDigitSymbols(`CATCH-${a}${a}, ${b}`)).toEqual([a, a, b]);
+    expect(getDigitSymbols("CATCH-22")).toEqual([]);
+  });
+});
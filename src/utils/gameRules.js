@@ -0,0 +1,593 @@
+// src/utils/gameRules.js
+/**
+ * Pure game rules shared by the game store
+ * Nothing here touches the network, storage or the store itself - each
+ * function takes the current board and a server (or offline engine)
+ * response and returns the next values, leaving its inputs untouched.
+ */
+import { DEFAULT_LANGUAGE, LETTER_CLASS } from "./languages";
+import { DIGIT_SYMBOLS } from "./digits";
+
+// Placeholder shown for letters that haven't been solved yet
+export const BLOCK = "█";
+
+// Mistakes allowed per difficulty, same terminology as the backend
+export const MAX_MISTAKES_MAP = {
+  easy: 8,
+  medium: 5,
+  hard: 3,
+};
+
+// Score multipliers as documented on the Scoring page
+export const DIFFICULTY_MULTIPLIERS = {
+  easy: 1.0,
+  medium: 2.5,
+  hard: 6.25,
+};
+
+// Difficulty of games set up with the custom difficulty builder
+export const CUSTOM_DIFFICULTY = "custom";
+
+// Bounds for each custom difficulty option
+export const CUSTOM_LIMITS = {
+  minMistakes: 1,
+  maxMistakes: 12,
+  minLength: 10,
+  maxLength: 300,
+};
+
+export const DEFAULT_CUSTOM_DIFFICULTY = {
+  maxMistakes: MAX_MISTAKES_MAP.medium,
+  minLength: CUSTOM_LIMITS.minLength,
+  maxLength: CUSTOM_LIMITS.maxLength,
+  showFrequency: true,
+  keepPunctuation: true,
+};
+
+// Extra multiplier for custom games played without frequency counts
+export const HIDDEN_FREQUENCY_MULTIPLIER = 1.2;
+
+// How much of the text's layout hardcore mode strips away
+export const HARDCORE_LEVELS = {
+  OFF: "off",
+  NO_PUNCTUATION: "no-punctuation",
+  NO_SPACES: "no-spaces",
+  BLOCKS: "blocks",
+  FULL: "full",
+};
+
+// Score multiplier for each hardcore level, as documented on the Scoring page.
+// Each level is harder than the one before, so scores more. Blocks strip as
+// much as full hardcore, but their regular gaps make the text easier to scan,
+// so they score a little less.
+export const HARDCORE_MULTIPLIERS = {
+  [HARDCORE_LEVELS.OFF]: 1.0,
+  [HARDCORE_LEVELS.NO_PUNCTUATION]: 1.2,
+  [HARDCORE_LEVELS.NO_SPACES]: 1.5,
+  [HARDCORE_LEVELS.BLOCKS]: 1.7,
+  [HARDCORE_LEVELS.FULL]: 1.8,
+};
+
+// Letters per group in blocks hardcore, as in newspaper cryptograms
+export const HARDCORE_BLOCK_SIZE = 5;
+
+// Names for each hardcore level in settings and badges
+export const HARDCORE_LEVEL_LABELS = {
+  [HARDCORE_LEVELS.OFF]: "Off",
+  [HARDCORE_LEVELS.NO_PUNCTUATION]: "No punctuation",
+  [HARDCORE_LEVELS.NO_SPACES]: "No spaces",
+  [HARDCORE_LEVELS.BLOCKS]: "5-letter blocks",
+  [HARDCORE_LEVELS.FULL]: "Full hardcore",
+};
+
+// Game outcomes returned by deriveStatus
+export const GAME_STATUS = {
+  PLAYING: "playing",
+  WON: "won",
+  LOST: "lost",
+};
+
+// Guess outcomes that can be known before the server answers
+export const GUESS_OUTCOME = {
+  INCORRECT: "incorrect",
+};
+
+// Hint types, each revealing something different at its own cost
+export const HINT_TYPES = {
+  LETTER: "letter", // Reveal an unsolved letter
+  VOWEL: "vowel", // Reveal an unsolved vowel
+  FREQUENT: "frequent", // Reveal the most frequent unsolved letter
+  CHOSEN: "chosen", // Reveal the selected encrypted letter
+  ELIMINATE: "eliminate", // Cross three wrong candidates off for the selected letter
+  INITIALS: "initials", // Show the author's initials
+};
+
+// Mistake tokens each hint type costs
+export const HINT_COSTS = {
+  [HINT_TYPES.LETTER]: 1,
+  [HINT_TYPES.VOWEL]: 1,
+  [HINT_TYPES.FREQUENT]: 2,
+  [HINT_TYPES.CHOSEN]: 2,
+  [HINT_TYPES.ELIMINATE]: 1,
+  [HINT_TYPES.INITIALS]: 1,
+};
+
+// Hint types that act on the selected encrypted letter
+export const TARGETED_HINT_TYPES = [HINT_TYPES.CHOSEN, HINT_TYPES.ELIMINATE];
+
+// Number of wrong candidates an eliminate hint crosses off
+export const ELIMINATE_COUNT = 3;
+
+export const VOWELS = ["A", "E", "I", "O", "U"];
+
+/**
+ * Get the number of mistake tokens a hint costs
+ * @param {string} type - One of HINT_TYPES
+ * @returns {number} Cost, the plain letter hint's if the type is unknown
+ */
+export const getHintCost = (type) =>
+  HINT_COSTS[type] || HINT_COSTS[HINT_TYPES.LETTER];
+
+/**
+ * Initials of an author's name, as shown by the initials hint
+ * @param {string} name - Author name, e.g. "Mark Twain"
+ * @returns {string} Initials, e.g. "M. T."
+ */
+export const getInitials = (name = "") =>
+  name
+    .split(/\s+/)
+    .map((word) =>
+      word
+        .replace(/[^\p{L}]/gu, "")
+        .charAt(0)
+        .toUpperCase(),
+    )
+    .filter(Boolean)
+    .map((initial) => `${initial}.`)
+    .join(" ");
+
+/**
+ * Get the number of mistakes allowed for a difficulty
+ * @param {string} difficulty - easy, medium, hard or custom
+ * @param {Object} custom - Custom difficulty options, used for the custom difficulty
+ * @returns {number} Max mistakes, medium's if the difficulty is unknown
+ */
+export const getMaxMistakes = (difficulty, custom = null) =>
+  difficulty === CUSTOM_DIFFICULTY
+    ? normalizeCustomDifficulty(custom || {}).maxMistakes
+    : MAX_MISTAKES_MAP[difficulty] || MAX_MISTAKES_MAP.medium;
+
+/**
+ * Whether games started with these settings have to be generated locally
+ * The server only knows English substitution ciphers and the standard
+ * difficulties, and leaves digits as they are.
+ * @param {Object} settings - Settings from settingsStore
+ * @returns {boolean}
+ */
+export const requiresLocalGame = (settings = {}) =>
+  (!!settings.cipherType && settings.cipherType !== "substitution") ||
+  settings.difficulty === CUSTOM_DIFFICULTY ||
+  isPartialHardcore(getHardcoreLevel(settings)) ||
+  (!!settings.language && settings.language !== DEFAULT_LANGUAGE) ||
+  !!settings.encipherDigits;
+
+/**
+ * Hardcore level of a game or of the settings
+ * hardcoreMode switches hardcore on and hardcoreLevel picks how much it
+ * strips, so saves and code that only know hardcoreMode get full hardcore.
+ * @param {Object} mode - { hardcoreMode, hardcoreLevel }
+ * @returns {string} One of HARDCORE_LEVELS
+ */
+export const getHardcoreLevel = ({ hardcoreMode, hardcoreLevel } = {}) => {
+  if (!hardcoreMode) return HARDCORE_LEVELS.OFF;
+  return Object.values(HARDCORE_LEVELS).includes(hardcoreLevel) &&
+    hardcoreLevel !== HARDCORE_LEVELS.OFF
+    ? hardcoreLevel
+    : HARDCORE_LEVELS.FULL;
+};
+
+/**
+ * Hardcore level of a game started by the server, which only knows
+ * hardcore on or off and scores it as full hardcore
+ * @param {boolean} isHardcore - Whether the server game is hardcore
+ * @returns {string} One of HARDCORE_LEVELS
+ */
+export const getServerHardcoreLevel = (isHardcore) =>
+  isHardcore ? HARDCORE_LEVELS.FULL : HARDCORE_LEVELS.OFF;
+
+/**
+ * Whether a hardcore level is one of the in-between levels - the server has
+ * no scoring for these, so they are played locally
+ * @param {string} level - One of HARDCORE_LEVELS
+ * @returns {boolean}
+ */
+export const isPartialHardcore = (level) =>
+  level === HARDCORE_LEVELS.NO_PUNCTUATION ||
+  level === HARDCORE_LEVELS.NO_SPACES ||
+  level === HARDCORE_LEVELS.BLOCKS;
+
+/**
+ * Whether words can still be told apart at a hardcore level
+ * @param {string} level - One of HARDCORE_LEVELS
+ * @returns {boolean}
+ */
+export const hasWordBreaks = (level) =>
+  level === HARDCORE_LEVELS.OFF || level === HARDCORE_LEVELS.NO_PUNCTUATION;
+
+/**
+ * Fill in and clamp a custom difficulty so every option is usable
+ * @param {Object} config - Custom difficulty options, possibly partial
+ * @returns {Object} Complete custom difficulty, with minLength <= maxLength
+ */
+export const normalizeCustomDifficulty = (config = {}) => {
+  const clamp = (value, min, max, fallback) => {
+    const number = Math.round(Number(value));
+    return Number.isFinite(number)
+      ? Math.min(Math.max(number, min), max)
+      : fallback;
+  };
+
+  const { minMistakes, maxMistakes, minLength, maxLength } = CUSTOM_LIMITS;
+  const lengths = [
+    clamp(
+      config.minLength,
+      minLength,
+      maxLength,
+      DEFAULT_CUSTOM_DIFFICULTY.minLength,
+    ),
+    clamp(
+      config.maxLength,
+      minLength,
+      maxLength,
+      DEFAULT_CUSTOM_DIFFICULTY.maxLength,
+    ),
+  ].sort((a, b) => a - b);
+
+  return {
+    maxMistakes: clamp(
+      config.maxMistakes,
+      minMistakes,
+      maxMistakes,
+      DEFAULT_CUSTOM_DIFFICULTY.maxMistakes,
+    ),
+    minLength: lengths[0],
+    maxLength: lengths[1],
+    showFrequency: config.showFrequency !== false,
+    keepPunctuation: config.keepPunctuation !== false,
+  };
+};
+
+/**
+ * Score multiplier for a custom difficulty
+ * Follows the curve through the standard difficulties - 1x with 8 mistakes,
+ * 2.5x with 5, 6.25x with 3 - so a custom game with a standard allowance
+ * scores exactly what the standard game would. Hiding frequency counts earns
+ * a little extra, quote length doesn't change it, and dropping punctuation
+ * earns the usual hardcore multiplier on top.
+ * @param {Object} config - Custom difficulty options
+ * @returns {number} Multiplier, rounded to two decimals
+ */
+export const getCustomMultiplier = (config) => {
+  const { maxMistakes, showFrequency } = normalizeCustomDifficulty(config);
+
+  // Interpolate between the nearest two standard difficulties on a log scale
+  const [from, to] =
+    maxMistakes <= MAX_MISTAKES_MAP.medium
+      ? ["hard", "medium"]
+      : ["medium", "easy"];
+  const progress =
+    (maxMistakes - MAX_MISTAKES_MAP[from]) /
+    (MAX_MISTAKES_MAP[to] - MAX_MISTAKES_MAP[from]);
+  const mistakesFactor =
+    DIFFICULTY_MULTIPLIERS[from] *
+    (DIFFICULTY_MULTIPLIERS[to] / DIFFICULTY_MULTIPLIERS[from]) ** progress;
+
+  const frequencyFactor = showFrequency ? 1 : HIDDEN_FREQUENCY_MULTIPLIER;
+  return Math.round(mistakesFactor * frequencyFactor * 100) / 100;
+};
+
+// Characters hardcore mode keeps - digits stay too, as enciphered digits
+// show as symbols in encrypted text and as digits once solved
+const HARDCORE_KEPT = `${LETTER_CLASS}0-9${DIGIT_SYMBOLS}█`;
+
+/**
+ * Strip spaces and punctuation for hardcore mode
+ * Works for both encrypted text and display text, keeping unsolved blocks.
+ * @param {string} text - Encrypted or display text
+ * @returns {string} Letters, digits and blocks only
+ */
+export const toHardcore = (text = "") =>
+  text.replace(new RegExp(`[^${HARDCORE_KEPT}]`, "g"), "");
+
+/**
+ * Strip the text's layout for a hardcore level
+ * Encrypted and display text line up character for character, and every
+ * level only looks at the characters they share, so they stay lined up.
+ * @param {string} text - Encrypted or display text
+ * @param {string} level - One of HARDCORE_LEVELS
+ * @returns {string} Text as shown at that level
+ */
+export const applyHardcoreLevel = (text = "", level = HARDCORE_LEVELS.OFF) => {
+  if (!text) return text;
+
+  switch (level) {
+    case HARDCORE_LEVELS.NO_PUNCTUATION:
+      return text
+        .replace(new RegExp(`[^${HARDCORE_KEPT}\\s]`, "g"), "")
+        .replace(/\s+/g, " ")
+        .trim();
+    case HARDCORE_LEVELS.NO_SPACES:
+      return text.replace(/\s/g, "");
+    case HARDCORE_LEVELS.BLOCKS:
+      return (
+        toHardcore(text).match(
+          new RegExp(`.{1,${HARDCORE_BLOCK_SIZE}}`, "g"),
+        ) || []
+      ).join(" ");
+    case HARDCORE_LEVELS.FULL:
+      return toHardcore(text);
+    default:
+      return text;
+  }
+};
+
+/**
+ * Display text as it should be shown for the game's mode
+ * Daily challenges are never hardcore, whatever the setting says.
+ * @param {string} display - Display text from the server
+ * @param {Object} mode - { hardcoreMode, hardcoreLevel, isDailyChallenge }
+ * @returns {string} Display text for the board
+ */
+export const formatDisplay = (display, mode) =>
+  display && !mode.isDailyChallenge
+    ? applyHardcoreLevel(display, getHardcoreLevel(mode))
+    : display;
+
+/**
+ * Work out whether a game is won, lost or still in play
+ * Running out of mistakes always wins over completing the puzzle.
+ * @param {Object} params
+ * @param {number} params.mistakes - Mistakes made so far
+ * @param {number} params.maxMistakes - Mistakes allowed
+ * @param {boolean} params.isComplete - Whether the server reports the puzzle solved
+ * @returns {string} One of GAME_STATUS
+ */
+export const deriveStatus = ({ mistakes, maxMistakes, isComplete = false }) => {
+  if (mistakes >= maxMistakes) return GAME_STATUS.LOST;
+  if (isComplete) return GAME_STATUS.WON;
+  return GAME_STATUS.PLAYING;
+};
+
+/**
+ * Work out the board after a letter guess
+ * @param {Object} state - Current board: display, mistakes, maxMistakes,
+ *   correctlyGuessed, incorrectGuesses, guessedMappings, pencilMarks,
+ *   hardcoreMode, hardcoreLevel and isDailyChallenge
+ * @param {Object} data - Guess response from the API or offline engine
+ * @param {string} encryptedLetter - Letter that was guessed for
+ * @param {string} guessedLetter - Letter that was guessed
+ * @param {Object} reverseMapping - Full cipher mapping for local games, so
+ *   letters solved alongside the guess can be filled in too
+ * @returns {Object} { isCorrect, isIncorrect, status, next } where next holds
+ *   the new values for the board fields
+ */
+export const applyGuessResult = (
+  state,
+  data,
+  encryptedLetter,
+  guessedLetter,
+  reverseMapping = null,
+) => {
+  const isIncorrect =
+    typeof data.mistakes === "number" && data.mistakes > state.mistakes;
+  const isCorrect =
+    Array.isArray(data.correctly_guessed) &&
+    data.correctly_guessed.includes(encryptedLetter) &&
+    !state.correctlyGuessed.includes(encryptedLetter);
+
+  const mistakes =
+    typeof data.mistakes === "number" ? data.mistakes : state.mistakes;
+
+  // Prefer the server's record of wrong guesses, otherwise add this one
+  let incorrectGuesses = state.incorrectGuesses;
+  if (data.incorrect_guesses && typeof data.incorrect_guesses === "object") {
+    incorrectGuesses = data.incorrect_guesses;
+  } else if (!data.is_correct) {
+    const previous = state.incorrectGuesses[encryptedLetter] || [];
+    if (!previous.includes(guessedLetter)) {
+      incorrectGuesses = {
+        ...state.incorrectGuesses,
+        [encryptedLetter]: [...previous, guessedLetter],
+      };
+    }
+  }
+
+  let guessedMappings = state.guessedMappings;
+  if (isCorrect) {
+    guessedMappings = {
+      ...state.guessedMappings,
+      [encryptedLetter]: guessedLetter.toUpperCase(),
+    };
+
+    // Some local ciphers solve a second letter with the same guess
+    if (reverseMapping) {
+      data.correctly_guessed
+        .filter((letter) => !guessedMappings[letter])
+        .forEach((letter) => {
+          guessedMappings[letter] = reverseMapping[letter];
+        });
+    }
+  }
+
+  // Solved letters no longer need notes, and wrong guesses can't be candidates
+  let pencilMarks = state.pencilMarks || {};
+  if (pencilMarks[encryptedLetter] && (isCorrect || isIncorrect)) {
+    pencilMarks = { ...pencilMarks };
+    if (isCorrect) {
+      delete pencilMarks[encryptedLetter];
+    } else {
+      pencilMarks[encryptedLetter] = pencilMarks[encryptedLetter].filter(
+        (letter) => letter !== guessedLetter,
+      );
+    }
+  }
+
+  return {
+    isCorrect,
+    isIncorrect,
+    status: deriveStatus({
+      mistakes,
+      maxMistakes: state.maxMistakes,
+      isComplete: !!(data.game_complete || data.hasWon),
+    }),
+    next: {
+      display: formatDisplay(data.display, state) || state.display,
+      mistakes,
+      incorrectGuesses,
+      correctlyGuessed: Array.isArray(data.correctly_guessed)
+        ? data.correctly_guessed
+        : state.correctlyGuessed,
+      guessedMappings,
+      pencilMarks,
+      ...(data.solution && { solution: formatDisplay(data.solution, state) }),
+    },
+  };
+};
+
+/**
+ * Work out a guess's outcome without asking the server, where possible
+ * A guess is certainly wrong if the letter isn't in the puzzle at all or
+ * has already been solved for a different cipher letter.
+ * @param {Object} state - Current board: originalLetters and guessedMappings
+ * @param {string} encryptedLetter - Letter being guessed for
+ * @param {string} guessedLetter - Letter being guessed
+ * @returns {string|null} GUESS_OUTCOME.INCORRECT, or null if only the server can tell
+ */
+export const inferGuessOutcome = (state, encryptedLetter, guessedLetter) => {
+  const letter = guessedLetter.toUpperCase();
+  const originalLetters = state.originalLetters || [];
+
+  if (originalLetters.length > 0 && !originalLetters.includes(letter)) {
+    return GUESS_OUTCOME.INCORRECT;
+  }
+
+  const solvedElsewhere = Object.entries(state.guessedMappings || {}).some(
+    ([cipherLetter, plainLetter]) =>
+      cipherLetter !== encryptedLetter && plainLetter === letter,
+  );
+  return solvedElsewhere ? GUESS_OUTCOME.INCORRECT : null;
+};
+
+/**
+ * Layer guesses still waiting on the server onto a server response
+ * Responses come back in order, but each one only knows about the moves
+ * before it - guesses already shown optimistically must be kept on top.
+ * @param {Object} data - Guess or hint response from the server
+ * @param {Array} pendingGuesses - Optimistic guesses still awaiting their response,
+ *   each { encryptedLetter, guessedLetter }
+ * @returns {Object} Response including the pending guesses
+ */
+export const rebaseResponse = (data, pendingGuesses = []) => {
+  if (pendingGuesses.length === 0 || typeof data.mistakes !== "number") {
+    return data;
+  }
+
+  const rebased = { ...data, mistakes: data.mistakes + pendingGuesses.length };
+
+  if (data.incorrect_guesses && typeof data.incorrect_guesses === "object") {
+    const incorrectGuesses = { ...data.incorrect_guesses };
+    pendingGuesses.forEach(({ encryptedLetter, guessedLetter }) => {
+      const previous = incorrectGuesses[encryptedLetter] || [];
+      if (!previous.includes(guessedLetter)) {
+        incorrectGuesses[encryptedLetter] = [...previous, guessedLetter];
+      }
+    });
+    rebased.incorrect_guesses = incorrectGuesses;
+  }
+
+  return rebased;
+};
+
+/**
+ * Work out the board after a hint
+ * Hints don't say which letter they revealed, so each newly solved cipher
+ * letter is mapped by finding where it is no longer a block in the display.
+ * @param {Object} state - Current board: encrypted, mistakes, maxMistakes,
+ *   correctlyGuessed, guessedMappings, hardcoreMode, hardcoreLevel and
+ *   isDailyChallenge
+ * @param {Object} data - Hint response from the API or offline engine
+ * @param {Object} hint - { type, letter } - the hint type and, for targeted
+ *   hints, the encrypted letter it was for
+ * @returns {Object} { status, revealed, next } where revealed lists the
+ *   cipher letters the hint solved
+ */
+export const applyHint = (state, data, hint = {}) => {
+  const display = formatDisplay(data.display, state) || state.display;
+  const correctlyGuessed = data.correctly_guessed || [];
+
+  const guessedMappings = { ...state.guessedMappings };
+  correctlyGuessed.forEach((encryptedLetter) => {
+    if (guessedMappings[encryptedLetter]) return;
+
+    const index = Array.from(state.encrypted).findIndex(
+      (char, i) => char === encryptedLetter && display[i] !== BLOCK,
+    );
+    if (index !== -1) {
+      guessedMappings[encryptedLetter] = display[index];
+    }
+  });
+
+  const next = {
+    display,
+    mistakes: data.mistakes,
+    correctlyGuessed,
+    guessedMappings,
+  };
+
+  // Eliminated candidates are kept per encrypted letter, apart from wrong guesses
+  if (Array.isArray(data.eliminated) && hint.letter) {
+    const previous = (state.eliminatedLetters || {})[hint.letter] || [];
+    next.eliminatedLetters = {
+      ...state.eliminatedLetters,
+      [hint.letter]: [...new Set([...previous, ...data.eliminated])],
+    };
+  }
+
+  if (data.initials) {
+    next.authorInitials = data.initials;
+  }
+
+  if (data.solution) {
+    next.solution = formatDisplay(data.solution, state);
+  }
+
+  return {
+    status: deriveStatus({
+      mistakes: data.mistakes,
+      maxMistakes: state.maxMistakes,
+      isComplete: !!(data.game_complete || data.hasWon),
+    }),
+    revealed: correctlyGuessed.filter(
+      (letter) => !state.correctlyGuessed.includes(letter),
+    ),
+    next,
+  };
+};
+
+/**
+ * Build the win data shown in the win celebration from a server response
+ * @param {Object} winData - winData from the response
+ * @param {Object} state - Board after the winning move: encrypted, display,
+ *   isDailyChallenge and quoteCategories
+ * @param {number} fallbackStreak - Streak from the top level of the response
+ * @returns {Object} Complete win data
+ */
+export const createWinData = (winData, state, fallbackStreak = 0) => ({
+  ...winData,
+  encrypted: state.encrypted,
+  display: state.display,
+  attributionComplete: true, // Flag indicating complete data
+  isDailyChallenge: state.isDailyChallenge,
+  quoteCategories: winData.quoteCategories || state.quoteCategories || [],
+  current_daily_streak: winData.current_daily_streak || fallbackStreak || 0,
+});
@@ -0,0 +1,826 @@
+// src/utils/gameRules.test.js
+import {
+  BLOCK,
+  MAX_MISTAKES_MAP,
+  GAME_STATUS,
+  GUESS_OUTCOME,
+  HINT_TYPES,
+  HINT_COSTS,
+  getHintCost,
+  getInitials,
+  getMaxMistakes,
+  CUSTOM_DIFFICULTY,
+  CUSTOM_LIMITS,
+  DEFAULT_CUSTOM_DIFFICULTY,
+  DIFFICULTY_MULTIPLIERS,
+  HIDDEN_FREQUENCY_MULTIPLIER,
+  normalizeCustomDifficulty,
+  getCustomMultiplier,
+  requiresLocalGame,
+  HARDCORE_LEVELS,
+  HARDCORE_MULTIPLIERS,
+  getHardcoreLevel,
+  getServerHardcoreLevel,
+  toHardcore,
+  applyHardcoreLevel,
+  formatDisplay,
+  deriveStatus,
+  applyGuessResult,
+  applyHint,
+  inferGuessOutcome,
+  rebaseResponse,
+  createWinData,
+} from "./gameRules";
+
+const DIFFICULTIES = Object.keys(MAX_MISTAKES_MAP);
+
+// "HELLO WORLD" enciphered with H→X, E→Q, L→Z, O→A, W→B, R→C, D→D
+const ENCRYPTED = "XQZZA BACZD";
+const EMPTY_DISPLAY = "█████ █████";
+
+// Modes the board can be played in
+const MODES = {
+  normal: { hardcoreMode: false, isDailyChallenge: false },
+  hardcore: { hardcoreMode: true, isDailyChallenge: false },
+  daily: { hardcoreMode: false, isDailyChallenge: true },
+  "daily with hardcore setting": { hardcoreMode: true, isDailyChallenge: true },
+};
+
+// Build a board at the start of a game
+const createBoard = (overrides = {}) => ({
+  encrypted: ENCRYPTED,
+  display: EMPTY_DISPLAY,
+  mistakes: 0,
+  maxMistakes: MAX_MISTAKES_MAP.medium,
+  correctlyGuessed: [],
+  incorrectGuesses: {},
+  guessedMappings: {},
+  pencilMarks: {},
+  hardcoreMode: false,
+  isDailyChallenge: false,
+  ...overrides,
+});
+
+// Deep copy so tests can check inputs weren't mutated
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+describe("getMaxMistakes", () => {
+  test.each([
+    ["easy", 8],
+    ["medium", 5],
+    ["hard", 3],
+  ])("%s allows %i mistakes", (difficulty, expected) => {
+    expect(getMaxMistakes(difficulty)).toBe(expected);
+  });
+
+  test("unknown difficulties fall back to medium", () => {
+    expect(getMaxMistakes("impossible")).toBe(MAX_MISTAKES_MAP.medium);
+    expect(getMaxMistakes(undefined)).toBe(MAX_MISTAKES_MAP.medium);
+  });
+
+  test("custom difficulties use their own allowance", () => {
+    expect(getMaxMistakes(CUSTOM_DIFFICULTY, { maxMistakes: 10 })).toBe(10);
+    expect(getMaxMistakes(CUSTOM_DIFFICULTY)).toBe(
+      DEFAULT_CUSTOM_DIFFICULTY.maxMistakes,
+    );
+  });
+});
+
+describe("normalizeCustomDifficulty", () => {
+  test("fills in missing options with the defaults", () => {
+    expect(normalizeCustomDifficulty()).toEqual(DEFAULT_CUSTOM_DIFFICULTY);
+  });
+
+  test("clamps options to their limits", () => {
+    const custom = normalizeCustomDifficulty({
+      maxMistakes: 99,
+      minLength: 1,
+      maxLength: 5000,
+    });
+
+    expect(custom.maxMistakes).toBe(CUSTOM_LIMITS.maxMistakes);
+    expect(custom.minLength).toBe(CUSTOM_LIMITS.minLength);
+    expect(custom.maxLength).toBe(CUSTOM_LIMITS.maxLength);
+  });
+
+  test("accepts numbers typed as strings", () => {
+    expect(normalizeCustomDifficulty({ maxMistakes: "4" }).maxMistakes).toBe(4);
+  });
+
+  test("swaps a length range given the wrong way round", () => {
+    const custom = normalizeCustomDifficulty({ minLength: 120, maxLength: 40 });
+    expect([custom.minLength, custom.maxLength]).toEqual([40, 120]);
+  });
+});
+
+describe("getCustomMultiplier", () => {
+  test.each(DIFFICULTIES)(
+    "matches the %s multiplier with the same allowance",
+    (difficulty) => {
+      expect(
+        getCustomMultiplier({ maxMistakes: MAX_MISTAKES_MAP[difficulty] }),
+      ).toBe(DIFFICULTY_MULTIPLIERS[difficulty]);
+    },
+  );
+
+  test("fewer mistakes always score more", () => {
+    const multipliers = [];
+    for (let m = CUSTOM_LIMITS.maxMistakes; m >= CUSTOM_LIMITS.minMistakes; m--) {
+      multipliers.push(getCustomMultiplier({ maxMistakes: m }));
+    }
+    multipliers.reduce((previous, multiplier) => {
+      expect(multiplier).toBeGreaterThan(previous);
+      return multiplier;
+    });
+  });
+
+  test("hiding frequency counts earns extra", () => {
+    expect(getCustomMultiplier({ maxMistakes: 8, showFrequency: false })).toBe(
+      HIDDEN_FREQUENCY_MULTIPLIER,
+    );
+  });
+});
+
+describe("requiresLocalGame", () => {
+  test.each([
+    [{ difficulty: "medium", cipherType: "substitution" }, false],
+    [{ difficulty: "hard" }, false],
+    [{ difficulty: CUSTOM_DIFFICULTY, cipherType: "substitution" }, true],
+    [{ difficulty: "easy", cipherType: "caesar" }, true],
+    [{ hardcoreMode: true, hardcoreLevel: HARDCORE_LEVELS.NO_SPACES }, true],
+    [{ hardcoreMode: true, hardcoreLevel: HARDCORE_LEVELS.BLOCKS }, true],
+    [{ hardcoreMode: false, hardcoreLevel: HARDCORE_LEVELS.NO_SPACES }, false],
+    [{ difficulty: "easy", language: "en" }, false],
+    [{ difficulty: "easy", language: "fr" }, true],
+    [{ difficulty: "easy", encipherDigits: true }, true],
+  ])("%o needs a local game: %s", (settings, expected) => {
+    expect(requiresLocalGame(settings)).toBe(expected);
+  });
+});
+
+describe("getHintCost", () => {
+  test.each(Object.values(HINT_TYPES))("%s hints have a cost", (type) => {
+    expect(getHintCost(type)).toBe(HINT_COSTS[type]);
+    expect(getHintCost(type)).toBeGreaterThan(0);
+  });
+
+  test("unknown types cost the same as a letter hint", () => {
+    expect(getHintCost("nonsense")).toBe(HINT_COSTS[HINT_TYPES.LETTER]);
+  });
+});
+
+describe("getInitials", () => {
+  test.each([
+    ["Mark Twain", "M. T."],
+    ["Oscar  Wilde", "O. W."],
+    ["J.R.R. Tolkien", "J. T."],
+    ["Voltaire", "V."],
+    ["Émile Zola", "É. Z."],
+    ["", ""],
+  ])("%s gives %s", (name, initials) => {
+    expect(getInitials(name)).toBe(initials);
+  });
+});
+
+describe("toHardcore", () => {
+  test("strips spaces and punctuation from encrypted text", () => {
+    expect(toHardcore("XQZZA, BACZD!")).toBe("XQZZABACZD");
+  });
+
+  test("keeps unsolved blocks in display text", () => {
+    expect(toHardcore("H███O, █O██D!")).toBe("H███O█O██D");
+  });
+
+  test("keeps accented letters", () => {
+    expect(toHardcore("¿QUÉ ES?")).toBe("QUÉES");
+  });
+
+  test("keeps digits and enciphered digits", () => {
+    expect(toHardcore("CATCH-22, ♠♣!")).toBe("CATCH22♠♣");
+  });
+
+  test("keeps encrypted and display text the same length", () => {
+    const encrypted = "A'B C-D.";
+    const display = "█'█ █-█.";
+    expect(toHardcore(encrypted)).toHaveLength(toHardcore(display).length);
+  });
+
+  test("handles missing text", () => {
+    expect(toHardcore()).toBe("");
+  });
+});
+
+describe("getHardcoreLevel", () => {
+  test.each([
+    [{ hardcoreMode: false, hardcoreLevel: HARDCORE_LEVELS.BLOCKS }, "off"],
+    [{ hardcoreMode: true, hardcoreLevel: HARDCORE_LEVELS.BLOCKS }, "blocks"],
+    [{ hardcoreMode: true }, "full"],
+    [{ hardcoreMode: true, hardcoreLevel: HARDCORE_LEVELS.OFF }, "full"],
+    [{ hardcoreMode: true, hardcoreLevel: "nonsense" }, "full"],
+  ])("%o is %s", (mode, level) => {
+    expect(getHardcoreLevel(mode)).toBe(level);
+  });
+});
+
+describe("getServerHardcoreLevel", () => {
+  test("server hardcore games are full hardcore", () => {
+    expect(getServerHardcoreLevel(true)).toBe(HARDCORE_LEVELS.FULL);
+    expect(getServerHardcoreLevel(false)).toBe(HARDCORE_LEVELS.OFF);
+  });
+});
+
+describe("HARDCORE_MULTIPLIERS", () => {
+  test("each level scores more than the one before", () => {
+    const multipliers = Object.values(HARDCORE_LEVELS).map(
+      (level) => HARDCORE_MULTIPLIERS[level],
+    );
+    multipliers.slice(1).forEach((multiplier, index) => {
+      expect(multiplier).toBeGreaterThan(multipliers[index]);
+    });
+  });
+});
+
+describe("applyHardcoreLevel", () => {
+  const encrypted = "XQZZA, BACZD'Z  QZZ!";
+  const display = "H███O, █O██D'█  ███!";
+
+  test.each([
+    [HARDCORE_LEVELS.OFF, encrypted],
+    [HARDCORE_LEVELS.NO_PUNCTUATION, "XQZZA BACZDZ QZZ"],
+    [HARDCORE_LEVELS.NO_SPACES, "XQZZA,BACZD'ZQZZ!"],
+    [HARDCORE_LEVELS.BLOCKS, "XQZZA BACZD ZQZZ"],
+    [HARDCORE_LEVELS.FULL, "XQZZABACZDZQZZ"],
+  ])("%s gives %s", (level, expected) => {
+    expect(applyHardcoreLevel(encrypted, level)).toBe(expected);
+  });
+
+  test.each(Object.values(HARDCORE_LEVELS))(
+    "%s keeps encrypted and display text lined up",
+    (level) => {
+      const encryptedOut = applyHardcoreLevel(encrypted, level);
+      const displayOut = applyHardcoreLevel(display, level);
+      expect(displayOut).toHaveLength(encryptedOut.length);
+      Array.from(encryptedOut).forEach((char, i) => {
+        expect(/[A-Z]/.test(char)).toBe(/[A-Z█]/.test(displayOut[i]));
+      });
+    },
+  );
+
+  test("groups blocks in fives", () => {
+    expect(
+      applyHardcoreLevel("ABCDEFGHIJKL", HARDCORE_LEVELS.BLOCKS).split(" "),
+    ).toEqual(["ABCDE", "FGHIJ", "KL"]);
+  });
+});
+
+describe("formatDisplay", () => {
+  test.each(Object.entries(MODES))("%s mode", (name, mode) => {
+    const expected =
+      mode.hardcoreMode && !mode.isDailyChallenge ? "H███O█O██D" : "H███O █O██D";
+    expect(formatDisplay("H███O █O██D", mode)).toBe(expected);
+  });
+
+  test("passes missing display text through", () => {
+    expect(formatDisplay(undefined, MODES.hardcore)).toBeUndefined();
+  });
+});
+
+describe("deriveStatus", () => {
+  describe.each(DIFFICULTIES)("%s", (difficulty) => {
+    const maxMistakes = getMaxMistakes(difficulty);
+
+    test("is playing below the mistake limit", () => {
+      expect(deriveStatus({ mistakes: maxMistakes - 1, maxMistakes })).toBe(
+        GAME_STATUS.PLAYING,
+      );
+    });
+
+    test("is lost at the mistake limit", () => {
+      expect(deriveStatus({ mistakes: maxMistakes, maxMistakes })).toBe(
+        GAME_STATUS.LOST,
+      );
+    });
+
+    test("is won when the puzzle is complete", () => {
+      expect(
+        deriveStatus({ mistakes: maxMistakes - 1, maxMistakes, isComplete: true }),
+      ).toBe(GAME_STATUS.WON);
+    });
+
+    test("a loss takes priority over completion", () => {
+      expect(
+        deriveStatus({ mistakes: maxMistakes, maxMistakes, isComplete: true }),
+      ).toBe(GAME_STATUS.LOST);
+    });
+  });
+});
+
+describe("applyGuessResult", () => {
+  const correctResponse = {
+    display: "H████ █████",
+    mistakes: 0,
+    correctly_guessed: ["X"],
+    is_correct: true,
+  };
+
+  test("a correct guess records the mapping and solved letter", () => {
+    const board = createBoard();
+    const result = applyGuessResult(board, correctResponse, "X", "h");
+
+    expect(result.isCorrect).toBe(true);
+    expect(result.isIncorrect).toBe(false);
+    expect(result.status).toBe(GAME_STATUS.PLAYING);
+    expect(result.next.display).toBe("H████ █████");
+    expect(result.next.correctlyGuessed).toEqual(["X"]);
+    expect(result.next.guessedMappings).toEqual({ X: "H" });
+  });
+
+  test("an incorrect guess adds a mistake and remembers the wrong letter", () => {
+    const board = createBoard();
+    const result = applyGuessResult(
+      board,
+      { display: EMPTY_DISPLAY, mistakes: 1, correctly_guessed: [], is_correct: false },
+      "X",
+      "T",
+    );
+
+    expect(result.isCorrect).toBe(false);
+    expect(result.isIncorrect).toBe(true);
+    expect(result.next.mistakes).toBe(1);
+    expect(result.next.incorrectGuesses).toEqual({ X: ["T"] });
+  });
+
+  test("prefers the server's record of incorrect guesses", () => {
+    const board = createBoard({ incorrectGuesses: { X: ["A"] } });
+    const result = applyGuessResult(
+      board,
+      {
+        display: EMPTY_DISPLAY,
+        mistakes: 1,
+        correctly_guessed: [],
+        incorrect_guesses: { X: ["A", "T"], Q: ["B"] },
+      },
+      "X",
+      "T",
+    );
+
+    expect(result.next.incorrectGuesses).toEqual({ X: ["A", "T"], Q: ["B"] });
+  });
+
+  test("doesn't record the same wrong letter twice", () => {
+    const board = createBoard({ mistakes: 1, incorrectGuesses: { X: ["T"] } });
+    const result = applyGuessResult(
+      board,
+      { display: EMPTY_DISPLAY, mistakes: 1, correctly_guessed: [] },
+      "X",
+      "T",
+    );
+
+    expect(result.isIncorrect).toBe(false);
+    expect(result.next.incorrectGuesses).toBe(board.incorrectGuesses);
+  });
+
+  test("an already solved letter isn't counted as a new correct guess", () => {
+    const board = createBoard({
+      correctlyGuessed: ["X"],
+      guessedMappings: { X: "H" },
+    });
+    const result = applyGuessResult(board, correctResponse, "X", "H");
+
+    expect(result.isCorrect).toBe(false);
+  });
+
+  test("keeps the current display when the response has none", () => {
+    const board = createBoard({ display: "H████ █████" });
+    const result = applyGuessResult(
+      board,
+      { mistakes: 0, correctly_guessed: ["X"] },
+      "Q",
+      "Z",
+    );
+
+    expect(result.next.display).toBe("H████ █████");
+    expect(result.next.mistakes).toBe(0);
+  });
+
+  test("fills in letters solved alongside the guess in local games", () => {
+    const board = createBoard();
+    const result = applyGuessResult(
+      board,
+      { ...correctResponse, correctly_guessed: ["X", "H"] },
+      "X",
+      "H",
+      { X: "H", H: "X" },
+    );
+
+    expect(result.next.guessedMappings).toEqual({ X: "H", H: "X" });
+  });
+
+  test("clears pencil marks for a solved letter", () => {
+    const board = createBoard({ pencilMarks: { X: ["H", "T"], Q: ["E"] } });
+    const result = applyGuessResult(board, correctResponse, "X", "H");
+
+    expect(result.next.pencilMarks).toEqual({ Q: ["E"] });
+  });
+
+  test("removes a wrong guess from the letter's pencil marks", () => {
+    const board = createBoard({ pencilMarks: { X: ["H", "T"] } });
+    const result = applyGuessResult(
+      board,
+      { display: EMPTY_DISPLAY, mistakes: 1, correctly_guessed: [] },
+      "X",
+      "T",
+    );
+
+    expect(result.next.pencilMarks).toEqual({ X: ["H"] });
+  });
+
+  test("doesn't mutate the board it was given", () => {
+    const board = createBoard({
+      incorrectGuesses: { Q: ["A"] },
+      pencilMarks: { X: ["H"] },
+    });
+    const before = clone(board);
+
+    applyGuessResult(board, correctResponse, "X", "H");
+    applyGuessResult(
+      board,
+      { display: EMPTY_DISPLAY, mistakes: 1, correctly_guessed: [] },
+      "Q",
+      "B",
+    );
+
+    expect(board).toEqual(before);
+  });
+
+  describe.each(Object.entries(MODES))("in %s mode", (name, mode) => {
+    test("formats the display for the mode", () => {
+      const board = createBoard(mode);
+      const result = applyGuessResult(board, correctResponse, "X", "H");
+      const expected =
+        mode.hardcoreMode && !mode.isDailyChallenge
+          ? "H█████████"
+          : "H████ █████";
+
+      expect(result.next.display).toBe(expected);
+    });
+  });
+
+  describe.each(DIFFICULTIES)("on %s", (difficulty) => {
+    const maxMistakes = getMaxMistakes(difficulty);
+
+    test("the last allowed mistake loses the game", () => {
+      const board = createBoard({ maxMistakes, mistakes: maxMistakes - 1 });
+      const result = applyGuessResult(
+        board,
+        { display: EMPTY_DISPLAY, mistakes: maxMistakes, correctly_guessed: [] },
+        "X",
+        "T",
+      );
+
+      expect(result.status).toBe(GAME_STATUS.LOST);
+    });
+
+    test("one mistake short of the limit keeps playing", () => {
+      const board = createBoard({ maxMistakes, mistakes: maxMistakes - 2 });
+      const result = applyGuessResult(
+        board,
+        { display: EMPTY_DISPLAY, mistakes: maxMistakes - 1, correctly_guessed: [] },
+        "X",
+        "T",
+      );
+
+      expect(result.status).toBe(GAME_STATUS.PLAYING);
+    });
+
+    test("solving the last letter wins the game", () => {
+      const board = createBoard({ maxMistakes, mistakes: maxMistakes - 1 });
+      const result = applyGuessResult(
+        board,
+        {
+          display: "HELLO WORLD",
+          mistakes: maxMistakes - 1,
+          correctly_guessed: ["X", "Q", "Z", "A", "B", "C", "D"],
+          game_complete: true,
+        },
+        "D",
+        "D",
+      );
+
+      expect(result.status).toBe(GAME_STATUS.WON);
+    });
+
+    test("offline engine wins are reported through hasWon", () => {
+      const board = createBoard({ maxMistakes });
+      const result = applyGuessResult(
+        board,
+        {
+          display: "HELLO WORLD",
+          mistakes: 0,
+          correctly_guessed: ["X", "Q", "Z", "A", "B", "C", "D"],
+          hasWon: true,
+        },
+        "D",
+        "D",
+      );
+
+      expect(result.status).toBe(GAME_STATUS.WON);
+    });
+  });
+
+  describe("solution", () => {
+    const losingResponse = {
+      display: EMPTY_DISPLAY,
+      mistakes: 5,
+      correctly_guessed: [],
+      is_correct: false,
+      solution: "HELLO WORLD",
+    };
+
+    test("the solution returned with a loss is kept", () => {
+      const board = createBoard({ mistakes: 4 });
+      const result = applyGuessResult(board, losingResponse, "X", "T");
+
+      expect(result.status).toBe(GAME_STATUS.LOST);
+      expect(result.next.solution).toBe("HELLO WORLD");
+    });
+
+    test("hardcore games keep it lined up with the encrypted text", () => {
+      const board = createBoard({
+        ...MODES.hardcore,
+        encrypted: "XQZZABACZD",
+        mistakes: 4,
+      });
+      const result = applyGuessResult(board, losingResponse, "X", "T");
+
+      expect(result.next.solution).toBe("HELLOWORLD");
+    });
+
+    test("games still in play have no solution", () => {
+      const result = applyGuessResult(createBoard(), correctResponse, "X", "H");
+
+      expect(result.next).not.toHaveProperty("solution");
+    });
+  });
+});
+
+describe("inferGuessOutcome", () => {
+  const board = createBoard({ originalLetters: ["D", "E", "H", "L", "O", "R", "W"] });
+
+  test("a letter missing from the puzzle is certainly incorrect", () => {
+    expect(inferGuessOutcome(board, "X", "t")).toBe(GUESS_OUTCOME.INCORRECT);
+  });
+
+  test("a letter already solved for another cipher letter is certainly incorrect", () => {
+    const solved = { ...board, guessedMappings: { Q: "E" } };
+    expect(inferGuessOutcome(solved, "X", "E")).toBe(GUESS_OUTCOME.INCORRECT);
+  });
+
+  test("a letter that could still be right is left to the server", () => {
+    expect(inferGuessOutcome(board, "X", "H")).toBeNull();
+    expect(inferGuessOutcome(board, "X", "E")).toBeNull();
+  });
+
+  test("nothing is inferred without the puzzle's letters", () => {
+    expect(inferGuessOutcome(createBoard(), "X", "T")).toBeNull();
+  });
+});
+
+describe("rebaseResponse", () => {
+  const response = {
+    display: EMPTY_DISPLAY,
+    mistakes: 1,
+    correctly_guessed: [],
+    incorrect_guesses: { X: ["T"] },
+  };
+  const pending = [
+    { encryptedLetter: "X", guessedLetter: "K" },
+    { encryptedLetter: "Q", guessedLetter: "J" },
+  ];
+
+  test("returns the response unchanged with nothing pending", () => {
+    expect(rebaseResponse(response, [])).toBe(response);
+  });
+
+  test("counts pending guesses as mistakes", () => {
+    expect(rebaseResponse(response, pending).mistakes).toBe(3);
+  });
+
+  test("keeps pending guesses in the server's incorrect guesses", () => {
+    expect(rebaseResponse(response, pending).incorrect_guesses).toEqual({
+      X: ["T", "K"],
+      Q: ["J"],
+    });
+  });
+
+  test("doesn't mutate the response", () => {
+    const before = clone(response);
+    rebaseResponse(response, pending);
+    expect(response).toEqual(before);
+  });
+});
+
+describe("applyHint", () => {
+  test("maps each revealed letter from the display", () => {
+    const board = createBoard();
+    const result = applyHint(board, {
+      display: "██LL█ ███L█",
+      mistakes: 1,
+      correctly_guessed: ["Z"],
+    });
+
+    expect(result.revealed).toEqual(["Z"]);
+    expect(result.next.guessedMappings).toEqual({ Z: "L" });
+    expect(result.next.mistakes).toBe(1);
+    expect(result.status).toBe(GAME_STATUS.PLAYING);
+  });
+
+  test("only reports letters that weren't solved before", () => {
+    const board = createBoard({
+      display: "H████ █████",
+      correctlyGuessed: ["X"],
+      guessedMappings: { X: "H" },
+    });
+    const result = applyHint(board, {
+      display: "H█LL█ ███L█",
+      mistakes: 1,
+      correctly_guessed: ["X", "Z"],
+    });
+
+    expect(result.revealed).toEqual(["Z"]);
+    expect(result.next.guessedMappings).toEqual({ X: "H", Z: "L" });
+  });
+
+  test("keeps existing mappings rather than re-reading them", () => {
+    const board = createBoard({
+      correctlyGuessed: ["X"],
+      guessedMappings: { X: "H" },
+    });
+    const result = applyHint(board, {
+      display: "H████ █████",
+      mistakes: 1,
+      correctly_guessed: ["X"],
+    });
+
+    expect(result.revealed).toEqual([]);
+    expect(result.next.guessedMappings).toEqual({ X: "H" });
+  });
+
+  test("treats a missing correctly_guessed list as empty", () => {
+    const result = applyHint(createBoard(), {
+      display: EMPTY_DISPLAY,
+      mistakes: 1,
+    });
+
+    expect(result.next.correctlyGuessed).toEqual([]);
+    expect(result.revealed).toEqual([]);
+  });
+
+  test("doesn't mutate the board it was given", () => {
+    const board = createBoard({ guessedMappings: { X: "H" } });
+    const before = clone(board);
+
+    applyHint(board, {
+      display: "H█LL█ ███L█",
+      mistakes: 1,
+      correctly_guessed: ["X", "Z"],
+    });
+
+    expect(board).toEqual(before);
+  });
+
+  describe.each(Object.entries(MODES))("in %s mode", (name, mode) => {
+    test("maps revealed letters against the displayed text", () => {
+      const board = createBoard({
+        ...mode,
+        encrypted: mode.hardcoreMode && !mode.isDailyChallenge
+          ? toHardcore(ENCRYPTED)
+          : ENCRYPTED,
+      });
+      const result = applyHint(board, {
+        display: "████O █O███",
+        mistakes: 1,
+        correctly_guessed: ["A"],
+      });
+
+      expect(result.next.guessedMappings).toEqual({ A: "O" });
+      expect(result.next.display.includes(" ")).toBe(
+        !(mode.hardcoreMode && !mode.isDailyChallenge),
+      );
+      expect(result.next.display.includes(BLOCK)).toBe(true);
+    });
+  });
+
+  describe.each(DIFFICULTIES)("on %s", (difficulty) => {
+    const maxMistakes = getMaxMistakes(difficulty);
+
+    test("a hint reaching the mistake limit loses the game", () => {
+      const board = createBoard({ maxMistakes, mistakes: maxMistakes - 1 });
+      const result = applyHint(board, {
+        display: "██LL█ ███L█",
+        mistakes: maxMistakes,
+        correctly_guessed: ["Z"],
+      });
+
+      expect(result.status).toBe(GAME_STATUS.LOST);
+    });
+
+    test("a hint revealing the last letter wins the game", () => {
+      const board = createBoard({
+        maxMistakes,
+        mistakes: maxMistakes - 2,
+        correctlyGuessed: ["X", "Q", "Z", "A", "B", "C"],
+      });
+      const result = applyHint(board, {
+        display: "HELLO WORLD",
+        mistakes: maxMistakes - 1,
+        correctly_guessed: ["X", "Q", "Z", "A", "B", "C", "D"],
+        game_complete: true,
+      });
+
+      expect(result.status).toBe(GAME_STATUS.WON);
+      expect(result.revealed).toEqual(["D"]);
+      expect(result.next.guessedMappings.D).toBe("D");
+    });
+  });
+});
+
+describe("applyHint with hint types", () => {
+  test("eliminated letters are added for the hinted letter", () => {
+    const board = createBoard({ eliminatedLetters: { X: ["A"] } });
+    const response = {
+      display: EMPTY_DISPLAY,
+      mistakes: 1,
+      correctly_guessed: [],
+      eliminated: ["B", "C", "A"],
+    };
+    const result = applyHint(board, response, {
+      type: HINT_TYPES.ELIMINATE,
+      letter: "X",
+    });
+
+    expect(result.revealed).toEqual([]);
+    expect(result.next.mistakes).toBe(1);
+    expect(result.next.eliminatedLetters).toEqual({ X: ["A", "B", "C"] });
+    expect(board.eliminatedLetters).toEqual({ X: ["A"] });
+  });
+
+  test("initials are passed through", () => {
+    const result = applyHint(
+      createBoard(),
+      { display: EMPTY_DISPLAY, mistakes: 1, correctly_guessed: [], initials: "M. T." },
+      { type: HINT_TYPES.INITIALS },
+    );
+
+    expect(result.next.authorInitials).toBe("M. T.");
+    expect(result.next.eliminatedLetters).toBeUndefined();
+  });
+
+  test("reveal hints leave eliminations and initials alone", () => {
+    const result = applyHint(createBoard(), {
+      display: "H████ █████",
+      mistakes: 2,
+      correctly_guessed: ["X"],
+    });
+
+    expect(result.revealed).toEqual(["X"]);
+    expect(result.next).not.toHaveProperty("eliminatedLetters");
+    expect(result.next).not.toHaveProperty("authorInitials");
+  });
+
+  test("the solution returned with a losing hint is kept", () => {
+    const result = applyHint(createBoard({ mistakes: 4 }), {
+      display: EMPTY_DISPLAY,
+      mistakes: 5,
+      correctly_guessed: [],
+      solution: "HELLO WORLD",
+    });
+
+    expect(result.status).toBe(GAME_STATUS.LOST);
+    expect(result.next.solution).toBe("HELLO WORLD");
+  });
+});
+
+describe("createWinData", () => {
+  const board = createBoard({ display: "HELLO WORLD", isDailyChallenge: true });
+
+  test("adds the board and marks attribution complete", () => {
+    const winData = createWinData({ score: 120, attribution: {} }, board);
+
+    expect(winData).toMatchObject({
+      score: 120,
+      encrypted: ENCRYPTED,
+      display: "HELLO WORLD",
+      attributionComplete: true,
+      isDailyChallenge: true,
+      current_daily_streak: 0,
+    });
+  });
+
+  test("uses the streak from win data before the fallback", () => {
+    expect(
+      createWinData({ current_daily_streak: 4 }, board, 2).current_daily_streak,
+    ).toBe(4);
+    expect(createWinData({}, board, 2).current_daily_streak).toBe(2);
+  });
+});
@@ -0,0 +1,330 @@
+// src/utils/languages.js
+/**
+ * Puzzle languages and their alphabets
+ * Accented letters are either folded to their base letter, so puzzles use the
+ * usual 26, or kept as letters of their own that are enciphered separately.
+ */
+
+export const DEFAULT_LANGUAGE = "en";
+
+// How accented letters are treated
+export const ACCENT_MODES = {
+  FOLD: "fold",
+  KEEP: "keep",
+};
+
+// Every uppercase letter a puzzle can contain, as a regex character class body
+export const LETTER_CLASS = "A-ZÀ-ÖØ-ÞŒŸ";
+
+const LETTER_REGEX = new RegExp(`^[${LETTER_CLASS}]$`);
+const LETTERS_REGEX = new RegExp(`[${LETTER_CLASS}]`, "g");
+
+const BASE_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+
+// Ligatures have no decomposed form, so they're folded by hand
+const LIGATURES = { Œ: "OE", Æ: "AE" };
+
+/**
+ * Languages puzzles can be played in. accents are the letters kept apart in
+ * keep mode; frequencies are percentages in typical text, with accented
+ * letters counted separately; bigrams and doubles are the most common pairs.
+ */
+export const LANGUAGES = {
+  en: {
+    label: "English",
+    accents: "",
+    frequencies: {
+      E: 12.7,
+      T: 9.1,
+      A: 8.2,
+      O: 7.5,
+      I: 7.0,
+      N: 6.7,
+      S: 6.3,
+      H: 6.1,
+      R: 6.0,
+      D: 4.3,
+      L: 4.0,
+      C: 2.8,
+      U: 2.8,
+      M: 2.4,
+      W: 2.4,
+      F: 2.2,
+      G: 2.0,
+      Y: 2.0,
+      P: 1.9,
+      B: 1.5,
+      V: 1.0,
+      K: 0.8,
+      J: 0.2,
+      X: 0.2,
+      Q: 0.1,
+      Z: 0.1,
+    },
+    bigrams: ["TH", "HE", "IN", "ER", "AN", "RE", "ON", "AT"],
+    doubles: ["LL", "EE", "SS", "OO", "TT", "FF", "RR", "PP"],
+  },
+  fr: {
+    label: "Français",
+    accents: "ÀÂÇÉÈÊËÎÏÔÙÛÜŒ",
+    frequencies: {
+      E: 14.7,
+      S: 7.9,
+      A: 7.6,
+      I: 7.5,
+      T: 7.2,
+      N: 7.1,
+      R: 6.7,
+      U: 6.3,
+      O: 5.8,
+      L: 5.5,
+      D: 3.7,
+      C: 3.3,
+      M: 3.0,
+      P: 2.5,
+      V: 1.8,
+      É: 1.5,
+      Q: 1.4,
+      F: 1.1,
+      B: 0.9,
+      G: 0.9,
+      H: 0.7,
+      J: 0.6,
+      À: 0.5,
+      X: 0.4,
+      Z: 0.3,
+      È: 0.3,
+      Ê: 0.2,
+      Y: 0.1,
+      Ç: 0.1,
+      K: 0.1,
+      Ù: 0.1,
+      Û: 0.1,
+      Â: 0.1,
+      W: 0.05,
+      Î: 0.05,
+      Ô: 0.02,
+      Œ: 0.02,
+      Ë: 0.01,
+      Ï: 0.01,
+      Ü: 0.01,
+    },
+    bigrams: ["ES", "LE", "DE", "EN", "RE", "NT", "ON", "ER"],
+    doubles: ["SS", "LL", "EE", "NN", "TT", "MM", "RR", "PP"],
+  },
+  es: {
+    label: "Español",
+    accents: "ÁÉÍÑÓÚÜ",
+    frequencies: {
+      E: 12.2,
+      A: 11.5,
+      O: 8.7,
+      S: 8.0,
+      R: 6.9,
+      N: 6.7,
+      I: 6.2,
+      D: 5.0,
+      L: 5.0,
+      T: 4.6,
+      C: 4.0,
+      U: 2.9,
+      M: 3.2,
+      P: 2.5,
+      B: 2.2,
+      G: 1.8,
+      V: 1.1,
+      Y: 1.0,
+      Q: 0.9,
+      Ó: 0.8,
+      Í: 0.7,
+      H: 0.7,
+      F: 0.7,
+      Á: 0.5,
+      J: 0.5,
+      Z: 0.5,
+      É: 0.4,
+      Ñ: 0.3,
+      X: 0.2,
+      Ú: 0.2,
+      W: 0.02,
+      K: 0.01,
+      Ü: 0.01,
+    },
+    bigrams: ["DE", "EN", "ES", "EL", "LA", "OS", "AR", "UE"],
+    doubles: ["LL", "RR", "EE", "CC", "OO", "NN"],
+  },
+  de: {
+    label: "Deutsch",
+    accents: "ÄÖÜ",
+    frequencies: {
+      E: 16.4,
+      N: 9.8,
+      I: 6.6,
+      S: 7.3,
+      R: 7.0,
+      A: 6.5,
+      T: 6.2,
+      D: 5.1,
+      H: 4.6,
+      U: 4.2,
+      L: 3.4,
+      G: 3.0,
+      C: 2.7,
+      O: 2.6,
+      M: 2.5,
+      W: 1.9,
+      B: 1.9,
+      F: 1.7,
+      K: 1.4,
+      Z: 1.1,
+      Ü: 1.0,
+      V: 0.8,
+      P: 0.7,
+      Ä: 0.6,
+      Ö: 0.4,
+      J: 0.3,
+      Y: 0.04,
+      X: 0.03,
+      Q: 0.02,
+    },
+    bigrams: ["ER", "EN", "CH", "DE", "EI", "TE", "IN", "ND"],
+    doubles: ["SS", "NN", "LL", "EE", "MM", "TT", "RR", "FF"],
+  },
+  it: {
+    label: "Italiano",
+    accents: "ÀÈÉÌÒÙ",
+    frequencies: {
+      E: 11.8,
+      A: 11.7,
+      I: 10.1,
+      O: 9.8,
+      N: 6.9,
+      L: 6.5,
+      R: 6.4,
+      T: 5.6,
+      S: 5.0,
+      C: 4.5,
+      D: 3.7,
+      P: 3.1,
+      U: 3.0,
+      M: 2.5,
+      V: 2.1,
+      G: 1.6,
+      Z: 1.2,
+      F: 1.2,
+      B: 0.9,
+      H: 0.6,
+      À: 0.6,
+      Q: 0.5,
+      È: 0.3,
+      Ù: 0.2,
+      É: 0.05,
+      Ì: 0.03,
+      W: 0.03,
+      Y: 0.02,
+      J: 0.01,
+      K: 0.01,
+      Ò: 0.01,
+      X: 0.01,
+    },
+    bigrams: ["ER", "ES", "ON", "RE", "EL", "DE", "DI", "TO"],
+    doubles: ["LL", "TT", "SS", "ZZ", "PP", "NN", "RR", "CC"],
+  },
+};
+
+/**
+ * Get a language, falling back to English
+ * @param {string} id - Language id
+ * @returns {Object} Language from LANGUAGES
+ */
+export const getLanguage = (id) => LANGUAGES[id] || LANGUAGES[DEFAULT_LANGUAGE];
+
+/**
+ * Whether accented letters are kept apart in a game
+ * @param {string} language - Language id
+ * @param {string} accentMode - One of ACCENT_MODES
+ * @returns {boolean}
+ */
+export const keepsAccents = (language, accentMode) =>
+  accentMode === ACCENT_MODES.KEEP && getLanguage(language).accents.length > 0;
+
+/**
+ * Whether a character is a puzzle letter
+ * @param {string} char - Single character
+ * @returns {boolean}
+ */
+export const isLetter = (char) => LETTER_REGEX.test(char || "");
+
+/**
+ * All the letters in a text, in order
+ * @param {string} text - Puzzle text
+ * @returns {Array<string>}
+ */
+export const getLetters = (text) => (text || "").match(LETTERS_REGEX) || [];
+
+/**
+ * Fold an accented letter to its base letter
+ * @param {string} char - Uppercase character
+ * @returns {string} Base letter, or two letters for a ligature
+ */
+export const foldLetter = (char) =>
+  LIGATURES[char] || char.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+
+/**
+ * Uppercase quote text, folding accents except the language's own when
+ * they are kept. ß has no single uppercase letter, so it always becomes SS.
+ * @param {string} text - Raw quote text
+ * @param {Object} options
+ * @param {string} options.language - Language id
+ * @param {boolean} options.keepAccents - Whether accented letters are kept
+ * @returns {string} Normalised text
+ */
+export const normaliseText = (text, { language, keepAccents = false } = {}) => {
+  const kept = keepAccents ? getLanguage(language).accents : "";
+  return Array.from(text.normalize("NFC").toUpperCase())
+    .map((char) => (kept.includes(char) ? char : foldLetter(char)))
+    .join("");
+};
+
+/**
+ * Letters a puzzle's cipher alphabet is made of
+ * @param {string} language - Language id
+ * @param {boolean} keepAccents - Whether accented letters are kept
+ * @returns {string}
+ */
+export const getAlphabet = (language, keepAccents) =>
+  BASE_ALPHABET + (keepAccents ? getLanguage(language).accents : "");
+
+/**
+ * Letter frequencies of a language, in percent. When accents are folded
+ * their share is added to the base letter.
+ * @param {string} language - Language id
+ * @param {boolean} keepAccents - Whether accented letters are kept
+ * @returns {Object} Letter → percent
+ */
+export const getFrequencies = (language, keepAccents) => {
+  const { frequencies } = getLanguage(language);
+  if (keepAccents) return { ...frequencies };
+
+  const folded = {};
+  Object.entries(frequencies).forEach(([letter, percent]) => {
+    const base = foldLetter(letter)[0];
+    folded[base] = Math.round(((folded[base] || 0) + percent) * 100) / 100;
+  });
+  return folded;
+};
+
+/**
+ * Match a typed key to one of the puzzle's letters. Accented keys fall back
+ * to their base letter when the puzzle folds accents.
+ * @param {string} key - Uppercase key
+ * @param {Array<string>} letters - Letters the key can stand for
+ * @returns {string|null} Matching letter, or null if there is none
+ */
+export const matchLetterKey = (key, letters) => {
+  if (!isLetter(key)) return null;
+  if (letters.includes(key)) return key;
+
+  const folded = foldLetter(key);
+  return letters.includes(folded) ? folded : null;
+};
@@ -0,0 +1,131 @@
+// src/utils/languages.test.js
+import quotes from "../data/quotes";
+import {
+  ACCENT_MODES,
+  LANGUAGES,
+  keepsAccents,
+  isLetter,
+  getLetters,
+  foldLetter,
+  normaliseText,
+  getAlphabet,
+  getFrequencies,
+  matchLetterKey,
+} from "./languages";
+
+describe("normaliseText", () => {
+  test("folds accents to their base letters by default", () => {
+    expect(normaliseText("Le cœur a ses raisons", { language: "fr" })).toBe(
+      "LE COEUR A SES RAISONS",
+    );
+    expect(normaliseText("Über", { language: "de" })).toBe("UBER");
+  });
+
+  test("keeps the language's own accents when asked", () => {
+    expect(
+      normaliseText("Après nous, le déluge", {
+        language: "fr",
+        keepAccents: true,
+      }),
+    ).toBe("APRÈS NOUS, LE DÉLUGE");
+  });
+
+  test("folds accents from other languages even when keeping", () => {
+    expect(normaliseText("España", { language: "de", keepAccents: true })).toBe(
+      "ESPANA",
+    );
+  });
+
+  test("turns ß into SS", () => {
+    expect(normaliseText("weiß", { language: "de", keepAccents: true })).toBe(
+      "WEISS",
+    );
+  });
+});
+
+describe("letters", () => {
+  test("accented capitals are letters, punctuation isn't", () => {
+    expect(isLetter("É")).toBe(true);
+    expect(isLetter("Ñ")).toBe(true);
+    expect(isLetter("Œ")).toBe(true);
+    expect(isLetter("¿")).toBe(false);
+    expect(isLetter("×")).toBe(false);
+  });
+
+  test("getLetters skips everything else", () => {
+    expect(getLetters("¿QUÉ ES?")).toEqual(["Q", "U", "É", "E", "S"]);
+    expect(getLetters("")).toEqual([]);
+  });
+
+  test("foldLetter splits ligatures", () => {
+    expect(foldLetter("Ç")).toBe("C");
+    expect(foldLetter("Œ")).toBe("OE");
+  });
+});
+
+describe("keepsAccents", () => {
+  test("only when asked for a language with accents", () => {
+    expect(keepsAccents("fr", ACCENT_MODES.KEEP)).toBe(true);
+    expect(keepsAccents("fr", ACCENT_MODES.FOLD)).toBe(false);
+    expect(keepsAccents("en", ACCENT_MODES.KEEP)).toBe(false);
+  });
+});
+
+describe("getAlphabet", () => {
+  test("adds the language's accents when they are kept", () => {
+    expect(getAlphabet("es", false)).toHaveLength(26);
+    expect(getAlphabet("es", true)).toBe(
+      `ABCDEFGHIJKLMNOPQRSTUVWXYZ${LANGUAGES.es.accents}`,
+    );
+  });
+});
+
+describe("getFrequencies", () => {
+  test("adds accented letters to their base letter when folding", () => {
+    const folded = getFrequencies("fr", false);
+    expect(Object.keys(folded).every((letter) => /^[A-Z]$/.test(letter))).toBe(
+      true,
+    );
+    expect(folded.E).toBeCloseTo(14.7 + 1.5 + 0.3 + 0.2 + 0.01);
+  });
+
+  test("lists accented letters apart when keeping", () => {
+    expect(getFrequencies("fr", true).É).toBe(1.5);
+  });
+
+  test("every language covers the whole alphabet", () => {
+    Object.keys(LANGUAGES).forEach((language) => {
+      expect(Object.keys(getFrequencies(language, false)).sort().join("")).toBe(
+        getAlphabet(language, false),
+      );
+      Array.from(LANGUAGES[language].accents).forEach((accent) =>
+        expect(LANGUAGES[language].frequencies[accent]).toBeDefined(),
+      );
+    });
+  });
+});
+
+describe("matchLetterKey", () => {
+  test("prefers the key itself, then its base letter", () => {
+    expect(matchLetterKey("É", ["E", "É"])).toBe("É");
+    expect(matchLetterKey("É", ["E", "S"])).toBe("E");
+    expect(matchLetterKey("Ñ", ["A"])).toBeNull();
+    expect(matchLetterKey("1", ["A"])).toBeNull();
+  });
+});
+
+describe("bundled quotes", () => {
+  test("every quote is in a known language", () => {
+    quotes.forEach((quote) => {
+      expect(LANGUAGES[quote.language || "en"]).toBeDefined();
+    });
+  });
+
+  test("every language has quotes to pick from", () => {
+    Object.keys(LANGUAGES).forEach((language) => {
+      expect(
+        quotes.some((quote) => (quote.language || "en") === language),
+      ).toBe(true);
+    });
+  });
+});
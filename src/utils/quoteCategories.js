@@ -0,0 +1,67 @@
+// src/utils/quoteCategories.js
+/**
+ * Quote categories and decades players can pick for new games
+ */
+
+// Themes offered in the category picker
+export const QUOTE_CATEGORIES = {
+  literature: { label: "Literature" },
+  film: { label: "Film" },
+  science: { label: "Science" },
+  philosophy: { label: "Philosophy" },
+  history: { label: "History" },
+};
+
+// Decades offered in the category picker, oldest first
+export const QUOTE_DECADES = Array.from(
+  { length: 13 },
+  (_, i) => `${1900 + i * 10}s`,
+);
+
+const isDecade = (id) => QUOTE_DECADES.includes(id);
+
+/**
+ * Keep only known categories and decades, each once
+ * @param {Array<string>} ids - Category and decade ids
+ * @returns {Array<string>}
+ */
+export const normalizeQuoteCategories = (ids) =>
+  Array.isArray(ids)
+    ? [...new Set(ids)].filter((id) => QUOTE_CATEGORIES[id] || isDecade(id))
+    : [];
+
+/**
+ * Decade a quote is from, read from the year in its minor attribution
+ * @param {Object} quote - Quote entry from data/quotes
+ * @returns {string|null} Decade id such as "1930s", or null if undated
+ */
+export const getQuoteDecade = (quote) => {
+  const year = (quote?.minor_attribution || "").match(/\b(1\d{3}|20\d{2})\b/);
+  return year ? `${Math.floor(year[1] / 10) * 10}s` : null;
+};
+
+/**
+ * Whether a quote fits the picked categories. Picking several themes or
+ * several decades allows any of them; picking none allows every quote.
+ * @param {Object} quote - Quote entry from data/quotes
+ * @param {Array<string>} ids - Picked category and decade ids
+ * @returns {boolean}
+ */
+export const matchesQuoteCategories = (quote, ids = []) => {
+  const themes = ids.filter((id) => QUOTE_CATEGORIES[id]);
+  const decades = ids.filter(isDecade);
+  return (
+    (themes.length === 0 || themes.includes(quote.category)) &&
+    (decades.length === 0 || decades.includes(getQuoteDecade(quote)))
+  );
+};
+
+/**
+ * Readable list of picked categories, e.g. "Film, 1940s"
+ * @param {Array<string>} ids - Category and decade ids
+ * @returns {string} Empty when nothing is picked
+ */
+export const formatQuoteCategories = (ids) =>
+  normalizeQuoteCategories(ids)
+    .map((id) => QUOTE_CATEGORIES[id]?.label || id)
+    .join(", ");
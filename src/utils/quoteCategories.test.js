@@ -0,0 +1,75 @@
+// src/utils/quoteCategories.test.js
+import quotes from "../data/quotes";
+import {
+  QUOTE_CATEGORIES,
+  QUOTE_DECADES,
+  normalizeQuoteCategories,
+  getQuoteDecade,
+  matchesQuoteCategories,
+  formatQuoteCategories,
+} from "./quoteCategories";
+
+const CASABLANCA = {
+  text: "Here's looking at you, kid.",
+  minor_attribution: "Casablanca, 1942",
+  category: "film",
+};
+
+describe("normalizeQuoteCategories", () => {
+  test("keeps known categories and decades once each", () => {
+    expect(
+      normalizeQuoteCategories(["film", "1940s", "film", "poetry", "1850s"]),
+    ).toEqual(["film", "1940s"]);
+  });
+
+  test("treats anything else as no categories", () => {
+    expect(normalizeQuoteCategories(undefined)).toEqual([]);
+    expect(normalizeQuoteCategories("film")).toEqual([]);
+  });
+});
+
+describe("getQuoteDecade", () => {
+  test("reads the decade from the year in the attribution", () => {
+    expect(getQuoteDecade(CASABLANCA)).toBe("1940s");
+  });
+
+  test("is null for undated quotes", () => {
+    expect(getQuoteDecade({ minor_attribution: "Hamlet" })).toBeNull();
+  });
+});
+
+describe("matchesQuoteCategories", () => {
+  test.each([
+    [[], true],
+    [["film"], true],
+    [["film", "science"], true],
+    [["science"], false],
+    [["1940s"], true],
+    [["film", "1930s"], false],
+    [["film", "1930s", "1940s"], true],
+  ])("%o matches: %s", (ids, expected) => {
+    expect(matchesQuoteCategories(CASABLANCA, ids)).toBe(expected);
+  });
+});
+
+describe("formatQuoteCategories", () => {
+  test("lists labels in the order they were picked", () => {
+    expect(formatQuoteCategories(["1940s", "film"])).toBe("1940s, Film");
+    expect(formatQuoteCategories([])).toBe("");
+  });
+});
+
+describe("bundled quotes", () => {
+  test("every quote has a known category", () => {
+    quotes.forEach((quote) => {
+      expect(QUOTE_CATEGORIES[quote.category]).toBeDefined();
+    });
+  });
+
+  test("dated quotes from 1900 on fall in an offered decade", () => {
+    const decades = quotes
+      .map(getQuoteDecade)
+      .filter((decade) => decade && decade >= QUOTE_DECADES[0]);
+    decades.forEach((decade) => expect(QUOTE_DECADES).toContain(decade));
+  });
+});
@@ -0,0 +1,35 @@
+// src/utils/random.js
+/**
+ * Seeded random numbers
+ * The same seed always gives the same sequence, so anything built from it -
+ * a puzzle's cipher, a shared link's keystream - can be rebuilt anywhere.
+ */
+
+/**
+ * Create a random number generator.
+ * With a seed the sequence is deterministic (mulberry32), so the same seed
+ * always produces the same puzzle. Without one, Math.random is used.
+ * @param {string|null} seed Optional seed string
+ * @returns {Function} Function returning a float in [0, 1)
+ */
+export const createRandom = (seed = null) => {
+  if (seed === null || seed === undefined) {
+    return Math.random;
+  }
+
+  // Hash the seed string into a 32-bit integer
+  let hash = 1779033703;
+  for (let i = 0; i < String(seed).length; i++) {
+    hash = Math.imul(hash ^ String(seed).charCodeAt(i), 3432918353);
+    hash = (hash << 13) | (hash >>> 19);
+  }
+
+  let state = hash >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
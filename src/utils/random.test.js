@@ -0,0 +1,27 @@
+// src/utils/random.test.js
+import { createRandom } from "./random";
+
+describe("createRandom", () => {
+  test("the same seed gives the same sequence", () => {
+    const a = createRandom("seed");
+    const b = createRandom("seed");
+    const c = createRandom("other");
+
+    const first = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(first);
+    expect([c(), c(), c()]).not.toEqual(first);
+  });
+
+  test("numbers fall in [0, 1)", () => {
+    const random = createRandom("range");
+    for (let i = 0; i < 100; i++) {
+      const value = random();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  test("falls back to Math.random without a seed", () => {
+    expect(createRandom()).toBe(Math.random);
+  });
+});
@@ -0,0 +1,171 @@
+// src/utils/streakFreezes.js
+/**
+ * Daily streak freezes
+ * Every STREAK_FREEZE_EARN_DAYS days of daily streak earns a freeze, up to
+ * MAX_STREAK_FREEZES held at once. When a day is missed - not played, or
+ * failed - held freezes are used up automatically to cover it, so the streak
+ * and its score bonus carry on. Frozen days keep the streak going but don't
+ * add to its length. Archive plays never count towards the streak.
+ *
+ * The server applies these rules for logged in players - they're only worked
+ * out on the device for anonymous players, whose streak is local.
+ *
+ * Freezes are kept as a history of events, oldest first:
+ * [{ type, date, at }] where type is one of FREEZE_EVENTS, date is the
+ * YYYY-MM-DD day the freeze was earned on or covered, and at is when it
+ * happened. The number held is worked out from the history.
+ */
+import { DAILY_OUTCOMES, addDays } from "./dailyArchive";
+
+export const FREEZE_EVENTS = {
+  EARNED: "earned",
+  USED: "used",
+};
+
+export const STREAK_FREEZE_EARN_DAYS = 7;
+
+export const MAX_STREAK_FREEZES = 2;
+
+// A day that adds to the daily streak
+const isStreakDay = (result) =>
+  result?.outcome === DAILY_OUTCOMES.COMPLETED && !result.archive;
+
+/**
+ * Days covered by a freeze
+ * @param {Array<Object>} history - Freeze events
+ * @returns {Array<string>} YYYY-MM-DD dates
+ */
+export const getFrozenDates = (history = []) =>
+  history
+    .filter((event) => event.type === FREEZE_EVENTS.USED)
+    .map((event) => event.date);
+
+/**
+ * Freezes held right now - those earned and not yet used
+ * @param {Array<Object>} history - Freeze events
+ * @returns {number}
+ */
+export const getAvailableFreezes = (history = []) =>
+  history.reduce((available, event) => {
+    if (event.type === FREEZE_EVENTS.EARNED) return available + 1;
+    if (event.type === FREEZE_EVENTS.USED) return available - 1;
+    return available;
+  }, 0);
+
+/**
+ * Length of the streak ending on a date, stepping over frozen days
+ * @param {Object} results - Daily results by date, see utils/dailyArchive
+ * @param {Array<string>} frozenDates - Days covered by a freeze
+ * @param {string} lastDate - YYYY-MM-DD, the last day of the streak
+ * @returns {number} Days completed in the streak
+ */
+export const getStreakLength = (results, frozenDates, lastDate) => {
+  let length = 0;
+  let dateString = lastDate;
+
+  while (
+    isStreakDay(results?.[dateString]) ||
+    frozenDates.includes(dateString)
+  ) {
+    if (isStreakDay(results?.[dateString])) length += 1;
+    dateString = addDays(dateString, -1);
+  }
+
+  return length;
+};
+
+/**
+ * Current daily streak. Today only ends the streak once it's been completed -
+ * until then the streak runs up to yesterday.
+ * @param {Object} results - Daily results by date
+ * @param {Array<string>} frozenDates - Days covered by a freeze
+ * @param {string} today - Today's date, YYYY-MM-DD
+ * @returns {number}
+ */
+export const getCurrentStreak = (results, frozenDates, today) =>
+  getStreakLength(
+    results,
+    frozenDates,
+    isStreakDay(results?.[today]) ? today : addDays(today, -1),
+  );
+
+/**
+ * Days missed since the streak was last kept, newest first. Only looks back
+ * as far as freezes could reach - a longer gap means the streak has already
+ * ended, and there's nothing left to cover.
+ * @param {Object} results - Daily results by date
+ * @param {Array<string>} frozenDates - Days covered by a freeze
+ * @param {string} today - Today's date, YYYY-MM-DD
+ * @returns {Array<string>} YYYY-MM-DD dates, empty when nothing needs covering
+ */
+export const getMissedDays = (results, frozenDates, today) => {
+  const missed = [];
+
+  for (let days = 1; days <= MAX_STREAK_FREEZES + 1; days++) {
+    const dateString = addDays(today, -days);
+    if (
+      isStreakDay(results?.[dateString]) ||
+      frozenDates.includes(dateString)
+    ) {
+      return missed;
+    }
+    missed.push(dateString);
+  }
+
+  return [];
+};
+
+/**
+ * Work out which freezes to use and whether one has been earned
+ * @param {Object} results - Daily results by date
+ * @param {Array<Object>} history - Freeze events
+ * @param {string} today - Today's date, YYYY-MM-DD
+ * @returns {Object} { use, earn } - days to cover, oldest first, and the day
+ *   a freeze was earned on, or null
+ */
+export const planStreakFreezes = (results, history, today) => {
+  const frozenDates = getFrozenDates(history);
+  let available = getAvailableFreezes(history);
+
+  // Only cover a gap when every missed day can be covered
+  const missed = getMissedDays(results, frozenDates, today);
+  const use = missed.length <= available ? missed.reverse() : [];
+  available -= use.length;
+
+  // Earn on the day a completed daily takes the streak to a milestone
+  const lastDay = isStreakDay(results?.[today]) ? today : addDays(today, -1);
+  const streak = getStreakLength(results, frozenDates.concat(use), lastDay);
+  const alreadyEarned = history.some(
+    (event) => event.type === FREEZE_EVENTS.EARNED && event.date === lastDay,
+  );
+  const earn =
+    isStreakDay(results?.[lastDay]) &&
+    streak % STREAK_FREEZE_EARN_DAYS === 0 &&
+    !alreadyEarned &&
+    available < MAX_STREAK_FREEZES
+      ? lastDay
+      : null;
+
+  return { use, earn };
+};
+
+/**
+ * Combine two freeze histories, keeping one event per type and day
+ * @param {Array<Object>} local - Freeze events
+ * @param {Array<Object>} remote - Freeze events
+ * @returns {Array<Object>} Merged events, oldest first
+ */
+export const mergeFreezeHistory = (local = [], remote = []) => {
+  const events = {};
+
+  [...(local || []), ...(remote || [])].forEach((event) => {
+    const key = `${event.type}:${event.date}`;
+    if (!events[key] || event.at < events[key].at) {
+      events[key] = event;
+    }
+  });
+
+  return Object.values(events).sort(
+    (a, b) => a.at - b.at || a.date.localeCompare(b.date),
+  );
+};
@@ -0,0 +1,130 @@
+// src/utils/streakFreezes.test.js
+import { DAILY_OUTCOMES, addDays } from "./dailyArchive";
+import {
+  FREEZE_EVENTS,
+  MAX_STREAK_FREEZES,
+  STREAK_FREEZE_EARN_DAYS,
+  getAvailableFreezes,
+  getCurrentStreak,
+  getFrozenDates,
+  getMissedDays,
+  planStreakFreezes,
+  mergeFreezeHistory,
+} from "./streakFreezes";
+
+const TODAY = "2025-03-12";
+
+const completed = { outcome: DAILY_OUTCOMES.COMPLETED, mistakes: 0 };
+const failed = { outcome: DAILY_OUTCOMES.FAILED, mistakes: 5 };
+
+// Completed dailies for the given days before today
+const played = (...daysAgo) =>
+  Object.fromEntries(daysAgo.map((days) => [addDays(TODAY, -days), completed]));
+
+const earned = (date, at = 1) => ({ type: FREEZE_EVENTS.EARNED, date, at });
+const used = (date, at = 2) => ({ type: FREEZE_EVENTS.USED, date, at });
+
+describe("freeze history", () => {
+  test("counts the freezes held and the days covered", () => {
+    const history = [
+      earned("2025-03-01"),
+      earned("2025-03-08"),
+      used("2025-03-10"),
+    ];
+
+    expect(getAvailableFreezes(history)).toBe(1);
+    expect(getAvailableFreezes([])).toBe(0);
+    expect(getFrozenDates(history)).toEqual(["2025-03-10"]);
+  });
+
+  test("merges histories from two devices without doubling up", () => {
+    const local = [earned("2025-03-01", 5), used("2025-03-10", 20)];
+    const remote = [earned("2025-03-01", 3), earned("2025-03-08", 10)];
+
+    expect(mergeFreezeHistory(local, remote)).toEqual([
+      earned("2025-03-01", 3),
+      earned("2025-03-08", 10),
+      used("2025-03-10", 20),
+    ]);
+  });
+});
+
+describe("getCurrentStreak", () => {
+  test("runs up to yesterday until today is completed", () => {
+    expect(getCurrentStreak(played(1, 2, 3), [], TODAY)).toBe(3);
+    expect(getCurrentStreak(played(0, 1, 2, 3), [], TODAY)).toBe(4);
+  });
+
+  test("steps over frozen days without counting them", () => {
+    const results = played(1, 3, 4);
+    expect(getCurrentStreak(results, [], TODAY)).toBe(1);
+    expect(getCurrentStreak(results, [addDays(TODAY, -2)], TODAY)).toBe(3);
+  });
+
+  test("archive plays and failed days don't count", () => {
+    const results = {
+      ...played(1),
+      [addDays(TODAY, -2)]: { ...completed, archive: true },
+      [addDays(TODAY, -3)]: failed,
+    };
+    expect(getCurrentStreak(results, [], TODAY)).toBe(1);
+  });
+});
+
+describe("getMissedDays", () => {
+  test("lists the days since the streak was last kept", () => {
+    expect(getMissedDays(played(3, 4), [], TODAY)).toEqual([
+      "2025-03-11",
+      "2025-03-10",
+    ]);
+    expect(getMissedDays(played(1), [], TODAY)).toEqual([]);
+  });
+
+  test("failed days are missed days", () => {
+    const results = { ...played(2), [addDays(TODAY, -1)]: failed };
+    expect(getMissedDays(results, [], TODAY)).toEqual(["2025-03-11"]);
+  });
+
+  test("ignores gaps too long to cover", () => {
+    expect(getMissedDays(played(MAX_STREAK_FREEZES + 2), [], TODAY)).toEqual(
+      [],
+    );
+    expect(getMissedDays({}, [], TODAY)).toEqual([]);
+  });
+});
+
+describe("planStreakFreezes", () => {
+  test("covers missed days, oldest first, when there are enough freezes", () => {
+    const history = [earned("2025-03-01"), earned("2025-03-05")];
+
+    expect(planStreakFreezes(played(3, 4), history, TODAY).use).toEqual([
+      "2025-03-10",
+      "2025-03-11",
+    ]);
+  });
+
+  test("uses nothing when the gap can't all be covered", () => {
+    const history = [earned("2025-03-01")];
+    expect(planStreakFreezes(played(3, 4), history, TODAY).use).toEqual([]);
+  });
+
+  test("earns a freeze when a completed day reaches a milestone", () => {
+    const week = Array.from({ length: STREAK_FREEZE_EARN_DAYS }, (_, i) => i);
+    const results = played(...week);
+
+    expect(planStreakFreezes(results, [], TODAY).earn).toBe(TODAY);
+    expect(planStreakFreezes(results, [earned(TODAY)], TODAY).earn).toBeNull();
+    expect(
+      planStreakFreezes(played(...week.slice(1)), [], TODAY).earn,
+    ).toBeNull();
+  });
+
+  test("doesn't earn past the limit", () => {
+    const week = Array.from({ length: STREAK_FREEZE_EARN_DAYS }, (_, i) => i);
+    const history = Array.from({ length: MAX_STREAK_FREEZES }, (_, i) =>
+      earned(`2025-01-0${i + 1}`),
+    );
+
+    expect(planStreakFreezes(played(...week), history, TODAY).earn).toBeNull();
+  });
+});
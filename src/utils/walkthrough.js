@@ -0,0 +1,221 @@
+// src/utils/walkthrough.js
+/**
+ * Post-game solving walkthrough
+ * Works out one logical order in which a finished puzzle could have been
+ * cracked - lone letters, THE, apostrophes, doubled letters, then words with
+ * a single gap - falling back on letter frequency when no word gives a
+ * letter away. Like gameRules, everything here is pure.
+ */
+import { BLOCK } from "./gameRules";
+
+// Deductions the walkthrough can explain, in the order they are tried
+export const WALKTHROUGH_TECHNIQUES = {
+  SINGLE_LETTER: "single-letter",
+  THE: "the",
+  APOSTROPHE: "apostrophe",
+  DOUBLED: "doubled",
+  SHORT_WORD: "short-word",
+  WORD_PATTERN: "word-pattern",
+  FREQUENCY: "frequency",
+};
+
+// Endings that can follow an apostrophe in English
+const APOSTROPHE_ENDINGS = ["S", "T", "D", "M", "LL", "RE", "VE"];
+
+// Letters most often seen doubled in English
+const COMMON_DOUBLES = ["L", "E", "S", "O", "T", "F", "R", "N", "P", "C"];
+
+// English letters from most to least common, and how many count as common
+const ENGLISH_FREQUENCY_ORDER = "ETAOINSHRDLCUMWFGYPBVKJXQZ";
+const COMMON_LETTER_COUNT = 9;
+
+/**
+ * Map each encrypted letter to its solution letter
+ * @param {string} encrypted - Encrypted text
+ * @param {string} solution - Solution, aligned character for character
+ * @returns {Object|null} Cipher mapping, or null if the texts don't line up
+ *   or the cipher isn't a simple substitution
+ */
+export const getCipherMapping = (encrypted = "", solution = "") => {
+  if (!encrypted || encrypted.length !== solution.length) return null;
+
+  const mapping = {};
+  for (let i = 0; i < encrypted.length; i++) {
+    const char = encrypted[i];
+    if (!/[A-Z]/.test(char)) continue;
+    if (!/[A-Z]/.test(solution[i])) return null;
+    if (mapping[char] && mapping[char] !== solution[i]) return null;
+    mapping[char] = solution[i];
+  }
+  return mapping;
+};
+
+/**
+ * Split the encrypted text into words, keeping apostrophes inside them
+ * @param {string} encrypted - Encrypted text
+ * @param {string} solution - Solution text
+ * @returns {Array<Object>} { encrypted, plain } for each word
+ */
+const getWords = (encrypted, solution) =>
+  Array.from(encrypted.matchAll(/[A-Z]+(?:['’][A-Z]+)*/g), (match) => ({
+    encrypted: match[0],
+    plain: solution.slice(match.index, match.index + match[0].length),
+  }));
+
+/**
+ * Show an encrypted word with the letters known so far filled in
+ * @param {string} word - Encrypted word
+ * @param {Object} known - Deduced encrypted → plain letters
+ * @returns {string}
+ */
+const fillIn = (word, known) =>
+  Array.from(word)
+    .map((char) => (/[A-Z]/.test(char) ? known[char] || BLOCK : char))
+    .join("");
+
+/**
+ * Build the walkthrough for a finished puzzle
+ * @param {string} encrypted - The game's encrypted text
+ * @param {string} solution - The solution returned at the end of the game
+ * @param {boolean} hasWords - Whether the spaces are word breaks - they aren't
+ *   in blocks hardcore
+ * @returns {Array<Object>} Steps of { technique, title, explanation, letters,
+ *   display } - letters are the encrypted letters the step solved and display
+ *   is the board once they are filled in. Empty if there is nothing to explain.
+ */
+export const buildWalkthrough = (
+  encrypted,
+  solution,
+  hasWords = /\s/.test(encrypted),
+) => {
+  const mapping = getCipherMapping(encrypted, solution);
+  if (!mapping) return [];
+
+  // Without word breaks (hardcore text) only letter frequency is left to go on
+  const words = hasWords ? getWords(encrypted, solution) : [];
+  const known = {};
+  const steps = [];
+
+  const addStep = (technique, title, explanation, letters) => {
+    const fresh = [...new Set(letters)].filter((letter) => !known[letter]);
+    if (fresh.length === 0) return;
+
+    fresh.forEach((letter) => {
+      known[letter] = mapping[letter];
+    });
+    steps.push({
+      technique,
+      title,
+      explanation,
+      letters: fresh,
+      display: fillIn(encrypted, known),
+    });
+  };
+
+  // Lone letters can only be A or I
+  words
+    .filter((word) => word.encrypted.length === 1)
+    .forEach((word) =>
+      addStep(
+        WALKTHROUGH_TECHNIQUES.SINGLE_LETTER,
+        `${word.encrypted} → ${word.plain}`,
+        `${word.encrypted} stands on its own, and the only one-letter words are A and I.`,
+        [word.encrypted],
+      ),
+    );
+
+  // The most common three-letter word in English
+  const theWords = words.filter((word) => word.plain === "THE");
+  if (theWords.length > 0) {
+    const count = theWords.length;
+    addStep(
+      WALKTHROUGH_TECHNIQUES.THE,
+      `${theWords[0].encrypted} → THE`,
+      `${theWords[0].encrypted} is a three-letter word${count > 1 ? ` that appears ${count} times` : ""}, and the most common three-letter word is THE.`,
+      Array.from(theWords[0].encrypted),
+    );
+  }
+
+  // Only a handful of endings follow an apostrophe
+  words
+    .filter((word) => /['’]/.test(word.encrypted))
+    .forEach((word) => {
+      const [, encryptedEnding] = word.encrypted.split(/['’]/);
+      const [, plainEnding] = word.plain.split(/['’]/);
+      if (!APOSTROPHE_ENDINGS.includes(plainEnding)) return;
+
+      addStep(
+        WALKTHROUGH_TECHNIQUES.APOSTROPHE,
+        `'${encryptedEnding} → '${plainEnding}`,
+        `Only ${APOSTROPHE_ENDINGS.map((ending) => `'${ending}`).join(", ")} can follow an apostrophe, and ${fillIn(word.encrypted, known)} fits '${plainEnding}.`,
+        Array.from(encryptedEnding),
+      );
+    });
+
+  // Doubled letters are usually one of a few
+  words.forEach((word) => {
+    const double = word.encrypted.match(/([A-Z])\1/);
+    if (!double || !COMMON_DOUBLES.includes(mapping[double[1]])) return;
+
+    addStep(
+      WALKTHROUGH_TECHNIQUES.DOUBLED,
+      `${double[0]} → ${mapping[double[1]].repeat(2)}`,
+      `${double[0]} in ${fillIn(word.encrypted, known)} is a doubled letter, most often LL, EE, SS, OO or TT.`,
+      [double[1]],
+    );
+  });
+
+  // Then alternate between words with one gap left and letter frequency
+  const counts = {};
+  Array.from(encrypted.replace(/[^A-Z]/g, "")).forEach((letter) => {
+    counts[letter] = (counts[letter] || 0) + 1;
+  });
+  const allLetters = Object.keys(mapping);
+
+  while (allLetters.some((letter) => !known[letter])) {
+    // Longer words leave less doubt, so they are tried first
+    const gapWord = words
+      .filter((word) => {
+        const unknown = new Set(
+          Array.from(word.encrypted.replace(/[^A-Z]/g, "")).filter(
+            (letter) => !known[letter],
+          ),
+        );
+        return unknown.size === 1 && word.encrypted.length > 1;
+      })
+      .sort((a, b) => b.encrypted.length - a.encrypted.length)[0];
+
+    if (gapWord) {
+      const letter = Array.from(gapWord.encrypted).find(
+        (char) => /[A-Z]/.test(char) && !known[char],
+      );
+      const pattern = fillIn(gapWord.encrypted, known);
+      const isShort = gapWord.encrypted.length === 2;
+      addStep(
+        isShort
+          ? WALKTHROUGH_TECHNIQUES.SHORT_WORD
+          : WALKTHROUGH_TECHNIQUES.WORD_PATTERN,
+        `${pattern} → ${gapWord.plain}`,
+        isShort
+          ? `Only a few two-letter words fit ${pattern}, and ${gapWord.plain} is the one that reads.`
+          : `Only one letter of ${pattern} is missing, and ${gapWord.plain} is the word that fits.`,
+        [letter],
+      );
+      continue;
+    }
+
+    // Otherwise fall back on the most common unsolved letter
+    const letter = allLetters
+      .filter((candidate) => !known[candidate])
+      .sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))[0];
+    const rank = ENGLISH_FREQUENCY_ORDER.indexOf(mapping[letter]);
+    addStep(
+      WALKTHROUGH_TECHNIQUES.FREQUENCY,
+      `${letter} → ${mapping[letter]}`,
+      `No word gives a letter away, so try the most common unsolved letter: ${letter} appears ${counts[letter]} time${counts[letter] === 1 ? "" : "s"}. ${rank !== -1 && rank < COMMON_LETTER_COUNT ? `${mapping[letter]} is among the most common letters in English, so it comes up early.` : `Working through the likelier letters first eventually lands on ${mapping[letter]}.`}`,
+      [letter],
+    );
+  }
+
+  return steps;
+};
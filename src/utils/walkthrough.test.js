@@ -0,0 +1,99 @@
+// src/utils/walkthrough.test.js
+import { BLOCK, HARDCORE_LEVELS, applyHardcoreLevel } from "./gameRules";
+import {
+  WALKTHROUGH_TECHNIQUES,
+  getCipherMapping,
+  buildWalkthrough,
+} from "./walkthrough";
+
+const KEY = "QWERTYUIOPASDFGHJKLZXCVBNM";
+const encipher = (text) =>
+  text.replace(/[A-Z]/g, (char) => KEY[char.charCodeAt(0) - 65]);
+
+const SOLUTION =
+  "I THINK THAT THE WORLD IS A BOOK AND THOSE WHO DON'T TRAVEL READ ONLY A PAGE.";
+const ENCRYPTED = encipher(SOLUTION);
+
+describe("getCipherMapping", () => {
+  test("maps each encrypted letter to its solution letter", () => {
+    expect(getCipherMapping("XQZZA", "HELLO")).toEqual({
+      X: "H",
+      Q: "E",
+      Z: "L",
+      A: "O",
+    });
+  });
+
+  test("rejects texts that don't line up", () => {
+    expect(getCipherMapping("XQZZA", "HELL")).toBeNull();
+    expect(getCipherMapping("", "")).toBeNull();
+  });
+
+  test("rejects ciphers that aren't a simple substitution", () => {
+    expect(getCipherMapping("AAA", "ABC")).toBeNull();
+  });
+});
+
+describe("buildWalkthrough", () => {
+  const steps = buildWalkthrough(ENCRYPTED, SOLUTION);
+
+  test("ends with the whole solution revealed", () => {
+    expect(steps[steps.length - 1].display).toBe(SOLUTION);
+  });
+
+  test("solves every letter exactly once", () => {
+    const solved = steps.flatMap((step) => step.letters);
+    const letters = new Set(ENCRYPTED.match(/[A-Z]/g));
+    expect(solved).toHaveLength(letters.size);
+    expect(new Set(solved)).toEqual(letters);
+  });
+
+  test("starts with lone letters, then THE", () => {
+    expect(steps.slice(0, 3).map((step) => step.technique)).toEqual([
+      WALKTHROUGH_TECHNIQUES.SINGLE_LETTER,
+      WALKTHROUGH_TECHNIQUES.SINGLE_LETTER,
+      WALKTHROUGH_TECHNIQUES.THE,
+    ]);
+    expect(steps[2].letters).toEqual(Array.from(encipher("THE")));
+  });
+
+  test("each board only shows the letters solved so far", () => {
+    expect(steps[0].display).toBe(SOLUTION.replace(/[A-HJ-Z]/g, BLOCK));
+  });
+
+  test("uses apostrophe endings and doubled letters", () => {
+    const techniques = buildWalkthrough(encipher("WE'LL SEE"), "WE'LL SEE").map(
+      (step) => step.technique,
+    );
+    expect(techniques).toContain(WALKTHROUGH_TECHNIQUES.APOSTROPHE);
+    expect(techniques).toContain(WALKTHROUGH_TECHNIQUES.DOUBLED);
+  });
+
+  test("falls back on letter frequency without word breaks", () => {
+    const hardcore = buildWalkthrough(
+      ENCRYPTED.replace(/[^A-Z]/g, ""),
+      SOLUTION.replace(/[^A-Z]/g, ""),
+    );
+    expect(hardcore[0].technique).toBe(WALKTHROUGH_TECHNIQUES.FREQUENCY);
+    expect(hardcore[hardcore.length - 1].display).toBe(
+      SOLUTION.replace(/[^A-Z]/g, ""),
+    );
+  });
+
+  test("doesn't mistake hardcore blocks for words", () => {
+    const blocks = buildWalkthrough(
+      applyHardcoreLevel(ENCRYPTED, HARDCORE_LEVELS.BLOCKS),
+      applyHardcoreLevel(SOLUTION, HARDCORE_LEVELS.BLOCKS),
+      false,
+    );
+    expect(
+      blocks.every(
+        (step) => step.technique === WALKTHROUGH_TECHNIQUES.FREQUENCY,
+      ),
+    ).toBe(true);
+  });
+
+  test("has nothing to explain without a matching solution", () => {
+    expect(buildWalkthrough(ENCRYPTED, "")).toEqual([]);
+  });
+});